@@ -0,0 +1,197 @@
+/**
+ * 内容脚本打包工具
+ * Manifest V3 的内容脚本不能使用ES模块，此脚本从入口 src/content/main.js 开始收集依赖的模块，
+ * 按依赖顺序包装为函数作用域后合并到一个IIFE中，生成 src/content/content.js
+ *
+ * 用法：
+ *   node scripts/build-content.mjs           重新生成 content.js
+ *   node scripts/build-content.mjs --check   只检查 content.js 是否与模块一致（不一致时退出码为1）
+ *
+ * 只支持本项目用到的语法：
+ *   import * as ns from './x.js' / import { a, b as c } from './x.js' / import x from './x.js'
+ *   export function / export async function / export class / export const / export let / export default
+ * 导出的 let 变量在打包后不是实时绑定，模块间共享可变状态时请导出函数
+ */
+
+import { readFileSync, writeFileSync } from 'node:fs';
+import { dirname, join, relative, resolve } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const ROOT = resolve(dirname(fileURLToPath(import.meta.url)), '..');
+const ENTRY = join(ROOT, 'src/content/main.js');
+const OUTPUT = join(ROOT, 'src/content/content.js');
+
+const IMPORT_PATTERN = /^import\s+([\s\S]+?)\s+from\s+['"]([^'"]+)['"];?[ \t]*\r?\n/gm;
+const EXPORT_DECLARATION_PATTERN = /^export\s+((?:async\s+)?function\*?|class|const|let|var)\s+([\w$]+)/gm;
+const EXPORT_DEFAULT_PATTERN = /^export\s+default\s+/m;
+
+/**
+ * 将模块路径转为打包后的变量名
+ * @param {string} file - 模块绝对路径
+ * @returns {string}
+ */
+function getModuleName(file) {
+    return '__' + relative(join(ROOT, 'src'), file).replace(/\.js$/, '').replace(/[^\w$]/g, '_');
+}
+
+/**
+ * 将import子句转为变量声明
+ * @param {string} clause - import 与 from 之间的部分
+ * @param {string} moduleName - 被导入模块的变量名
+ * @returns {string}
+ */
+function toBindings(clause, moduleName) {
+    const bindings = [];
+    let rest = clause.trim();
+
+    // 默认导入
+    const defaultMatch = rest.match(/^([\w$]+)\s*(?:,\s*|$)/);
+    if (defaultMatch) {
+        bindings.push(`const ${defaultMatch[1]} = ${moduleName}.default;`);
+        rest = rest.slice(defaultMatch[0].length);
+    }
+
+    if (rest.startsWith('*')) {
+        const name = rest.match(/^\*\s+as\s+([\w$]+)$/)?.[1];
+        if (!name) throw new Error(`无法解析的导入: ${clause}`);
+        bindings.push(`const ${name} = ${moduleName};`);
+    } else if (rest.startsWith('{')) {
+        const names = rest.replace(/^\{|\}$/g, '').split(',')
+            .map(s => s.trim())
+            .filter(Boolean)
+            .map(s => s.replace(/^([\w$]+)\s+as\s+([\w$]+)$/, '$1: $2'));
+        bindings.push(`const { ${names.join(', ')} } = ${moduleName};`);
+    } else if (rest) {
+        throw new Error(`无法解析的导入: ${clause}`);
+    }
+
+    return bindings.join('\n');
+}
+
+/**
+ * 转换单个模块，返回其依赖和包装后的代码
+ * @param {string} file - 模块绝对路径
+ * @returns {{dependencies: Array<string>, code: string}}
+ */
+function transformModule(file) {
+    const source = readFileSync(file, 'utf8');
+    const dependencies = [];
+    const exportNames = [];
+
+    let code = source.replace(IMPORT_PATTERN, (match, clause, specifier) => {
+        if (!specifier.startsWith('.')) {
+            throw new Error(`${relative(ROOT, file)}: 内容脚本只能导入项目内的模块 (${specifier})`);
+        }
+
+        const dependency = resolve(dirname(file), specifier);
+        dependencies.push(dependency);
+        return toBindings(clause, getModuleName(dependency)) + '\n';
+    });
+
+    code = code.replace(EXPORT_DECLARATION_PATTERN, (match, keyword, name) => {
+        exportNames.push(name);
+        return `${keyword} ${name}`;
+    });
+
+    if (EXPORT_DEFAULT_PATTERN.test(code)) {
+        code = code.replace(EXPORT_DEFAULT_PATTERN, 'const __default = ');
+        exportNames.push('default: __default');
+    }
+
+    if (/^export\s/m.test(code)) {
+        throw new Error(`${relative(ROOT, file)}: 不支持的导出语法`);
+    }
+
+    // 没有导出的模块（入口）直接执行
+    const wrapped = exportNames.length === 0
+        ? [
+            `// ==================== ${relative(ROOT, file)} ====================`,
+            '(function () {',
+            code.trim(),
+            '})();'
+        ].join('\n')
+        : [
+            `// ==================== ${relative(ROOT, file)} ====================`,
+            `const ${getModuleName(file)} = (function () {`,
+            code.trim(),
+            '',
+            `return { ${exportNames.join(', ')} };`,
+            '})();'
+        ].join('\n');
+
+    return { dependencies, code: wrapped };
+}
+
+/**
+ * 从入口开始按依赖顺序（被依赖的在前）收集模块
+ * @param {string} entry - 入口模块绝对路径
+ * @returns {Array<string>} - 包装后的模块代码
+ */
+function collectModules(entry) {
+    const done = new Set();
+    const visiting = new Set();
+    const output = [];
+
+    const visit = (file) => {
+        if (done.has(file)) return;
+        if (visiting.has(file)) {
+            throw new Error(`模块存在循环依赖: ${relative(ROOT, file)}`);
+        }
+
+        visiting.add(file);
+        const { dependencies, code } = transformModule(file);
+        dependencies.forEach(visit);
+        visiting.delete(file);
+
+        done.add(file);
+        output.push(code);
+    };
+
+    visit(entry);
+    return output;
+}
+
+/**
+ * 生成内容脚本
+ * @returns {string}
+ */
+function build() {
+    const modules = collectModules(ENTRY);
+
+    return [
+        '/**',
+        ' * 内容脚本 - 打包版本（无ES模块依赖）',
+        ' * 在网页中运行，负责验证码检测和自动填充',
+        ' *',
+        ' * 此文件由 scripts/build-content.mjs 根据 src/content/ 下的模块生成，请勿直接修改',
+        ' */',
+        '',
+        '(function () {',
+        '\'use strict\';',
+        '',
+        modules.join('\n\n'),
+        '})();',
+        ''
+    ].join('\n');
+}
+
+const output = build();
+
+if (process.argv.includes('--check')) {
+    let current = '';
+    try {
+        current = readFileSync(OUTPUT, 'utf8');
+    } catch {
+        // 文件不存在视为过期
+    }
+
+    if (current !== output) {
+        console.error(`${relative(ROOT, OUTPUT)} 已过期，请运行 node scripts/build-content.mjs`);
+        process.exit(1);
+    }
+
+    console.log(`${relative(ROOT, OUTPUT)} 已是最新`);
+} else {
+    writeFileSync(OUTPUT, output);
+    console.log(`已生成 ${relative(ROOT, OUTPUT)}`);
+}
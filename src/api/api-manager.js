@@ -4,16 +4,28 @@
  */
 
 import * as storage from '../utils/storage.js';
+import * as imageStore from '../utils/image-store.js';
 import * as logger from '../utils/logger.js';
 import { OpenAICompatibleAdapter } from './openai-compatible.js';
 import { GeminiAdapter } from './gemini-adapter.js';
 import { ClaudeAdapter } from './claude-adapter.js';
+import { LocalOcrAdapter } from './local-ocr-adapter.js';
+import { OllamaAdapter, LOCAL_API_FORMATS } from './ollama-adapter.js';
+import { CHARSETS, postProcess, ValidationError } from './post-processor.js';
+import { vote, VOTE_MODES } from './consensus.js';
+import { createTestCaptcha } from './test-captcha.js';
+import { ApiError, ERROR_TYPES, getErrorType, isRetryable } from './errors.js';
+import { RequestQueue } from './request-queue.js';
+
+export { CHARSETS, VOTE_MODES, ERROR_TYPES, LOCAL_API_FORMATS };
 
 // API类型常量
 export const API_TYPES = {
     OPENAI_COMPATIBLE: 'openai_compatible',
     GEMINI: 'gemini',
-    CLAUDE: 'claude'
+    CLAUDE: 'claude',
+    OLLAMA: 'ollama',
+    LOCAL_OCR: 'local_ocr'
 };
 
 // 预设TAPI配置模板
@@ -64,6 +76,20 @@ export const PRESET_TEMPLATES = {
         baseUrl: '',
         model: 'claude-3-5-sonnet-20241022',
         maxTokens: 1024
+    },
+    ollama: {
+        name: 'Ollama',
+        type: API_TYPES.OLLAMA,
+        baseUrl: 'http://localhost:11434',
+        model: 'llava',
+        maxTokens: 500,
+        temperature: 1
+    },
+    local_ocr: {
+        name: '本地OCR',
+        type: API_TYPES.LOCAL_OCR,
+        baseUrl: '',
+        model: 'template'
     }
 };
 
@@ -75,14 +101,132 @@ export const DEFAULT_RECOGNITION_PROMPT = `请识别这张验证码图片中的
 3. 忽略图片中的干扰线条和噪点
 4. 如果无法识别，请返回"无法识别"`;
 
+// 字符集在Prompt中的描述
+const CHARSET_DESCRIPTIONS = {
+    [CHARSETS.DIGITS]: '数字(0-9)',
+    [CHARSETS.LETTERS]: '英文字母(A-Z、a-z)',
+    [CHARSETS.ALPHANUMERIC]: '英文字母和数字'
+};
+
+// 校验失败后重试时追加的严格要求
+const STRICT_PROMPT_SUFFIX = `
+
+注意：上一次的回答不符合要求。请严格只输出验证码字符本身，不要包含任何解释、引号、标点或空格。`;
+
+// 未设置时每个配置同时进行的最大请求数（0 表示不限制）
+export const DEFAULT_MAX_CONCURRENCY = 4;
+
+// 重试等待时间（毫秒）：按错误类型指数增长，服务端指定等待时间时以其为准
+const RETRY_BASE_DELAYS = {
+    [ERROR_TYPES.RATE_LIMIT]: 5000,
+    [ERROR_TYPES.SERVER]: 1000,
+    [ERROR_TYPES.TIMEOUT]: 1000,
+    [ERROR_TYPES.NETWORK]: 2000
+};
+// 结果为空、无法识别等模型回答问题，稍等即可重试
+const DEFAULT_RETRY_DELAY = 500;
+const MAX_RETRY_DELAY = 60000;
+
+// 模型返回"无法识别"类结果的匹配规则
+const UNRECOGNIZABLE_PATTERN = /无法识别|unable to recogni[sz]e|cannot recogni[sz]e/i;
+
+/**
+ * 根据网站规则构建识别Prompt
+ * 规则中的自定义Prompt优先，其次为配置的自定义Prompt，最后为默认Prompt；
+ * 字符集、长度、大小写要求以附加要求的形式追加
+ * @param {object} config - API配置
+ * @param {object|null} siteRule - 网站规则
+ * @returns {string}
+ */
+export function buildPrompt(config, siteRule = null) {
+    const basePrompt = siteRule?.prompt || config.customPrompt || DEFAULT_RECOGNITION_PROMPT;
+
+    if (!siteRule) {
+        return basePrompt;
+    }
+
+    const hints = [];
+
+    if (CHARSET_DESCRIPTIONS[siteRule.charset]) {
+        hints.push(`验证码只包含${CHARSET_DESCRIPTIONS[siteRule.charset]}`);
+    }
+
+    if (siteRule.length > 0) {
+        hints.push(`验证码长度为 ${siteRule.length} 位`);
+    }
+
+    if (siteRule.caseSensitive) {
+        hints.push('验证码区分大小写，请保留字母原本的大小写');
+    }
+
+    if (hints.length === 0) {
+        return basePrompt;
+    }
+
+    return `${basePrompt}\n\n附加要求：\n${hints.map(h => `- ${h}`).join('\n')}`;
+}
+
+/**
+ * 按配置的单价计算花费
+ * @param {object} config - API配置 { inputPrice, outputPrice }（每百万Token价格）
+ * @param {{inputTokens: number, outputTokens: number}} usage - Token用量
+ * @returns {number}
+ */
+export function calculateCost(config, usage) {
+    return ((usage?.inputTokens || 0) * (config.inputPrice || 0)
+        + (usage?.outputTokens || 0) * (config.outputPrice || 0)) / 1e6;
+}
+
+/**
+ * 按配置汇总一次识别中所有请求的用量
+ * 重试、校验失败和投票采样的请求同样计入
+ * @param {Array<{config: object, usage: object}>} usageLog - 用量记录
+ * @returns {Array<object>} - [{ configId, configName, calls, inputTokens, outputTokens, cost }]
+ */
+function summarizeUsage(usageLog) {
+    const byConfig = new Map();
+
+    for (const { config, usage } of usageLog) {
+        const entry = byConfig.get(config.id) || {
+            configId: config.id,
+            configName: config.name,
+            calls: 0,
+            inputTokens: 0,
+            outputTokens: 0,
+            cost: 0
+        };
+
+        entry.calls++;
+        entry.inputTokens += usage?.inputTokens || 0;
+        entry.outputTokens += usage?.outputTokens || 0;
+        entry.cost += calculateCost(config, usage);
+
+        byConfig.set(config.id, entry);
+    }
+
+    return [...byConfig.values()];
+}
+
+/**
+ * 合计用量
+ * @param {Array<object>} usage - summarizeUsage 的结果
+ * @returns {{inputTokens: number, outputTokens: number, cost: number}}
+ */
+function totalUsage(usage) {
+    return usage.reduce((total, entry) => ({
+        inputTokens: total.inputTokens + entry.inputTokens,
+        outputTokens: total.outputTokens + entry.outputTokens,
+        cost: total.cost + entry.cost
+    }), { inputTokens: 0, outputTokens: 0, cost: 0 });
+}
+
 /**
  * API管理器类
  */
 export class ApiManager {
     constructor() {
         this.adapters = new Map();
-        this.requestQueue = [];
-        this.isProcessing = false;
+        this.requestQueue = new RequestQueue();
     }
 
     /**
@@ -92,27 +236,39 @@ export class ApiManager {
      */
     getAdapter(config) {
         const key = config.id || config.type;
+        const cached = this.adapters.get(key);
 
-        if (!this.adapters.has(key)) {
-            let adapter;
+        // 已缓存的适配器同步最新配置（配置可能已在设置页中修改）
+        if (cached && cached.config.type === config.type) {
+            cached.updateConfig(config);
+            return cached;
+        }
 
-            switch (config.type) {
-                case API_TYPES.GEMINI:
-                    adapter = new GeminiAdapter(config);
-                    break;
-                case API_TYPES.CLAUDE:
-                    adapter = new ClaudeAdapter(config);
-                    break;
-                case API_TYPES.OPENAI_COMPATIBLE:
-                default:
-                    adapter = new OpenAICompatibleAdapter(config);
-                    break;
-            }
+        const adapter = this.createAdapter(config);
+        this.adapters.set(key, adapter);
 
-            this.adapters.set(key, adapter);
-        }
+        return adapter;
+    }
 
-        return this.adapters.get(key);
+    /**
+     * 根据配置类型创建适配器
+     * @param {object} config - API配置
+     * @returns {object} - 适配器实例
+     */
+    createAdapter(config) {
+        switch (config.type) {
+            case API_TYPES.GEMINI:
+                return new GeminiAdapter(config);
+            case API_TYPES.CLAUDE:
+                return new ClaudeAdapter(config);
+            case API_TYPES.OLLAMA:
+                return new OllamaAdapter(config);
+            case API_TYPES.LOCAL_OCR:
+                return new LocalOcrAdapter(config);
+            case API_TYPES.OPENAI_COMPATIBLE:
+            default:
+                return new OpenAICompatibleAdapter(config);
+        }
     }
 
     /**
@@ -129,101 +285,413 @@ export class ApiManager {
 
     /**
      * 识别验证码
+     * 按备用链顺序依次尝试各配置，当前配置失败后自动切换到下一个；
+     * 配置了多次采样时并行请求多次并投票得出结果
      * @param {string} imageData - Base64编码的图像数据
-     * @param {object} options - 选项
+     * @param {object} options - 选项 { timeout, retryCount, siteRule, hostname, signal }
      * @returns {Promise<object>} - 识别结果
      */
     async recognize(imageData, options = {}) {
         const startTime = Date.now();
+        const { siteRule = null, hostname = null, signal = null } = options;
+        const usageLog = [];
+        let chain = [];
 
         try {
-            // 获取活跃配置
-            const config = await storage.getActiveConfig();
+            // 获取备用链（网站规则指定的配置优先，其次为活跃配置）
+            chain = await storage.getFallbackChain(siteRule?.configId);
 
-            if (!config) {
+            if (chain.length === 0) {
                 throw new Error('请先配置API');
             }
 
-            logger.info('开始识别验证码', { configName: config.name });
+            logger.info('开始识别验证码', { chain: chain.map(c => c.name) });
 
             // 获取设置
             const settings = await storage.getSettings();
 
-            // 准备请求参数
-            const prompt = config.customPrompt || DEFAULT_RECOGNITION_PROMPT;
             const timeout = options.timeout || settings.timeout;
             const retryCount = options.retryCount || settings.retryCount;
 
-            // 获取适配器
-            const adapter = this.getAdapter(config);
-
-            // 执行识别（带重试）
             let lastError = null;
 
-            for (let attempt = 0; attempt < retryCount; attempt++) {
-                try {
-                    logger.debug(`尝试第 ${attempt + 1} 次识别`);
+            for (let index = 0; index < chain.length; index++) {
+                const config = chain[index];
 
-                    const result = await this.executeWithTimeout(
-                        adapter.recognize(imageData, prompt),
-                        timeout
-                    );
+                try {
+                    let result;
+
+                    if (config.sampleCount > 1) {
+                        // 跨配置投票时，采样分配给当前配置及其后的备用配置
+                        const voters = config.voteAcrossChain ? chain.slice(index) : [config];
+
+                        result = await this.recognizeWithConsensus(voters, imageData, {
+                            siteRule,
+                            timeout,
+                            retryCount,
+                            signal,
+                            usageLog,
+                            sampleCount: config.sampleCount,
+                            voteMode: config.voteMode
+                        });
+                    } else {
+                        result = await this.recognizeWithConfig(config, imageData, {
+                            prompt: buildPrompt(config, siteRule),
+                            siteRule,
+                            timeout,
+                            retryCount,
+                            signal,
+                            usageLog
+                        });
+                    }
 
                     const elapsed = Date.now() - startTime;
+                    const fallback = index > 0;
+                    const usage = summarizeUsage(usageLog);
+                    const { cost, ...tokens } = totalUsage(usage);
 
                     // 记录成功
-                    await storage.updateStats(true, elapsed);
-                    await storage.addHistory({
+                    await storage.updateStats(true, elapsed, { usage, solvedBy: config.id });
+                    const record = await storage.addHistory({
+                        configId: config.id,
                         configName: config.name,
+                        hostname,
                         result: result.text,
                         success: true,
+                        fallback,
+                        votes: result.votes,
+                        usage: tokens,
+                        cost,
                         elapsed
                     });
+                    this.saveHistoryImage(record.id, imageData);
 
-                    logger.info('识别成功', { result: result.text, elapsed });
+                    logger.info('识别成功', { result: result.text, configName: config.name, elapsed });
 
                     return {
                         success: true,
                         text: result.text,
                         elapsed,
-                        attempt: attempt + 1
+                        attempt: result.attempt,
+                        configName: config.name,
+                        fallback,
+                        votes: result.votes,
+                        usage: tokens,
+                        cost,
+                        historyId: record.id
                     };
                 } catch (error) {
                     lastError = error;
-                    logger.warn(`第 ${attempt + 1} 次识别失败`, error.message);
 
-                    // 如果不是最后一次尝试，等待后重试
-                    if (attempt < retryCount - 1) {
-                        await this.delay(1000 * (attempt + 1)); // 指数退避
+                    // 已取消时不再尝试备用配置
+                    if (signal?.aborted) {
+                        break;
+                    }
+
+                    // 跨配置投票已向参与采样的备用配置请求过，跳过它们
+                    if (config.sampleCount > 1 && config.voteAcrossChain) {
+                        index += Math.min(config.sampleCount, chain.length - index) - 1;
+                    }
+
+                    if (index < chain.length - 1) {
+                        logger.warn(`配置 ${config.name} 识别失败，切换到备用配置 ${chain[index + 1].name}`, error.message);
                     }
                 }
             }
 
-            // 所有重试都失败
+            // 所有配置都失败
             throw lastError;
 
         } catch (error) {
             const elapsed = Date.now() - startTime;
 
-            // 记录失败
-            await storage.updateStats(false, elapsed);
-            await storage.addHistory({
-                configName: (await storage.getActiveConfig())?.name || '未知',
+            // 用户取消或调用方断开，不计入失败统计
+            if (signal?.aborted) {
+                logger.info('识别已取消', { elapsed });
+
+                return {
+                    success: false,
+                    cancelled: true,
+                    error: '识别已取消',
+                    elapsed
+                };
+            }
+
+            const errorType = getErrorType(error);
+            const usage = summarizeUsage(usageLog);
+            const { cost, ...tokens } = totalUsage(usage);
+
+            // 记录失败（校验失败单独计数，已消耗的Token同样计入花费）
+            await storage.updateStats(false, elapsed, { errorType, usage });
+            const record = await storage.addHistory({
+                configName: chain.map(c => c.name).join(' → ') || '未知',
+                hostname,
                 result: error.message,
                 success: false,
+                errorType,
+                usage: tokens,
+                cost,
                 elapsed
             });
+            this.saveHistoryImage(record.id, imageData);
 
             logger.error('识别失败', error);
 
             return {
                 success: false,
                 error: error.message,
+                errorType,
                 elapsed
             };
         }
     }
 
+    /**
+     * 按设置保存发送给模型的图片，供回放测试使用
+     * 在后台执行，失败不影响识别结果
+     * @param {string} historyId - 历史记录ID
+     * @param {string} imageData - 图像数据
+     */
+    async saveHistoryImage(historyId, imageData) {
+        try {
+            const settings = await storage.getSettings();
+            if (!settings.keepImages) {
+                return;
+            }
+
+            await imageStore.saveImage(historyId, await imageStore.createThumbnail(imageData));
+
+            // 删除历史记录已过期的图片，并控制总大小
+            const history = await storage.getHistory(999);
+            await imageStore.pruneImages({
+                maxBytes: settings.imageStorageLimit * 1024 * 1024,
+                keepIds: history.map(r => r.id)
+            });
+        } catch (error) {
+            logger.warn('保存验证码图片失败', error.message);
+        }
+    }
+
+    /**
+     * 回放：使用指定配置重新识别已保存的图片，不计入统计和历史
+     * @param {object} config - API配置（解密后）
+     * @param {string} imageData - 图像数据
+     * @param {object} options - 选项 { siteRule, signal }
+     * @returns {Promise<object>} - { success, text, error, elapsed, usage, cost }
+     */
+    async replay(config, imageData, { siteRule = null, signal = null } = {}) {
+        const startTime = Date.now();
+        const usageLog = [];
+
+        try {
+            const settings = await storage.getSettings();
+            const options = {
+                siteRule,
+                timeout: settings.timeout,
+                retryCount: settings.retryCount,
+                signal,
+                usageLog
+            };
+
+            const result = config.sampleCount > 1
+                ? await this.recognizeWithConsensus([config], imageData, {
+                    ...options,
+                    sampleCount: config.sampleCount,
+                    voteMode: config.voteMode
+                })
+                : await this.recognizeWithConfig(config, imageData, {
+                    ...options,
+                    prompt: buildPrompt(config, siteRule)
+                });
+
+            const { cost, ...tokens } = totalUsage(summarizeUsage(usageLog));
+
+            return {
+                success: true,
+                text: result.text,
+                elapsed: Date.now() - startTime,
+                usage: tokens,
+                cost
+            };
+        } catch (error) {
+            const { cost, ...tokens } = totalUsage(summarizeUsage(usageLog));
+
+            return {
+                success: false,
+                error: error.message,
+                errorType: getErrorType(error),
+                elapsed: Date.now() - startTime,
+                usage: tokens,
+                cost
+            };
+        }
+    }
+
+    /**
+     * 使用单个配置识别验证码（带超时和重试）
+     * 结果经后处理校验，校验失败时以更严格的Prompt重试
+     * @param {object} config - API配置（解密后）
+     * @param {string} imageData - Base64编码的图像数据
+     * @param {object} options - 选项 { prompt, siteRule, timeout, retryCount, signal, usageLog }
+     * @returns {Promise<object>} - 适配器返回结果（text为后处理后的文本），附带 rawText 和 attempt
+     */
+    async recognizeWithConfig(config, imageData, {
+        prompt, siteRule = null, timeout, retryCount, signal = null, usageLog = null
+    }) {
+        const adapter = this.getAdapter(config);
+
+        let currentPrompt = prompt;
+        let lastError = null;
+
+        for (let attempt = 0; attempt < retryCount; attempt++) {
+            try {
+                logger.debug(`[${config.name}] 尝试第 ${attempt + 1} 次识别`);
+
+                // 排队等待的时间不计入超时
+                const result = await this.requestQueue.run(
+                    config.id,
+                    {
+                        concurrency: config.maxConcurrency ?? DEFAULT_MAX_CONCURRENCY,
+                        rpm: config.rpmLimit || 0
+                    },
+                    () => this.executeWithTimeout(
+                        requestSignal => adapter.recognize(imageData, currentPrompt, {
+                            charset: siteRule?.charset,
+                            signal: requestSignal
+                        }),
+                        timeout,
+                        signal
+                    ),
+                    signal
+                );
+
+                // 收到响应即已产生费用，无论结果是否可用
+                usageLog?.push({ config, usage: result.usage });
+
+                // 模型明确表示无法识别时视为失败，交给重试/备用配置处理
+                if (UNRECOGNIZABLE_PATTERN.test(result.text)) {
+                    throw new ApiError('模型无法识别该验证码', { type: ERROR_TYPES.UNRECOGNIZABLE });
+                }
+
+                const text = postProcess(result.text, siteRule);
+
+                return { ...result, text, rawText: result.text, attempt: attempt + 1 };
+            } catch (error) {
+                lastError = error;
+
+                // 已取消时立即停止重试
+                if (signal?.aborted) {
+                    throw error;
+                }
+
+                logger.warn(`[${config.name}] 第 ${attempt + 1} 次识别失败`, error.message);
+
+                // 密钥无效、额度用完等重试也不会成功的错误，直接交给备用配置处理
+                if (!isRetryable(error)) {
+                    break;
+                }
+
+                const errorType = getErrorType(error);
+                const retryDelay = this.getRetryDelay(error, attempt);
+
+                if (errorType === ERROR_TYPES.RATE_LIMIT) {
+                    // 被限流时暂停该配置的所有请求（包括其他标签页的），重试请求在队列中等待
+                    this.requestQueue.pause(config.id, Math.min(retryDelay, MAX_RETRY_DELAY));
+                }
+
+                // 服务端要求等待的时间过长时不再重试，交给备用配置处理
+                if (retryDelay > MAX_RETRY_DELAY) {
+                    break;
+                }
+
+                if (error instanceof ValidationError) {
+                    // 校验失败：立即以更严格的Prompt重试
+                    currentPrompt = prompt + STRICT_PROMPT_SUFFIX;
+                } else if (attempt < retryCount - 1 && errorType !== ERROR_TYPES.RATE_LIMIT) {
+                    // 如果不是最后一次尝试，等待后重试
+                    await this.delay(retryDelay, signal);
+                }
+            }
+        }
+
+        throw lastError;
+    }
+
+    /**
+     * 计算重试前的等待时间
+     * 服务端通过 Retry-After 指定时按指定时间等待，否则按错误类型指数退避，并加入随机抖动，
+     * 避免多个标签页同时失败后又同时重试
+     * @param {Error} error - 失败原因
+     * @param {number} attempt - 已失败的次数（从0开始）
+     * @returns {number} - 等待时间（毫秒）
+     */
+    getRetryDelay(error, attempt) {
+        if (error instanceof ApiError && error.retryAfter !== null) {
+            return error.retryAfter;
+        }
+
+        const base = (RETRY_BASE_DELAYS[getErrorType(error)] || DEFAULT_RETRY_DELAY) * 2 ** attempt;
+        const jitter = 0.8 + Math.random() * 0.4;
+
+        return Math.min(Math.round(base * jitter), MAX_RETRY_DELAY);
+    }
+
+    /**
+     * 多次采样并投票识别验证码
+     * 采样按顺序轮流分配给各配置并行执行，失败的采样不参与投票
+     * @param {Array<object>} configs - 参与采样的配置（解密后）
+     * @param {string} imageData - Base64编码的图像数据
+     * @param {object} options - 选项 { siteRule, timeout, retryCount, signal, usageLog, sampleCount, voteMode }
+     * @returns {Promise<object>} - 投票结果 { text, attempt, votes }
+     */
+    async recognizeWithConsensus(configs, imageData, {
+        siteRule = null, timeout, retryCount, signal = null, usageLog = null, sampleCount, voteMode
+    }) {
+        const tasks = Array.from({ length: sampleCount }, (_, i) => {
+            const config = configs[i % configs.length];
+
+            return this.recognizeWithConfig(config, imageData, {
+                prompt: buildPrompt(config, siteRule),
+                siteRule,
+                timeout,
+                retryCount,
+                signal,
+                usageLog
+            }).then(result => ({ ...result, configName: config.name }));
+        });
+
+        const settled = await Promise.allSettled(tasks);
+
+        if (signal?.aborted) {
+            throw signal.reason;
+        }
+        const samples = settled.filter(s => s.status === 'fulfilled').map(s => s.value);
+
+        if (samples.length === 0) {
+            throw settled[0].reason;
+        }
+
+        const consensus = vote(samples.map(s => s.text), {
+            mode: voteMode,
+            caseSensitive: siteRule?.caseSensitive
+        });
+
+        logger.info('投票完成', { text: consensus.text, candidates: consensus.candidates });
+
+        return {
+            text: consensus.text,
+            attempt: Math.max(...samples.map(s => s.attempt)),
+            votes: {
+                mode: consensus.mode,
+                requested: sampleCount,
+                answered: samples.length,
+                agreement: consensus.agreement,
+                candidates: consensus.candidates,
+                samples: samples.map(s => ({ configName: s.configName, text: s.text }))
+            }
+        };
+    }
+
     /**
      * 测试API连接
      * @param {object} config - API配置（需要解密后的密钥）
@@ -236,23 +704,11 @@ export class ApiManager {
             logger.info('测试API连接', { configName: config.name });
 
             // 创建临时适配器
-            let adapter;
-            switch (config.type) {
-                case API_TYPES.GEMINI:
-                    adapter = new GeminiAdapter(config);
-                    break;
-                case API_TYPES.CLAUDE:
-                    adapter = new ClaudeAdapter(config);
-                    break;
-                case API_TYPES.OPENAI_COMPATIBLE:
-                default:
-                    adapter = new OpenAICompatibleAdapter(config);
-                    break;
-            }
+            const adapter = this.createAdapter(config);
 
             // 发送测试请求
             const result = await this.executeWithTimeout(
-                adapter.testConnection(),
+                signal => adapter.testConnection({ signal }),
                 30000
             );
 
@@ -273,30 +729,135 @@ export class ApiManager {
             return {
                 success: false,
                 error: error.message,
+                errorType: getErrorType(error),
+                elapsed
+            };
+        }
+    }
+
+    /**
+     * 识图能力测试
+     * 发送内置的测试验证码并核对答案，用于发现不支持图像输入的模型
+     * @param {object} config - API配置（需要解密后的密钥）
+     * @returns {Promise<object>} - { success, passed, expected, actual, elapsed }
+     */
+    async probeVision(config) {
+        const startTime = Date.now();
+
+        try {
+            logger.info('识图能力测试', { configName: config.name });
+
+            const { text: expected, imageData } = await createTestCaptcha();
+            const siteRule = { charset: CHARSETS.ALPHANUMERIC, length: expected.length };
+
+            const adapter = this.createAdapter(config);
+            const result = await this.executeWithTimeout(
+                signal => adapter.recognize(imageData, buildPrompt(config, siteRule), {
+                    charset: siteRule.charset,
+                    signal
+                }),
+                30000
+            );
+
+            let actual;
+            try {
+                actual = postProcess(result.text, siteRule);
+            } catch {
+                actual = result.text;
+            }
+
+            const passed = actual.toUpperCase() === expected;
+            const elapsed = Date.now() - startTime;
+
+            logger.info('识图能力测试完成', { passed, expected, actual, elapsed });
+
+            return {
+                success: true,
+                passed,
+                expected,
+                actual,
+                elapsed
+            };
+        } catch (error) {
+            const elapsed = Date.now() - startTime;
+
+            logger.error('识图能力测试失败', error);
+
+            return {
+                success: false,
+                error: error.message,
+                errorType: getErrorType(error),
                 elapsed
             };
         }
     }
 
+    /**
+     * 获取可用模型列表
+     * @param {object} config - API配置（需要解密后的密钥）
+     * @returns {Promise<object>} - { success, models }
+     */
+    async listModels(config) {
+        try {
+            const adapter = this.createAdapter(config);
+
+            if (typeof adapter.listModels !== 'function') {
+                throw new Error('该API类型不支持获取模型列表');
+            }
+
+            const models = await this.executeWithTimeout(signal => adapter.listModels({ signal }), 30000);
+
+            return { success: true, models };
+        } catch (error) {
+            logger.error('获取模型列表失败', error);
+
+            return { success: false, error: error.message, errorType: getErrorType(error) };
+        }
+    }
+
     /**
      * 带超时的执行
-     * @param {Promise} promise - 要执行的Promise
+     * 超时或外部取消时中止底层请求，而不仅是放弃等待
+     * @param {Function} task - 接收 AbortSignal 并返回Promise的函数
      * @param {number} timeout - 超时时间（毫秒）
+     * @param {AbortSignal|null} signal - 外部取消信号
      * @returns {Promise}
      */
-    executeWithTimeout(promise, timeout) {
+    executeWithTimeout(task, timeout, signal = null) {
+        const controller = new AbortController();
+
         return new Promise((resolve, reject) => {
+            const onAbort = () => {
+                controller.abort(signal.reason);
+                reject(signal.reason);
+            };
+
             const timer = setTimeout(() => {
-                reject(new Error(`请求超时 (${timeout}ms)`));
+                const error = new ApiError(`请求超时 (${timeout}ms)`, { type: ERROR_TYPES.TIMEOUT });
+                controller.abort(error);
+                reject(error);
             }, timeout);
 
-            promise
+            const cleanup = () => {
+                clearTimeout(timer);
+                signal?.removeEventListener('abort', onAbort);
+            };
+
+            if (signal?.aborted) {
+                cleanup();
+                onAbort();
+                return;
+            }
+
+            signal?.addEventListener('abort', onAbort, { once: true });
+
+            task(controller.signal)
                 .then((result) => {
-                    clearTimeout(timer);
+                    cleanup();
                     resolve(result);
                 })
                 .catch((error) => {
-                    clearTimeout(timer);
+                    cleanup();
                     reject(error);
                 });
         });
@@ -305,10 +866,24 @@ export class ApiManager {
     /**
      * 延迟
      * @param {number} ms - 延迟时间（毫秒）
+     * @param {AbortSignal|null} signal - 取消信号，取消时提前结束等待
      * @returns {Promise}
      */
-    delay(ms) {
-        return new Promise(resolve => setTimeout(resolve, ms));
+    delay(ms, signal = null) {
+        return new Promise((resolve, reject) => {
+            // 已取消时 abort 事件不会再触发，直接结束
+            if (signal?.aborted) {
+                reject(signal.reason);
+                return;
+            }
+
+            const timer = setTimeout(resolve, ms);
+
+            signal?.addEventListener('abort', () => {
+                clearTimeout(timer);
+                reject(signal.reason);
+            }, { once: true });
+        });
     }
 }
 
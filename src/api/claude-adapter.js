@@ -4,6 +4,7 @@
  */
 
 import * as logger from '../utils/logger.js';
+import { ApiError, ERROR_TYPES, createHttpError } from './errors.js';
 
 /**
  * Claude API适配器
@@ -61,9 +62,10 @@ export class ClaudeAdapter {
      * 识别验证码
      * @param {string} imageData - Base64编码的图像数据
      * @param {string} prompt - 识别提示词
+     * @param {object} options - 选项 { signal }
      * @returns {Promise<object>} - 识别结果
      */
-    async recognize(imageData, prompt) {
+    async recognize(imageData, prompt, options = {}) {
         logger.debug('Claude适配器开始识别');
 
         // 处理图像数据 - 提取 base64 和 media_type
@@ -112,19 +114,23 @@ export class ClaudeAdapter {
         const response = await fetch(url, {
             method: 'POST',
             headers: this.buildHeaders(),
-            body: JSON.stringify(requestBody)
+            body: JSON.stringify(requestBody),
+            signal: options.signal
         });
 
         if (!response.ok) {
-            const error = await this.parseError(response);
-            throw new Error(error);
+            throw createHttpError(response, await this.parseError(response));
         }
 
         const data = await response.json();
 
         // 解析Claude响应
+        if (data.stop_reason === 'refusal') {
+            throw new ApiError('模型拒绝处理该图片', { type: ERROR_TYPES.CONTENT_FILTER });
+        }
+
         if (!data.content || data.content.length === 0) {
-            throw new Error('API返回结果为空');
+            throw new ApiError('API返回结果为空', { type: ERROR_TYPES.INVALID_RESPONSE });
         }
 
         // 找到text类型的内容
@@ -132,22 +138,44 @@ export class ClaudeAdapter {
         const text = textContent?.text?.trim() || '';
 
         if (!text) {
-            throw new Error('识别结果为空');
+            throw new ApiError('识别结果为空', { type: ERROR_TYPES.INVALID_RESPONSE });
         }
 
         logger.debug('识别完成', { text });
 
         return {
             text,
+            usage: this.parseUsage(data),
             raw: data
         };
     }
 
+    /**
+     * 获取可用模型列表
+     * @param {object} options - 选项 { signal }
+     * @returns {Promise<Array<string>>}
+     */
+    async listModels(options = {}) {
+        const response = await fetch(`${this.config.baseUrl}/v1/models?limit=1000`, {
+            headers: this.buildHeaders(),
+            signal: options.signal
+        });
+
+        if (!response.ok) {
+            throw createHttpError(response, await this.parseError(response));
+        }
+
+        const data = await response.json();
+
+        return (data.data || []).map(m => m.id);
+    }
+
     /**
      * 测试连接
+     * @param {object} options - 选项 { signal }
      * @returns {Promise<object>}
      */
-    async testConnection() {
+    async testConnection(options = {}) {
         logger.debug('Claude适配器测试连接');
 
         const requestBody = {
@@ -168,12 +196,12 @@ export class ClaudeAdapter {
         const response = await fetch(url, {
             method: 'POST',
             headers: this.buildHeaders(),
-            body: JSON.stringify(requestBody)
+            body: JSON.stringify(requestBody),
+            signal: options.signal
         });
 
         if (!response.ok) {
-            const error = await this.parseError(response);
-            throw new Error(error);
+            throw createHttpError(response, await this.parseError(response));
         }
 
         const data = await response.json();
@@ -185,6 +213,18 @@ export class ClaudeAdapter {
         };
     }
 
+    /**
+     * 解析Token用量（Claude格式的 usage）
+     * @param {object} data - 响应数据
+     * @returns {{inputTokens: number, outputTokens: number}}
+     */
+    parseUsage(data) {
+        return {
+            inputTokens: data.usage?.input_tokens || 0,
+            outputTokens: data.usage?.output_tokens || 0
+        };
+    }
+
     /**
      * 解析错误响应
      * @param {Response} response - HTTP响应
@@ -0,0 +1,94 @@
+/**
+ * 多次采样投票模块
+ * 对同一验证码的多个识别结果进行投票，得出最终答案
+ */
+
+// 投票模式
+export const VOTE_MODES = {
+    MAJORITY: 'majority',
+    PER_CHAR: 'per_char'
+};
+
+/**
+ * 统计出现次数，按次数降序排列（次数相同时先出现的在前）
+ * @param {Array<string>} values - 待统计的值
+ * @param {Function} keyOf - 计算分组键
+ * @returns {Array<{value: string, count: number}>}
+ */
+function tally(values, keyOf = v => v) {
+    const groups = new Map();
+
+    values.forEach((value) => {
+        const key = keyOf(value);
+        const group = groups.get(key);
+
+        if (group) {
+            group.count++;
+        } else {
+            groups.set(key, { value, count: 1 });
+        }
+    });
+
+    // Array.prototype.sort 是稳定排序，次数相同时保持首次出现的顺序
+    return [...groups.values()].sort((a, b) => b.count - a.count);
+}
+
+/**
+ * 整体多数投票
+ * @param {Array<string>} texts - 识别结果
+ * @param {Function} keyOf - 分组键
+ * @returns {string}
+ */
+function majorityVote(texts, keyOf) {
+    return tally(texts, keyOf)[0].value;
+}
+
+/**
+ * 逐字符投票
+ * 先按长度投票，再在该长度的结果中对每个位置分别投票
+ * @param {Array<string>} texts - 识别结果
+ * @param {Function} keyOf - 分组键
+ * @returns {string}
+ */
+function perCharVote(texts, keyOf) {
+    const length = tally(texts.map(t => String(t.length)))[0].value;
+    const aligned = texts.filter(t => String(t.length) === length);
+
+    let result = '';
+    for (let i = 0; i < Number(length); i++) {
+        result += tally(aligned.map(t => t[i]), keyOf)[0].value;
+    }
+
+    return result;
+}
+
+/**
+ * 对多个识别结果投票
+ * @param {Array<string>} texts - 识别结果（已后处理）
+ * @param {object} options - 选项 { mode, caseSensitive }
+ * @returns {{text: string, mode: string, candidates: Array<{text: string, count: number}>, agreement: number}}
+ */
+export function vote(texts, { mode = VOTE_MODES.MAJORITY, caseSensitive = false } = {}) {
+    if (texts.length === 0) {
+        throw new Error('没有可用于投票的识别结果');
+    }
+
+    // 不区分大小写时，大小写不同的结果视为同一票
+    const keyOf = caseSensitive ? v => v : v => v.toUpperCase();
+
+    const text = mode === VOTE_MODES.PER_CHAR
+        ? perCharVote(texts, keyOf)
+        : majorityVote(texts, keyOf);
+
+    const candidates = tally(texts, keyOf).map(({ value, count }) => ({ text: value, count }));
+    const agreeing = texts.filter(t => keyOf(t) === keyOf(text)).length;
+
+    return {
+        text,
+        mode,
+        candidates,
+        agreement: agreeing / texts.length
+    };
+}
+
+export default vote;
@@ -0,0 +1,166 @@
+/**
+ * API错误模块
+ * 将各适配器的失败归类为统一的错误类型，决定是否重试、重试前等待多久，以及向用户显示的提示
+ */
+
+import { ValidationError } from './post-processor.js';
+
+// 错误类型（同时作为 _locales 中 error_<type> 提示文案的键名）
+export const ERROR_TYPES = {
+    AUTH: 'auth',
+    QUOTA: 'quota',
+    RATE_LIMIT: 'rate_limit',
+    TIMEOUT: 'timeout',
+    NETWORK: 'network',
+    SERVER: 'server',
+    BAD_REQUEST: 'bad_request',
+    CONTENT_FILTER: 'content_filter',
+    UNRECOGNIZABLE: 'unrecognizable',
+    INVALID_RESPONSE: 'invalid_response',
+    VALIDATION: 'validation',
+    UNKNOWN: 'unknown'
+};
+
+// 重试也不会成功的错误类型，直接放弃当前配置（仍会尝试备用配置）
+const NON_RETRYABLE_TYPES = [
+    ERROR_TYPES.AUTH,
+    ERROR_TYPES.QUOTA,
+    ERROR_TYPES.BAD_REQUEST,
+    ERROR_TYPES.CONTENT_FILTER
+];
+
+// 服务商在错误信息中描述额度不足、密钥无效和内容拦截的常见说法
+// insufficient 只匹配余额类说法，"insufficient permissions" 等权限不足仍归类为认证失败
+const QUOTA_PATTERN = /quota|insufficient[ _-]?(balance|credits?|funds)|billing|credit balance|余额|欠费/i;
+const AUTH_PATTERN = /api[ _-]?key|unauthori[sz]ed|authentication|permission denied/i;
+const CONTENT_FILTER_PATTERN = /content[ _-]?(policy|filter|management)|safety|moderation|flagged/i;
+
+/**
+ * API请求错误
+ */
+export class ApiError extends Error {
+    /**
+     * 构造函数
+     * @param {string} message - 错误信息
+     * @param {object} options - { type, status, retryAfter }
+     */
+    constructor(message, { type = ERROR_TYPES.UNKNOWN, status = 0, retryAfter = null } = {}) {
+        super(message);
+        this.name = 'ApiError';
+        this.type = type;
+        this.status = status;
+        // 服务端要求的等待时间（毫秒），未提供时为 null
+        this.retryAfter = retryAfter;
+    }
+}
+
+/**
+ * 解析 Retry-After 响应头（秒数或HTTP日期）
+ * @param {string|null} value - 响应头的值
+ * @returns {number|null} - 等待时间（毫秒）
+ */
+export function parseRetryAfter(value) {
+    if (!value) return null;
+
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) {
+        return Math.max(0, seconds * 1000);
+    }
+
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * 根据HTTP状态码和错误信息判断错误类型
+ * @param {number} status - HTTP状态码
+ * @param {string} message - 错误信息
+ * @param {number|null} retryAfter - 服务端要求的等待时间
+ * @returns {string}
+ */
+export function getTypeFromStatus(status, message = '', retryAfter = null) {
+    if (CONTENT_FILTER_PATTERN.test(message)) {
+        return ERROR_TYPES.CONTENT_FILTER;
+    }
+
+    // 部分服务商额度用完时也返回429，但不会给出等待时间
+    if (status === 402 || (QUOTA_PATTERN.test(message) && retryAfter === null && status !== 401)) {
+        return ERROR_TYPES.QUOTA;
+    }
+
+    if (status === 401 || status === 403 || (status === 400 && AUTH_PATTERN.test(message))) {
+        return ERROR_TYPES.AUTH;
+    }
+
+    if (status === 429) {
+        return ERROR_TYPES.RATE_LIMIT;
+    }
+
+    if (status === 408 || status >= 500) {
+        return ERROR_TYPES.SERVER;
+    }
+
+    return status >= 400 ? ERROR_TYPES.BAD_REQUEST : ERROR_TYPES.UNKNOWN;
+}
+
+/**
+ * 根据失败的HTTP响应创建错误
+ * @param {Response} response - HTTP响应
+ * @param {string} message - 已解析的错误信息
+ * @param {number|null} retryAfter - 服务端要求的等待时间（毫秒），默认读取 Retry-After 响应头
+ * @returns {ApiError}
+ */
+export function createHttpError(response, message, retryAfter = parseRetryAfter(response.headers.get('retry-after'))) {
+    return new ApiError(message, {
+        type: getTypeFromStatus(response.status, message, retryAfter),
+        status: response.status,
+        retryAfter
+    });
+}
+
+/**
+ * 获取错误类型
+ * @param {Error} error - 错误
+ * @returns {string} - ERROR_TYPES 之一
+ */
+export function getErrorType(error) {
+    if (error instanceof ApiError) {
+        return error.type;
+    }
+
+    if (error instanceof ValidationError) {
+        return ERROR_TYPES.VALIDATION;
+    }
+
+    // fetch 在网络不可达、DNS失败、被CORS拦截时抛出 TypeError
+    if (error instanceof TypeError) {
+        return ERROR_TYPES.NETWORK;
+    }
+
+    // 响应体不是合法的JSON
+    if (error instanceof SyntaxError) {
+        return ERROR_TYPES.INVALID_RESPONSE;
+    }
+
+    return ERROR_TYPES.UNKNOWN;
+}
+
+/**
+ * 是否值得重试
+ * @param {Error} error - 错误
+ * @returns {boolean}
+ */
+export function isRetryable(error) {
+    return !NON_RETRYABLE_TYPES.includes(getErrorType(error));
+}
+
+/**
+ * 获取面向用户的错误提示（按浏览器语言），未知类型时返回原始错误信息
+ * @param {string} errorType - 错误类型
+ * @param {string} detail - 原始错误信息
+ * @returns {string}
+ */
+export function getErrorMessage(errorType, detail = '') {
+    const message = errorType && chrome.i18n?.getMessage(`error_${errorType}`, [detail || '-']);
+    return message || detail;
+}
@@ -4,6 +4,10 @@
  */
 
 import * as logger from '../utils/logger.js';
+import { ApiError, ERROR_TYPES, createHttpError, getTypeFromStatus, parseRetryAfter } from './errors.js';
+
+// 表示回答被安全策略拦截的 finishReason
+const BLOCKED_FINISH_REASONS = ['SAFETY', 'PROHIBITED_CONTENT', 'BLOCKLIST', 'SPII', 'IMAGE_SAFETY'];
 
 /**
  * Gemini API适配器
@@ -37,9 +41,10 @@ export class GeminiAdapter {
      * 识别验证码
      * @param {string} imageData - Base64编码的图像数据
      * @param {string} prompt - 识别提示词
+     * @param {object} options - 选项 { signal }
      * @returns {Promise<object>} - 识别结果
      */
-    async recognize(imageData, prompt) {
+    async recognize(imageData, prompt, options = {}) {
         logger.debug('Gemini适配器开始识别');
 
         // 处理图像数据
@@ -88,51 +93,83 @@ export class GeminiAdapter {
             headers: {
                 'Content-Type': 'application/json'
             },
-            body: JSON.stringify(requestBody)
+            body: JSON.stringify(requestBody),
+            signal: options.signal
         });
 
         if (!response.ok) {
-            const error = await this.parseError(response);
-            throw new Error(error);
+            throw await this.createError(response);
         }
 
         const data = await response.json();
 
         // 检查是否有错误
         if (data.error) {
-            throw new Error(data.error.message || '未知错误');
+            throw this.createBodyError(data.error);
+        }
+
+        // 图片或回答被安全策略拦截
+        if (data.promptFeedback?.blockReason || BLOCKED_FINISH_REASONS.includes(data.candidates?.[0]?.finishReason)) {
+            throw new ApiError(
+                `内容被安全策略拦截 (${data.promptFeedback?.blockReason || data.candidates[0].finishReason})`,
+                { type: ERROR_TYPES.CONTENT_FILTER }
+            );
         }
 
         // 解析响应
         const candidates = data.candidates;
         if (!candidates || candidates.length === 0) {
-            throw new Error('API返回结果为空');
+            throw new ApiError('API返回结果为空', { type: ERROR_TYPES.INVALID_RESPONSE });
         }
 
         const content = candidates[0].content;
         if (!content || !content.parts || content.parts.length === 0) {
-            throw new Error('识别结果为空');
+            throw new ApiError('识别结果为空', { type: ERROR_TYPES.INVALID_RESPONSE });
         }
 
         const text = content.parts[0].text?.trim() || '';
 
         if (!text) {
-            throw new Error('识别结果为空');
+            throw new ApiError('识别结果为空', { type: ERROR_TYPES.INVALID_RESPONSE });
         }
 
         logger.debug('识别完成', { text });
 
         return {
             text,
+            usage: this.parseUsage(data),
             raw: data
         };
     }
 
+    /**
+     * 获取可用模型列表
+     * 仅保留支持 generateContent 的模型
+     * @param {object} options - 选项 { signal }
+     * @returns {Promise<Array<string>>}
+     */
+    async listModels(options = {}) {
+        const url = `${this.config.baseUrl}/models?pageSize=1000&key=${this.config.apiKey}`;
+
+        const response = await fetch(url, { signal: options.signal });
+
+        if (!response.ok) {
+            throw await this.createError(response);
+        }
+
+        const data = await response.json();
+
+        return (data.models || [])
+            .filter(m => m.supportedGenerationMethods?.includes('generateContent'))
+            .map(m => m.name.replace(/^models\//, ''));
+    }
+
     /**
      * 测试连接
+     * @param {object} options - 选项 { signal }
      * @returns {Promise<object>}
      */
-    async testConnection() {
+    async testConnection(options = {}) {
         logger.debug('Gemini适配器测试连接');
 
         const requestBody = {
@@ -158,18 +195,18 @@ export class GeminiAdapter {
             headers: {
                 'Content-Type': 'application/json'
             },
-            body: JSON.stringify(requestBody)
+            body: JSON.stringify(requestBody),
+            signal: options.signal
         });
 
         if (!response.ok) {
-            const error = await this.parseError(response);
-            throw new Error(error);
+            throw await this.createError(response);
         }
 
         const data = await response.json();
 
         if (data.error) {
-            throw new Error(data.error.message || '未知错误');
+            throw this.createBodyError(data.error);
         }
 
         return {
@@ -179,6 +216,65 @@ export class GeminiAdapter {
         };
     }
 
+    /**
+     * 解析Token用量（Gemini格式的 usageMetadata）
+     * @param {object} data - 响应数据
+     * @returns {{inputTokens: number, outputTokens: number}}
+     */
+    parseUsage(data) {
+        return {
+            inputTokens: data.usageMetadata?.promptTokenCount || 0,
+            outputTokens: data.usageMetadata?.candidatesTokenCount || 0
+        };
+    }
+
+    /**
+     * 创建错误
+     * Gemini 的限流响应通常不带 Retry-After 头，等待时间在响应体的 RetryInfo.retryDelay 中（如 "37s"）；
+     * 限流的错误信息同样提到 quota，需要先取得等待时间再判断错误类型，否则会被当作额度用完
+     * @param {Response} response - HTTP响应
+     * @returns {Promise<ApiError>}
+     */
+    async createError(response) {
+        const message = await this.parseError(response.clone());
+        const retryAfter = parseRetryAfter(response.headers.get('retry-after'))
+            ?? await this.parseRetryDelay(response);
+
+        return createHttpError(response, message, retryAfter);
+    }
+
+    /**
+     * 读取错误响应体中 RetryInfo 的等待时间
+     * @param {Response} response - HTTP响应
+     * @returns {Promise<number|null>} - 等待时间（毫秒），未提供时为 null
+     */
+    async parseRetryDelay(response) {
+        try {
+            const data = await response.json();
+            const retryInfo = data.error?.details?.find(d => d.retryDelay);
+            const seconds = parseFloat(retryInfo?.retryDelay);
+
+            return Number.isFinite(seconds) ? seconds * 1000 : null;
+        } catch {
+            // 响应体不是JSON时忽略
+            return null;
+        }
+    }
+
+    /**
+     * 创建响应体中的错误（HTTP状态为200但响应体包含 error 字段）
+     * @param {object} error - 响应体中的 error 字段 { code, message }
+     * @returns {ApiError}
+     */
+    createBodyError(error) {
+        const message = error.message || '未知错误';
+
+        return new ApiError(message, {
+            type: getTypeFromStatus(error.code || 0, message),
+            status: error.code || 0
+        });
+    }
+
     /**
      * 解析错误响应
      * @param {Response} response - HTTP响应
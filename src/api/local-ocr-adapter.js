@@ -0,0 +1,530 @@
+/**
+ * 本地OCR适配器
+ * 基于字形模板匹配的纯JS识别引擎，完全在扩展内运行，不发送任何网络请求
+ * 适用于字符清晰、相互分离的验证码；干扰严重的验证码建议配合图像预处理使用
+ */
+
+import * as logger from '../utils/logger.js';
+import { CHARSETS } from './post-processor.js';
+import { ApiError, ERROR_TYPES } from './errors.js';
+
+// 归一化字形尺寸
+const GLYPH_SIZE = 16;
+
+// 模板画布尺寸
+const TEMPLATE_CANVAS_SIZE = 96;
+
+// 生成模板使用的字体
+const TEMPLATE_FONTS = [
+    'bold 64px sans-serif',
+    '64px sans-serif',
+    '64px serif',
+    'bold 64px monospace',
+    'italic bold 64px serif'
+];
+
+const DIGIT_GLYPHS = '0123456789';
+const LETTER_GLYPHS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz';
+
+// 各字符集对应的候选字符
+const CHARSET_GLYPHS = {
+    [CHARSETS.DIGITS]: DIGIT_GLYPHS,
+    [CHARSETS.LETTERS]: LETTER_GLYPHS,
+    [CHARSETS.ALPHANUMERIC]: DIGIT_GLYPHS + LETTER_GLYPHS
+};
+
+/**
+ * 本地OCR适配器
+ */
+export class LocalOcrAdapter {
+    /**
+     * 构造函数
+     * @param {object} config - API配置
+     */
+    constructor(config) {
+        this.config = {
+            model: 'template',
+            charset: CHARSETS.ALPHANUMERIC,
+            ...config
+        };
+
+        // 按字符集缓存字形模板
+        this.templates = new Map();
+    }
+
+    /**
+     * 更新配置
+     * @param {object} newConfig - 新配置
+     */
+    updateConfig(newConfig) {
+        this.config = { ...this.config, ...newConfig };
+    }
+
+    /**
+     * 识别验证码
+     * 本地引擎不理解自然语言，prompt 参数仅为保持与其他适配器一致
+     * @param {string} imageData - Base64编码的图像数据
+     * @param {string} prompt - 识别提示词（未使用）
+     * @param {object} options - 选项 { charset, signal }
+     * @returns {Promise<object>} - 识别结果
+     */
+    async recognize(imageData, prompt, options = {}) {
+        logger.debug('本地OCR适配器开始识别');
+
+        const charset = CHARSET_GLYPHS[options.charset] ? options.charset : this.config.charset;
+        const templates = this.getTemplates(charset);
+
+        const image = await decodeImage(imageData);
+        options.signal?.throwIfAborted();
+        const { mask, width, height } = binarize(image);
+        const segments = findCharacters(mask, width, height);
+
+        if (segments.length === 0) {
+            throw new ApiError('未检测到字符', { type: ERROR_TYPES.UNRECOGNIZABLE });
+        }
+
+        const maxHeight = Math.max(...segments.map(s => s.y1 - s.y0 + 1));
+
+        const characters = segments.map((segment) => {
+            const glyph = extractGlyph(segment.pixels, segment);
+            glyph.relHeight = (segment.y1 - segment.y0 + 1) / maxHeight;
+            return matchGlyph(glyph, templates);
+        });
+
+        const text = characters.map(c => c.char).join('');
+
+        logger.debug('识别完成', { text });
+
+        return {
+            text,
+            usage: { inputTokens: 0, outputTokens: 0 },
+            raw: {
+                engine: this.config.model,
+                characters
+            }
+        };
+    }
+
+    /**
+     * 获取可用模型列表
+     * @returns {Promise<Array<string>>}
+     */
+    async listModels() {
+        return ['template'];
+    }
+
+    /**
+     * 测试连接
+     * 本地引擎无需网络，检查运行环境并预生成模板
+     * @returns {Promise<object>}
+     */
+    async testConnection() {
+        logger.debug('本地OCR适配器测试连接');
+
+        const templates = this.getTemplates(this.config.charset);
+
+        return {
+            success: true,
+            message: `本地OCR可用 (${templates.length} 个字形模板)`,
+            model: this.config.model
+        };
+    }
+
+    /**
+     * 获取字符集对应的字形模板（首次使用时生成）
+     * @param {string} charset - 字符集
+     * @returns {Array<object>}
+     */
+    getTemplates(charset) {
+        if (!this.templates.has(charset)) {
+            this.templates.set(charset, buildTemplates(CHARSET_GLYPHS[charset] || CHARSET_GLYPHS[CHARSETS.ALPHANUMERIC]));
+        }
+        return this.templates.get(charset);
+    }
+}
+
+/**
+ * 检查运行环境是否支持离屏画布
+ */
+function assertCanvasSupport() {
+    if (typeof OffscreenCanvas === 'undefined') {
+        throw new Error('当前环境不支持本地OCR (缺少OffscreenCanvas)');
+    }
+}
+
+/**
+ * 解码图像数据为像素
+ * 透明区域按白色背景处理
+ * @param {string} imageData - Base64编码的图像数据
+ * @returns {Promise<ImageData>}
+ */
+async function decodeImage(imageData) {
+    assertCanvasSupport();
+
+    const dataUrl = imageData.startsWith('data:') ? imageData : `data:image/png;base64,${imageData}`;
+    const blob = await (await fetch(dataUrl)).blob();
+    const bitmap = await createImageBitmap(blob);
+
+    const canvas = new OffscreenCanvas(bitmap.width, bitmap.height);
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = '#fff';
+    ctx.fillRect(0, 0, bitmap.width, bitmap.height);
+    ctx.drawImage(bitmap, 0, 0);
+    bitmap.close();
+
+    return ctx.getImageData(0, 0, canvas.width, canvas.height);
+}
+
+/**
+ * 使用Otsu阈值二值化
+ * 像素较少的一侧视为前景（文字）
+ * @param {ImageData} image - 图像像素
+ * @returns {{mask: Uint8Array, width: number, height: number}}
+ */
+function binarize(image) {
+    const { data, width, height } = image;
+    const total = width * height;
+    const gray = new Uint8Array(total);
+    const histogram = new Array(256).fill(0);
+
+    for (let i = 0; i < total; i++) {
+        const value = Math.round(data[i * 4] * 0.299 + data[i * 4 + 1] * 0.587 + data[i * 4 + 2] * 0.114);
+        gray[i] = value;
+        histogram[value]++;
+    }
+
+    // Otsu：选取类间方差最大的阈值
+    let sum = 0;
+    for (let i = 0; i < 256; i++) sum += i * histogram[i];
+
+    let sumBackground = 0;
+    let weightBackground = 0;
+    let bestVariance = -1;
+    let threshold = 127;
+
+    for (let t = 0; t < 256; t++) {
+        weightBackground += histogram[t];
+        if (weightBackground === 0) continue;
+
+        const weightForeground = total - weightBackground;
+        if (weightForeground === 0) break;
+
+        sumBackground += t * histogram[t];
+        const meanBackground = sumBackground / weightBackground;
+        const meanForeground = (sum - sumBackground) / weightForeground;
+        const variance = weightBackground * weightForeground * (meanBackground - meanForeground) ** 2;
+
+        if (variance > bestVariance) {
+            bestVariance = variance;
+            threshold = t;
+        }
+    }
+
+    const mask = new Uint8Array(total);
+    let darkCount = 0;
+
+    for (let i = 0; i < total; i++) {
+        if (gray[i] <= threshold) {
+            mask[i] = 1;
+            darkCount++;
+        }
+    }
+
+    // 深色背景浅色文字时反转
+    if (darkCount > total / 2) {
+        for (let i = 0; i < total; i++) mask[i] ^= 1;
+    }
+
+    return { mask, width, height };
+}
+
+/**
+ * 标记连通区域（8连通）
+ * @param {Uint8Array} mask - 二值图
+ * @param {number} width - 宽度
+ * @param {number} height - 高度
+ * @returns {{labels: Int32Array, components: Array<object>}}
+ */
+function labelComponents(mask, width, height) {
+    const labels = new Int32Array(width * height);
+    const components = [];
+    const stack = [];
+
+    for (let start = 0; start < mask.length; start++) {
+        if (!mask[start] || labels[start]) continue;
+
+        const component = {
+            id: components.length + 1,
+            area: 0,
+            x0: width, x1: 0, y0: height, y1: 0
+        };
+        components.push(component);
+
+        labels[start] = component.id;
+        stack.push(start);
+
+        while (stack.length > 0) {
+            const index = stack.pop();
+            const x = index % width;
+            const y = (index - x) / width;
+
+            component.area++;
+            component.x0 = Math.min(component.x0, x);
+            component.x1 = Math.max(component.x1, x);
+            component.y0 = Math.min(component.y0, y);
+            component.y1 = Math.max(component.y1, y);
+
+            for (let dy = -1; dy <= 1; dy++) {
+                for (let dx = -1; dx <= 1; dx++) {
+                    const nx = x + dx;
+                    const ny = y + dy;
+                    if (nx < 0 || ny < 0 || nx >= width || ny >= height) continue;
+
+                    const next = ny * width + nx;
+                    if (mask[next] && !labels[next]) {
+                        labels[next] = component.id;
+                        stack.push(next);
+                    }
+                }
+            }
+        }
+    }
+
+    return { labels, components };
+}
+
+/**
+ * 切分字符
+ * 过滤噪点 → 合并水平重叠的连通区域 → 拆分粘连字符
+ * @param {Uint8Array} mask - 二值图
+ * @param {number} width - 宽度
+ * @param {number} height - 高度
+ * @returns {Array<{x0: number, x1: number, y0: number, y1: number, pixels: Array<number>}>}
+ */
+function findCharacters(mask, width, height) {
+    const { labels, components } = labelComponents(mask, width, height);
+
+    if (components.length === 0) {
+        return [];
+    }
+
+    // 过滤噪点：面积过小或高度过低的区域
+    const maxArea = Math.max(...components.map(c => c.area));
+    const maxComponentHeight = Math.max(...components.map(c => c.y1 - c.y0 + 1));
+    const kept = components
+        .filter(c => c.area >= maxArea * 0.1 && (c.y1 - c.y0 + 1) >= maxComponentHeight * 0.3)
+        .sort((a, b) => a.x0 - b.x0);
+
+    // 合并水平方向大部分重叠的区域（断开的笔画、i/j 的点等）
+    const groups = [];
+    for (const component of kept) {
+        const last = groups[groups.length - 1];
+        const overlap = last ? Math.min(last.x1, component.x1) - Math.max(last.x0, component.x0) + 1 : 0;
+        const narrower = last ? Math.min(last.x1 - last.x0, component.x1 - component.x0) + 1 : 0;
+
+        if (last && overlap > narrower * 0.5) {
+            last.x0 = Math.min(last.x0, component.x0);
+            last.x1 = Math.max(last.x1, component.x1);
+            last.ids.add(component.id);
+        } else {
+            groups.push({ x0: component.x0, x1: component.x1, ids: new Set([component.id]) });
+        }
+    }
+
+    // 估算单个字符宽度，用于拆分粘连字符
+    const charHeight = maxComponentHeight;
+    const normalWidths = groups
+        .map(g => g.x1 - g.x0 + 1)
+        .filter(w => w <= charHeight * 1.2)
+        .sort((a, b) => a - b);
+    const charWidth = normalWidths.length > 0
+        ? normalWidths[Math.floor(normalWidths.length / 2)]
+        : charHeight * 0.7;
+
+    const slices = [];
+    for (const group of groups) {
+        const groupWidth = group.x1 - group.x0 + 1;
+        const parts = groupWidth > charWidth * 1.6 ? Math.round(groupWidth / charWidth) : 1;
+
+        if (parts <= 1) {
+            slices.push(group);
+            continue;
+        }
+
+        // 在理想切分点附近选择竖直投影最少的列
+        const columnCounts = [];
+        for (let x = group.x0; x <= group.x1; x++) {
+            let count = 0;
+            for (let y = 0; y < height; y++) {
+                if (group.ids.has(labels[y * width + x])) count++;
+            }
+            columnCounts.push(count);
+        }
+
+        let sliceStart = group.x0;
+        for (let i = 1; i < parts; i++) {
+            const ideal = Math.round(groupWidth * i / parts);
+            const radius = Math.max(1, Math.round(charWidth * 0.25));
+            let cut = ideal;
+
+            for (let offset = -radius; offset <= radius; offset++) {
+                const candidate = ideal + offset;
+                if (candidate > 0 && candidate < groupWidth && columnCounts[candidate] < columnCounts[cut]) {
+                    cut = candidate;
+                }
+            }
+
+            slices.push({ x0: sliceStart, x1: group.x0 + cut - 1, ids: group.ids });
+            sliceStart = group.x0 + cut;
+        }
+        slices.push({ x0: sliceStart, x1: group.x1, ids: group.ids });
+    }
+
+    // 收集每个切片内属于该字符的像素
+    return slices
+        .map((slice) => {
+            const pixels = [];
+            let y0 = height;
+            let y1 = -1;
+
+            for (let y = 0; y < height; y++) {
+                for (let x = slice.x0; x <= slice.x1; x++) {
+                    if (slice.ids.has(labels[y * width + x])) {
+                        pixels.push(x, y);
+                        y0 = Math.min(y0, y);
+                        y1 = Math.max(y1, y);
+                    }
+                }
+            }
+
+            return { x0: slice.x0, x1: slice.x1, y0, y1, pixels };
+        })
+        .filter(segment => segment.pixels.length > 0);
+}
+
+/**
+ * 将字符像素归一化为固定尺寸的灰度向量（保持宽高比并居中）
+ * @param {Array<number>} pixels - 像素坐标 [x0, y0, x1, y1, ...]
+ * @param {{x0: number, x1: number, y0: number, y1: number}} box - 边界框
+ * @returns {{vector: Float32Array, aspect: number}}
+ */
+function extractGlyph(pixels, box) {
+    const boxWidth = box.x1 - box.x0 + 1;
+    const boxHeight = box.y1 - box.y0 + 1;
+    const scale = GLYPH_SIZE / Math.max(boxWidth, boxHeight);
+    const offsetX = (GLYPH_SIZE - boxWidth * scale) / 2;
+    const offsetY = (GLYPH_SIZE - boxHeight * scale) / 2;
+
+    const vector = new Float32Array(GLYPH_SIZE * GLYPH_SIZE);
+
+    for (let i = 0; i < pixels.length; i += 2) {
+        const gx = Math.min(GLYPH_SIZE - 1, Math.floor((pixels[i] - box.x0 + 0.5) * scale + offsetX));
+        const gy = Math.min(GLYPH_SIZE - 1, Math.floor((pixels[i + 1] - box.y0 + 0.5) * scale + offsetY));
+        vector[gy * GLYPH_SIZE + gx] += 1;
+    }
+
+    // 归一化为单位向量，便于计算余弦相似度
+    let norm = 0;
+    for (let i = 0; i < vector.length; i++) norm += vector[i] * vector[i];
+    norm = Math.sqrt(norm) || 1;
+    for (let i = 0; i < vector.length; i++) vector[i] /= norm;
+
+    return { vector, aspect: boxWidth / boxHeight };
+}
+
+/**
+ * 生成字形模板
+ * @param {string} glyphs - 候选字符
+ * @returns {Array<{char: string, vector: Float32Array, aspect: number, relHeight: number}>}
+ */
+function buildTemplates(glyphs) {
+    assertCanvasSupport();
+
+    const canvas = new OffscreenCanvas(TEMPLATE_CANVAS_SIZE, TEMPLATE_CANVAS_SIZE);
+    const ctx = canvas.getContext('2d', { willReadFrequently: true });
+    const templates = [];
+
+    for (const font of TEMPLATE_FONTS) {
+        ctx.font = font;
+        ctx.textBaseline = 'alphabetic';
+
+        // 以大写字母高度为基准计算相对高度，用于区分大小写字形（如 O/o）
+        const capBox = renderGlyph(ctx, 'H').box;
+        const capHeight = capBox.y1 - capBox.y0 + 1;
+
+        for (const char of glyphs) {
+            const { pixels, box } = renderGlyph(ctx, char);
+            if (pixels.length === 0) continue;
+
+            const glyph = extractGlyph(pixels, box);
+            glyph.char = char;
+            glyph.relHeight = Math.min(1, (box.y1 - box.y0 + 1) / capHeight);
+            templates.push(glyph);
+        }
+    }
+
+    logger.debug('已生成字形模板', { count: templates.length });
+
+    return templates;
+}
+
+/**
+ * 在画布上绘制单个字符并提取像素
+ * @param {OffscreenCanvasRenderingContext2D} ctx - 画布上下文
+ * @param {string} char - 字符
+ * @returns {{pixels: Array<number>, box: object}}
+ */
+function renderGlyph(ctx, char) {
+    const size = TEMPLATE_CANVAS_SIZE;
+    ctx.clearRect(0, 0, size, size);
+    ctx.fillStyle = '#000';
+    ctx.fillText(char, size * 0.2, size * 0.75);
+
+    const { data } = ctx.getImageData(0, 0, size, size);
+    const pixels = [];
+    const box = { x0: size, x1: -1, y0: size, y1: -1 };
+
+    for (let y = 0; y < size; y++) {
+        for (let x = 0; x < size; x++) {
+            if (data[(y * size + x) * 4 + 3] > 127) {
+                pixels.push(x, y);
+                box.x0 = Math.min(box.x0, x);
+                box.x1 = Math.max(box.x1, x);
+                box.y0 = Math.min(box.y0, y);
+                box.y1 = Math.max(box.y1, y);
+            }
+        }
+    }
+
+    return { pixels, box };
+}
+
+/**
+ * 匹配最相似的字形模板
+ * 得分 = 余弦相似度 - 宽高比差异惩罚 - 相对高度差异惩罚
+ * @param {object} glyph - 待识别字形
+ * @param {Array<object>} templates - 字形模板
+ * @returns {{char: string, score: number}}
+ */
+function matchGlyph(glyph, templates) {
+    let best = { char: '', score: -Infinity };
+
+    for (const template of templates) {
+        let similarity = 0;
+        for (let i = 0; i < glyph.vector.length; i++) {
+            similarity += glyph.vector[i] * template.vector[i];
+        }
+
+        const aspectPenalty = Math.abs(Math.log(glyph.aspect / template.aspect)) * 0.3;
+        const heightPenalty = Math.abs((glyph.relHeight ?? 1) - template.relHeight) * 0.5;
+        const score = similarity - aspectPenalty - heightPenalty;
+
+        if (score > best.score) {
+            best = { char: template.char, score };
+        }
+    }
+
+    return { char: best.char, score: Math.round(best.score * 1000) / 1000 };
+}
+
+export default LocalOcrAdapter;
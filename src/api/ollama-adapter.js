@@ -0,0 +1,283 @@
+/**
+ * Ollama 适配器
+ * 使用本地推理服务的原生接口调用视觉模型（llava、qwen2.5vl 等）：
+ * Ollama 的 /api/chat、/api/generate，以及 llama.cpp server 的 /completion
+ */
+
+import * as logger from '../utils/logger.js';
+import { ApiError, ERROR_TYPES, createHttpError } from './errors.js';
+
+// 接口格式
+export const LOCAL_API_FORMATS = {
+    OLLAMA_CHAT: 'ollama_chat',
+    OLLAMA_GENERATE: 'ollama_generate',
+    LLAMA_CPP: 'llama_cpp'
+};
+
+/**
+ * Ollama本地模型适配器
+ */
+export class OllamaAdapter {
+    /**
+     * 构造函数
+     * @param {object} config - API配置
+     */
+    constructor(config) {
+        this.config = {
+            baseUrl: 'http://localhost:11434',
+            model: 'llava',
+            apiFormat: LOCAL_API_FORMATS.OLLAMA_CHAT,
+            maxTokens: 500,
+            temperature: 1,
+            ...config
+        };
+
+        // 确保baseUrl没有尾部斜杠
+        this.config.baseUrl = this.config.baseUrl.replace(/\/+$/, '');
+    }
+
+    /**
+     * 更新配置
+     * @param {object} newConfig - 新配置
+     */
+    updateConfig(newConfig) {
+        this.config = { ...this.config, ...newConfig };
+        this.config.baseUrl = this.config.baseUrl.replace(/\/+$/, '');
+    }
+
+    /**
+     * 构建请求头
+     * 本地运行无需密钥；经反向代理访问时可填写密钥作为Bearer Token
+     * @returns {object}
+     */
+    buildHeaders() {
+        const headers = {
+            'Content-Type': 'application/json'
+        };
+
+        if (this.config.apiKey) {
+            headers['Authorization'] = `Bearer ${this.config.apiKey}`;
+        }
+
+        return headers;
+    }
+
+    /**
+     * 识别验证码
+     * @param {string} imageData - Base64编码的图像数据
+     * @param {string} prompt - 识别提示词
+     * @param {object} options - 选项 { signal }
+     * @returns {Promise<object>} - 识别结果
+     */
+    async recognize(imageData, prompt, options = {}) {
+        logger.debug('Ollama适配器开始识别');
+
+        // 本地服务只接受不带前缀的Base64
+        const base64Data = imageData.startsWith('data:')
+            ? imageData.substring(imageData.indexOf(',') + 1)
+            : imageData;
+
+        const { path, body } = this.buildRequest(base64Data, prompt);
+
+        logger.debug('请求配置', {
+            url: `${this.config.baseUrl}${path}`,
+            model: this.config.model
+        });
+
+        const response = await fetch(`${this.config.baseUrl}${path}`, {
+            method: 'POST',
+            headers: this.buildHeaders(),
+            body: JSON.stringify(body),
+            signal: options.signal
+        });
+
+        if (!response.ok) {
+            throw createHttpError(response, await this.parseError(response));
+        }
+
+        const data = await response.json();
+
+        const text = this.parseText(data).trim();
+
+        if (!text) {
+            throw new ApiError('识别结果为空', { type: ERROR_TYPES.INVALID_RESPONSE });
+        }
+
+        logger.debug('识别完成', { text });
+
+        return {
+            text,
+            usage: this.parseUsage(data),
+            raw: data
+        };
+    }
+
+    /**
+     * 按接口格式构建请求路径和请求体
+     * @param {string} base64Data - 不带前缀的Base64图像数据
+     * @param {string} prompt - 识别提示词
+     * @returns {{path: string, body: object}}
+     */
+    buildRequest(base64Data, prompt) {
+        const { model, temperature, maxTokens } = this.config;
+
+        switch (this.config.apiFormat) {
+            case LOCAL_API_FORMATS.OLLAMA_GENERATE:
+                return {
+                    path: '/api/generate',
+                    body: {
+                        model,
+                        prompt,
+                        images: [base64Data],
+                        stream: false,
+                        options: { temperature, num_predict: maxTokens }
+                    }
+                };
+            case LOCAL_API_FORMATS.LLAMA_CPP:
+                // llama.cpp server 只加载一个模型，提示词中的 <__media__> 标记图片的位置
+                return {
+                    path: '/completion',
+                    body: {
+                        prompt: {
+                            prompt_string: `<__media__>\n${prompt}`,
+                            multimodal_data: [base64Data]
+                        },
+                        stream: false,
+                        temperature,
+                        n_predict: maxTokens
+                    }
+                };
+            default:
+                return {
+                    path: '/api/chat',
+                    body: {
+                        model,
+                        messages: [
+                            {
+                                role: 'user',
+                                content: prompt,
+                                images: [base64Data]
+                            }
+                        ],
+                        stream: false,
+                        options: { temperature, num_predict: maxTokens }
+                    }
+                };
+        }
+    }
+
+    /**
+     * 按接口格式取出模型回答的文本
+     * @param {object} data - 响应数据
+     * @returns {string}
+     */
+    parseText(data) {
+        switch (this.config.apiFormat) {
+            case LOCAL_API_FORMATS.OLLAMA_GENERATE:
+                return data.response || '';
+            case LOCAL_API_FORMATS.LLAMA_CPP:
+                return data.content || '';
+            default:
+                return data.message?.content || '';
+        }
+    }
+
+    /**
+     * 获取已安装的模型列表
+     * Ollama 读取 /api/tags；llama.cpp server 读取 OpenAI 格式的 /v1/models，只包含已加载的模型
+     * @param {object} options - 选项 { signal }
+     * @returns {Promise<Array<string>>}
+     */
+    async listModels(options = {}) {
+        const isLlamaCpp = this.config.apiFormat === LOCAL_API_FORMATS.LLAMA_CPP;
+
+        const response = await fetch(`${this.config.baseUrl}${isLlamaCpp ? '/v1/models' : '/api/tags'}`, {
+            headers: this.buildHeaders(),
+            signal: options.signal
+        });
+
+        if (!response.ok) {
+            throw createHttpError(response, await this.parseError(response));
+        }
+
+        const data = await response.json();
+
+        return isLlamaCpp
+            ? (data.data || []).map(m => m.id)
+            : (data.models || []).map(m => m.name);
+    }
+
+    /**
+     * 测试连接
+     * 检查服务是否可访问以及配置的模型是否已安装
+     * @param {object} options - 选项 { signal }
+     * @returns {Promise<object>}
+     */
+    async testConnection(options = {}) {
+        logger.debug('Ollama适配器测试连接');
+
+        const models = await this.listModels(options);
+
+        // llama.cpp server 忽略请求中的模型名称，能访问即可
+        if (this.config.apiFormat === LOCAL_API_FORMATS.LLAMA_CPP) {
+            return {
+                success: true,
+                message: '连接成功',
+                model: models[0] || this.config.model
+            };
+        }
+
+        // 未指定标签时 Ollama 默认使用 latest
+        const model = this.config.model.includes(':') ? this.config.model : `${this.config.model}:latest`;
+
+        if (!models.includes(model)) {
+            throw new ApiError(`模型 ${this.config.model} 未安装，请先执行 ollama pull ${this.config.model}`, {
+                type: ERROR_TYPES.BAD_REQUEST
+            });
+        }
+
+        return {
+            success: true,
+            message: '连接成功',
+            model: this.config.model
+        };
+    }
+
+    /**
+     * 解析Token用量（Ollama格式的 prompt_eval_count / eval_count，llama.cpp格式的 tokens_evaluated / tokens_predicted）
+     * @param {object} data - 响应数据
+     * @returns {{inputTokens: number, outputTokens: number}}
+     */
+    parseUsage(data) {
+        return {
+            inputTokens: data.prompt_eval_count || data.tokens_evaluated || 0,
+            outputTokens: data.eval_count || data.tokens_predicted || 0
+        };
+    }
+
+    /**
+     * 解析错误响应
+     * @param {Response} response - HTTP响应
+     * @returns {Promise<string>}
+     */
+    async parseError(response) {
+        // Ollama 默认拒绝来自扩展的跨域请求
+        if (response.status === 403 && this.config.apiFormat !== LOCAL_API_FORMATS.LLAMA_CPP) {
+            return 'HTTP 403: 请求被拒绝，请设置环境变量 OLLAMA_ORIGINS=chrome-extension://* 后重启 Ollama';
+        }
+
+        try {
+            const data = await response.json();
+
+            if (data.error) {
+                return typeof data.error === 'string' ? data.error : data.error.message;
+            }
+
+            return `HTTP ${response.status}: ${response.statusText}`;
+        } catch {
+            return `HTTP ${response.status}: ${response.statusText}`;
+        }
+    }
+}
+
+export default OllamaAdapter;
@@ -4,6 +4,7 @@
  */
 
 import * as logger from '../utils/logger.js';
+import { ApiError, ERROR_TYPES, createHttpError } from './errors.js';
 
 /**
  * OpenAI兼容API适配器
@@ -61,9 +62,10 @@ export class OpenAICompatibleAdapter {
      * 识别验证码
      * @param {string} imageData - Base64编码的图像数据（不含前缀）
      * @param {string} prompt - 识别提示词
+     * @param {object} options - 选项 { signal }
      * @returns {Promise<object>} - 识别结果
      */
-    async recognize(imageData, prompt) {
+    async recognize(imageData, prompt, options = {}) {
         logger.debug('OpenAI兼容适配器开始识别');
 
         // 确定图像格式
@@ -103,39 +105,65 @@ export class OpenAICompatibleAdapter {
         const response = await fetch(`${this.config.baseUrl}/chat/completions`, {
             method: 'POST',
             headers: this.buildHeaders(),
-            body: JSON.stringify(requestBody)
+            body: JSON.stringify(requestBody),
+            signal: options.signal
         });
 
         if (!response.ok) {
-            const error = await this.parseError(response);
-            throw new Error(error);
+            throw createHttpError(response, await this.parseError(response));
         }
 
         const data = await response.json();
 
         if (!data.choices || data.choices.length === 0) {
-            throw new Error('API返回结果为空');
+            throw new ApiError('API返回结果为空', { type: ERROR_TYPES.INVALID_RESPONSE });
+        }
+
+        if (data.choices[0].finish_reason === 'content_filter') {
+            throw new ApiError('响应被内容过滤器拦截', { type: ERROR_TYPES.CONTENT_FILTER });
         }
 
         const text = data.choices[0].message?.content?.trim() || '';
 
         if (!text) {
-            throw new Error('识别结果为空');
+            throw new ApiError('识别结果为空', { type: ERROR_TYPES.INVALID_RESPONSE });
         }
 
         logger.debug('识别完成', { text });
 
         return {
             text,
+            usage: this.parseUsage(data),
             raw: data
         };
     }
 
+    /**
+     * 获取可用模型列表
+     * @param {object} options - 选项 { signal }
+     * @returns {Promise<Array<string>>}
+     */
+    async listModels(options = {}) {
+        const response = await fetch(`${this.config.baseUrl}/models`, {
+            headers: this.buildHeaders(),
+            signal: options.signal
+        });
+
+        if (!response.ok) {
+            throw createHttpError(response, await this.parseError(response));
+        }
+
+        const data = await response.json();
+
+        return (data.data || []).map(m => m.id).sort();
+    }
+
     /**
      * 测试连接
+     * @param {object} options - 选项 { signal }
      * @returns {Promise<object>}
      */
-    async testConnection() {
+    async testConnection(options = {}) {
         logger.debug('OpenAI兼容适配器测试连接');
 
         const requestBody = {
@@ -152,12 +180,12 @@ export class OpenAICompatibleAdapter {
         const response = await fetch(`${this.config.baseUrl}/chat/completions`, {
             method: 'POST',
             headers: this.buildHeaders(),
-            body: JSON.stringify(requestBody)
+            body: JSON.stringify(requestBody),
+            signal: options.signal
         });
 
         if (!response.ok) {
-            const error = await this.parseError(response);
-            throw new Error(error);
+            throw createHttpError(response, await this.parseError(response));
         }
 
         const data = await response.json();
@@ -169,6 +197,18 @@ export class OpenAICompatibleAdapter {
         };
     }
 
+    /**
+     * 解析Token用量（OpenAI格式的 usage）
+     * @param {object} data - 响应数据
+     * @returns {{inputTokens: number, outputTokens: number}}
+     */
+    parseUsage(data) {
+        return {
+            inputTokens: data.usage?.prompt_tokens || 0,
+            outputTokens: data.usage?.completion_tokens || 0
+        };
+    }
+
     /**
      * 解析错误响应
      * @param {Response} response - HTTP响应
@@ -0,0 +1,168 @@
+/**
+ * 识别结果后处理模块
+ * 清洗模型返回的文本并按网站规则校验
+ */
+
+// 验证码字符集
+export const CHARSETS = {
+    ANY: 'any',
+    DIGITS: 'digits',
+    LETTERS: 'letters',
+    ALPHANUMERIC: 'alphanumeric'
+};
+
+// 字符集对应的字符类
+const CHARSET_CLASSES = {
+    [CHARSETS.DIGITS]: '0-9',
+    [CHARSETS.LETTERS]: 'A-Za-z',
+    [CHARSETS.ALPHANUMERIC]: 'A-Za-z0-9'
+};
+
+// 常见的回答前缀（如 "The code is:"、"验证码是："）
+const ANSWER_PREFIXES = [
+    /^(?:the\s+)?(?:captcha\s+|verification\s+)?(?:code|text|answer|result|characters?)(?:\s+in\s+the\s+image)?(?:\s+(?:is|are|reads)\s*[:：]?|\s*[:：])\s*/i,
+    /^(?:图片?中的?)?(?:验证码|识别结果|结果|答案|内容)(?:\s*(?:是|为)\s*[:：]?|\s*[:：])\s*/
+];
+
+// 包裹答案的引号、括号和Markdown标记
+const WRAPPING_CHARS = /^[\s"'`“”‘’「」『』*]+|[\s"'`“”‘’「」『』*。.!！]+$/g;
+
+/**
+ * 校验失败错误
+ * 与网络/接口错误区分，表示模型返回了内容但不符合网站规则
+ */
+export class ValidationError extends Error {
+    /**
+     * @param {string} message - 错误信息
+     * @param {string} text - 未通过校验的识别结果
+     */
+    constructor(message, text) {
+        super(message);
+        this.name = 'ValidationError';
+        this.text = text;
+    }
+}
+
+/**
+ * 全角字符转半角
+ * @param {string} text - 文本
+ * @returns {string}
+ */
+export function normalizeFullWidth(text) {
+    return text
+        .replace(/[！-～]/g, c => String.fromCharCode(c.charCodeAt(0) - 0xFEE0))
+        .replace(/　/g, ' ');
+}
+
+/**
+ * 去除引号和回答前缀
+ * @param {string} text - 文本
+ * @returns {string}
+ */
+export function stripDecorations(text) {
+    let result = text.replace(WRAPPING_CHARS, '');
+
+    for (const prefix of ANSWER_PREFIXES) {
+        result = result.replace(prefix, '');
+    }
+
+    return result.replace(WRAPPING_CHARS, '');
+}
+
+/**
+ * 按正则或字符集提取验证码
+ * @param {string} text - 文本
+ * @param {object|null} siteRule - 网站规则
+ * @returns {string}
+ */
+export function extractAnswer(text, siteRule = null) {
+    // 规则自定义正则优先，有捕获组时取第一个捕获组
+    if (siteRule?.extractPattern) {
+        const match = text.match(new RegExp(siteRule.extractPattern));
+        return match ? (match[1] ?? match[0]) : '';
+    }
+
+    const charClass = CHARSET_CLASSES[siteRule?.charset];
+
+    if (!charClass) {
+        return text.replace(/\s+/g, '');
+    }
+
+    const tokens = text.match(new RegExp(`[${charClass}]+`, 'g')) || [];
+
+    if (tokens.length <= 1) {
+        return tokens[0] || '';
+    }
+
+    // 指定长度时优先取长度匹配的片段
+    if (siteRule.length > 0) {
+        const exact = tokens.filter(t => t.length === siteRule.length).pop();
+        if (exact) return exact;
+    }
+
+    // "A B 1 2" 这类逐字符分隔的回答直接拼接，否则取最长片段
+    if (tokens.every(t => t.length === 1)) {
+        return tokens.join('');
+    }
+
+    return tokens.reduce((best, t) => (t.length >= best.length ? t : best), '');
+}
+
+/**
+ * 校验验证码是否符合网站规则
+ * @param {string} text - 处理后的文本
+ * @param {object|null} siteRule - 网站规则
+ * @returns {{valid: boolean, reason?: string}}
+ */
+export function validateAnswer(text, siteRule = null) {
+    if (!text) {
+        return { valid: false, reason: '结果为空' };
+    }
+
+    if (siteRule?.length > 0 && text.length !== siteRule.length) {
+        return { valid: false, reason: `长度应为${siteRule.length}位` };
+    }
+
+    const charClass = CHARSET_CLASSES[siteRule?.charset];
+    if (charClass && !new RegExp(`^[${charClass}]+$`).test(text)) {
+        return { valid: false, reason: '包含不符合字符集的字符' };
+    }
+
+    return { valid: true };
+}
+
+/**
+ * 后处理识别结果
+ * 依次执行：全角转半角 → 去除引号和前缀 → 正则提取 → 规则校验；
+ * 多行回答时从最后一行向前取第一个通过校验的结果（寒暄通常在答案之前）
+ * @param {string} rawText - 模型原始输出
+ * @param {object|null} siteRule - 网站规则
+ * @returns {string} - 处理后的验证码
+ * @throws {ValidationError} - 结果不符合规则时抛出
+ */
+export function postProcess(rawText, siteRule = null) {
+    const lines = normalizeFullWidth(rawText)
+        .split(/\r?\n/)
+        .map(line => line.trim())
+        .filter(Boolean)
+        .reverse();
+
+    let lastText = '';
+    let lastReason = '结果为空';
+
+    for (const line of lines) {
+        const text = extractAnswer(stripDecorations(line), siteRule);
+        const { valid, reason } = validateAnswer(text, siteRule);
+
+        if (valid) {
+            return text;
+        }
+
+        lastText = text || line;
+        lastReason = reason;
+    }
+
+    throw new ValidationError(`识别结果不符合要求(${lastReason}): ${lastText}`, lastText);
+}
+
+export default postProcess;
@@ -0,0 +1,134 @@
+/**
+ * 请求队列模块
+ * 按配置限制同时进行的请求数和每分钟请求数，多个标签页同时识别时排队发送，避免超出服务商的速率限制
+ */
+
+// 每分钟请求数的统计窗口
+const RPM_WINDOW = 60000;
+
+/**
+ * 按配置排队的请求队列
+ */
+export class RequestQueue {
+    constructor() {
+        // 配置ID -> { active, pending, startTimes, pausedUntil, timer }
+        this.lanes = new Map();
+    }
+
+    /**
+     * 获取配置对应的队列
+     * @param {string} key - 配置ID
+     * @returns {object}
+     */
+    getLane(key) {
+        let lane = this.lanes.get(key);
+
+        if (!lane) {
+            lane = { active: 0, pending: [], startTimes: [], pausedUntil: 0, timer: null };
+            this.lanes.set(key, lane);
+        }
+
+        return lane;
+    }
+
+    /**
+     * 排队执行请求
+     * @param {string} key - 配置ID
+     * @param {object} limits - { concurrency, rpm }，0 表示不限制
+     * @param {Function} task - 返回Promise的函数
+     * @param {AbortSignal|null} signal - 取消信号，排队中取消时直接移出队列
+     * @returns {Promise}
+     */
+    run(key, limits, task, signal = null) {
+        if (signal?.aborted) {
+            return Promise.reject(signal.reason);
+        }
+
+        const lane = this.getLane(key);
+
+        return new Promise((resolve, reject) => {
+            const entry = { limits, task, resolve, reject };
+
+            const onAbort = () => {
+                const index = lane.pending.indexOf(entry);
+                if (index !== -1) {
+                    lane.pending.splice(index, 1);
+                    reject(signal.reason);
+                }
+            };
+
+            entry.cleanup = () => signal?.removeEventListener('abort', onAbort);
+            signal?.addEventListener('abort', onAbort, { once: true });
+
+            lane.pending.push(entry);
+            this.process(key);
+        });
+    }
+
+    /**
+     * 暂停配置的请求（收到429后等待服务端要求的时间）
+     * 正在进行的请求不受影响，之后的请求在暂停结束后发送
+     * @param {string} key - 配置ID
+     * @param {number} ms - 暂停时间（毫秒）
+     */
+    pause(key, ms) {
+        const lane = this.getLane(key);
+        lane.pausedUntil = Math.max(lane.pausedUntil, Date.now() + ms);
+        this.process(key);
+    }
+
+    /**
+     * 在限制允许的范围内启动排队中的请求，否则等待到可以发送时再检查
+     * @param {string} key - 配置ID
+     */
+    process(key) {
+        const lane = this.getLane(key);
+
+        clearTimeout(lane.timer);
+        lane.timer = null;
+
+        while (lane.pending.length > 0) {
+            const { concurrency = 0, rpm = 0 } = lane.pending[0].limits;
+            const now = Date.now();
+
+            if (concurrency > 0 && lane.active >= concurrency) {
+                // 有请求完成时会再次检查
+                return;
+            }
+
+            lane.startTimes = lane.startTimes.filter(time => now - time < RPM_WINDOW);
+
+            let wait = lane.pausedUntil - now;
+            if (rpm > 0 && lane.startTimes.length >= rpm) {
+                wait = Math.max(wait, lane.startTimes[lane.startTimes.length - rpm] + RPM_WINDOW - now);
+            }
+
+            if (wait > 0) {
+                lane.timer = setTimeout(() => this.process(key), wait);
+                return;
+            }
+
+            const entry = lane.pending.shift();
+            entry.cleanup();
+
+            lane.active++;
+            lane.startTimes.push(now);
+
+            Promise.resolve()
+                .then(entry.task)
+                .then(entry.resolve, entry.reject)
+                .finally(() => {
+                    lane.active--;
+                    this.process(key);
+                });
+        }
+
+        // 队列空闲且不再影响限流时释放，避免配置删除后残留
+        const now = Date.now();
+        if (lane.active === 0 && lane.pausedUntil <= now && lane.startTimes.every(time => now - time >= RPM_WINDOW)) {
+            this.lanes.delete(key);
+        }
+    }
+}
+
+export default RequestQueue;
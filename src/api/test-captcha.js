@@ -0,0 +1,72 @@
+/**
+ * 测试验证码生成器
+ * 生成带轻微干扰的字母数字验证码，用于检测模型是否支持图像输入
+ */
+
+// 去除易混淆字符（0/O、1/I/l、2/Z、5/S、8/B 等）
+const TEST_CAPTCHA_CHARS = 'ACDEFHJKLMNPRTUVWXY3467';
+
+// 验证码长度
+const TEST_CAPTCHA_LENGTH = 4;
+
+/**
+ * 生成测试验证码
+ * @returns {Promise<{text: string, imageData: string}>} - 正确答案和PNG格式的data URL
+ */
+export async function createTestCaptcha() {
+    if (typeof OffscreenCanvas === 'undefined') {
+        throw new Error('当前环境不支持生成测试图片 (缺少OffscreenCanvas)');
+    }
+
+    const text = Array.from(
+        { length: TEST_CAPTCHA_LENGTH },
+        () => TEST_CAPTCHA_CHARS[Math.floor(Math.random() * TEST_CAPTCHA_CHARS.length)]
+    ).join('');
+
+    const width = 120;
+    const height = 44;
+    const canvas = new OffscreenCanvas(width, height);
+    const ctx = canvas.getContext('2d');
+
+    ctx.fillStyle = '#f4f4f0';
+    ctx.fillRect(0, 0, width, height);
+
+    // 干扰线
+    for (let i = 0; i < 3; i++) {
+        ctx.strokeStyle = `hsl(${Math.random() * 360}, 40%, 70%)`;
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(0, Math.random() * height);
+        ctx.lineTo(width, Math.random() * height);
+        ctx.stroke();
+    }
+
+    // 逐字符绘制，带轻微旋转
+    ctx.font = 'bold 28px sans-serif';
+    ctx.textBaseline = 'middle';
+    ctx.textAlign = 'center';
+
+    [...text].forEach((char, i) => {
+        ctx.save();
+        ctx.translate(18 + i * 28, height / 2);
+        ctx.rotate((Math.random() - 0.5) * 0.4);
+        ctx.fillStyle = `hsl(${Math.random() * 360}, 60%, 30%)`;
+        ctx.fillText(char, 0, 0);
+        ctx.restore();
+    });
+
+    const blob = await canvas.convertToBlob({ type: 'image/png' });
+    const bytes = new Uint8Array(await blob.arrayBuffer());
+
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+
+    return {
+        text,
+        imageData: `data:image/png;base64,${btoa(binary)}`
+    };
+}
+
+export default createTestCaptcha;
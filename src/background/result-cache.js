@@ -0,0 +1,160 @@
+/**
+ * 识别结果缓存
+ * 同一张验证码图片在有效期内再次识别时（预览后识别、自动识别后手动重试）直接返回上次的结果，避免重复付费。
+ * 缓存只保存在 Service Worker 内存中，Service Worker 被回收后自动清空
+ */
+
+import { buildPrompt } from '../api/api-manager.js';
+
+// 最多缓存的结果数量，超出时删除最早的
+const MAX_ENTRIES = 100;
+
+// 缓存键 -> { result, expiresAt }
+const entries = new Map();
+
+// 进行中的识别 缓存键 -> Promise<result>，相同图片同时识别时共用一次请求
+const pending = new Map();
+
+/**
+ * 计算缓存键：图像数据与影响识别结果的配置（备用链、Prompt、后处理规则）的 SHA-256
+ * @param {string} imageData - 图像数据
+ * @param {Array<object>} chain - 备用链中的配置
+ * @param {object|null} siteRule - 网站规则
+ * @returns {Promise<string>}
+ */
+export async function getCacheKey(imageData, chain, siteRule) {
+    const scope = {
+        configs: chain.map(c => [c.id, c.type, c.baseUrl, c.model, c.sampleCount || 1, c.voteMode || '', buildPrompt(c, siteRule)]),
+        rule: siteRule ? [siteRule.charset, siteRule.length, siteRule.caseSensitive, siteRule.extractPattern] : null
+    };
+
+    const data = new TextEncoder().encode(`${imageData}\n${JSON.stringify(scope)}`);
+    const digest = new Uint8Array(await crypto.subtle.digest('SHA-256', data));
+
+    return Array.from(digest, b => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * 获取缓存的结果
+ * @param {string} key - 缓存键
+ * @returns {object|null}
+ */
+export function get(key) {
+    const entry = entries.get(key);
+
+    if (!entry) {
+        return null;
+    }
+
+    if (entry.expiresAt <= Date.now()) {
+        entries.delete(key);
+        return null;
+    }
+
+    return entry.result;
+}
+
+/**
+ * 缓存识别结果（只缓存成功的结果）
+ * @param {string} key - 缓存键
+ * @param {object} result - 识别结果
+ * @param {number} ttl - 有效期（毫秒）
+ */
+export function set(key, result, ttl) {
+    if (!result.success || ttl <= 0) {
+        return;
+    }
+
+    entries.delete(key);
+    entries.set(key, { result, expiresAt: Date.now() + ttl });
+
+    while (entries.size > MAX_ENTRIES) {
+        entries.delete(entries.keys().next().value);
+    }
+}
+
+/**
+ * 删除缓存的结果
+ * @param {string} key - 缓存键
+ */
+export function remove(key) {
+    entries.delete(key);
+}
+
+/**
+ * 获取缓存的结果，未命中时执行识别并缓存
+ * 相同图片的识别正在进行时等待其结果，而不是再发一次请求；
+ * 共用的请求被发起方取消时，等待的调用方各自重新识别
+ * @param {string} key - 缓存键
+ * @param {number} ttl - 有效期（毫秒），0 表示不缓存
+ * @param {Function} task - 执行识别，返回Promise<result>
+ * @param {AbortSignal|null} signal - 取消信号，等待共用的请求时取消只影响当前调用方
+ * @returns {Promise<object>} - 识别结果，来自缓存或共用请求时带 cached: true
+ */
+export async function getOrRecognize(key, ttl, task, signal = null) {
+    const cached = get(key);
+    if (cached) {
+        return { ...cached, cached: true };
+    }
+
+    const shared = pending.get(key);
+    if (shared) {
+        const result = await Promise.race([shared, waitForAbort(signal)]);
+
+        if (result.cancelled && !signal?.aborted) {
+            // 第一个恢复的调用方重新发起请求，其余的等待它的结果
+            if (pending.get(key) === shared) {
+                pending.delete(key);
+            }
+            return getOrRecognize(key, ttl, task, signal);
+        }
+
+        return result.success ? { ...result, cached: true } : result;
+    }
+
+    const promise = task();
+    pending.set(key, promise);
+
+    try {
+        const result = await promise;
+        set(key, result, ttl);
+        return result;
+    } finally {
+        if (pending.get(key) === promise) {
+            pending.delete(key);
+        }
+    }
+}
+
+/**
+ * 等待取消信号
+ * @param {AbortSignal|null} signal - 取消信号
+ * @returns {Promise<object>} - 取消时返回与识别取消相同格式的结果，未提供信号时永不完成
+ */
+function waitForAbort(signal) {
+    return new Promise((resolve) => {
+        const cancelled = () => resolve({ success: false, cancelled: true, error: '识别已取消' });
+
+        if (signal?.aborted) {
+            cancelled();
+        } else {
+            signal?.addEventListener('abort', cancelled, { once: true });
+        }
+    });
+}
+
+/**
+ * 删除某次识别的缓存结果（用户标记错误或被网站拒绝时）
+ * @param {string} historyId - 历史记录ID
+ * @returns {boolean} - 是否有缓存被删除
+ */
+export function invalidateHistory(historyId) {
+    for (const [key, entry] of entries) {
+        if (entry.result.historyId === historyId) {
+            entries.delete(key);
+            return true;
+        }
+    }
+
+    return false;
+}
@@ -6,14 +6,20 @@
 import { apiManager } from '../api/api-manager.js';
 import * as storage from '../utils/storage.js';
 import * as logger from '../utils/logger.js';
+import * as resultCache from './result-cache.js';
 
 // 初始化
 logger.info('Service Worker 启动');
 
+// 进行中的识别请求 requestId -> { controller, tabId, source }
+const pendingRequests = new Map();
+
 // 监听安装事件
 chrome.runtime.onInstalled.addListener(async (details) => {
     logger.info('扩展安装/更新', { reason: details.reason });
 
+    createContextMenus();
+
     if (details.reason === 'install') {
         // 首次安装，初始化默认设置
         await storage.saveSettings(storage.DEFAULT_SETTINGS);
@@ -33,6 +39,23 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     return true;
 });
 
+// 弹窗连接断开（弹窗关闭）时，取消由弹窗发起的识别请求
+chrome.runtime.onConnect.addListener((port) => {
+    if (!port.name.startsWith('popup:')) {
+        return;
+    }
+
+    const tabId = Number(port.name.slice('popup:'.length));
+
+    port.onDisconnect.addListener(() => {
+        for (const [requestId, request] of pendingRequests) {
+            if (request.tabId === tabId && request.source === 'popup') {
+                cancelRequest(requestId, '弹窗已关闭');
+            }
+        }
+    });
+});
+
 /**
  * 处理消息
  * @param {object} message - 消息
@@ -43,13 +66,29 @@ async function handleMessage(message, sender, sendResponse) {
     try {
         switch (message.action) {
             case 'recognizeCaptcha':
-                await handleRecognizeCaptcha(message, sendResponse);
+                await handleRecognizeCaptcha(message, sender, sendResponse);
+                break;
+
+            case 'cancel':
+                handleCancel(message, sender, sendResponse);
                 break;
 
             case 'testConnection':
                 await handleTestConnection(message, sendResponse);
                 break;
 
+            case 'probeVision':
+                await handleProbeVision(message, sendResponse);
+                break;
+
+            case 'listModels':
+                await handleListModels(message, sendResponse);
+                break;
+
+            case 'replayRecognize':
+                await handleReplayRecognize(message, sendResponse);
+                break;
+
             case 'getActiveConfig':
                 await handleGetActiveConfig(sendResponse);
                 break;
@@ -66,6 +105,14 @@ async function handleMessage(message, sender, sendResponse) {
                 await handleGetHistory(message, sendResponse);
                 break;
 
+            case 'reportSubmitResult':
+                await handleReportSubmitResult(message, sendResponse);
+                break;
+
+            case 'submitFeedback':
+                await handleSubmitFeedback(message, sendResponse);
+                break;
+
             case 'captchaDetected':
                 handleCaptchaDetected(message, sender);
                 sendResponse({ success: true });
@@ -95,10 +142,14 @@ async function handleMessage(message, sender, sendResponse) {
 
 /**
  * 处理验证码识别请求
+ * 请求来自已保存规则的网站时，应用规则中的配置和Prompt覆盖项；
+ * 相同图片在缓存有效期内直接返回上次结果。message.prefetch 为 true 时只为预先填充缓存（需在设置中开启），
+ * message.refresh 为 true 时忽略缓存重新识别
  * @param {object} message - 消息
+ * @param {object} sender - 发送者
  * @param {Function} sendResponse - 响应函数
  */
-async function handleRecognizeCaptcha(message, sendResponse) {
+async function handleRecognizeCaptcha(message, sender, sendResponse) {
     const { imageData } = message;
 
     if (!imageData) {
@@ -106,11 +157,113 @@ async function handleRecognizeCaptcha(message, sendResponse) {
         return;
     }
 
-    logger.info('开始识别验证码');
+    const hostname = message.hostname || getSenderHostname(sender);
+    const siteRule = hostname ? await storage.getSiteRule(hostname) : null;
+    const settings = await storage.getSettings();
+    const cacheTtl = settings.resultCacheTtl * 1000;
+
+    // 预取会产生费用，需在设置中开启；预取只为填充缓存，关闭缓存时没有意义
+    if (message.prefetch && !settings.prefetchOnPreview) {
+        sendResponse({ success: false, error: '未开启预先识别' });
+        return;
+    }
+    if (message.prefetch && cacheTtl <= 0) {
+        sendResponse({ success: false, error: '结果缓存已关闭' });
+        return;
+    }
+
+    // 登记请求，以便取消或弹窗关闭时中止
+    const requestId = message.requestId || crypto.randomUUID();
+    const controller = new AbortController();
+    pendingRequests.set(requestId, {
+        controller,
+        tabId: sender.tab?.id ?? null,
+        source: message.source || 'content'
+    });
 
-    const result = await apiManager.recognize(imageData);
+    logger.info('开始识别验证码', { hostname, hasRule: !!siteRule, requestId, prefetch: !!message.prefetch });
 
-    sendResponse(result);
+    try {
+        const recognize = () => apiManager.recognize(imageData, {
+            siteRule,
+            hostname,
+            signal: controller.signal
+        });
+
+        const chain = await storage.getFallbackChain(siteRule?.configId);
+        let result;
+
+        if (chain.length > 0) {
+            const cacheKey = await resultCache.getCacheKey(imageData, chain, siteRule);
+
+            // 用户要求重新识别时丢弃缓存的结果
+            if (message.refresh) {
+                resultCache.remove(cacheKey);
+            }
+
+            result = await resultCache.getOrRecognize(cacheKey, cacheTtl, recognize, controller.signal);
+        } else {
+            result = await recognize();
+        }
+
+        if (result.cached) {
+            logger.info('使用缓存的识别结果', { text: result.text, historyId: result.historyId });
+        }
+
+        sendResponse({ ...result, requestId });
+    } finally {
+        pendingRequests.delete(requestId);
+    }
+}
+
+/**
+ * 处理取消识别请求
+ * 指定 requestId 时只取消该请求，否则取消指定标签页（默认为发送者标签页）的全部请求
+ * @param {object} message - 消息
+ * @param {object} sender - 发送者
+ * @param {Function} sendResponse - 响应函数
+ */
+function handleCancel(message, sender, sendResponse) {
+    const { requestId } = message;
+    const tabId = message.tabId ?? sender.tab?.id;
+    let cancelled = 0;
+
+    for (const [id, request] of pendingRequests) {
+        if (requestId ? id === requestId : request.tabId === tabId) {
+            cancelRequest(id, '识别已取消');
+            cancelled++;
+        }
+    }
+
+    sendResponse({ success: true, cancelled });
+}
+
+/**
+ * 中止进行中的识别请求
+ * @param {string} requestId - 请求ID
+ * @param {string} reason - 取消原因
+ */
+function cancelRequest(requestId, reason) {
+    const request = pendingRequests.get(requestId);
+
+    if (request) {
+        logger.info('取消识别请求', { requestId, reason });
+        request.controller.abort(new Error(reason));
+        pendingRequests.delete(requestId);
+    }
+}
+
+/**
+ * 获取发送者标签页的域名
+ * @param {object} sender - 发送者
+ * @returns {string|null}
+ */
+function getSenderHostname(sender) {
+    try {
+        return sender.tab?.url ? new URL(sender.tab.url).hostname : null;
+    } catch {
+        return null;
+    }
 }
 
 /**
@@ -133,6 +286,60 @@ async function handleTestConnection(message, sendResponse) {
     sendResponse(result);
 }
 
+/**
+ * 处理识图能力测试请求
+ * @param {object} message - 消息
+ * @param {Function} sendResponse - 响应函数
+ */
+async function handleProbeVision(message, sendResponse) {
+    const { config } = message;
+
+    if (!config) {
+        sendResponse({ success: false, error: '缺少配置信息' });
+        return;
+    }
+
+    const result = await apiManager.probeVision(config);
+
+    sendResponse(result);
+}
+
+/**
+ * 处理回放识别请求（使用指定配置重新识别已保存的图片，不计入统计）
+ * @param {object} message - 消息 { config, imageData, siteRule }
+ * @param {Function} sendResponse - 响应函数
+ */
+async function handleReplayRecognize(message, sendResponse) {
+    const { config, imageData, siteRule } = message;
+
+    if (!config || !imageData) {
+        sendResponse({ success: false, error: '缺少配置或图片' });
+        return;
+    }
+
+    const result = await apiManager.replay(config, imageData, { siteRule });
+
+    sendResponse(result);
+}
+
+/**
+ * 处理获取模型列表请求
+ * @param {object} message - 消息
+ * @param {Function} sendResponse - 响应函数
+ */
+async function handleListModels(message, sendResponse) {
+    const { config } = message;
+
+    if (!config) {
+        sendResponse({ success: false, error: '缺少配置信息' });
+        return;
+    }
+
+    const result = await apiManager.listModels(config);
+
+    sendResponse(result);
+}
+
 /**
  * 处理获取活跃配置请求
  * @param {Function} sendResponse - 响应函数
@@ -177,6 +384,48 @@ async function handleGetHistory(message, sendResponse) {
     sendResponse({ success: true, history });
 }
 
+/**
+ * 处理提交结果判定（内容脚本在自动提交后检测网站是否接受了验证码）
+ * @param {object} message - 消息 { historyId, verdict, reason }
+ * @param {Function} sendResponse - 响应函数
+ */
+async function handleReportSubmitResult(message, sendResponse) {
+    const { historyId, verdict, reason } = message;
+
+    logger.info('收到提交结果', { historyId, verdict, reason });
+
+    const recorded = await storage.recordVerdict(historyId, verdict, reason);
+
+    // 被网站拒绝的结果不能再从缓存返回
+    if (verdict === 'rejected') {
+        resultCache.invalidateHistory(historyId);
+    }
+
+    sendResponse({ success: true, recorded });
+}
+
+/**
+ * 处理用户对识别结果的反馈
+ * @param {object} message - 消息 { historyId, correct, value }
+ * @param {Function} sendResponse - 响应函数
+ */
+async function handleSubmitFeedback(message, sendResponse) {
+    const { historyId, correct, value } = message;
+
+    const record = await storage.setFeedback(historyId, !!correct, value || '');
+
+    if (!correct) {
+        resultCache.invalidateHistory(historyId);
+    }
+
+    if (!record) {
+        sendResponse({ success: false, error: '记录不存在或已过期' });
+        return;
+    }
+
+    sendResponse({ success: true, feedback: record.feedback });
+}
+
 /**
  * 处理验证码检测通知
  * @param {object} message - 消息
@@ -215,6 +464,118 @@ chrome.tabs.onUpdated.addListener((tabId, changeInfo) => {
     }
 });
 
+// ==================== 快捷键 ====================
+
+// 监听快捷键（可在 chrome://extensions/shortcuts 修改）
+chrome.commands.onCommand.addListener((command, tab) => {
+    handleCommand(command, tab).catch((error) => {
+        logger.warn('快捷键操作失败', { command, error: error.message });
+    });
+});
+
+/**
+ * 处理快捷键命令，通过内容脚本的消息完成操作
+ * @param {string} command - 命令名称
+ * @param {object} tab - 当前标签页
+ */
+async function handleCommand(command, tab) {
+    if (!tab?.id) {
+        [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    }
+    if (!tab?.id) throw new Error('无法获取当前标签页');
+
+    logger.debug('快捷键', { command, tabId: tab.id });
+
+    switch (command) {
+        case 'recognize-and-fill':
+            await recognizeAndFill(tab.id);
+            break;
+
+        case 'start-picker':
+            // 选择完成后才会响应，不需要等待
+            chrome.tabs.sendMessage(tab.id, { action: 'startPicker' }).catch(() => { });
+            break;
+
+        case 'resolve-last': {
+            // 最近识别或选择的验证码，忽略缓存重新识别
+            const status = await chrome.tabs.sendMessage(tab.id, { action: 'getStatus' });
+            if (!status?.currentCaptcha) throw new Error('还没有识别过验证码');
+            await recognizeAndFill(tab.id, status.currentCaptcha.id, true);
+            break;
+        }
+
+        default:
+            logger.warn('未知快捷键', command);
+    }
+}
+
+/**
+ * 识别标签页中的验证码并填充，是否自动提交遵循设置
+ * @param {number} tabId - 标签页ID
+ * @param {string|null} captchaId - 验证码ID，为空时使用最可能的验证码
+ * @param {boolean} refresh - 是否忽略缓存的结果
+ */
+async function recognizeAndFill(tabId, captchaId = null, refresh = false) {
+    const response = await chrome.tabs.sendMessage(tabId, {
+        action: 'recognize',
+        captchaId,
+        source: 'shortcut',
+        refresh
+    });
+
+    if (!response?.success) {
+        if (response?.cancelled) return;
+        throw new Error(response?.error || '识别失败');
+    }
+
+    const settings = await storage.getSettings();
+    const fillResponse = await chrome.tabs.sendMessage(tabId, {
+        action: 'fill',
+        text: response.text,
+        options: { simulate: true, autoSubmit: settings.autoSubmit }
+    });
+
+    if (!fillResponse?.success) throw new Error(fillResponse?.error || '填充失败');
+    logger.info('快捷键识别并填充完成', { tabId, text: response.text });
+}
+
+// ==================== 右键菜单 ====================
+
+/**
+ * 创建右键菜单（菜单会被浏览器保留，只需在安装和更新时创建）
+ * 画布没有单独的菜单上下文，因此同时显示在页面上下文中
+ */
+function createContextMenus() {
+    chrome.contextMenus.removeAll(() => {
+        chrome.contextMenus.create({
+            id: 'solve-captcha',
+            title: '识别此验证码',
+            contexts: ['image', 'page']
+        });
+        chrome.contextMenus.create({
+            id: 'solve-captcha-remember',
+            title: '识别此验证码并记住为本网站的验证码',
+            contexts: ['image', 'page']
+        });
+    });
+}
+
+chrome.contextMenus.onClicked.addListener((info, tab) => {
+    if (!tab?.id || !info.menuItemId.startsWith('solve-captcha')) return;
+
+    // 由右键点击所在的框架处理，内容脚本记录了点击的元素
+    chrome.tabs.sendMessage(tab.id, {
+        action: 'solveContextMenuTarget',
+        remember: info.menuItemId === 'solve-captcha-remember'
+    }, { frameId: info.frameId }).then((response) => {
+        if (!response?.success) {
+            logger.warn('右键菜单识别失败', response?.error);
+        }
+    }).catch((error) => {
+        logger.warn('右键菜单识别失败', error.message);
+    });
+});
+
 // ==================== 网站规则处理 ====================
 
 /**
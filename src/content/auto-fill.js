@@ -4,6 +4,7 @@
  */
 
 import * as logger from '../utils/logger.js';
+import { setOwnStyles } from './captcha-detector.js';
 
 /**
  * 自动填充类
@@ -11,64 +12,56 @@ import * as logger from '../utils/logger.js';
 export class AutoFill {
     constructor() {
         this.lastFilledInput = null;
+        // 关闭当前显示的确认对话框
+        this.closeConfirmation = null;
     }
 
     /**
      * 填充验证码
-     * @param {HTMLInputElement} inputElement - 输入框元素
-     * @param {string} text - 要填充的文本
-     * @param {object} options - 选项
+     * @param {HTMLElement} inputElement - 输入框
+     * @param {string} text - 验证码
+     * @param {object} options - 选项 { simulate, autoSubmit, confirmBeforeSubmit, confirmation, onBeforeSubmit }
+     *   confirmation 为确认对话框的选项，见 showConfirmation
+     *   onBeforeSubmit 在填充完成、提交之前调用，参数为 { text, edited }，用户取消确认时不会调用
      * @returns {Promise<boolean>} - 是否成功
      */
     async fill(inputElement, text, options = {}) {
         const {
-            simulate = true,  // 是否模拟用户输入
-            autoSubmit = false,  // 是否自动提交
-            confirmBeforeSubmit = true  // 提交前是否确认
+            simulate = true,
+            autoSubmit = false,
+            confirmBeforeSubmit = false,
+            confirmation = {},
+            onBeforeSubmit = null
         } = options;
 
         try {
-            logger.info('开始填充验证码', { text, simulate });
+            if (!inputElement) throw new Error('未找到输入框');
 
-            if (!inputElement) {
-                throw new Error('未找到输入框');
-            }
-
-            // 聚焦输入框
-            inputElement.focus();
-
-            // 清空现有内容
-            inputElement.value = '';
-            this.dispatchEvent(inputElement, 'input');
-
-            if (simulate) {
-                // 模拟逐字输入
-                await this.simulateTyping(inputElement, text);
-            } else {
-                // 直接设置值
-                inputElement.value = text;
-                this.dispatchEvent(inputElement, 'input');
-                this.dispatchEvent(inputElement, 'change');
-            }
+            await this.enterText(inputElement, text, simulate);
 
             this.lastFilledInput = inputElement;
-
-            // 高亮输入框表示填充完成
             this.highlightInput(inputElement);
 
-            logger.info('验证码填充完成');
-
-            // 自动提交
+            // 自动提交表单
             if (autoSubmit) {
+                let submitted = { text, edited: false };
+
                 if (confirmBeforeSubmit) {
-                    // 等待用户确认
-                    const confirmed = await this.showConfirmation(text);
-                    if (confirmed) {
-                        await this.submitForm(inputElement);
+                    submitted = await this.showConfirmation(text, confirmation);
+                    if (!submitted) {
+                        logger.info('用户取消提交');
+                        return true;
+                    }
+
+                    // 用户修改或重新识别后，以确认的内容重新填充
+                    if (submitted.text !== text) {
+                        await this.enterText(inputElement, submitted.text, simulate);
                     }
-                } else {
-                    await this.submitForm(inputElement);
                 }
+
+                if (onBeforeSubmit) onBeforeSubmit(submitted);
+                logger.info('自动提交表单...');
+                await this.submitForm(inputElement);
             }
 
             return true;
@@ -78,6 +71,68 @@ export class AutoFill {
         }
     }
 
+    /**
+     * 清空输入框并输入文本
+     * @param {HTMLInputElement} input - 输入框
+     * @param {string} text - 文本
+     * @param {boolean} simulate - 是否模拟逐字输入
+     */
+    async enterText(input, text, simulate) {
+        input.focus();
+        input.value = '';
+        this.dispatchEvent(input, 'input');
+
+        if (simulate) {
+            await this.simulateTyping(input, text);
+        } else {
+            input.value = text;
+            this.dispatchEvent(input, 'input');
+            this.dispatchEvent(input, 'change');
+        }
+    }
+
+    /**
+     * 提交表单
+     * @param {HTMLInputElement} input - 输入框
+     */
+    async submitForm(input) {
+        // 查找表单
+        const form = input.closest('form');
+
+        if (form) {
+            logger.info('找到表单，提交中...');
+            // 触发submit事件
+            const submitEvent = new Event('submit', {
+                bubbles: true,
+                cancelable: true
+            });
+
+            const prevented = !form.dispatchEvent(submitEvent);
+
+            if (!prevented) {
+                form.submit();
+            }
+        } else {
+            // 尝试查找提交按钮
+            logger.info('未找到表单，尝试查找提交按钮...');
+            const parent = input.parentElement?.parentElement?.parentElement || document;
+            const submitBtn = parent.querySelector(
+                'button[type="submit"], input[type="submit"], button:not([type])'
+            );
+
+            if (submitBtn) {
+                logger.info('点击提交按钮');
+                submitBtn.click();
+            } else {
+                // 模拟按回车键
+                logger.info('模拟回车键提交');
+                this.dispatchKeyEvent(input, 'keydown', 'Enter');
+                this.dispatchKeyEvent(input, 'keypress', 'Enter');
+                this.dispatchKeyEvent(input, 'keyup', 'Enter');
+            }
+        }
+    }
+
     /**
      * 模拟用户逐字输入
      * @param {HTMLInputElement} input - 输入框
@@ -85,26 +140,13 @@ export class AutoFill {
      */
     async simulateTyping(input, text) {
         for (const char of text) {
-            // 触发keydown
             this.dispatchKeyEvent(input, 'keydown', char);
-
-            // 添加字符
             input.value += char;
-
-            // 触发input事件
             this.dispatchEvent(input, 'input');
-
-            // 触发keyup
             this.dispatchKeyEvent(input, 'keyup', char);
-
-            // 随机延迟模拟真实输入
             await this.delay(50 + Math.random() * 100);
         }
-
-        // 触发change事件
         this.dispatchEvent(input, 'change');
-
-        // 触发blur事件
         this.dispatchEvent(input, 'blur');
     }
 
@@ -114,11 +156,7 @@ export class AutoFill {
      * @param {string} eventType - 事件类型
      */
     dispatchEvent(element, eventType) {
-        const event = new Event(eventType, {
-            bubbles: true,
-            cancelable: true
-        });
-        element.dispatchEvent(event);
+        element.dispatchEvent(new Event(eventType, { bubbles: true, cancelable: true }));
     }
 
     /**
@@ -128,15 +166,11 @@ export class AutoFill {
      * @param {string} key - 按键
      */
     dispatchKeyEvent(element, eventType, key) {
-        const event = new KeyboardEvent(eventType, {
-            key: key,
-            code: `Key${key.toUpperCase()}`,
-            charCode: key.charCodeAt(0),
-            keyCode: key.charCodeAt(0),
-            bubbles: true,
-            cancelable: true
-        });
-        element.dispatchEvent(event);
+        element.dispatchEvent(new KeyboardEvent(eventType, {
+            key, code: `Key${key.toUpperCase()}`,
+            charCode: key.charCodeAt(0), keyCode: key.charCodeAt(0),
+            bubbles: true, cancelable: true
+        }));
     }
 
     /**
@@ -154,142 +188,190 @@ export class AutoFill {
     highlightInput(input) {
         const originalBorder = input.style.border;
         const originalBoxShadow = input.style.boxShadow;
-
-        input.style.border = '2px solid #4CAF50';
-        input.style.boxShadow = '0 0 8px rgba(76, 175, 80, 0.5)';
-
-        // 2秒后恢复
+        setOwnStyles(input, { border: '2px solid #4CAF50', boxShadow: '0 0 8px rgba(76, 175, 80, 0.5)' });
         setTimeout(() => {
-            input.style.border = originalBorder;
-            input.style.boxShadow = originalBoxShadow;
+            setOwnStyles(input, { border: originalBorder, boxShadow: originalBoxShadow });
         }, 2000);
     }
 
     /**
-     * 显示确认对话框
+     * 显示提交前的确认对话框，可修改识别结果或重新识别
      * @param {string} text - 识别结果
-     * @returns {Promise<boolean>}
+     * @param {object} options - 选项 { imageData, countdown, onReRecognize }
+     *   imageData 为捕获的验证码图像，countdown 为倒计时秒数（结束时自动提交，0 表示一直等待，用户开始修改后停止）
+     *   onReRecognize 重新识别，返回Promise<string>，未提供时不显示「重新识别」按钮
+     * @returns {Promise<{text: string, edited: boolean}|null>} - 确认提交的内容，edited 表示用户手动修改过；取消时返回 null
      */
-    async showConfirmation(text) {
+    async showConfirmation(text, options = {}) {
+        const { imageData = null, countdown = 0, onReRecognize = null } = options;
+
         return new Promise((resolve) => {
-            // 创建确认对话框
+            // 最近一次识别的结果，用于判断用户是否手动修改
+            let recognized = text;
+            let remaining = countdown;
+            let countdownTimer = null;
+
+            // 同时只显示一个对话框，之前未完成的视为取消
+            if (this.closeConfirmation) this.closeConfirmation();
+
             const overlay = document.createElement('div');
             overlay.id = 'captcha-confirm-overlay';
             overlay.style.cssText = `
-        position: fixed;
-        top: 0;
-        left: 0;
-        right: 0;
-        bottom: 0;
-        background: rgba(0, 0, 0, 0.5);
-        display: flex;
-        align-items: center;
-        justify-content: center;
-        z-index: 999999;
-      `;
+                position: fixed;
+                top: 0;
+                left: 0;
+                right: 0;
+                bottom: 0;
+                background: rgba(0, 0, 0, 0.5);
+                display: flex;
+                align-items: center;
+                justify-content: center;
+                z-index: 999999;
+                font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+            `;
 
             const dialog = document.createElement('div');
             dialog.style.cssText = `
-        background: white;
-        padding: 24px;
-        border-radius: 12px;
-        box-shadow: 0 4px 20px rgba(0, 0, 0, 0.2);
-        max-width: 300px;
-        text-align: center;
-      `;
+                background: #1a1a2e;
+                color: white;
+                padding: 24px;
+                border-radius: 16px;
+                border: 1px solid #6366f1;
+                box-shadow: 0 20px 60px rgba(0, 0, 0, 0.5);
+                width: 320px;
+                max-width: calc(100vw - 40px);
+                font-size: 14px;
+            `;
+
+            const buttonStyle = `
+                flex: 1;
+                padding: 8px 12px;
+                border: none;
+                border-radius: 8px;
+                color: white;
+                cursor: pointer;
+                font-size: 14px;
+            `;
 
             dialog.innerHTML = `
-        <h3 style="margin: 0 0 16px 0; color: #333;">确认提交?</h3>
-        <p style="margin: 0 0 20px 0; color: #666; font-size: 14px;">
-          识别结果: <strong style="color: #4CAF50; font-size: 18px;">${text}</strong>
-        </p>
-        <div style="display: flex; gap: 12px; justify-content: center;">
-          <button id="captcha-confirm-yes" style="
-            padding: 8px 24px;
-            border: none;
-            border-radius: 6px;
-            background: #4CAF50;
-            color: white;
-            cursor: pointer;
-            font-size: 14px;
-          ">确认</button>
-          <button id="captcha-confirm-no" style="
-            padding: 8px 24px;
-            border: 1px solid #ddd;
-            border-radius: 6px;
-            background: white;
-            color: #666;
-            cursor: pointer;
-            font-size: 14px;
-          ">取消</button>
-        </div>
-      `;
-
-            overlay.appendChild(dialog);
-            document.body.appendChild(overlay);
+                <h3 style="margin: 0 0 16px 0; color: #818cf8; font-size: 16px;">确认提交验证码</h3>
+                <div class="captcha-confirm-image-box" style="display: none; background: #252540; padding: 12px; border-radius: 8px; margin-bottom: 12px; text-align: center;">
+                    <img class="captcha-confirm-image" style="max-width: 100%; max-height: 120px; border-radius: 4px;" />
+                </div>
+                <input type="text" class="captcha-confirm-input" autocomplete="off" spellcheck="false" style="
+                    box-sizing: border-box;
+                    width: 100%;
+                    padding: 8px 12px;
+                    background: #252540;
+                    color: #818cf8;
+                    border: 1px solid #3f3f46;
+                    border-radius: 8px;
+                    font-family: Monaco, Consolas, monospace;
+                    font-size: 20px;
+                    letter-spacing: 2px;
+                    text-align: center;
+                " />
+                <div class="captcha-confirm-status" style="min-height: 18px; margin: 8px 0; color: #a1a1aa; font-size: 12px;">可修改后再提交</div>
+                <div style="display: flex; gap: 8px;">
+                    <button class="captcha-confirm-submit" style="${buttonStyle} background: #6366f1;">提交</button>
+                    <button class="captcha-confirm-retry" style="${buttonStyle} background: #10b981;">重新识别</button>
+                    <button class="captcha-confirm-cancel" style="${buttonStyle} background: #3f3f46;">取消</button>
+                </div>
+            `;
+
+            const input = dialog.querySelector('.captcha-confirm-input');
+            const status = dialog.querySelector('.captcha-confirm-status');
+            const submitBtn = dialog.querySelector('.captcha-confirm-submit');
+            const retryBtn = dialog.querySelector('.captcha-confirm-retry');
+            const cancelBtn = dialog.querySelector('.captcha-confirm-cancel');
+
+            // 识别结果来自模型输出，不能作为HTML插入
+            input.value = text;
+
+            if (imageData) {
+                dialog.querySelector('.captcha-confirm-image').src = imageData;
+                dialog.querySelector('.captcha-confirm-image-box').style.display = 'block';
+            }
 
-            // 事件处理
-            const yesBtn = dialog.querySelector('#captcha-confirm-yes');
-            const noBtn = dialog.querySelector('#captcha-confirm-no');
+            if (!onReRecognize) {
+                retryBtn.style.display = 'none';
+            }
 
-            const cleanup = () => {
-                overlay.remove();
+            const updateSubmitLabel = () => {
+                submitBtn.textContent = countdownTimer ? `提交 (${remaining})` : '提交';
             };
 
-            yesBtn.onclick = () => {
-                cleanup();
-                resolve(true);
+            const stopCountdown = () => {
+                clearInterval(countdownTimer);
+                countdownTimer = null;
+                updateSubmitLabel();
             };
 
-            noBtn.onclick = () => {
-                cleanup();
-                resolve(false);
+            const finish = (result) => {
+                stopCountdown();
+                overlay.remove();
+                this.closeConfirmation = null;
+                resolve(result);
             };
+            this.closeConfirmation = () => finish(null);
 
-            overlay.onclick = (e) => {
-                if (e.target === overlay) {
-                    cleanup();
-                    resolve(false);
-                }
-            };
-        });
-    }
+            const submit = () => {
+                const value = input.value.trim();
 
-    /**
-     * 提交表单
-     * @param {HTMLInputElement} input - 输入框
-     */
-    async submitForm(input) {
-        logger.info('尝试提交表单');
+                if (!value) {
+                    stopCountdown();
+                    status.textContent = '验证码不能为空';
+                    input.focus();
+                    return;
+                }
 
-        // 查找表单
-        const form = input.closest('form');
+                finish({ text: value, edited: value !== recognized });
+            };
 
-        if (form) {
-            // 触发submit事件
-            const submitEvent = new Event('submit', {
-                bubbles: true,
-                cancelable: true
-            });
+            submitBtn.onclick = submit;
+            cancelBtn.onclick = () => finish(null);
+
+            retryBtn.onclick = async () => {
+                stopCountdown();
+                submitBtn.disabled = retryBtn.disabled = true;
+                status.textContent = '重新识别中...';
+
+                try {
+                    recognized = await onReRecognize();
+                    input.value = recognized;
+                    status.textContent = '已重新识别';
+                } catch (error) {
+                    status.textContent = `重新识别失败: ${error.message}`;
+                } finally {
+                    submitBtn.disabled = retryBtn.disabled = false;
+                }
+            };
 
-            const prevented = !form.dispatchEvent(submitEvent);
+            // 用户开始修改后不再自动提交
+            input.addEventListener('focus', stopCountdown);
+            input.addEventListener('input', stopCountdown);
+            input.onkeydown = (e) => {
+                // 避免页面上的回车提交等快捷键
+                e.stopPropagation();
+                if (e.key === 'Enter') submit();
+                if (e.key === 'Escape') finish(null);
+            };
 
-            if (!prevented) {
-                form.submit();
+            if (countdown > 0) {
+                countdownTimer = setInterval(() => {
+                    remaining--;
+                    if (remaining <= 0) {
+                        submit();
+                    } else {
+                        updateSubmitLabel();
+                    }
+                }, 1000);
             }
-        } else {
-            // 尝试查找提交按钮
-            const parent = input.parentElement?.parentElement || document;
-            const submitBtn = parent.querySelector(
-                'button[type="submit"], input[type="submit"], button:not([type])'
-            );
+            updateSubmitLabel();
 
-            if (submitBtn) {
-                submitBtn.click();
-            } else {
-                logger.warn('未找到提交按钮');
-            }
-        }
+            overlay.appendChild(dialog);
+            document.body.appendChild(overlay);
+        });
     }
 
     /**
@@ -1,35 +1,28 @@
 /**
  * 验证码检测器模块
- * 自动检测网页中的验证码图片元素
+ * 自动检测网页中的验证码图片元素，并持续监听页面变化
  */
 
 import * as logger from '../utils/logger.js';
 
 // 验证码元素特征
 const CAPTCHA_PATTERNS = {
-    // 类名关键词
     classKeywords: [
         'captcha', 'verify', 'code', 'vcode', 'imgcode',
         'checkcode', 'seccode', 'authcode', 'validcode',
         'yzm', 'yanzhengma', '验证码'
     ],
-
-    // ID关键词
     idKeywords: [
         'captcha', 'verify', 'code', 'vcode', 'imgcode',
         'checkcode', 'seccode', 'authcode', 'validcode',
         'yzm', 'captchaImg', 'codeImg'
     ],
-
-    // 常见验证码图片尺寸范围
     sizeRange: {
         minWidth: 50,
         maxWidth: 300,
         minHeight: 20,
         maxHeight: 100
     },
-
-    // 输入框类名/ID关键词
     inputKeywords: [
         'captcha', 'verify', 'code', 'vcode',
         'checkcode', 'seccode', 'authcode', 'validcode',
@@ -37,13 +30,47 @@ const CAPTCHA_PATTERNS = {
     ]
 };
 
+// DOM变化后重新扫描的防抖间隔，以及持续变化时的最长等待时间
+const RESCAN_DEBOUNCE = 500;
+const RESCAN_MAX_WAIT = 2000;
+
+// 可能使元素出现、隐藏或改变尺寸的属性
+export const WATCHED_ATTRIBUTES = ['src', 'style', 'class', 'hidden', 'width', 'height'];
+
+// 扩展自身插入页面的元素，其变化不触发重新扫描
+const OWN_UI_SELECTOR = '#captcha-debug-preview, #captcha-picker-overlay, #captcha-picker-tooltip, #captcha-save-toast, #captcha-result-toast, #captcha-confirm-overlay, #captcha-solve-widgets';
+
+// 扩展在页面元素上写入的行内样式（高亮等） 元素 -> 写入后的 style 属性值
+const ownStyles = new WeakMap();
+
+/**
+ * 修改页面元素的行内样式，记录为扩展自身的修改，其引起的DOM变化不触发重新扫描
+ * @param {HTMLElement} element - 元素
+ * @param {object} styles - 样式，如 { outline: '3px solid #4CAF50' }，值为空字符串时移除
+ */
+export function setOwnStyles(element, styles) {
+    Object.assign(element.style, styles);
+    ownStyles.set(element, element.getAttribute('style'));
+}
+
 /**
  * 验证码检测器类
  */
 export class CaptchaDetector {
     constructor() {
         this.detectedCaptchas = [];
-        this.observers = [];
+        // 手动选择或网站规则指定的验证码，存在时自动扫描不会覆盖
+        this.selectedCaptcha = null;
+        // 为元素分配稳定的ID，重新扫描后弹窗持有的ID仍然有效
+        this.elementIds = new WeakMap();
+        this.nextId = 0;
+
+        this.observer = null;
+        this.onChange = null;
+        this.rescanTimer = null;
+        this.rescanPendingSince = 0;
+        this.lastSignature = '';
+        this.handleDomEvent = () => this.scheduleRescan();
     }
 
     /**
@@ -52,20 +79,12 @@ export class CaptchaDetector {
      */
     scan() {
         logger.debug('开始扫描页面验证码');
-
         this.detectedCaptchas = [];
-
-        // 扫描img元素
+        this.selectedCaptcha = null;
         this.scanImages();
-
-        // 扫描canvas元素
         this.scanCanvas();
-
-        // 扫描svg元素
         this.scanSvg();
-
         logger.info(`扫描完成，找到 ${this.detectedCaptchas.length} 个可能的验证码`);
-
         return this.detectedCaptchas;
     }
 
@@ -74,21 +93,17 @@ export class CaptchaDetector {
      */
     scanImages() {
         const images = document.querySelectorAll('img');
-
-        images.forEach((img, index) => {
+        images.forEach((img) => {
             if (this.isLikelyCaptcha(img)) {
-                const captchaInfo = {
+                this.detectedCaptchas.push({
                     type: 'image',
                     element: img,
                     src: img.src,
                     rect: img.getBoundingClientRect(),
                     confidence: this.calculateConfidence(img),
                     inputElement: this.findRelatedInput(img),
-                    id: `captcha-${index}`
-                };
-
-                this.detectedCaptchas.push(captchaInfo);
-                logger.debug('找到可能的验证码图片', captchaInfo);
+                    id: this.getElementId(img, 'captcha')
+                });
             }
         });
     }
@@ -98,20 +113,16 @@ export class CaptchaDetector {
      */
     scanCanvas() {
         const canvases = document.querySelectorAll('canvas');
-
-        canvases.forEach((canvas, index) => {
+        canvases.forEach((canvas) => {
             if (this.isLikelyCanvasCaptcha(canvas)) {
-                const captchaInfo = {
+                this.detectedCaptchas.push({
                     type: 'canvas',
                     element: canvas,
                     rect: canvas.getBoundingClientRect(),
                     confidence: this.calculateConfidence(canvas),
                     inputElement: this.findRelatedInput(canvas),
-                    id: `captcha-canvas-${index}`
-                };
-
-                this.detectedCaptchas.push(captchaInfo);
-                logger.debug('找到可能的Canvas验证码', captchaInfo);
+                    id: this.getElementId(canvas, 'captcha-canvas')
+                });
             }
         });
     }
@@ -121,66 +132,158 @@ export class CaptchaDetector {
      */
     scanSvg() {
         const svgs = document.querySelectorAll('svg');
-
-        svgs.forEach((svg, index) => {
+        svgs.forEach((svg) => {
             if (this.isLikelySvgCaptcha(svg)) {
-                const captchaInfo = {
+                this.detectedCaptchas.push({
                     type: 'svg',
                     element: svg,
                     rect: svg.getBoundingClientRect(),
                     confidence: this.calculateConfidence(svg),
                     inputElement: this.findRelatedInput(svg),
-                    id: `captcha-svg-${index}`
-                };
+                    id: this.getElementId(svg, 'captcha-svg')
+                });
+            }
+        });
+    }
 
-                this.detectedCaptchas.push(captchaInfo);
-                logger.debug('找到可能的SVG验证码', captchaInfo);
+    getElementId(element, prefix) {
+        let id = this.elementIds.get(element);
+        if (!id) {
+            id = `${prefix}-${this.nextId++}`;
+            this.elementIds.set(element, id);
+        }
+        return id;
+    }
+
+    /**
+     * 指定当前验证码（手动选择或网站规则），替代自动检测结果
+     */
+    select(captchaInfo) {
+        this.selectedCaptcha = captchaInfo;
+        this.detectedCaptchas = [captchaInfo];
+        this.notifyIfChanged();
+    }
+
+    // ==================== 持续监听 ====================
+
+    /**
+     * 开始监听DOM变化，候选验证码集合变化时回调
+     * @param {Function} onChange - 回调，参数为当前检测到的验证码列表
+     */
+    startWatching(onChange) {
+        if (this.observer) return;
+
+        this.onChange = onChange;
+        this.lastSignature = this.getSignature();
+
+        this.observer = new MutationObserver((mutations) => {
+            if (mutations.some(m => !this.isOwnMutation(m))) {
+                this.scheduleRescan();
             }
         });
+        this.observer.observe(document.documentElement, {
+            childList: true,
+            subtree: true,
+            attributes: true,
+            attributeFilter: WATCHED_ATTRIBUTES
+        });
+
+        // 图片加载完成和过渡动画结束会改变尺寸和可见性，但不产生DOM变化
+        document.addEventListener('load', this.handleDomEvent, true);
+        document.addEventListener('transitionend', this.handleDomEvent, true);
+        document.addEventListener('animationend', this.handleDomEvent, true);
+
+        logger.debug('已开始监听页面变化');
+    }
+
+    stopWatching() {
+        if (!this.observer) return;
+
+        this.observer.disconnect();
+        this.observer = null;
+        clearTimeout(this.rescanTimer);
+        this.rescanTimer = null;
+        this.rescanPendingSince = 0;
+
+        document.removeEventListener('load', this.handleDomEvent, true);
+        document.removeEventListener('transitionend', this.handleDomEvent, true);
+        document.removeEventListener('animationend', this.handleDomEvent, true);
     }
 
     /**
-     * 判断img元素是否可能是验证码
-     * @param {HTMLImageElement} img
-     * @returns {boolean}
+     * 防抖安排重新扫描；页面持续变化时最多等待 RESCAN_MAX_WAIT
      */
-    isLikelyCaptcha(img) {
-        // 检查尺寸
-        const rect = img.getBoundingClientRect();
-        if (!this.isCaptchaSize(rect.width, rect.height)) {
-            return false;
-        }
+    scheduleRescan() {
+        const now = Date.now();
+        if (!this.rescanPendingSince) this.rescanPendingSince = now;
+
+        const wait = Math.min(RESCAN_DEBOUNCE, this.rescanPendingSince + RESCAN_MAX_WAIT - now);
+
+        clearTimeout(this.rescanTimer);
+        this.rescanTimer = setTimeout(() => {
+            this.rescanTimer = null;
+            this.rescanPendingSince = 0;
+            this.rescan();
+        }, Math.max(0, wait));
+    }
 
-        // 检查是否可见
-        if (!this.isVisible(img)) {
-            return false;
-        }
+    rescan() {
+        // 已选择的验证码仍在页面上时保持不变
+        if (this.selectedCaptcha?.element.isConnected) return;
 
-        // 检查类名和ID
-        if (this.matchesKeywords(img)) {
-            return true;
-        }
+        this.scan();
+        this.notifyIfChanged();
+    }
 
-        // 检查src中的关键词
-        if (this.srcContainsKeywords(img.src)) {
-            return true;
-        }
+    isOwnMutation(mutation) {
+        const isOwn = node => node.nodeType === Node.ELEMENT_NODE && !!node.closest(OWN_UI_SELECTOR);
 
-        // 检查alt属性
-        if (this.matchesKeywordsInText(img.alt)) {
-            return true;
+        if (mutation.type === 'childList') {
+            const nodes = [...mutation.addedNodes, ...mutation.removedNodes];
+            return nodes.length > 0 && nodes.every(isOwn);
         }
 
-        // 检查父元素
-        if (this.parentContainsKeywords(img)) {
+        // 样式仍是扩展最后写入的值，说明页面没有再修改
+        if (mutation.attributeName === 'style' &&
+            ownStyles.get(mutation.target) === mutation.target.getAttribute('style')) {
             return true;
         }
 
-        // 检查附近是否有验证码输入框
-        if (this.hasNearbyInput(img)) {
-            return true;
-        }
+        return isOwn(mutation.target);
+    }
+
+    /**
+     * 候选集合的签名，用于判断是否需要通知
+     */
+    getSignature() {
+        const best = this.getMostLikelyCaptcha();
+        return `${this.detectedCaptchas.map(c => c.id).join(',')}|${best?.confidence || 0}`;
+    }
+
+    notifyIfChanged() {
+        const signature = this.getSignature();
+        if (signature === this.lastSignature) return;
 
+        this.lastSignature = signature;
+        logger.debug('验证码候选已变化', signature);
+
+        if (this.onChange) this.onChange(this.detectedCaptchas);
+    }
+
+    /**
+     * 判断img元素是否可能是验证码
+     * @param {HTMLImageElement} img
+     * @returns {boolean}
+     */
+    isLikelyCaptcha(img) {
+        const rect = img.getBoundingClientRect();
+        if (!this.isCaptchaSize(rect.width, rect.height)) return false;
+        if (!this.isVisible(img)) return false;
+        if (this.matchesKeywords(img)) return true;
+        if (this.srcContainsKeywords(img.src)) return true;
+        if (this.matchesKeywordsInText(img.alt)) return true;
+        if (this.parentContainsKeywords(img)) return true;
+        if (this.hasNearbyInput(img)) return true;
         return false;
     }
 
@@ -191,27 +294,11 @@ export class CaptchaDetector {
      */
     isLikelyCanvasCaptcha(canvas) {
         const rect = canvas.getBoundingClientRect();
-
-        if (!this.isCaptchaSize(rect.width, rect.height)) {
-            return false;
-        }
-
-        if (!this.isVisible(canvas)) {
-            return false;
-        }
-
-        if (this.matchesKeywords(canvas)) {
-            return true;
-        }
-
-        if (this.parentContainsKeywords(canvas)) {
-            return true;
-        }
-
-        if (this.hasNearbyInput(canvas)) {
-            return true;
-        }
-
+        if (!this.isCaptchaSize(rect.width, rect.height)) return false;
+        if (!this.isVisible(canvas)) return false;
+        if (this.matchesKeywords(canvas)) return true;
+        if (this.parentContainsKeywords(canvas)) return true;
+        if (this.hasNearbyInput(canvas)) return true;
         return false;
     }
 
@@ -222,27 +309,11 @@ export class CaptchaDetector {
      */
     isLikelySvgCaptcha(svg) {
         const rect = svg.getBoundingClientRect();
-
-        if (!this.isCaptchaSize(rect.width, rect.height)) {
-            return false;
-        }
-
-        if (!this.isVisible(svg)) {
-            return false;
-        }
-
-        if (this.matchesKeywords(svg)) {
-            return true;
-        }
-
-        if (this.parentContainsKeywords(svg)) {
-            return true;
-        }
-
-        if (this.hasNearbyInput(svg)) {
-            return true;
-        }
-
+        if (!this.isCaptchaSize(rect.width, rect.height)) return false;
+        if (!this.isVisible(svg)) return false;
+        if (this.matchesKeywords(svg)) return true;
+        if (this.parentContainsKeywords(svg)) return true;
+        if (this.hasNearbyInput(svg)) return true;
         return false;
     }
 
@@ -254,8 +325,7 @@ export class CaptchaDetector {
      */
     isCaptchaSize(width, height) {
         const { minWidth, maxWidth, minHeight, maxHeight } = CAPTCHA_PATTERNS.sizeRange;
-        return width >= minWidth && width <= maxWidth &&
-            height >= minHeight && height <= maxHeight;
+        return width >= minWidth && width <= maxWidth && height >= minHeight && height <= maxHeight;
     }
 
     /**
@@ -266,12 +336,8 @@ export class CaptchaDetector {
     isVisible(element) {
         const style = window.getComputedStyle(element);
         const rect = element.getBoundingClientRect();
-
-        return style.display !== 'none' &&
-            style.visibility !== 'hidden' &&
-            style.opacity !== '0' &&
-            rect.width > 0 &&
-            rect.height > 0;
+        return style.display !== 'none' && style.visibility !== 'hidden' &&
+            style.opacity !== '0' && rect.width > 0 && rect.height > 0;
     }
 
     /**
@@ -280,18 +346,10 @@ export class CaptchaDetector {
      * @returns {boolean}
      */
     matchesKeywords(element) {
-        const className = (element.className || '').toLowerCase();
+        const className = (element.className || '').toString().toLowerCase();
         const id = (element.id || '').toLowerCase();
-
-        const matchClass = CAPTCHA_PATTERNS.classKeywords.some(
-            keyword => className.includes(keyword)
-        );
-
-        const matchId = CAPTCHA_PATTERNS.idKeywords.some(
-            keyword => id.includes(keyword)
-        );
-
-        return matchClass || matchId;
+        return CAPTCHA_PATTERNS.classKeywords.some(k => className.includes(k)) ||
+            CAPTCHA_PATTERNS.idKeywords.some(k => id.includes(k));
     }
 
     /**
@@ -302,9 +360,7 @@ export class CaptchaDetector {
     matchesKeywordsInText(text) {
         if (!text) return false;
         const lowerText = text.toLowerCase();
-        return CAPTCHA_PATTERNS.classKeywords.some(
-            keyword => lowerText.includes(keyword)
-        );
+        return CAPTCHA_PATTERNS.classKeywords.some(k => lowerText.includes(k));
     }
 
     /**
@@ -315,9 +371,7 @@ export class CaptchaDetector {
     srcContainsKeywords(src) {
         if (!src) return false;
         const lowerSrc = src.toLowerCase();
-        return CAPTCHA_PATTERNS.classKeywords.some(
-            keyword => lowerSrc.includes(keyword)
-        );
+        return CAPTCHA_PATTERNS.classKeywords.some(k => lowerSrc.includes(k));
     }
 
     /**
@@ -328,16 +382,11 @@ export class CaptchaDetector {
     parentContainsKeywords(element) {
         let parent = element.parentElement;
         let depth = 0;
-        const maxDepth = 3;
-
-        while (parent && depth < maxDepth) {
-            if (this.matchesKeywords(parent)) {
-                return true;
-            }
+        while (parent && depth < 3) {
+            if (this.matchesKeywords(parent)) return true;
             parent = parent.parentElement;
             depth++;
         }
-
         return false;
     }
 
@@ -356,48 +405,25 @@ export class CaptchaDetector {
      * @returns {HTMLInputElement|null}
      */
     findRelatedInput(element) {
-        // 策略1: 在父容器内查找
         let parent = element.parentElement;
         let depth = 0;
-        const maxDepth = 5;
-
-        while (parent && depth < maxDepth) {
+        while (parent && depth < 5) {
             const input = this.findCaptchaInput(parent);
-            if (input) {
-                return input;
-            }
+            if (input) return input;
             parent = parent.parentElement;
             depth++;
         }
 
-        // 策略2: 在相邻元素中查找
         const rect = element.getBoundingClientRect();
         const inputs = document.querySelectorAll('input[type="text"], input:not([type])');
 
         for (const input of inputs) {
             const inputRect = input.getBoundingClientRect();
-            const distance = Math.abs(inputRect.top - rect.top) + Math.abs(inputRect.left - rect.right);
-
-            // 如果输入框在验证码右侧或下方100px范围内
-            if (distance < 200 && this.isCaptchaInputByName(input)) {
-                return input;
-            }
-        }
-
-        // 策略3: 按位置查找最近的输入框
-        for (const input of inputs) {
-            const inputRect = input.getBoundingClientRect();
-
-            // 输入框在验证码右侧
-            if (inputRect.left > rect.right &&
-                inputRect.left - rect.right < 150 &&
+            if (inputRect.left > rect.right && inputRect.left - rect.right < 150 &&
                 Math.abs(inputRect.top - rect.top) < 50) {
                 return input;
             }
-
-            // 输入框在验证码下方
-            if (inputRect.top > rect.bottom &&
-                inputRect.top - rect.bottom < 100 &&
+            if (inputRect.top > rect.bottom && inputRect.top - rect.bottom < 100 &&
                 Math.abs(inputRect.left - rect.left) < 100) {
                 return input;
             }
@@ -413,13 +439,9 @@ export class CaptchaDetector {
      */
     findCaptchaInput(container) {
         const inputs = container.querySelectorAll('input[type="text"], input:not([type])');
-
         for (const input of inputs) {
-            if (this.isCaptchaInputByName(input)) {
-                return input;
-            }
+            if (this.isCaptchaInputByName(input)) return input;
         }
-
         return null;
     }
 
@@ -432,13 +454,9 @@ export class CaptchaDetector {
         const name = (input.name || '').toLowerCase();
         const id = (input.id || '').toLowerCase();
         const placeholder = (input.placeholder || '').toLowerCase();
-        const className = (input.className || '').toLowerCase();
-
-        return CAPTCHA_PATTERNS.inputKeywords.some(keyword =>
-            name.includes(keyword) ||
-            id.includes(keyword) ||
-            placeholder.includes(keyword) ||
-            className.includes(keyword)
+        const className = (input.className || '').toString().toLowerCase();
+        return CAPTCHA_PATTERNS.inputKeywords.some(k =>
+            name.includes(k) || id.includes(k) || placeholder.includes(k) || className.includes(k)
         );
     }
 
@@ -449,33 +467,12 @@ export class CaptchaDetector {
      */
     calculateConfidence(element) {
         let score = 0;
-
-        // 类名/ID匹配 +30
-        if (this.matchesKeywords(element)) {
-            score += 30;
-        }
-
-        // src关键词 +20
-        if (element.src && this.srcContainsKeywords(element.src)) {
-            score += 20;
-        }
-
-        // 父元素匹配 +15
-        if (this.parentContainsKeywords(element)) {
-            score += 15;
-        }
-
-        // 有关联输入框 +25
-        if (this.findRelatedInput(element)) {
-            score += 25;
-        }
-
-        // 尺寸合理 +10
+        if (this.matchesKeywords(element)) score += 30;
+        if (element.src && this.srcContainsKeywords(element.src)) score += 20;
+        if (this.parentContainsKeywords(element)) score += 15;
+        if (this.findRelatedInput(element)) score += 25;
         const rect = element.getBoundingClientRect();
-        if (this.isCaptchaSize(rect.width, rect.height)) {
-            score += 10;
-        }
-
+        if (this.isCaptchaSize(rect.width, rect.height)) score += 10;
         return Math.min(score, 100);
     }
 
@@ -485,8 +482,6 @@ export class CaptchaDetector {
      * @returns {Promise<string>} - Base64图像数据
      */
     async captureImage(captchaInfo) {
-        logger.debug('捕获验证码图像', { type: captchaInfo.type });
-
         switch (captchaInfo.type) {
             case 'image':
                 return this.captureImgElement(captchaInfo.element);
@@ -505,48 +500,132 @@ export class CaptchaDetector {
      * @returns {Promise<string>}
      */
     async captureImgElement(img) {
+        // 首先确保图片已完全加载
+        await this.waitForImageLoad(img);
+
         return new Promise((resolve, reject) => {
-            // 如果是跨域图片，需要特殊处理
-            const canvas = document.createElement('canvas');
-            const ctx = canvas.getContext('2d');
+            try {
+                // 方法1：直接从页面上已渲染的img元素绘制到canvas
+                // 这样不会重新请求URL，避免验证码刷新
+                const canvas = document.createElement('canvas');
+                const ctx = canvas.getContext('2d');
+
+                // 使用图片的实际渲染尺寸或原始尺寸
+                const width = img.naturalWidth || img.width;
+                const height = img.naturalHeight || img.height;
+
+                if (width === 0 || height === 0) {
+                    reject(new Error('图片尺寸为0，可能未加载完成'));
+                    return;
+                }
 
-            // 创建新图片以处理跨域
-            const newImg = new Image();
-            newImg.crossOrigin = 'anonymous';
+                canvas.width = width;
+                canvas.height = height;
 
-            newImg.onload = () => {
-                canvas.width = newImg.naturalWidth || newImg.width;
-                canvas.height = newImg.naturalHeight || newImg.height;
-                ctx.drawImage(newImg, 0, 0);
+                // 直接绘制页面上的img元素
+                ctx.drawImage(img, 0, 0, width, height);
 
                 try {
                     const dataUrl = canvas.toDataURL('image/png');
+
+                    // 检查是否成功获取了图像数据
+                    if (dataUrl === 'data:,') {
+                        throw new Error('获取到空白图像');
+                    }
+
+                    logger.info('直接从页面img元素捕获成功', { width, height });
                     resolve(dataUrl);
-                } catch (error) {
-                    // 如果跨域失败，尝试直接返回src
+                } catch (securityError) {
+                    // 如果因为跨域安全策略无法直接绘制，尝试备用方案
+                    logger.warn('直接绘制失败，尝试备用方案', securityError.message);
+
+                    // 备用方案：如果src是data URL，直接使用
                     if (img.src.startsWith('data:')) {
+                        logger.info('使用data URL');
                         resolve(img.src);
-                    } else {
-                        reject(new Error('无法捕获跨域图片'));
+                        return;
                     }
+
+                    // 备用方案2：尝试使用html2canvas方式截取元素
+                    this.captureElementAsScreenshot(img)
+                        .then(resolve)
+                        .catch(() => {
+                            reject(new Error('无法捕获跨域图片，请尝试手动截图'));
+                        });
                 }
+            } catch (error) {
+                logger.error('图片捕获失败', error);
+                reject(error);
+            }
+        });
+    }
+
+    /**
+     * 等待图片加载完成
+     */
+    async waitForImageLoad(img) {
+        // 如果图片已经加载完成
+        if (img.complete && img.naturalWidth > 0) {
+            return Promise.resolve();
+        }
+
+        // 如果是data URL，直接返回
+        if (img.src && img.src.startsWith('data:')) {
+            return Promise.resolve();
+        }
+
+        logger.info('等待图片加载完成...');
+
+        return new Promise((resolve, reject) => {
+            const timeout = setTimeout(() => {
+                reject(new Error('图片加载超时'));
+            }, 5000);
+
+            img.onload = () => {
+                clearTimeout(timeout);
+                logger.info('图片加载完成');
+                resolve();
             };
 
-            newImg.onerror = () => {
-                // 尝试使用原始src
-                if (img.src.startsWith('data:')) {
-                    resolve(img.src);
-                } else {
-                    reject(new Error('图片加载失败'));
-                }
+            img.onerror = () => {
+                clearTimeout(timeout);
+                reject(new Error('图片加载失败'));
             };
 
-            // 添加时间戳避免缓存
-            const srcWithTimestamp = img.src.includes('?')
-                ? `${img.src}&_t=${Date.now()}`
-                : `${img.src}?_t=${Date.now()}`;
+            // 如果图片已经在加载过程中完成了
+            if (img.complete && img.naturalWidth > 0) {
+                clearTimeout(timeout);
+                resolve();
+            }
+        });
+    }
+
+    /**
+     * 使用屏幕截图方式捕获元素（备用方案）
+     */
+    async captureElementAsScreenshot(element) {
+        return new Promise((resolve, reject) => {
+            try {
+                const rect = element.getBoundingClientRect();
+                const canvas = document.createElement('canvas');
+                const ctx = canvas.getContext('2d');
 
-            newImg.src = srcWithTimestamp;
+                // 使用元素的显示尺寸
+                canvas.width = rect.width;
+                canvas.height = rect.height;
+
+                // 尝试直接绘制
+                ctx.drawImage(element, 0, 0, rect.width, rect.height);
+
+                const dataUrl = canvas.toDataURL('image/png');
+                if (dataUrl && dataUrl !== 'data:,') {
+                    resolve(dataUrl);
+                } else {
+                    reject(new Error('截图失败'));
+                }
+            } catch (error) {
+                reject(error);
+            }
         });
     }
 
@@ -567,41 +646,30 @@ export class CaptchaDetector {
     async captureSvgElement(svg) {
         return new Promise((resolve, reject) => {
             try {
-                // 克隆SVG
                 const clonedSvg = svg.cloneNode(true);
-
-                // 获取尺寸
                 const rect = svg.getBoundingClientRect();
                 clonedSvg.setAttribute('width', rect.width);
                 clonedSvg.setAttribute('height', rect.height);
 
-                // 序列化SVG
                 const serializer = new XMLSerializer();
                 const svgString = serializer.serializeToString(clonedSvg);
-
-                // 创建Blob
                 const blob = new Blob([svgString], { type: 'image/svg+xml' });
                 const url = URL.createObjectURL(blob);
 
-                // 转换为PNG
                 const img = new Image();
                 img.onload = () => {
                     const canvas = document.createElement('canvas');
                     canvas.width = rect.width;
                     canvas.height = rect.height;
-
                     const ctx = canvas.getContext('2d');
                     ctx.drawImage(img, 0, 0);
-
                     URL.revokeObjectURL(url);
                     resolve(canvas.toDataURL('image/png'));
                 };
-
                 img.onerror = () => {
                     URL.revokeObjectURL(url);
                     reject(new Error('SVG转换失败'));
                 };
-
                 img.src = url;
             } catch (error) {
                 reject(error);
@@ -614,9 +682,9 @@ export class CaptchaDetector {
      * @param {object} captchaInfo - 验证码信息
      */
     highlight(captchaInfo) {
-        const element = captchaInfo.element;
-        element.style.outline = '3px solid #4CAF50';
-        element.style.outlineOffset = '2px';
+        if (captchaInfo && captchaInfo.element) {
+            setOwnStyles(captchaInfo.element, { outline: '3px solid #4CAF50', outlineOffset: '2px' });
+        }
     }
 
     /**
@@ -624,9 +692,9 @@ export class CaptchaDetector {
      * @param {object} captchaInfo - 验证码信息
      */
     unhighlight(captchaInfo) {
-        const element = captchaInfo.element;
-        element.style.outline = '';
-        element.style.outlineOffset = '';
+        if (captchaInfo && captchaInfo.element) {
+            setOwnStyles(captchaInfo.element, { outline: '', outlineOffset: '' });
+        }
     }
 
     /**
@@ -642,10 +710,7 @@ export class CaptchaDetector {
      * @returns {object|null}
      */
     getMostLikelyCaptcha() {
-        if (this.detectedCaptchas.length === 0) {
-            return null;
-        }
-
+        if (this.detectedCaptchas.length === 0) return null;
         return this.detectedCaptchas.reduce((best, current) =>
             current.confidence > best.confidence ? current : best
         );
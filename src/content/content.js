@@ -1,1450 +1,3941 @@
 /**
  * 内容脚本 - 打包版本（无ES模块依赖）
  * 在网页中运行，负责验证码检测和自动填充
+ *
+ * 此文件由 scripts/build-content.mjs 根据 src/content/ 下的模块生成，请勿直接修改
  */
 
 (function () {
-    'use strict';
+'use strict';
 
-    // ==================== 日志模块 ====================
-    let debugMode = false;
+// ==================== src/utils/logger.js ====================
+const __utils_logger = (function () {
+/**
+ * 日志系统模块
+ * 提供分级日志记录和调试模式支持
+ */
+
+// 日志级别
+const LOG_LEVELS = {
+    DEBUG: 0,
+    INFO: 1,
+    WARN: 2,
+    ERROR: 3,
+    NONE: 4
+};
+
+// 当前日志级别
+let currentLevel = LOG_LEVELS.INFO;
+
+// 日志前缀
+const PREFIX = '[AI Captcha]';
+
+// 颜色配置
+const COLORS = {
+    DEBUG: '#7f8c8d',
+    INFO: '#3498db',
+    WARN: '#f39c12',
+    ERROR: '#e74c3c'
+};
+
+/**
+ * 设置日志级别
+ * @param {number} level - 日志级别
+ */
+function setLevel(level) {
+    currentLevel = level;
+}
+
+/**
+ * 启用调试模式
+ */
+function enableDebug() {
+    currentLevel = LOG_LEVELS.DEBUG;
+}
+
+/**
+ * 禁用调试模式
+ */
+function disableDebug() {
+    currentLevel = LOG_LEVELS.INFO;
+}
+
+/**
+ * 格式化日志消息
+ * @param {string} level - 日志级别名称
+ * @param {string} message - 消息
+ * @param {any[]} args - 额外参数
+ * @returns {Array}
+ */
+function formatMessage(level, message, args) {
+    const timestamp = new Date().toISOString().substr(11, 12);
+    return [
+        `%c${PREFIX} %c${timestamp} %c[${level}]%c ${message}`,
+        'color: #9b59b6; font-weight: bold',
+        'color: #95a5a6',
+        `color: ${COLORS[level]}; font-weight: bold`,
+        'color: inherit',
+        ...args
+    ];
+}
+
+/**
+ * 调试日志
+ * @param {string} message - 消息
+ * @param {...any} args - 额外参数
+ */
+function debug(message, ...args) {
+    if (currentLevel <= LOG_LEVELS.DEBUG) {
+        console.log(...formatMessage('DEBUG', message, args));
+    }
+}
+
+/**
+ * 信息日志
+ * @param {string} message - 消息
+ * @param {...any} args - 额外参数
+ */
+function info(message, ...args) {
+    if (currentLevel <= LOG_LEVELS.INFO) {
+        console.log(...formatMessage('INFO', message, args));
+    }
+}
+
+/**
+ * 警告日志
+ * @param {string} message - 消息
+ * @param {...any} args - 额外参数
+ */
+function warn(message, ...args) {
+    if (currentLevel <= LOG_LEVELS.WARN) {
+        console.warn(...formatMessage('WARN', message, args));
+    }
+}
+
+/**
+ * 错误日志
+ * @param {string} message - 消息
+ * @param {...any} args - 额外参数
+ */
+function error(message, ...args) {
+    if (currentLevel <= LOG_LEVELS.ERROR) {
+        console.error(...formatMessage('ERROR', message, args));
+    }
+}
+
+/**
+ * 分组日志
+ * @param {string} label - 分组标签
+ * @param {Function} fn - 分组内容函数
+ */
+function group(label, fn) {
+    if (currentLevel <= LOG_LEVELS.DEBUG) {
+        console.group(`${PREFIX} ${label}`);
+        fn();
+        console.groupEnd();
+    }
+}
+
+/**
+ * 表格日志
+ * @param {any} data - 表格数据
+ */
+function table(data) {
+    if (currentLevel <= LOG_LEVELS.DEBUG) {
+        console.table(data);
+    }
+}
+
+/**
+ * 计时开始
+ * @param {string} label - 计时标签
+ */
+function time(label) {
+    if (currentLevel <= LOG_LEVELS.DEBUG) {
+        console.time(`${PREFIX} ${label}`);
+    }
+}
+
+/**
+ * 计时结束
+ * @param {string} label - 计时标签
+ */
+function timeEnd(label) {
+    if (currentLevel <= LOG_LEVELS.DEBUG) {
+        console.timeEnd(`${PREFIX} ${label}`);
+    }
+}
+
+// 导出默认日志对象
+const __default = {
+    LOG_LEVELS,
+    setLevel,
+    enableDebug,
+    disableDebug,
+    debug,
+    info,
+    warn,
+    error,
+    group,
+    table,
+    time,
+    timeEnd
+};
+
+return { LOG_LEVELS, setLevel, enableDebug, disableDebug, debug, info, warn, error, group, table, time, timeEnd, default: __default };
+})();
+
+// ==================== src/content/captcha-detector.js ====================
+const __content_captcha_detector = (function () {
+/**
+ * 验证码检测器模块
+ * 自动检测网页中的验证码图片元素，并持续监听页面变化
+ */
+
+const logger = __utils_logger;
+
+// 验证码元素特征
+const CAPTCHA_PATTERNS = {
+    classKeywords: [
+        'captcha', 'verify', 'code', 'vcode', 'imgcode',
+        'checkcode', 'seccode', 'authcode', 'validcode',
+        'yzm', 'yanzhengma', '验证码'
+    ],
+    idKeywords: [
+        'captcha', 'verify', 'code', 'vcode', 'imgcode',
+        'checkcode', 'seccode', 'authcode', 'validcode',
+        'yzm', 'captchaImg', 'codeImg'
+    ],
+    sizeRange: {
+        minWidth: 50,
+        maxWidth: 300,
+        minHeight: 20,
+        maxHeight: 100
+    },
+    inputKeywords: [
+        'captcha', 'verify', 'code', 'vcode',
+        'checkcode', 'seccode', 'authcode', 'validcode',
+        'yzm', 'yanzhengma', '验证码'
+    ]
+};
+
+// DOM变化后重新扫描的防抖间隔，以及持续变化时的最长等待时间
+const RESCAN_DEBOUNCE = 500;
+const RESCAN_MAX_WAIT = 2000;
+
+// 可能使元素出现、隐藏或改变尺寸的属性
+const WATCHED_ATTRIBUTES = ['src', 'style', 'class', 'hidden', 'width', 'height'];
+
+// 扩展自身插入页面的元素，其变化不触发重新扫描
+const OWN_UI_SELECTOR = '#captcha-debug-preview, #captcha-picker-overlay, #captcha-picker-tooltip, #captcha-save-toast, #captcha-result-toast, #captcha-confirm-overlay, #captcha-solve-widgets';
+
+// 扩展在页面元素上写入的行内样式（高亮等） 元素 -> 写入后的 style 属性值
+const ownStyles = new WeakMap();
+
+/**
+ * 修改页面元素的行内样式，记录为扩展自身的修改，其引起的DOM变化不触发重新扫描
+ * @param {HTMLElement} element - 元素
+ * @param {object} styles - 样式，如 { outline: '3px solid #4CAF50' }，值为空字符串时移除
+ */
+function setOwnStyles(element, styles) {
+    Object.assign(element.style, styles);
+    ownStyles.set(element, element.getAttribute('style'));
+}
+
+/**
+ * 验证码检测器类
+ */
+class CaptchaDetector {
+    constructor() {
+        this.detectedCaptchas = [];
+        // 手动选择或网站规则指定的验证码，存在时自动扫描不会覆盖
+        this.selectedCaptcha = null;
+        // 为元素分配稳定的ID，重新扫描后弹窗持有的ID仍然有效
+        this.elementIds = new WeakMap();
+        this.nextId = 0;
+
+        this.observer = null;
+        this.onChange = null;
+        this.rescanTimer = null;
+        this.rescanPendingSince = 0;
+        this.lastSignature = '';
+        this.handleDomEvent = () => this.scheduleRescan();
+    }
+
+    /**
+     * 扫描页面查找验证码元素
+     * @returns {Array} - 检测到的验证码信息
+     */
+    scan() {
+        logger.debug('开始扫描页面验证码');
+        this.detectedCaptchas = [];
+        this.selectedCaptcha = null;
+        this.scanImages();
+        this.scanCanvas();
+        this.scanSvg();
+        logger.info(`扫描完成，找到 ${this.detectedCaptchas.length} 个可能的验证码`);
+        return this.detectedCaptchas;
+    }
+
+    /**
+     * 扫描img元素
+     */
+    scanImages() {
+        const images = document.querySelectorAll('img');
+        images.forEach((img) => {
+            if (this.isLikelyCaptcha(img)) {
+                this.detectedCaptchas.push({
+                    type: 'image',
+                    element: img,
+                    src: img.src,
+                    rect: img.getBoundingClientRect(),
+                    confidence: this.calculateConfidence(img),
+                    inputElement: this.findRelatedInput(img),
+                    id: this.getElementId(img, 'captcha')
+                });
+            }
+        });
+    }
+
+    /**
+     * 扫描canvas元素
+     */
+    scanCanvas() {
+        const canvases = document.querySelectorAll('canvas');
+        canvases.forEach((canvas) => {
+            if (this.isLikelyCanvasCaptcha(canvas)) {
+                this.detectedCaptchas.push({
+                    type: 'canvas',
+                    element: canvas,
+                    rect: canvas.getBoundingClientRect(),
+                    confidence: this.calculateConfidence(canvas),
+                    inputElement: this.findRelatedInput(canvas),
+                    id: this.getElementId(canvas, 'captcha-canvas')
+                });
+            }
+        });
+    }
+
+    /**
+     * 扫描svg元素
+     */
+    scanSvg() {
+        const svgs = document.querySelectorAll('svg');
+        svgs.forEach((svg) => {
+            if (this.isLikelySvgCaptcha(svg)) {
+                this.detectedCaptchas.push({
+                    type: 'svg',
+                    element: svg,
+                    rect: svg.getBoundingClientRect(),
+                    confidence: this.calculateConfidence(svg),
+                    inputElement: this.findRelatedInput(svg),
+                    id: this.getElementId(svg, 'captcha-svg')
+                });
+            }
+        });
+    }
+
+    getElementId(element, prefix) {
+        let id = this.elementIds.get(element);
+        if (!id) {
+            id = `${prefix}-${this.nextId++}`;
+            this.elementIds.set(element, id);
+        }
+        return id;
+    }
+
+    /**
+     * 指定当前验证码（手动选择或网站规则），替代自动检测结果
+     */
+    select(captchaInfo) {
+        this.selectedCaptcha = captchaInfo;
+        this.detectedCaptchas = [captchaInfo];
+        this.notifyIfChanged();
+    }
+
+    // ==================== 持续监听 ====================
+
+    /**
+     * 开始监听DOM变化，候选验证码集合变化时回调
+     * @param {Function} onChange - 回调，参数为当前检测到的验证码列表
+     */
+    startWatching(onChange) {
+        if (this.observer) return;
+
+        this.onChange = onChange;
+        this.lastSignature = this.getSignature();
+
+        this.observer = new MutationObserver((mutations) => {
+            if (mutations.some(m => !this.isOwnMutation(m))) {
+                this.scheduleRescan();
+            }
+        });
+        this.observer.observe(document.documentElement, {
+            childList: true,
+            subtree: true,
+            attributes: true,
+            attributeFilter: WATCHED_ATTRIBUTES
+        });
+
+        // 图片加载完成和过渡动画结束会改变尺寸和可见性，但不产生DOM变化
+        document.addEventListener('load', this.handleDomEvent, true);
+        document.addEventListener('transitionend', this.handleDomEvent, true);
+        document.addEventListener('animationend', this.handleDomEvent, true);
+
+        logger.debug('已开始监听页面变化');
+    }
+
+    stopWatching() {
+        if (!this.observer) return;
+
+        this.observer.disconnect();
+        this.observer = null;
+        clearTimeout(this.rescanTimer);
+        this.rescanTimer = null;
+        this.rescanPendingSince = 0;
+
+        document.removeEventListener('load', this.handleDomEvent, true);
+        document.removeEventListener('transitionend', this.handleDomEvent, true);
+        document.removeEventListener('animationend', this.handleDomEvent, true);
+    }
+
+    /**
+     * 防抖安排重新扫描；页面持续变化时最多等待 RESCAN_MAX_WAIT
+     */
+    scheduleRescan() {
+        const now = Date.now();
+        if (!this.rescanPendingSince) this.rescanPendingSince = now;
+
+        const wait = Math.min(RESCAN_DEBOUNCE, this.rescanPendingSince + RESCAN_MAX_WAIT - now);
+
+        clearTimeout(this.rescanTimer);
+        this.rescanTimer = setTimeout(() => {
+            this.rescanTimer = null;
+            this.rescanPendingSince = 0;
+            this.rescan();
+        }, Math.max(0, wait));
+    }
+
+    rescan() {
+        // 已选择的验证码仍在页面上时保持不变
+        if (this.selectedCaptcha?.element.isConnected) return;
+
+        this.scan();
+        this.notifyIfChanged();
+    }
+
+    isOwnMutation(mutation) {
+        const isOwn = node => node.nodeType === Node.ELEMENT_NODE && !!node.closest(OWN_UI_SELECTOR);
+
+        if (mutation.type === 'childList') {
+            const nodes = [...mutation.addedNodes, ...mutation.removedNodes];
+            return nodes.length > 0 && nodes.every(isOwn);
+        }
+
+        // 样式仍是扩展最后写入的值，说明页面没有再修改
+        if (mutation.attributeName === 'style' &&
+            ownStyles.get(mutation.target) === mutation.target.getAttribute('style')) {
+            return true;
+        }
+
+        return isOwn(mutation.target);
+    }
+
+    /**
+     * 候选集合的签名，用于判断是否需要通知
+     */
+    getSignature() {
+        const best = this.getMostLikelyCaptcha();
+        return `${this.detectedCaptchas.map(c => c.id).join(',')}|${best?.confidence || 0}`;
+    }
+
+    notifyIfChanged() {
+        const signature = this.getSignature();
+        if (signature === this.lastSignature) return;
+
+        this.lastSignature = signature;
+        logger.debug('验证码候选已变化', signature);
+
+        if (this.onChange) this.onChange(this.detectedCaptchas);
+    }
+
+    /**
+     * 判断img元素是否可能是验证码
+     * @param {HTMLImageElement} img
+     * @returns {boolean}
+     */
+    isLikelyCaptcha(img) {
+        const rect = img.getBoundingClientRect();
+        if (!this.isCaptchaSize(rect.width, rect.height)) return false;
+        if (!this.isVisible(img)) return false;
+        if (this.matchesKeywords(img)) return true;
+        if (this.srcContainsKeywords(img.src)) return true;
+        if (this.matchesKeywordsInText(img.alt)) return true;
+        if (this.parentContainsKeywords(img)) return true;
+        if (this.hasNearbyInput(img)) return true;
+        return false;
+    }
+
+    /**
+     * 判断canvas元素是否可能是验证码
+     * @param {HTMLCanvasElement} canvas
+     * @returns {boolean}
+     */
+    isLikelyCanvasCaptcha(canvas) {
+        const rect = canvas.getBoundingClientRect();
+        if (!this.isCaptchaSize(rect.width, rect.height)) return false;
+        if (!this.isVisible(canvas)) return false;
+        if (this.matchesKeywords(canvas)) return true;
+        if (this.parentContainsKeywords(canvas)) return true;
+        if (this.hasNearbyInput(canvas)) return true;
+        return false;
+    }
+
+    /**
+     * 判断svg元素是否可能是验证码
+     * @param {SVGElement} svg
+     * @returns {boolean}
+     */
+    isLikelySvgCaptcha(svg) {
+        const rect = svg.getBoundingClientRect();
+        if (!this.isCaptchaSize(rect.width, rect.height)) return false;
+        if (!this.isVisible(svg)) return false;
+        if (this.matchesKeywords(svg)) return true;
+        if (this.parentContainsKeywords(svg)) return true;
+        if (this.hasNearbyInput(svg)) return true;
+        return false;
+    }
+
+    /**
+     * 检查尺寸是否符合验证码特征
+     * @param {number} width
+     * @param {number} height
+     * @returns {boolean}
+     */
+    isCaptchaSize(width, height) {
+        const { minWidth, maxWidth, minHeight, maxHeight } = CAPTCHA_PATTERNS.sizeRange;
+        return width >= minWidth && width <= maxWidth && height >= minHeight && height <= maxHeight;
+    }
+
+    /**
+     * 检查元素是否可见
+     * @param {Element} element
+     * @returns {boolean}
+     */
+    isVisible(element) {
+        const style = window.getComputedStyle(element);
+        const rect = element.getBoundingClientRect();
+        return style.display !== 'none' && style.visibility !== 'hidden' &&
+            style.opacity !== '0' && rect.width > 0 && rect.height > 0;
+    }
+
+    /**
+     * 检查元素的类名和ID是否匹配关键词
+     * @param {Element} element
+     * @returns {boolean}
+     */
+    matchesKeywords(element) {
+        const className = (element.className || '').toString().toLowerCase();
+        const id = (element.id || '').toLowerCase();
+        return CAPTCHA_PATTERNS.classKeywords.some(k => className.includes(k)) ||
+            CAPTCHA_PATTERNS.idKeywords.some(k => id.includes(k));
+    }
+
+    /**
+     * 检查文本是否包含关键词
+     * @param {string} text
+     * @returns {boolean}
+     */
+    matchesKeywordsInText(text) {
+        if (!text) return false;
+        const lowerText = text.toLowerCase();
+        return CAPTCHA_PATTERNS.classKeywords.some(k => lowerText.includes(k));
+    }
+
+    /**
+     * 检查src是否包含关键词
+     * @param {string} src
+     * @returns {boolean}
+     */
+    srcContainsKeywords(src) {
+        if (!src) return false;
+        const lowerSrc = src.toLowerCase();
+        return CAPTCHA_PATTERNS.classKeywords.some(k => lowerSrc.includes(k));
+    }
+
+    /**
+     * 检查父元素是否包含关键词
+     * @param {Element} element
+     * @returns {boolean}
+     */
+    parentContainsKeywords(element) {
+        let parent = element.parentElement;
+        let depth = 0;
+        while (parent && depth < 3) {
+            if (this.matchesKeywords(parent)) return true;
+            parent = parent.parentElement;
+            depth++;
+        }
+        return false;
+    }
+
+    /**
+     * 检查附近是否有输入框
+     * @param {Element} element
+     * @returns {boolean}
+     */
+    hasNearbyInput(element) {
+        return this.findRelatedInput(element) !== null;
+    }
+
+    /**
+     * 查找关联的输入框
+     * @param {Element} element
+     * @returns {HTMLInputElement|null}
+     */
+    findRelatedInput(element) {
+        let parent = element.parentElement;
+        let depth = 0;
+        while (parent && depth < 5) {
+            const input = this.findCaptchaInput(parent);
+            if (input) return input;
+            parent = parent.parentElement;
+            depth++;
+        }
+
+        const rect = element.getBoundingClientRect();
+        const inputs = document.querySelectorAll('input[type="text"], input:not([type])');
+
+        for (const input of inputs) {
+            const inputRect = input.getBoundingClientRect();
+            if (inputRect.left > rect.right && inputRect.left - rect.right < 150 &&
+                Math.abs(inputRect.top - rect.top) < 50) {
+                return input;
+            }
+            if (inputRect.top > rect.bottom && inputRect.top - rect.bottom < 100 &&
+                Math.abs(inputRect.left - rect.left) < 100) {
+                return input;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * 在容器内查找验证码输入框
+     * @param {Element} container
+     * @returns {HTMLInputElement|null}
+     */
+    findCaptchaInput(container) {
+        const inputs = container.querySelectorAll('input[type="text"], input:not([type])');
+        for (const input of inputs) {
+            if (this.isCaptchaInputByName(input)) return input;
+        }
+        return null;
+    }
+
+    /**
+     * 根据输入框名称判断是否是验证码输入框
+     * @param {HTMLInputElement} input
+     * @returns {boolean}
+     */
+    isCaptchaInputByName(input) {
+        const name = (input.name || '').toLowerCase();
+        const id = (input.id || '').toLowerCase();
+        const placeholder = (input.placeholder || '').toLowerCase();
+        const className = (input.className || '').toString().toLowerCase();
+        return CAPTCHA_PATTERNS.inputKeywords.some(k =>
+            name.includes(k) || id.includes(k) || placeholder.includes(k) || className.includes(k)
+        );
+    }
+
+    /**
+     * 计算置信度
+     * @param {Element} element
+     * @returns {number} - 0-100
+     */
+    calculateConfidence(element) {
+        let score = 0;
+        if (this.matchesKeywords(element)) score += 30;
+        if (element.src && this.srcContainsKeywords(element.src)) score += 20;
+        if (this.parentContainsKeywords(element)) score += 15;
+        if (this.findRelatedInput(element)) score += 25;
+        const rect = element.getBoundingClientRect();
+        if (this.isCaptchaSize(rect.width, rect.height)) score += 10;
+        return Math.min(score, 100);
+    }
+
+    /**
+     * 捕获验证码图像
+     * @param {object} captchaInfo - 验证码信息
+     * @returns {Promise<string>} - Base64图像数据
+     */
+    async captureImage(captchaInfo) {
+        switch (captchaInfo.type) {
+            case 'image':
+                return this.captureImgElement(captchaInfo.element);
+            case 'canvas':
+                return this.captureCanvasElement(captchaInfo.element);
+            case 'svg':
+                return this.captureSvgElement(captchaInfo.element);
+            default:
+                throw new Error(`不支持的验证码类型: ${captchaInfo.type}`);
+        }
+    }
+
+    /**
+     * 捕获img元素
+     * @param {HTMLImageElement} img
+     * @returns {Promise<string>}
+     */
+    async captureImgElement(img) {
+        // 首先确保图片已完全加载
+        await this.waitForImageLoad(img);
+
+        return new Promise((resolve, reject) => {
+            try {
+                // 方法1：直接从页面上已渲染的img元素绘制到canvas
+                // 这样不会重新请求URL，避免验证码刷新
+                const canvas = document.createElement('canvas');
+                const ctx = canvas.getContext('2d');
+
+                // 使用图片的实际渲染尺寸或原始尺寸
+                const width = img.naturalWidth || img.width;
+                const height = img.naturalHeight || img.height;
+
+                if (width === 0 || height === 0) {
+                    reject(new Error('图片尺寸为0，可能未加载完成'));
+                    return;
+                }
+
+                canvas.width = width;
+                canvas.height = height;
+
+                // 直接绘制页面上的img元素
+                ctx.drawImage(img, 0, 0, width, height);
+
+                try {
+                    const dataUrl = canvas.toDataURL('image/png');
+
+                    // 检查是否成功获取了图像数据
+                    if (dataUrl === 'data:,') {
+                        throw new Error('获取到空白图像');
+                    }
+
+                    logger.info('直接从页面img元素捕获成功', { width, height });
+                    resolve(dataUrl);
+                } catch (securityError) {
+                    // 如果因为跨域安全策略无法直接绘制，尝试备用方案
+                    logger.warn('直接绘制失败，尝试备用方案', securityError.message);
+
+                    // 备用方案：如果src是data URL，直接使用
+                    if (img.src.startsWith('data:')) {
+                        logger.info('使用data URL');
+                        resolve(img.src);
+                        return;
+                    }
+
+                    // 备用方案2：尝试使用html2canvas方式截取元素
+                    this.captureElementAsScreenshot(img)
+                        .then(resolve)
+                        .catch(() => {
+                            reject(new Error('无法捕获跨域图片，请尝试手动截图'));
+                        });
+                }
+            } catch (error) {
+                logger.error('图片捕获失败', error);
+                reject(error);
+            }
+        });
+    }
+
+    /**
+     * 等待图片加载完成
+     */
+    async waitForImageLoad(img) {
+        // 如果图片已经加载完成
+        if (img.complete && img.naturalWidth > 0) {
+            return Promise.resolve();
+        }
+
+        // 如果是data URL，直接返回
+        if (img.src && img.src.startsWith('data:')) {
+            return Promise.resolve();
+        }
+
+        logger.info('等待图片加载完成...');
+
+        return new Promise((resolve, reject) => {
+            const timeout = setTimeout(() => {
+                reject(new Error('图片加载超时'));
+            }, 5000);
+
+            img.onload = () => {
+                clearTimeout(timeout);
+                logger.info('图片加载完成');
+                resolve();
+            };
+
+            img.onerror = () => {
+                clearTimeout(timeout);
+                reject(new Error('图片加载失败'));
+            };
+
+            // 如果图片已经在加载过程中完成了
+            if (img.complete && img.naturalWidth > 0) {
+                clearTimeout(timeout);
+                resolve();
+            }
+        });
+    }
+
+    /**
+     * 使用屏幕截图方式捕获元素（备用方案）
+     */
+    async captureElementAsScreenshot(element) {
+        return new Promise((resolve, reject) => {
+            try {
+                const rect = element.getBoundingClientRect();
+                const canvas = document.createElement('canvas');
+                const ctx = canvas.getContext('2d');
+
+                // 使用元素的显示尺寸
+                canvas.width = rect.width;
+                canvas.height = rect.height;
+
+                // 尝试直接绘制
+                ctx.drawImage(element, 0, 0, rect.width, rect.height);
+
+                const dataUrl = canvas.toDataURL('image/png');
+                if (dataUrl && dataUrl !== 'data:,') {
+                    resolve(dataUrl);
+                } else {
+                    reject(new Error('截图失败'));
+                }
+            } catch (error) {
+                reject(error);
+            }
+        });
+    }
+
+    /**
+     * 捕获canvas元素
+     * @param {HTMLCanvasElement} canvas
+     * @returns {Promise<string>}
+     */
+    async captureCanvasElement(canvas) {
+        return canvas.toDataURL('image/png');
+    }
+
+    /**
+     * 捕获svg元素
+     * @param {SVGElement} svg
+     * @returns {Promise<string>}
+     */
+    async captureSvgElement(svg) {
+        return new Promise((resolve, reject) => {
+            try {
+                const clonedSvg = svg.cloneNode(true);
+                const rect = svg.getBoundingClientRect();
+                clonedSvg.setAttribute('width', rect.width);
+                clonedSvg.setAttribute('height', rect.height);
+
+                const serializer = new XMLSerializer();
+                const svgString = serializer.serializeToString(clonedSvg);
+                const blob = new Blob([svgString], { type: 'image/svg+xml' });
+                const url = URL.createObjectURL(blob);
+
+                const img = new Image();
+                img.onload = () => {
+                    const canvas = document.createElement('canvas');
+                    canvas.width = rect.width;
+                    canvas.height = rect.height;
+                    const ctx = canvas.getContext('2d');
+                    ctx.drawImage(img, 0, 0);
+                    URL.revokeObjectURL(url);
+                    resolve(canvas.toDataURL('image/png'));
+                };
+                img.onerror = () => {
+                    URL.revokeObjectURL(url);
+                    reject(new Error('SVG转换失败'));
+                };
+                img.src = url;
+            } catch (error) {
+                reject(error);
+            }
+        });
+    }
+
+    /**
+     * 高亮显示验证码元素
+     * @param {object} captchaInfo - 验证码信息
+     */
+    highlight(captchaInfo) {
+        if (captchaInfo && captchaInfo.element) {
+            setOwnStyles(captchaInfo.element, { outline: '3px solid #4CAF50', outlineOffset: '2px' });
+        }
+    }
+
+    /**
+     * 取消高亮
+     * @param {object} captchaInfo - 验证码信息
+     */
+    unhighlight(captchaInfo) {
+        if (captchaInfo && captchaInfo.element) {
+            setOwnStyles(captchaInfo.element, { outline: '', outlineOffset: '' });
+        }
+    }
+
+    /**
+     * 获取检测到的验证码列表
+     * @returns {Array}
+     */
+    getDetectedCaptchas() {
+        return this.detectedCaptchas;
+    }
+
+    /**
+     * 获取最可能的验证码
+     * @returns {object|null}
+     */
+    getMostLikelyCaptcha() {
+        if (this.detectedCaptchas.length === 0) return null;
+        return this.detectedCaptchas.reduce((best, current) =>
+            current.confidence > best.confidence ? current : best
+        );
+    }
+}
+
+const __default = CaptchaDetector;
+
+return { WATCHED_ATTRIBUTES, setOwnStyles, CaptchaDetector, default: __default };
+})();
+
+// ==================== src/content/auto-fill.js ====================
+const __content_auto_fill = (function () {
+/**
+ * 自动填充模块
+ * 将识别结果填入验证码输入框
+ */
+
+const logger = __utils_logger;
+const { setOwnStyles } = __content_captcha_detector;
+
+/**
+ * 自动填充类
+ */
+class AutoFill {
+    constructor() {
+        this.lastFilledInput = null;
+        // 关闭当前显示的确认对话框
+        this.closeConfirmation = null;
+    }
+
+    /**
+     * 填充验证码
+     * @param {HTMLElement} inputElement - 输入框
+     * @param {string} text - 验证码
+     * @param {object} options - 选项 { simulate, autoSubmit, confirmBeforeSubmit, confirmation, onBeforeSubmit }
+     *   confirmation 为确认对话框的选项，见 showConfirmation
+     *   onBeforeSubmit 在填充完成、提交之前调用，参数为 { text, edited }，用户取消确认时不会调用
+     * @returns {Promise<boolean>} - 是否成功
+     */
+    async fill(inputElement, text, options = {}) {
+        const {
+            simulate = true,
+            autoSubmit = false,
+            confirmBeforeSubmit = false,
+            confirmation = {},
+            onBeforeSubmit = null
+        } = options;
+
+        try {
+            if (!inputElement) throw new Error('未找到输入框');
+
+            await this.enterText(inputElement, text, simulate);
+
+            this.lastFilledInput = inputElement;
+            this.highlightInput(inputElement);
+
+            // 自动提交表单
+            if (autoSubmit) {
+                let submitted = { text, edited: false };
+
+                if (confirmBeforeSubmit) {
+                    submitted = await this.showConfirmation(text, confirmation);
+                    if (!submitted) {
+                        logger.info('用户取消提交');
+                        return true;
+                    }
+
+                    // 用户修改或重新识别后，以确认的内容重新填充
+                    if (submitted.text !== text) {
+                        await this.enterText(inputElement, submitted.text, simulate);
+                    }
+                }
+
+                if (onBeforeSubmit) onBeforeSubmit(submitted);
+                logger.info('自动提交表单...');
+                await this.submitForm(inputElement);
+            }
+
+            return true;
+        } catch (error) {
+            logger.error('填充失败', error);
+            return false;
+        }
+    }
+
+    /**
+     * 清空输入框并输入文本
+     * @param {HTMLInputElement} input - 输入框
+     * @param {string} text - 文本
+     * @param {boolean} simulate - 是否模拟逐字输入
+     */
+    async enterText(input, text, simulate) {
+        input.focus();
+        input.value = '';
+        this.dispatchEvent(input, 'input');
+
+        if (simulate) {
+            await this.simulateTyping(input, text);
+        } else {
+            input.value = text;
+            this.dispatchEvent(input, 'input');
+            this.dispatchEvent(input, 'change');
+        }
+    }
+
+    /**
+     * 提交表单
+     * @param {HTMLInputElement} input - 输入框
+     */
+    async submitForm(input) {
+        // 查找表单
+        const form = input.closest('form');
+
+        if (form) {
+            logger.info('找到表单，提交中...');
+            // 触发submit事件
+            const submitEvent = new Event('submit', {
+                bubbles: true,
+                cancelable: true
+            });
+
+            const prevented = !form.dispatchEvent(submitEvent);
+
+            if (!prevented) {
+                form.submit();
+            }
+        } else {
+            // 尝试查找提交按钮
+            logger.info('未找到表单，尝试查找提交按钮...');
+            const parent = input.parentElement?.parentElement?.parentElement || document;
+            const submitBtn = parent.querySelector(
+                'button[type="submit"], input[type="submit"], button:not([type])'
+            );
+
+            if (submitBtn) {
+                logger.info('点击提交按钮');
+                submitBtn.click();
+            } else {
+                // 模拟按回车键
+                logger.info('模拟回车键提交');
+                this.dispatchKeyEvent(input, 'keydown', 'Enter');
+                this.dispatchKeyEvent(input, 'keypress', 'Enter');
+                this.dispatchKeyEvent(input, 'keyup', 'Enter');
+            }
+        }
+    }
+
+    /**
+     * 模拟用户逐字输入
+     * @param {HTMLInputElement} input - 输入框
+     * @param {string} text - 文本
+     */
+    async simulateTyping(input, text) {
+        for (const char of text) {
+            this.dispatchKeyEvent(input, 'keydown', char);
+            input.value += char;
+            this.dispatchEvent(input, 'input');
+            this.dispatchKeyEvent(input, 'keyup', char);
+            await this.delay(50 + Math.random() * 100);
+        }
+        this.dispatchEvent(input, 'change');
+        this.dispatchEvent(input, 'blur');
+    }
+
+    /**
+     * 派发事件
+     * @param {Element} element - 元素
+     * @param {string} eventType - 事件类型
+     */
+    dispatchEvent(element, eventType) {
+        element.dispatchEvent(new Event(eventType, { bubbles: true, cancelable: true }));
+    }
+
+    /**
+     * 派发键盘事件
+     * @param {Element} element - 元素
+     * @param {string} eventType - 事件类型
+     * @param {string} key - 按键
+     */
+    dispatchKeyEvent(element, eventType, key) {
+        element.dispatchEvent(new KeyboardEvent(eventType, {
+            key, code: `Key${key.toUpperCase()}`,
+            charCode: key.charCodeAt(0), keyCode: key.charCodeAt(0),
+            bubbles: true, cancelable: true
+        }));
+    }
+
+    /**
+     * 延迟
+     * @param {number} ms - 毫秒
+     */
+    delay(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+
+    /**
+     * 高亮输入框
+     * @param {HTMLInputElement} input - 输入框
+     */
+    highlightInput(input) {
+        const originalBorder = input.style.border;
+        const originalBoxShadow = input.style.boxShadow;
+        setOwnStyles(input, { border: '2px solid #4CAF50', boxShadow: '0 0 8px rgba(76, 175, 80, 0.5)' });
+        setTimeout(() => {
+            setOwnStyles(input, { border: originalBorder, boxShadow: originalBoxShadow });
+        }, 2000);
+    }
+
+    /**
+     * 显示提交前的确认对话框，可修改识别结果或重新识别
+     * @param {string} text - 识别结果
+     * @param {object} options - 选项 { imageData, countdown, onReRecognize }
+     *   imageData 为捕获的验证码图像，countdown 为倒计时秒数（结束时自动提交，0 表示一直等待，用户开始修改后停止）
+     *   onReRecognize 重新识别，返回Promise<string>，未提供时不显示「重新识别」按钮
+     * @returns {Promise<{text: string, edited: boolean}|null>} - 确认提交的内容，edited 表示用户手动修改过；取消时返回 null
+     */
+    async showConfirmation(text, options = {}) {
+        const { imageData = null, countdown = 0, onReRecognize = null } = options;
+
+        return new Promise((resolve) => {
+            // 最近一次识别的结果，用于判断用户是否手动修改
+            let recognized = text;
+            let remaining = countdown;
+            let countdownTimer = null;
+
+            // 同时只显示一个对话框，之前未完成的视为取消
+            if (this.closeConfirmation) this.closeConfirmation();
+
+            const overlay = document.createElement('div');
+            overlay.id = 'captcha-confirm-overlay';
+            overlay.style.cssText = `
+                position: fixed;
+                top: 0;
+                left: 0;
+                right: 0;
+                bottom: 0;
+                background: rgba(0, 0, 0, 0.5);
+                display: flex;
+                align-items: center;
+                justify-content: center;
+                z-index: 999999;
+                font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+            `;
+
+            const dialog = document.createElement('div');
+            dialog.style.cssText = `
+                background: #1a1a2e;
+                color: white;
+                padding: 24px;
+                border-radius: 16px;
+                border: 1px solid #6366f1;
+                box-shadow: 0 20px 60px rgba(0, 0, 0, 0.5);
+                width: 320px;
+                max-width: calc(100vw - 40px);
+                font-size: 14px;
+            `;
+
+            const buttonStyle = `
+                flex: 1;
+                padding: 8px 12px;
+                border: none;
+                border-radius: 8px;
+                color: white;
+                cursor: pointer;
+                font-size: 14px;
+            `;
+
+            dialog.innerHTML = `
+                <h3 style="margin: 0 0 16px 0; color: #818cf8; font-size: 16px;">确认提交验证码</h3>
+                <div class="captcha-confirm-image-box" style="display: none; background: #252540; padding: 12px; border-radius: 8px; margin-bottom: 12px; text-align: center;">
+                    <img class="captcha-confirm-image" style="max-width: 100%; max-height: 120px; border-radius: 4px;" />
+                </div>
+                <input type="text" class="captcha-confirm-input" autocomplete="off" spellcheck="false" style="
+                    box-sizing: border-box;
+                    width: 100%;
+                    padding: 8px 12px;
+                    background: #252540;
+                    color: #818cf8;
+                    border: 1px solid #3f3f46;
+                    border-radius: 8px;
+                    font-family: Monaco, Consolas, monospace;
+                    font-size: 20px;
+                    letter-spacing: 2px;
+                    text-align: center;
+                " />
+                <div class="captcha-confirm-status" style="min-height: 18px; margin: 8px 0; color: #a1a1aa; font-size: 12px;">可修改后再提交</div>
+                <div style="display: flex; gap: 8px;">
+                    <button class="captcha-confirm-submit" style="${buttonStyle} background: #6366f1;">提交</button>
+                    <button class="captcha-confirm-retry" style="${buttonStyle} background: #10b981;">重新识别</button>
+                    <button class="captcha-confirm-cancel" style="${buttonStyle} background: #3f3f46;">取消</button>
+                </div>
+            `;
+
+            const input = dialog.querySelector('.captcha-confirm-input');
+            const status = dialog.querySelector('.captcha-confirm-status');
+            const submitBtn = dialog.querySelector('.captcha-confirm-submit');
+            const retryBtn = dialog.querySelector('.captcha-confirm-retry');
+            const cancelBtn = dialog.querySelector('.captcha-confirm-cancel');
+
+            // 识别结果来自模型输出，不能作为HTML插入
+            input.value = text;
+
+            if (imageData) {
+                dialog.querySelector('.captcha-confirm-image').src = imageData;
+                dialog.querySelector('.captcha-confirm-image-box').style.display = 'block';
+            }
+
+            if (!onReRecognize) {
+                retryBtn.style.display = 'none';
+            }
+
+            const updateSubmitLabel = () => {
+                submitBtn.textContent = countdownTimer ? `提交 (${remaining})` : '提交';
+            };
+
+            const stopCountdown = () => {
+                clearInterval(countdownTimer);
+                countdownTimer = null;
+                updateSubmitLabel();
+            };
+
+            const finish = (result) => {
+                stopCountdown();
+                overlay.remove();
+                this.closeConfirmation = null;
+                resolve(result);
+            };
+            this.closeConfirmation = () => finish(null);
+
+            const submit = () => {
+                const value = input.value.trim();
+
+                if (!value) {
+                    stopCountdown();
+                    status.textContent = '验证码不能为空';
+                    input.focus();
+                    return;
+                }
+
+                finish({ text: value, edited: value !== recognized });
+            };
+
+            submitBtn.onclick = submit;
+            cancelBtn.onclick = () => finish(null);
+
+            retryBtn.onclick = async () => {
+                stopCountdown();
+                submitBtn.disabled = retryBtn.disabled = true;
+                status.textContent = '重新识别中...';
+
+                try {
+                    recognized = await onReRecognize();
+                    input.value = recognized;
+                    status.textContent = '已重新识别';
+                } catch (error) {
+                    status.textContent = `重新识别失败: ${error.message}`;
+                } finally {
+                    submitBtn.disabled = retryBtn.disabled = false;
+                }
+            };
+
+            // 用户开始修改后不再自动提交
+            input.addEventListener('focus', stopCountdown);
+            input.addEventListener('input', stopCountdown);
+            input.onkeydown = (e) => {
+                // 避免页面上的回车提交等快捷键
+                e.stopPropagation();
+                if (e.key === 'Enter') submit();
+                if (e.key === 'Escape') finish(null);
+            };
+
+            if (countdown > 0) {
+                countdownTimer = setInterval(() => {
+                    remaining--;
+                    if (remaining <= 0) {
+                        submit();
+                    } else {
+                        updateSubmitLabel();
+                    }
+                }, 1000);
+            }
+            updateSubmitLabel();
+
+            overlay.appendChild(dialog);
+            document.body.appendChild(overlay);
+        });
+    }
+
+    /**
+     * 获取最后填充的输入框
+     * @returns {HTMLInputElement|null}
+     */
+    getLastFilledInput() {
+        return this.lastFilledInput;
+    }
+}
+
+const __default = AutoFill;
+
+return { AutoFill, default: __default };
+})();
+
+// ==================== src/content/submit-verifier.js ====================
+const __content_submit_verifier = (function () {
+/**
+ * 提交结果检测模块
+ * 自动提交后观察页面，判断网站是否接受了验证码
+ */
+
+const { WATCHED_ATTRIBUTES } = __content_captcha_detector;
+
+// 提交后观察页面的时长
+const SUBMIT_OBSERVE_TIMEOUT = 5000;
+
+/**
+ * 自动提交后观察页面，判断网站是否接受了验证码
+ * 判定为拒绝的依据：出现新的错误提示关键词、验证码图片被刷新或替换、验证码输入框被清空
+ */
+class SubmitVerifier {
+    /**
+     * 开始观察，需在提交前调用以记录页面原有的提示文字
+     * @param {object} captchaInfo - 已填充的验证码
+     * @param {Array<string>} keywords - 错误提示关键词
+     * @param {number} timeout - 观察时长（毫秒），期间未发现拒绝迹象即视为接受
+     * @returns {Promise<{verdict: string, reason: string, refreshed: boolean}>} - refreshed 表示网站已更换验证码
+     */
+    observe(captchaInfo, keywords = [], timeout = SUBMIT_OBSERVE_TIMEOUT) {
+        const { element, inputElement } = captchaInfo;
+        const initialSrc = element.src || null;
+        const baseline = this.countKeywords(keywords);
+
+        return new Promise((resolve) => {
+            let checkTimer = null;
+
+            const finish = (verdict, reason, refreshed = false) => {
+                observer.disconnect();
+                clearTimeout(checkTimer);
+                clearTimeout(timeoutTimer);
+                resolve({ verdict, reason, refreshed });
+            };
+
+            const check = () => {
+                checkTimer = null;
+
+                const keyword = this.findNewKeyword(keywords, baseline);
+                if (keyword) {
+                    return finish('rejected', `页面提示「${keyword}」`);
+                }
+
+                // 表单仍在而验证码图片变化，说明网站换了新验证码
+                if (element.isConnected ? element.src && element.src !== initialSrc : inputElement?.isConnected) {
+                    return finish('rejected', '验证码已刷新', true);
+                }
+
+                if (inputElement?.isConnected && inputElement.value === '') {
+                    return finish('rejected', '验证码输入框已清空');
+                }
+
+                return false;
+            };
+
+            const observer = new MutationObserver(() => {
+                if (!checkTimer) checkTimer = setTimeout(check, 200);
+            });
+            observer.observe(document.documentElement, {
+                childList: true,
+                subtree: true,
+                characterData: true,
+                attributes: true,
+                attributeFilter: WATCHED_ATTRIBUTES
+            });
+
+            const timeoutTimer = setTimeout(() => {
+                if (check() === false) finish('accepted', '未发现错误提示');
+            }, timeout);
+        });
+    }
+
+    /**
+     * 统计页面可见文字中各关键词出现的次数
+     */
+    countKeywords(keywords) {
+        const text = (document.body?.innerText || '').toLowerCase();
+        const counts = new Map();
+
+        keywords.forEach((keyword) => {
+            const needle = keyword.toLowerCase();
+            counts.set(keyword, needle ? text.split(needle).length - 1 : 0);
+        });
+
+        return counts;
+    }
+
+    /**
+     * 查找比基准出现次数更多的关键词
+     * @param {Array<string>} keywords - 关键词
+     * @param {Map} baseline - 基准次数，为空时只要出现即返回
+     * @returns {string|null}
+     */
+    findNewKeyword(keywords, baseline = new Map()) {
+        const counts = this.countKeywords(keywords);
+        return keywords.find(k => counts.get(k) > (baseline.get(k) || 0)) || null;
+    }
+}
+
+const __default = SubmitVerifier;
+
+return { SubmitVerifier, default: __default };
+})();
+
+// ==================== src/content/image-preprocessor.js ====================
+const __content_image_preprocessor = (function () {
+/**
+ * 图像预处理模块
+ * 识别前对验证码图像做裁剪、灰度、二值化、去除干扰线和放大，提高模型识别率
+ */
+
+const logger = __utils_logger;
+
+// 默认预处理选项（均为关闭）
+const PREPROCESS_DEFAULTS = {
+    upscale: false,
+    grayscale: false,
+    binarize: false,
+    threshold: 0, // 0 表示自动（Otsu）
+    removeLines: false,
+    crop: false
+};
+
+// 放大后的目标最小高度
+const UPSCALE_TARGET_HEIGHT = 96;
+const UPSCALE_MAX_FACTOR = 4;
+
+/**
+ * 图像预处理类
+ */
+class ImagePreprocessor {
+    /**
+     * 是否启用了任意预处理步骤
+     */
+    isEnabled(options) {
+        return !!options && ['upscale', 'grayscale', 'binarize', 'removeLines', 'crop'].some(key => options[key]);
+    }
+
+    /**
+     * 按顺序执行：裁剪边框 → 灰度 → 二值化 → 去除干扰线 → 放大
+     * @param {string} dataUrl - 原始图像
+     * @param {object} options - 预处理选项
+     * @returns {Promise<string>} - 处理后的PNG data URL
+     */
+    async process(dataUrl, options = {}) {
+        const opts = { ...PREPROCESS_DEFAULTS, ...options };
+        const image = await this.loadImage(dataUrl);
+
+        let canvas = document.createElement('canvas');
+        canvas.width = image.naturalWidth;
+        canvas.height = image.naturalHeight;
+        let ctx = canvas.getContext('2d', { willReadFrequently: true });
+        ctx.fillStyle = '#fff';
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+        ctx.drawImage(image, 0, 0);
+
+        if (opts.crop) {
+            canvas = this.cropBorder(canvas);
+            ctx = canvas.getContext('2d', { willReadFrequently: true });
+        }
+
+        const pixels = ctx.getImageData(0, 0, canvas.width, canvas.height);
+
+        if (opts.grayscale || opts.binarize || opts.removeLines) {
+            this.toGrayscale(pixels);
+        }
+
+        // 去除干扰线依赖二值图
+        if (opts.binarize || opts.removeLines) {
+            this.binarize(pixels, opts.threshold);
+        }
+
+        if (opts.removeLines) {
+            this.removeThinLines(pixels);
+        }
+
+        ctx.putImageData(pixels, 0, 0);
+
+        if (opts.upscale) {
+            canvas = this.upscale(canvas);
+        }
+
+        logger.debug('图像预处理完成', { width: canvas.width, height: canvas.height, options: opts });
+
+        return canvas.toDataURL('image/png');
+    }
+
+    loadImage(dataUrl) {
+        return new Promise((resolve, reject) => {
+            const image = new Image();
+            image.onload = () => resolve(image);
+            image.onerror = () => reject(new Error('预处理时加载图像失败'));
+            image.src = dataUrl;
+        });
+    }
+
+    /**
+     * 裁剪与边框颜色相近的空白边缘
+     */
+    cropBorder(canvas) {
+        const { width, height } = canvas;
+        const { data } = canvas.getContext('2d').getImageData(0, 0, width, height);
+
+        // 以四角像素的平均值作为背景色
+        const corners = [0, width - 1, (height - 1) * width, height * width - 1];
+        const background = [0, 1, 2].map(c => corners.reduce((sum, i) => sum + data[i * 4 + c], 0) / corners.length);
+
+        let minX = width, minY = height, maxX = -1, maxY = -1;
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const i = (y * width + x) * 4;
+                const diff = Math.abs(data[i] - background[0])
+                    + Math.abs(data[i + 1] - background[1])
+                    + Math.abs(data[i + 2] - background[2]);
+                if (diff > 60) {
+                    minX = Math.min(minX, x);
+                    maxX = Math.max(maxX, x);
+                    minY = Math.min(minY, y);
+                    maxY = Math.max(maxY, y);
+                }
+            }
+        }
+
+        if (maxX < 0) return canvas;
+
+        // 保留少量边距
+        const padding = 2;
+        minX = Math.max(0, minX - padding);
+        minY = Math.max(0, minY - padding);
+        maxX = Math.min(width - 1, maxX + padding);
+        maxY = Math.min(height - 1, maxY + padding);
+
+        const cropped = document.createElement('canvas');
+        cropped.width = maxX - minX + 1;
+        cropped.height = maxY - minY + 1;
+        cropped.getContext('2d').drawImage(canvas, minX, minY, cropped.width, cropped.height, 0, 0, cropped.width, cropped.height);
+
+        return cropped;
+    }
+
+    toGrayscale(pixels) {
+        const { data } = pixels;
+        for (let i = 0; i < data.length; i += 4) {
+            const gray = Math.round(data[i] * 0.299 + data[i + 1] * 0.587 + data[i + 2] * 0.114);
+            data[i] = data[i + 1] = data[i + 2] = gray;
+        }
+    }
+
+    /**
+     * 二值化（需先灰度化），输出白底黑字
+     * @param {ImageData} pixels - 图像像素
+     * @param {number} threshold - 阈值，0 表示使用Otsu自动计算
+     */
+    binarize(pixels, threshold = 0) {
+        const { data } = pixels;
+        const t = threshold > 0 ? threshold : this.otsuThreshold(data);
+
+        let darkCount = 0;
+        for (let i = 0; i < data.length; i += 4) {
+            if (data[i] <= t) darkCount++;
+        }
+
+        // 深色像素占多数时认为是深底浅字，反转为白底黑字
+        const invert = darkCount > data.length / 8;
+
+        for (let i = 0; i < data.length; i += 4) {
+            const dark = data[i] <= t;
+            const value = dark !== invert ? 0 : 255;
+            data[i] = data[i + 1] = data[i + 2] = value;
+            data[i + 3] = 255;
+        }
+    }
+
+    otsuThreshold(data) {
+        const histogram = new Array(256).fill(0);
+        const total = data.length / 4;
+        for (let i = 0; i < data.length; i += 4) histogram[data[i]]++;
+
+        let sum = 0;
+        for (let i = 0; i < 256; i++) sum += i * histogram[i];
+
+        let sumBackground = 0, weightBackground = 0, bestVariance = -1, threshold = 127;
+        for (let t = 0; t < 256; t++) {
+            weightBackground += histogram[t];
+            if (weightBackground === 0) continue;
+            const weightForeground = total - weightBackground;
+            if (weightForeground === 0) break;
+
+            sumBackground += t * histogram[t];
+            const meanBackground = sumBackground / weightBackground;
+            const meanForeground = (sum - sumBackground) / weightForeground;
+            const variance = weightBackground * weightForeground * (meanBackground - meanForeground) ** 2;
+
+            if (variance > bestVariance) {
+                bestVariance = variance;
+                threshold = t;
+            }
+        }
+
+        return threshold;
+    }
+
+    /**
+     * 去除细干扰线和噪点（3×3中值滤波，作用于二值图）
+     * 宽度为1像素的线条和孤立噪点会被周围的背景像素覆盖
+     */
+    removeThinLines(pixels) {
+        const { data, width, height } = pixels;
+        const source = new Uint8Array(width * height);
+        for (let i = 0; i < source.length; i++) source[i] = data[i * 4] === 0 ? 1 : 0;
+
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                let dark = 0;
+                for (let dy = -1; dy <= 1; dy++) {
+                    for (let dx = -1; dx <= 1; dx++) {
+                        const nx = Math.min(width - 1, Math.max(0, x + dx));
+                        const ny = Math.min(height - 1, Math.max(0, y + dy));
+                        dark += source[ny * width + nx];
+                    }
+                }
+                const value = dark >= 5 ? 0 : 255;
+                const i = (y * width + x) * 4;
+                data[i] = data[i + 1] = data[i + 2] = value;
+            }
+        }
+    }
+
+    /**
+     * 放大过小的图像，便于模型辨认
+     */
+    upscale(canvas) {
+        const factor = Math.min(UPSCALE_MAX_FACTOR, Math.ceil(UPSCALE_TARGET_HEIGHT / canvas.height));
+        if (factor <= 1) return canvas;
+
+        const scaled = document.createElement('canvas');
+        scaled.width = canvas.width * factor;
+        scaled.height = canvas.height * factor;
+
+        const ctx = scaled.getContext('2d');
+        ctx.imageSmoothingEnabled = true;
+        ctx.imageSmoothingQuality = 'high';
+        ctx.drawImage(canvas, 0, 0, scaled.width, scaled.height);
+
+        return scaled;
+    }
+}
+
+const __default = ImagePreprocessor;
+
+return { ImagePreprocessor, default: __default };
+})();
+
+// ==================== src/content/element-picker.js ====================
+const __content_element_picker = (function () {
+/**
+ * 元素选择器 - 类似DevTools的元素拾取功能
+ * 允许用户在页面上选择验证码元素
+ */
+
+const logger = __utils_logger;
+
+// 选择器状态
+let isActive = false;
+let hoveredElement = null;
+let overlay = null;
+let tooltip = null;
+let onSelectCallback = null;
+
+/**
+ * 启动元素选择器
+ * @param {Function} callback - 选择完成后的回调函数，参数为 { success, element, selector, info } 或 { cancelled: true }
+ */
+function startPicker(callback) {
+    if (isActive) return;
+
+    isActive = true;
+    onSelectCallback = callback;
+
+    createOverlay();
+    createTooltip();
+    addEventListeners();
+
+    logger.info('元素选择器已启动');
+}
+
+/**
+ * 停止元素选择器
+ */
+function stopPicker() {
+    if (!isActive) return;
+
+    isActive = false;
+    hoveredElement = null;
+
+    removeEventListeners();
+    removeOverlay();
+    removeTooltip();
+
+    logger.debug('元素选择器已停止');
+}
+
+/**
+ * 选择器是否正在运行
+ * @returns {boolean}
+ */
+function isPickerActive() {
+    return isActive;
+}
+
+/**
+ * 结束选择并回调
+ * @param {object} result - 选择结果
+ */
+function finish(result) {
+    const callback = onSelectCallback;
+
+    onSelectCallback = null;
+    stopPicker();
+
+    if (callback) callback(result);
+}
+
+/**
+ * 创建高亮覆盖层
+ */
+function createOverlay() {
+    overlay = document.createElement('div');
+    overlay.id = 'captcha-picker-overlay';
+    overlay.style.cssText = `
+        position: fixed;
+        pointer-events: none;
+        border: 3px solid #6366f1;
+        background: rgba(99, 102, 241, 0.15);
+        z-index: 999998;
+        transition: all 0.1s ease;
+        display: none;
+        border-radius: 4px;
+    `;
+    document.body.appendChild(overlay);
+}
+
+/**
+ * 创建提示工具栏
+ */
+function createTooltip() {
+    tooltip = document.createElement('div');
+    tooltip.id = 'captcha-picker-tooltip';
+    tooltip.style.cssText = `
+        position: fixed;
+        top: 10px;
+        left: 50%;
+        transform: translateX(-50%);
+        background: linear-gradient(135deg, #1a1a2e, #16213e);
+        color: white;
+        padding: 12px 24px;
+        border-radius: 12px;
+        font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+        font-size: 14px;
+        z-index: 999999;
+        box-shadow: 0 4px 20px rgba(0, 0, 0, 0.5);
+        display: flex;
+        align-items: center;
+        gap: 16px;
+        border: 1px solid #6366f1;
+    `;
+
+    tooltip.innerHTML = `
+        <div style="display: flex; align-items: center; gap: 8px;">
+            <span style="font-size: 20px;">🎯</span>
+            <span>点击选择验证码元素</span>
+        </div>
+        <div id="picker-element-info" style="color: #a1a1aa; font-size: 12px;"></div>
+        <button id="picker-cancel-btn" style="
+            background: #ef4444;
+            color: white;
+            border: none;
+            padding: 6px 12px;
+            border-radius: 6px;
+            cursor: pointer;
+            font-size: 12px;
+        ">取消 (ESC)</button>
+    `;
+
+    document.body.appendChild(tooltip);
+
+    tooltip.querySelector('#picker-cancel-btn').addEventListener('click', () => {
+        finish({ cancelled: true });
+    });
+}
+
+/**
+ * 移除覆盖层
+ */
+function removeOverlay() {
+    if (overlay) {
+        overlay.remove();
+        overlay = null;
+    }
+}
+
+/**
+ * 移除提示
+ */
+function removeTooltip() {
+    if (tooltip) {
+        tooltip.remove();
+        tooltip = null;
+    }
+}
+
+/**
+ * 添加事件监听
+ */
+function addEventListeners() {
+    document.addEventListener('mousemove', handleMouseMove, true);
+    document.addEventListener('click', handleClick, true);
+    document.addEventListener('keydown', handleKeyDown, true);
+}
+
+/**
+ * 移除事件监听
+ */
+function removeEventListeners() {
+    document.removeEventListener('mousemove', handleMouseMove, true);
+    document.removeEventListener('click', handleClick, true);
+    document.removeEventListener('keydown', handleKeyDown, true);
+}
+
+/**
+ * 处理鼠标移动
+ */
+function handleMouseMove(e) {
+    if (!isActive) return;
+
+    const element = document.elementFromPoint(e.clientX, e.clientY);
+
+    // 忽略我们自己创建的元素
+    if (!element || element.id === 'captcha-picker-overlay' ||
+        element.id === 'captcha-picker-tooltip' ||
+        element.closest('#captcha-picker-tooltip')) {
+        return;
+    }
+
+    // 只高亮图片、canvas或svg元素，否则尝试找到最近的可选择父/子元素
+    const target = isSelectableElement(element)
+        ? element
+        : element.querySelector('img, canvas, svg') || element.closest('img, canvas, svg');
+
+    if (target) {
+        hoveredElement = target;
+        highlightElement(target);
+        updateTooltipInfo(target);
+    } else {
+        clearHighlight();
+        hoveredElement = null;
+    }
+}
+
+/**
+ * 处理点击
+ */
+function handleClick(e) {
+    if (!isActive) return;
+
+    e.preventDefault();
+    e.stopPropagation();
+
+    if (hoveredElement) {
+        const element = hoveredElement;
+
+        finish({
+            success: true,
+            element,
+            selector: generateSelector(element),
+            info: getElementInfo(element)
+        });
+    }
+}
+
+/**
+ * 处理键盘事件
+ */
+function handleKeyDown(e) {
+    if (!isActive) return;
+
+    if (e.key === 'Escape') {
+        e.preventDefault();
+        finish({ cancelled: true });
+    }
+}
+
+/**
+ * 检查元素是否可选择
+ */
+function isSelectableElement(element) {
+    return ['IMG', 'CANVAS', 'SVG'].includes(element.tagName.toUpperCase());
+}
+
+/**
+ * 高亮元素
+ */
+function highlightElement(element) {
+    if (!overlay) return;
+
+    const rect = element.getBoundingClientRect();
+
+    overlay.style.display = 'block';
+    overlay.style.top = rect.top + 'px';
+    overlay.style.left = rect.left + 'px';
+    overlay.style.width = rect.width + 'px';
+    overlay.style.height = rect.height + 'px';
+}
+
+/**
+ * 清除高亮
+ */
+function clearHighlight() {
+    if (overlay) {
+        overlay.style.display = 'none';
+    }
+}
+
+/**
+ * 更新提示信息
+ */
+function updateTooltipInfo(element) {
+    const infoEl = tooltip?.querySelector('#picker-element-info');
+    if (!infoEl) return;
+
+    const rect = element.getBoundingClientRect();
+    let info = `${element.tagName.toLowerCase()}`;
+
+    if (element.id) {
+        info += `#${element.id}`;
+    } else if (element.className) {
+        const classes = element.className.toString().split(' ').slice(0, 2).join('.');
+        if (classes) info += `.${classes}`;
+    }
+
+    info += ` (${Math.round(rect.width)}×${Math.round(rect.height)})`;
+
+    infoEl.textContent = info;
+}
+
+/**
+ * 获取元素信息
+ */
+function getElementInfo(element) {
+    const rect = element.getBoundingClientRect();
+
+    return {
+        tagName: element.tagName.toLowerCase(),
+        id: element.id || null,
+        className: element.className ? element.className.toString() : null,
+        width: Math.round(rect.width),
+        height: Math.round(rect.height)
+    };
+}
+
+/**
+ * 选择器是否只匹配一个元素
+ * @param {string} selector - CSS选择器
+ * @returns {boolean}
+ */
+function isUnique(selector) {
+    try {
+        return document.querySelectorAll(selector).length === 1;
+    } catch (e) {
+        return false;
+    }
+}
+
+/**
+ * 生成选择器
+ * 尽量生成稳定、唯一的CSS选择器，依次尝试：ID、类名组合、src中的文件名、父元素路径
+ * @param {Element} element - 选中的元素
+ * @returns {string}
+ */
+function generateSelector(element) {
+    const tagName = element.tagName.toLowerCase();
+
+    // 优先使用ID
+    if (element.id) {
+        return `#${CSS.escape(element.id)}`;
+    }
+
+    // 尝试使用类名组合
+    const classes = getClassNames(element);
+    if (classes.length > 0) {
+        const selector = `${tagName}.${classes.join('.')}`;
+        if (isUnique(selector)) {
+            return selector;
+        }
+    }
+
+    // 尝试使用src中的文件名（跳过data URL，其内容每次都不同）
+    if (element.src && !element.src.startsWith('data:')) {
+        const srcPath = new URL(element.src, location.href).pathname;
+        const srcMatch = srcPath.match(/\/([^/]+?)(\.[^/]*)?$/);
+        if (srcMatch) {
+            const selector = `${tagName}[src*="${CSS.escape(srcMatch[1])}"]`;
+            if (isUnique(selector)) {
+                return selector;
+            }
+        }
+    }
+
+    // 使用父元素路径
+    const path = [];
+    let current = element;
+
+    while (current && current !== document.body && path.length < 5) {
+        if (current.id) {
+            path.unshift(`#${CSS.escape(current.id)}`);
+            break;
+        }
+
+        let selector = current.tagName.toLowerCase();
+
+        // 添加nth-of-type如果有多个同级元素
+        const parent = current.parentElement;
+        if (parent) {
+            const siblings = Array.from(parent.children).filter(c => c.tagName === current.tagName);
+            if (siblings.length > 1) {
+                selector += `:nth-of-type(${siblings.indexOf(current) + 1})`;
+            }
+        }
+
+        path.unshift(selector);
+        current = current.parentElement;
+    }
+
+    return path.join(' > ');
+}
+
+/**
+ * 获取可用于选择器的类名（排除Tailwind等框架中带冒号的类名）
+ * @param {Element} element - 元素
+ * @returns {Array<string>}
+ */
+function getClassNames(element) {
+    if (!element.className) return [];
+
+    return element.className.toString().trim().split(/\s+/)
+        .filter(c => c && !c.includes(':'))
+        .map(c => CSS.escape(c));
+}
+
+return { startPicker, stopPicker, isPickerActive, getElementInfo, generateSelector };
+})();
+
+// ==================== src/content/solve-widget.js ====================
+const __content_solve_widget = (function () {
+/**
+ * 页面悬浮识别按钮模块
+ * 在检测到的验证码旁显示按钮，无需打开弹窗即可识别、填充、刷新、复制结果和保存网站规则
+ * 界面放在 Shadow DOM 中，不受页面样式影响，也不影响页面
+ */
+
+const logger = __utils_logger;
+
+// 宿主元素ID（检测器据此忽略其引起的DOM变化）
+const WIDGET_HOST_ID = 'captcha-solve-widgets';
+
+// 按钮尺寸及与验证码的间距
+const BUTTON_SIZE = 24;
+const BUTTON_GAP = 6;
+
+const STYLE = `
+    :host {
+        all: initial;
+    }
+    .widget {
+        position: fixed;
+        font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+        font-size: 13px;
+        color: white;
+    }
+    .widget.offscreen {
+        display: none;
+    }
+    .toggle {
+        width: ${BUTTON_SIZE}px;
+        height: ${BUTTON_SIZE}px;
+        padding: 0;
+        border: 1px solid #6366f1;
+        border-radius: 50%;
+        background: #1a1a2e;
+        color: #818cf8;
+        font-size: 10px;
+        font-weight: bold;
+        cursor: pointer;
+        box-shadow: 0 2px 8px rgba(0, 0, 0, 0.3);
+        opacity: 0.85;
+    }
+    .toggle:hover {
+        opacity: 1;
+    }
+    .widget.busy .toggle {
+        border-color: transparent;
+        border-top-color: #818cf8;
+        animation: spin 0.8s linear infinite;
+        color: transparent;
+    }
+    @keyframes spin {
+        to { transform: rotate(360deg); }
+    }
+    .panel {
+        position: absolute;
+        top: ${BUTTON_SIZE + 4}px;
+        left: 0;
+        width: 210px;
+        padding: 10px;
+        background: #1a1a2e;
+        border: 1px solid #6366f1;
+        border-radius: 10px;
+        box-shadow: 0 4px 20px rgba(0, 0, 0, 0.3);
+    }
+    .panel[hidden] {
+        display: none;
+    }
+    .result {
+        min-height: 22px;
+        margin-bottom: 8px;
+        font-family: Monaco, Consolas, monospace;
+        font-size: 16px;
+        letter-spacing: 1px;
+        color: #818cf8;
+        word-break: break-all;
+    }
+    .result.empty,
+    .result.error {
+        font-family: inherit;
+        font-size: 12px;
+        letter-spacing: normal;
+        color: #a1a1aa;
+    }
+    .result.error {
+        color: #f87171;
+    }
+    .actions {
+        display: grid;
+        grid-template-columns: repeat(3, 1fr);
+        gap: 6px;
+    }
+    .actions button {
+        padding: 4px 0;
+        background: #252540;
+        color: white;
+        border: 1px solid #3f3f46;
+        border-radius: 6px;
+        font-size: 12px;
+        cursor: pointer;
+    }
+    .actions button:hover:not(:disabled) {
+        border-color: #6366f1;
+    }
+    .actions button:disabled {
+        opacity: 0.4;
+        cursor: default;
+    }
+    .actions .save {
+        grid-column: span 3;
+    }
+`;
+
+/**
+ * 悬浮识别按钮
+ */
+class SolveWidget {
+    /**
+     * 构造函数
+     * @param {object} handlers - 操作处理函数 { recognize(captcha), fill(captcha, text), refresh(captcha), saveRule(captcha) }
+     *   均返回Promise，失败时抛出错误，错误信息会显示在面板中
+     */
+    constructor(handlers) {
+        this.handlers = handlers;
+        this.host = null;
+        this.root = null;
+        // 验证码ID -> { captcha, el, text, message, error, open }
+        this.widgets = new Map();
+        this.processingId = null;
+        this.positionFrame = null;
+        this.handleViewportChange = () => this.schedulePosition();
+    }
+
+    /**
+     * 按检测结果更新按钮：新增验证码显示按钮，消失的验证码移除按钮
+     * @param {Array<object>} captchas - 检测到的验证码
+     */
+    update(captchas) {
+        const visible = captchas.filter(c => c.element?.isConnected);
+
+        for (const [id, widget] of this.widgets) {
+            if (!visible.some(c => c.id === id)) {
+                widget.el.remove();
+                this.widgets.delete(id);
+            }
+        }
+
+        if (visible.length === 0) {
+            this.unmount();
+            return;
+        }
+
+        this.mount();
+
+        visible.forEach((captcha) => {
+            const widget = this.widgets.get(captcha.id);
+
+            if (widget) {
+                // 元素可能已被页面替换，使用最新的检测结果
+                widget.captcha = captcha;
+                this.render(widget);
+            } else {
+                this.widgets.set(captcha.id, this.createWidget(captcha));
+            }
+        });
+
+        this.positionAll();
+    }
+
+    /**
+     * 标记正在识别的验证码，显示加载动画
+     * @param {string|null} captchaId - 验证码ID，为空表示没有进行中的识别
+     */
+    setProcessing(captchaId) {
+        this.processingId = captchaId;
+        this.widgets.forEach(widget => this.render(widget));
+    }
+
+    /**
+     * 显示识别结果
+     * @param {string} captchaId - 验证码ID
+     * @param {object} result - { text } 或 { error }
+     */
+    setResult(captchaId, result) {
+        const widget = this.widgets.get(captchaId);
+        if (!widget) return;
+
+        widget.text = result.text || null;
+        widget.error = result.error || null;
+        widget.message = null;
+        this.render(widget);
+    }
+
+    /**
+     * 移除全部按钮并停止跟随页面滚动
+     */
+    destroy() {
+        this.widgets.clear();
+        this.unmount();
+    }
+
+    /**
+     * 创建宿主元素和 Shadow DOM
+     */
+    mount() {
+        if (this.host?.isConnected) return;
+
+        this.host = document.createElement('div');
+        this.host.id = WIDGET_HOST_ID;
+        this.host.style.cssText = 'position: fixed; top: 0; left: 0; width: 0; height: 0; z-index: 999997;';
+
+        this.root = this.host.attachShadow({ mode: 'closed' });
+        const style = document.createElement('style');
+        style.textContent = STYLE;
+        this.root.appendChild(style);
+
+        // 页面重新渲染时宿主可能被移除，重新挂载已有的按钮
+        this.widgets.forEach(widget => this.root.appendChild(widget.el));
+
+        document.documentElement.appendChild(this.host);
+
+        window.addEventListener('scroll', this.handleViewportChange, { capture: true, passive: true });
+        window.addEventListener('resize', this.handleViewportChange, { passive: true });
+    }
+
+    /**
+     * 移除宿主元素并停止监听滚动
+     */
+    unmount() {
+        window.removeEventListener('scroll', this.handleViewportChange, { capture: true });
+        window.removeEventListener('resize', this.handleViewportChange);
+        cancelAnimationFrame(this.positionFrame);
+        this.positionFrame = null;
+
+        if (this.host) {
+            this.host.remove();
+            this.host = null;
+            this.root = null;
+        }
+    }
+
+    /**
+     * 创建单个验证码的按钮和操作面板
+     * @param {object} captcha - 验证码信息
+     * @returns {object}
+     */
+    createWidget(captcha) {
+        const el = document.createElement('div');
+        el.className = 'widget';
+        el.innerHTML = `
+            <button class="toggle" title="AI识别验证码">AI</button>
+            <div class="panel" hidden>
+                <div class="result"></div>
+                <div class="actions">
+                    <button data-action="recognize">识别</button>
+                    <button data-action="fill">填充</button>
+                    <button data-action="refresh">刷新</button>
+                    <button data-action="copy">复制</button>
+                    <button class="save" data-action="saveRule">保存为网站规则</button>
+                </div>
+            </div>
+        `;
 
-    // 初始化时从 storage 读取 debugMode 设置
-    async function initDebugMode() {
-        try {
-            const response = await chrome.runtime.sendMessage({ action: 'getSettings' });
-            if (response.success && response.settings) {
-                debugMode = response.settings.debugMode || false;
-                // 同时设置全局变量供 element-picker.js 使用
-                window.__captchaDebugMode = debugMode;
-            }
-        } catch (e) {
-            // 忽略错误，保持默认关闭
-        }
-    }
+        const widget = { captcha, el, text: null, message: null, error: null, open: false };
 
-    const logger = {
-        debug: (msg, ...args) => {
-            if (debugMode) console.log('[AI Captcha]', msg, ...args);
-        },
-        info: (msg, ...args) => {
-            if (debugMode) console.log('[AI Captcha]', msg, ...args);
-        },
-        warn: (msg, ...args) => {
-            if (debugMode) console.warn('[AI Captcha]', msg, ...args);
-        },
-        error: (msg, ...args) => {
-            // 错误日志始终输出
-            console.error('[AI Captcha]', msg, ...args);
-        }
-    };
+        el.querySelector('.toggle').onclick = (e) => {
+            e.stopPropagation();
+            widget.open = !widget.open;
+            this.render(widget);
 
-    // ==================== 验证码检测器 ====================
-    const CAPTCHA_PATTERNS = {
-        classKeywords: [
-            'captcha', 'verify', 'code', 'vcode', 'imgcode',
-            'checkcode', 'seccode', 'authcode', 'validcode',
-            'yzm', 'yanzhengma', '验证码'
-        ],
-        idKeywords: [
-            'captcha', 'verify', 'code', 'vcode', 'imgcode',
-            'checkcode', 'seccode', 'authcode', 'validcode',
-            'yzm', 'captchaImg', 'codeImg'
-        ],
-        sizeRange: {
-            minWidth: 50,
-            maxWidth: 300,
-            minHeight: 20,
-            maxHeight: 100
-        },
-        inputKeywords: [
-            'captcha', 'verify', 'code', 'vcode',
-            'checkcode', 'seccode', 'authcode', 'validcode',
-            'yzm', 'yanzhengma', '验证码'
-        ]
-    };
+            // 首次打开且没有结果时直接识别
+            if (widget.open && !widget.text && !widget.error && this.processingId === null) {
+                this.runAction(widget, 'recognize');
+            }
+        };
 
-    class CaptchaDetector {
-        constructor() {
-            this.detectedCaptchas = [];
-        }
+        el.querySelectorAll('[data-action]').forEach((button) => {
+            button.onclick = (e) => {
+                e.stopPropagation();
+                this.runAction(widget, button.dataset.action);
+            };
+        });
 
-        scan() {
-            logger.debug('开始扫描页面验证码');
-            this.detectedCaptchas = [];
-            this.scanImages();
-            this.scanCanvas();
-            this.scanSvg();
-            logger.info(`扫描完成，找到 ${this.detectedCaptchas.length} 个可能的验证码`);
-            return this.detectedCaptchas;
-        }
+        // 避免页面把点击当作点击了页面其他位置
+        el.addEventListener('mousedown', e => e.stopPropagation());
 
-        scanImages() {
-            const images = document.querySelectorAll('img');
-            images.forEach((img, index) => {
-                if (this.isLikelyCaptcha(img)) {
-                    this.detectedCaptchas.push({
-                        type: 'image',
-                        element: img,
-                        src: img.src,
-                        rect: img.getBoundingClientRect(),
-                        confidence: this.calculateConfidence(img),
-                        inputElement: this.findRelatedInput(img),
-                        id: `captcha-${index}`
-                    });
-                }
-            });
-        }
+        this.root.appendChild(el);
+        this.render(widget);
 
-        scanCanvas() {
-            const canvases = document.querySelectorAll('canvas');
-            canvases.forEach((canvas, index) => {
-                if (this.isLikelyCanvasCaptcha(canvas)) {
-                    this.detectedCaptchas.push({
-                        type: 'canvas',
-                        element: canvas,
-                        rect: canvas.getBoundingClientRect(),
-                        confidence: this.calculateConfidence(canvas),
-                        inputElement: this.findRelatedInput(canvas),
-                        id: `captcha-canvas-${index}`
-                    });
-                }
-            });
-        }
+        return widget;
+    }
 
-        scanSvg() {
-            const svgs = document.querySelectorAll('svg');
-            svgs.forEach((svg, index) => {
-                if (this.isLikelySvgCaptcha(svg)) {
-                    this.detectedCaptchas.push({
-                        type: 'svg',
-                        element: svg,
-                        rect: svg.getBoundingClientRect(),
-                        confidence: this.calculateConfidence(svg),
-                        inputElement: this.findRelatedInput(svg),
-                        id: `captcha-svg-${index}`
-                    });
-                }
-            });
-        }
+    /**
+     * 执行面板中的操作
+     * @param {object} widget - 按钮状态
+     * @param {string} action - 操作名称
+     */
+    async runAction(widget, action) {
+        const { captcha } = widget;
 
-        isLikelyCaptcha(img) {
-            const rect = img.getBoundingClientRect();
-            if (!this.isCaptchaSize(rect.width, rect.height)) return false;
-            if (!this.isVisible(img)) return false;
-            if (this.matchesKeywords(img)) return true;
-            if (this.srcContainsKeywords(img.src)) return true;
-            if (this.matchesKeywordsInText(img.alt)) return true;
-            if (this.parentContainsKeywords(img)) return true;
-            if (this.hasNearbyInput(img)) return true;
-            return false;
-        }
+        widget.error = null;
+        widget.message = null;
 
-        isLikelyCanvasCaptcha(canvas) {
-            const rect = canvas.getBoundingClientRect();
-            if (!this.isCaptchaSize(rect.width, rect.height)) return false;
-            if (!this.isVisible(canvas)) return false;
-            if (this.matchesKeywords(canvas)) return true;
-            if (this.parentContainsKeywords(canvas)) return true;
-            if (this.hasNearbyInput(canvas)) return true;
-            return false;
+        try {
+            switch (action) {
+                case 'recognize':
+                    await this.handlers.recognize(captcha);
+                    break;
+                case 'fill':
+                    await this.handlers.fill(captcha, widget.text);
+                    widget.message = '已填充';
+                    break;
+                case 'refresh':
+                    widget.text = null;
+                    this.render(widget);
+                    await this.handlers.refresh(captcha);
+                    widget.message = '已刷新，点击「识别」重新识别';
+                    break;
+                case 'copy':
+                    await copyText(widget.text);
+                    widget.message = '已复制';
+                    break;
+                case 'saveRule':
+                    await this.handlers.saveRule(captcha);
+                    widget.message = '已保存为网站规则';
+                    break;
+            }
+        } catch (error) {
+            logger.warn('悬浮按钮操作失败', { action, error: error.message });
+            widget.error = error.message;
         }
 
-        isLikelySvgCaptcha(svg) {
-            const rect = svg.getBoundingClientRect();
-            if (!this.isCaptchaSize(rect.width, rect.height)) return false;
-            if (!this.isVisible(svg)) return false;
-            if (this.matchesKeywords(svg)) return true;
-            if (this.parentContainsKeywords(svg)) return true;
-            if (this.hasNearbyInput(svg)) return true;
-            return false;
-        }
+        this.render(widget);
+    }
 
-        isCaptchaSize(width, height) {
-            const { minWidth, maxWidth, minHeight, maxHeight } = CAPTCHA_PATTERNS.sizeRange;
-            return width >= minWidth && width <= maxWidth && height >= minHeight && height <= maxHeight;
+    /**
+     * 按状态更新按钮和面板
+     * @param {object} widget - 按钮状态
+     */
+    render(widget) {
+        const { el, captcha, text, message, error, open } = widget;
+        const busy = this.processingId === captcha.id;
+        const idle = this.processingId === null;
+
+        el.classList.toggle('busy', busy);
+        el.querySelector('.panel').hidden = !open;
+
+        const result = el.querySelector('.result');
+        result.className = 'result';
+
+        if (busy) {
+            result.textContent = '识别中...';
+            result.classList.add('empty');
+        } else if (error) {
+            result.textContent = error;
+            result.classList.add('error');
+        } else if (text) {
+            result.textContent = message ? `${text}  ·  ${message}` : text;
+        } else {
+            result.textContent = message || '尚未识别';
+            result.classList.add('empty');
         }
 
-        isVisible(element) {
-            const style = window.getComputedStyle(element);
-            const rect = element.getBoundingClientRect();
-            return style.display !== 'none' && style.visibility !== 'hidden' &&
-                style.opacity !== '0' && rect.width > 0 && rect.height > 0;
-        }
+        const buttons = Object.fromEntries(
+            Array.from(el.querySelectorAll('[data-action]'), b => [b.dataset.action, b])
+        );
+        buttons.recognize.disabled = !idle;
+        buttons.fill.disabled = !idle || !text || !captcha.inputElement;
+        buttons.fill.title = captcha.inputElement ? '' : '未找到验证码输入框';
+        buttons.refresh.disabled = !idle;
+        buttons.copy.disabled = !text;
+    }
 
-        matchesKeywords(element) {
-            const className = (element.className || '').toString().toLowerCase();
-            const id = (element.id || '').toLowerCase();
-            return CAPTCHA_PATTERNS.classKeywords.some(k => className.includes(k)) ||
-                CAPTCHA_PATTERNS.idKeywords.some(k => id.includes(k));
-        }
+    /**
+     * 在下一帧更新位置（滚动时合并多次更新）
+     */
+    schedulePosition() {
+        if (this.positionFrame) return;
 
-        matchesKeywordsInText(text) {
-            if (!text) return false;
-            const lowerText = text.toLowerCase();
-            return CAPTCHA_PATTERNS.classKeywords.some(k => lowerText.includes(k));
-        }
+        this.positionFrame = requestAnimationFrame(() => {
+            this.positionFrame = null;
+            this.positionAll();
+        });
+    }
 
-        srcContainsKeywords(src) {
-            if (!src) return false;
-            const lowerSrc = src.toLowerCase();
-            return CAPTCHA_PATTERNS.classKeywords.some(k => lowerSrc.includes(k));
-        }
+    /**
+     * 将按钮放在验证码右侧，验证码不在可视区域内时隐藏
+     */
+    positionAll() {
+        this.widgets.forEach(({ captcha, el }) => {
+            const rect = captcha.element.getBoundingClientRect();
+            const offscreen = !captcha.element.isConnected || rect.width === 0 ||
+                rect.bottom < 0 || rect.top > window.innerHeight ||
+                rect.right < 0 || rect.left > window.innerWidth;
 
-        parentContainsKeywords(element) {
-            let parent = element.parentElement;
-            let depth = 0;
-            while (parent && depth < 3) {
-                if (this.matchesKeywords(parent)) return true;
-                parent = parent.parentElement;
-                depth++;
-            }
-            return false;
-        }
+            el.classList.toggle('offscreen', offscreen);
+            if (offscreen) return;
 
-        hasNearbyInput(element) {
-            return this.findRelatedInput(element) !== null;
-        }
+            // 右侧放不下时放在验证码内部右上角
+            const left = rect.right + BUTTON_GAP + BUTTON_SIZE <= window.innerWidth
+                ? rect.right + BUTTON_GAP
+                : rect.right - BUTTON_SIZE;
 
-        findRelatedInput(element) {
-            let parent = element.parentElement;
-            let depth = 0;
-            while (parent && depth < 5) {
-                const input = this.findCaptchaInput(parent);
-                if (input) return input;
-                parent = parent.parentElement;
-                depth++;
-            }
+            el.style.left = `${Math.round(left)}px`;
+            el.style.top = `${Math.round(rect.top + (rect.height - BUTTON_SIZE) / 2)}px`;
+        });
+    }
+}
 
-            const rect = element.getBoundingClientRect();
-            const inputs = document.querySelectorAll('input[type="text"], input:not([type])');
+/**
+ * 复制文本，剪贴板API不可用时（如HTTP页面）使用 execCommand
+ * @param {string} text - 文本
+ */
+async function copyText(text) {
+    try {
+        await navigator.clipboard.writeText(text);
+    } catch (e) {
+        const textarea = document.createElement('textarea');
+        textarea.value = text;
+        textarea.style.cssText = 'position: fixed; opacity: 0;';
+        document.body.appendChild(textarea);
+        textarea.select();
+        const copied = document.execCommand('copy');
+        textarea.remove();
+
+        if (!copied) throw new Error('复制失败');
+    }
+}
 
-            for (const input of inputs) {
-                const inputRect = input.getBoundingClientRect();
-                if (inputRect.left > rect.right && inputRect.left - rect.right < 150 &&
-                    Math.abs(inputRect.top - rect.top) < 50) {
-                    return input;
-                }
-                if (inputRect.top > rect.bottom && inputRect.top - rect.bottom < 100 &&
-                    Math.abs(inputRect.left - rect.left) < 100) {
-                    return input;
-                }
-            }
+const __default = SolveWidget;
 
-            return null;
-        }
+return { SolveWidget, default: __default };
+})();
 
-        findCaptchaInput(container) {
-            const inputs = container.querySelectorAll('input[type="text"], input:not([type])');
-            for (const input of inputs) {
-                if (this.isCaptchaInputByName(input)) return input;
-            }
-            return null;
-        }
+// ==================== src/content/main.js ====================
+(function () {
+/**
+ * 内容脚本入口
+ * 在网页中运行，响应弹窗和后台的消息，负责验证码识别、自动填充、提交结果回报和手动选择
+ * 注意：页面实际加载的是由 scripts/build-content.mjs 打包生成的 content.js，修改后需重新打包
+ */
 
-        isCaptchaInputByName(input) {
-            const name = (input.name || '').toLowerCase();
-            const id = (input.id || '').toLowerCase();
-            const placeholder = (input.placeholder || '').toLowerCase();
-            const className = (input.className || '').toString().toLowerCase();
-            return CAPTCHA_PATTERNS.inputKeywords.some(k =>
-                name.includes(k) || id.includes(k) || placeholder.includes(k) || className.includes(k)
-            );
-        }
+const logger = __utils_logger;
+const { CaptchaDetector } = __content_captcha_detector;
+const { AutoFill } = __content_auto_fill;
+const { SubmitVerifier } = __content_submit_verifier;
+const { ImagePreprocessor } = __content_image_preprocessor;
+const { startPicker, generateSelector, getElementInfo } = __content_element_picker;
+const { SolveWidget } = __content_solve_widget;
 
-        calculateConfidence(element) {
-            let score = 0;
-            if (this.matchesKeywords(element)) score += 30;
-            if (element.src && this.srcContainsKeywords(element.src)) score += 20;
-            if (this.parentContainsKeywords(element)) score += 15;
-            if (this.findRelatedInput(element)) score += 25;
-            const rect = element.getBoundingClientRect();
-            if (this.isCaptchaSize(rect.width, rect.height)) score += 10;
-            return Math.min(score, 100);
-        }
+// 调试模式关闭时只输出错误日志
+logger.setLevel(logger.LOG_LEVELS.ERROR);
+let debugMode = false;
 
-        async captureImage(captchaInfo) {
-            switch (captchaInfo.type) {
-                case 'image':
-                    return this.captureImgElement(captchaInfo.element);
-                case 'canvas':
-                    return this.captureCanvasElement(captchaInfo.element);
-                case 'svg':
-                    return this.captureSvgElement(captchaInfo.element);
-                default:
-                    throw new Error(`不支持的验证码类型: ${captchaInfo.type}`);
-            }
+/**
+ * 从设置中读取调试模式
+ */
+async function initDebugMode() {
+    try {
+        const response = await chrome.runtime.sendMessage({ action: 'getSettings' });
+        if (response.success && response.settings) {
+            debugMode = response.settings.debugMode || false;
+            if (debugMode) logger.enableDebug();
         }
+    } catch (e) {
+        // 忽略错误，保持默认关闭
+    }
+}
+
+const detector = new CaptchaDetector();
+const autoFill = new AutoFill();
+const preprocessor = new ImagePreprocessor();
+const solveWidget = new SolveWidget({
+    recognize: widgetRecognize,
+    fill: widgetFill,
+    refresh: widgetRefresh,
+    saveRule: widgetSaveRule
+});
+let currentCaptcha = null;
+let isProcessing = false;
+// 进行中识别请求的ID，用于取消
+let currentRequestId = null;
+// 验证码旁的悬浮识别按钮，由设置 showSolveWidget 控制
+let widgetEnabled = false;
+// 最近一次右键点击的图片或画布，供右键菜单识别
+let contextMenuTarget = null;
+// 内容脚本注入所有框架，子框架中只处理右键菜单，检测、悬浮按钮和其余消息只在顶层页面
+const isTopFrame = window === window.top;
+
+// 验证码刷新后自动重新识别：最短间隔和每分钟最多次数（防止网站在填充失败后反复刷新造成死循环）
+const RESOLVE_DEBOUNCE = 300;
+const RESOLVE_MIN_INTERVAL = 2000;
+const RESOLVE_MAX_PER_MINUTE = 6;
+// 当前网站规则的刷新监听状态 { selector, lastSrc, timer, solvedAt[] }
+let ruleWatch = null;
+
+const submitVerifier = new SubmitVerifier();
+// 最近一次识别 { historyId, captchaId }，自动提交后据此回报网站的判定
+let lastRecognition = null;
+// 最近一次捕获的验证码图像 { captchaId, imageData }，显示在提交前的确认对话框中
+let lastCapture = null;
+// 进行中的提交结果检测数（含重试），期间刷新监听不重新识别
+let activeVerifications = 0;
+// 页面重新加载后延续的剩余重试次数，为负数时表示已用完
+let carriedRetriesLeft = null;
+// 整页提交会导致页面重新加载，检测状态暂存在 sessionStorage 中
+const PENDING_SUBMIT_KEY = 'ai-captcha-pending-submit';
+const PENDING_SUBMIT_MAX_AGE = 15000;
+// 点击验证码刷新后等待新图片加载的时长
+const CAPTCHA_REFRESH_TIMEOUT = 3000;
+
+async function init() {
+    // 初始化调试模式设置
+    await initDebugMode();
+    logger.info('内容脚本已加载');
+    chrome.runtime.onMessage.addListener(isTopFrame ? handleMessage : handleFrameMessage);
+    document.addEventListener('contextmenu', recordContextMenuTarget, true);
+    if (!isTopFrame) return;
+    
+    // 延迟扫描和应用规则，之后持续监听页面变化（SPA路由切换、弹出的登录框等）
+    setTimeout(async () => {
+        widgetEnabled = (await fetchSettings()).showSolveWidget !== false;
+        scanPage();
+        detector.startWatching(notifyCaptchaDetected);
+        await checkPendingSubmit();
+        await checkAndApplySiteRule();
+    }, 1000);
+}
+
+/**
+ * 检查并应用网站规则
+ */
+async function checkAndApplySiteRule() {
+    try {
+        // 获取设置
+        const settingsResponse = await chrome.runtime.sendMessage({ action: 'getSettings' });
+        const settings = settingsResponse.success ? settingsResponse.settings : {};
+
+        // 获取网站规则
+        const ruleResponse = await chrome.runtime.sendMessage({
+            action: 'getSiteRule',
+            hostname: location.hostname
+        });
 
-        async captureImgElement(img) {
-            // 首先确保图片已完全加载
-            await this.waitForImageLoad(img);
+        if (ruleResponse.success && ruleResponse.rule?.selector) {
+            logger.info('发现网站规则', ruleResponse.rule);
+            
+            // 应用规则
+            await handleApplySiteRule(ruleResponse.rule.selector, async (result) => {
+                if (result.success && settings.autoSolveOnRule) {
+                    logger.info('自动识别已启用，开始识别...');
+                    
+                    // 稍微延迟以确保高亮效果可见
+                    setTimeout(() => autoSolveRuleCaptcha(result.captcha.id, settings), 500);
+                }
+            });
 
-            return new Promise((resolve, reject) => {
-                try {
-                    // 方法1：直接从页面上已渲染的img元素绘制到canvas
-                    // 这样不会重新请求URL，避免验证码刷新
-                    const canvas = document.createElement('canvas');
-                    const ctx = canvas.getContext('2d');
+            watchRuleCaptcha(ruleResponse.rule.selector);
+        }
+    } catch (error) {
+        logger.error('检查网站规则失败', error);
+    }
+}
 
-                    // 使用图片的实际渲染尺寸或原始尺寸
-                    const width = img.naturalWidth || img.width;
-                    const height = img.naturalHeight || img.height;
+/**
+ * 识别规则指定的验证码并自动填充
+ */
+function autoSolveRuleCaptcha(captchaId, settings) {
+    if (ruleWatch) {
+        ruleWatch.lastSrc = currentCaptcha?.element.src || null;
+        ruleWatch.solvedAt.push(Date.now());
+    }
 
-                    if (width === 0 || height === 0) {
-                        reject(new Error('图片尺寸为0，可能未加载完成'));
-                        return;
-                    }
+    handleRecognize(captchaId, (response) => {
+        if (response && response.success && response.text) {
+            logger.info('自动识别成功:', response.text);
 
-                    canvas.width = width;
-                    canvas.height = height;
-
-                    // 直接绘制页面上的img元素
-                    ctx.drawImage(img, 0, 0, width, height);
-
-                    try {
-                        const dataUrl = canvas.toDataURL('image/png');
-
-                        // 检查是否成功获取了图像数据
-                        if (dataUrl === 'data:,') {
-                            throw new Error('获取到空白图像');
-                        }
-
-                        logger.info('直接从页面img元素捕获成功', { width, height });
-                        resolve(dataUrl);
-                    } catch (securityError) {
-                        // 如果因为跨域安全策略无法直接绘制，尝试备用方案
-                        logger.warn('直接绘制失败，尝试备用方案', securityError.message);
-
-                        // 备用方案：如果src是data URL，直接使用
-                        if (img.src.startsWith('data:')) {
-                            logger.info('使用data URL');
-                            resolve(img.src);
-                            return;
-                        }
-
-                        // 备用方案2：尝试使用html2canvas方式截取元素
-                        this.captureElementAsScreenshot(img)
-                            .then(resolve)
-                            .catch(() => {
-                                reject(new Error('无法捕获跨域图片，请尝试手动截图'));
-                            });
-                    }
-                } catch (error) {
-                    logger.error('图片捕获失败', error);
-                    reject(error);
+            // 提交前会显示确认对话框，无需再显示结果提示
+            if (!(settings.autoSubmit && settings.confirmBeforeSubmit)) {
+                showResultToast(response.text, response.historyId);
+            }
+            
+            // 自动填充
+            handleFill(response.text, { autoSubmit: settings.autoSubmit }, (fillResult) => {
+                if (fillResult && fillResult.success) {
+                    logger.info('自动填充完成');
+                } else {
+                    logger.error('自动填充失败:', fillResult ? fillResult.error : '未知错误');
                 }
             });
+        } else {
+            logger.error('自动识别失败:', response ? response.error : '未知错误');
         }
+    });
+}
 
-        /**
-         * 等待图片加载完成
-         */
-        async waitForImageLoad(img) {
-            // 如果图片已经加载完成
-            if (img.complete && img.naturalWidth > 0) {
-                return Promise.resolve();
-            }
+/**
+ * 监听规则指定的验证码图片刷新（点击换图、登录失败后网站自动更换）
+ * 在document上捕获load事件，元素被SPA重新渲染替换后仍然有效
+ * @param {string} selector - 规则中的元素选择器
+ */
+function watchRuleCaptcha(selector) {
+    if (!ruleWatch) {
+        document.addEventListener('load', handleRuleCaptchaLoad, true);
+    }
 
-            // 如果是data URL，直接返回
-            if (img.src && img.src.startsWith('data:')) {
-                return Promise.resolve();
-            }
+    clearTimeout(ruleWatch?.timer);
+    ruleWatch = {
+        selector,
+        lastSrc: currentCaptcha?.id === 'rule-selected' ? currentCaptcha.element.src : null,
+        timer: null,
+        solvedAt: []
+    };
+}
 
-            logger.info('等待图片加载完成...');
+function handleRuleCaptchaLoad(event) {
+    const target = event.target;
 
-            return new Promise((resolve, reject) => {
-                const timeout = setTimeout(() => {
-                    reject(new Error('图片加载超时'));
-                }, 5000);
+    // 提交后的检测和重试会自行处理验证码刷新
+    if (activeVerifications > 0) return;
 
-                img.onload = () => {
-                    clearTimeout(timeout);
-                    logger.info('图片加载完成');
-                    resolve();
-                };
+    if (target.tagName !== 'IMG' || !target.matches(ruleWatch.selector)) return;
+    if (target.src === ruleWatch.lastSrc) return;
 
-                img.onerror = () => {
-                    clearTimeout(timeout);
-                    reject(new Error('图片加载失败'));
-                };
+    logger.debug('规则验证码已刷新', target.src);
 
-                // 如果图片已经在加载过程中完成了
-                if (img.complete && img.naturalWidth > 0) {
-                    clearTimeout(timeout);
-                    resolve();
-                }
-            });
-        }
+    clearTimeout(ruleWatch.timer);
+    ruleWatch.timer = setTimeout(resolveRefreshedCaptcha, RESOLVE_DEBOUNCE);
+}
 
-        /**
-         * 使用屏幕截图方式捕获元素（备用方案）
-         */
-        async captureElementAsScreenshot(element) {
-            return new Promise((resolve, reject) => {
-                try {
-                    const rect = element.getBoundingClientRect();
-                    const canvas = document.createElement('canvas');
-                    const ctx = canvas.getContext('2d');
+/**
+ * 验证码刷新后重新识别并填充（受频率限制）
+ */
+async function resolveRefreshedCaptcha() {
+    ruleWatch.timer = null;
+
+    let settings;
+    try {
+        const settingsResponse = await chrome.runtime.sendMessage({ action: 'getSettings' });
+        settings = settingsResponse.success ? settingsResponse.settings : {};
+    } catch (error) {
+        logger.error('获取设置失败', error);
+        return;
+    }
 
-                    // 使用元素的显示尺寸
-                    canvas.width = rect.width;
-                    canvas.height = rect.height;
+    if (!settings.autoSolveOnRule) return;
 
-                    // 尝试直接绘制
-                    ctx.drawImage(element, 0, 0, rect.width, rect.height);
+    const now = Date.now();
+    ruleWatch.solvedAt = ruleWatch.solvedAt.filter(time => now - time < 60000);
 
-                    const dataUrl = canvas.toDataURL('image/png');
-                    if (dataUrl && dataUrl !== 'data:,') {
-                        resolve(dataUrl);
-                    } else {
-                        reject(new Error('截图失败'));
-                    }
-                } catch (error) {
-                    reject(error);
-                }
-            });
-        }
+    if (ruleWatch.solvedAt.length >= RESOLVE_MAX_PER_MINUTE) {
+        logger.warn('验证码刷新过于频繁，暂停自动识别');
+        return;
+    }
 
-        async captureCanvasElement(canvas) {
-            return canvas.toDataURL('image/png');
-        }
+    const wait = (ruleWatch.solvedAt.at(-1) || 0) + RESOLVE_MIN_INTERVAL - now;
+    if (wait > 0) {
+        ruleWatch.timer = setTimeout(resolveRefreshedCaptcha, wait);
+        return;
+    }
 
-        async captureSvgElement(svg) {
-            return new Promise((resolve, reject) => {
-                try {
-                    const clonedSvg = svg.cloneNode(true);
-                    const rect = svg.getBoundingClientRect();
-                    clonedSvg.setAttribute('width', rect.width);
-                    clonedSvg.setAttribute('height', rect.height);
-
-                    const serializer = new XMLSerializer();
-                    const svgString = serializer.serializeToString(clonedSvg);
-                    const blob = new Blob([svgString], { type: 'image/svg+xml' });
-                    const url = URL.createObjectURL(blob);
-
-                    const img = new Image();
-                    img.onload = () => {
-                        const canvas = document.createElement('canvas');
-                        canvas.width = rect.width;
-                        canvas.height = rect.height;
-                        const ctx = canvas.getContext('2d');
-                        ctx.drawImage(img, 0, 0);
-                        URL.revokeObjectURL(url);
-                        resolve(canvas.toDataURL('image/png'));
-                    };
-                    img.onerror = () => {
-                        URL.revokeObjectURL(url);
-                        reject(new Error('SVG转换失败'));
-                    };
-                    img.src = url;
-                } catch (error) {
-                    reject(error);
-                }
-            });
+    // 正在识别的是刷新前的旧图，结果已失效，取消后稍后重试
+    if (isProcessing) {
+        if (currentRequestId) {
+            chrome.runtime.sendMessage({ action: 'cancel', requestId: currentRequestId }).catch(() => { });
         }
+        ruleWatch.timer = setTimeout(resolveRefreshedCaptcha, RESOLVE_DEBOUNCE);
+        return;
+    }
 
-        highlight(captchaInfo) {
-            if (captchaInfo && captchaInfo.element) {
-                captchaInfo.element.style.outline = '3px solid #4CAF50';
-                captchaInfo.element.style.outlineOffset = '2px';
-            }
+    // 重新定位元素，页面可能已替换为新的img
+    handleApplySiteRule(ruleWatch.selector, (result) => {
+        if (result.success) {
+            logger.info('验证码已刷新，重新识别...');
+            autoSolveRuleCaptcha(result.captcha.id, settings);
+        } else {
+            logger.error('重新定位验证码失败:', result.error);
         }
+    });
+}
 
-        unhighlight(captchaInfo) {
-            if (captchaInfo && captchaInfo.element) {
-                captchaInfo.element.style.outline = '';
-                captchaInfo.element.style.outlineOffset = '';
-            }
-        }
+/**
+ * 按当前网站规则对图像做预处理，未启用或处理失败时返回原图
+ * @param {string} imageData - 捕获的图像
+ * @returns {Promise<string>}
+ */
+async function applyPreprocess(imageData) {
+    try {
+        const ruleResponse = await chrome.runtime.sendMessage({
+            action: 'getSiteRule',
+            hostname: location.hostname
+        });
+        const options = ruleResponse.success ? ruleResponse.rule?.preprocess : null;
 
-        getDetectedCaptchas() {
-            return this.detectedCaptchas;
-        }
+        if (!preprocessor.isEnabled(options)) return imageData;
 
-        getMostLikelyCaptcha() {
-            if (this.detectedCaptchas.length === 0) return null;
-            return this.detectedCaptchas.reduce((best, current) =>
-                current.confidence > best.confidence ? current : best
-            );
-        }
+        return await preprocessor.process(imageData, options);
+    } catch (error) {
+        logger.warn('图像预处理失败，使用原图', error);
+        return imageData;
+    }
+}
+
+function handleMessage(message, sender, sendResponse) {
+    logger.debug('收到消息:', message.action);
+
+    switch (message.action) {
+        case 'scan':
+            handleScan(sendResponse);
+            return true;
+        case 'recognize':
+            handleRecognize(message.captchaId, sendResponse, message.source, { refresh: message.refresh });
+            return true;
+        case 'cancel':
+            handleCancel(sendResponse);
+            return true;
+        case 'fill':
+            handleFill(message.text, message.options, sendResponse);
+            return true;
+        case 'getStatus':
+            handleGetStatus(sendResponse);
+            return true;
+        case 'highlight':
+            handleHighlight(message.captchaId, sendResponse);
+            return true;
+        case 'previewCaptcha':
+            handlePreviewCaptcha(message.captchaId, sendResponse);
+            return true;
+        case 'startPicker':
+            handleStartPicker(sendResponse);
+            return true;
+        case 'solveContextMenuTarget':
+            handleSolveContextMenuTarget(message.remember, sendResponse);
+            return true;
+        case 'applySiteRule':
+            handleApplySiteRule(message.selector, sendResponse);
+            return true;
+        default:
+            sendResponse({ success: false, error: '未知操作' });
     }
+    return false;
+}
 
-    // ==================== 自动填充 ====================
-    class AutoFill {
-        constructor() {
-            this.lastFilledInput = null;
-        }
+/**
+ * 子框架的消息处理：只处理发给本框架的右键菜单识别，其余消息不响应，由顶层页面回复
+ */
+function handleFrameMessage(message, sender, sendResponse) {
+    if (message.action !== 'solveContextMenuTarget') return false;
 
-        async fill(inputElement, text, options = {}) {
-            const { simulate = true, autoSubmit = false } = options;
+    // 网站规则只在顶层页面应用，子框架中只识别不保存
+    handleSolveContextMenuTarget(false, sendResponse);
+    return true;
+}
 
-            try {
-                if (!inputElement) throw new Error('未找到输入框');
+function handleScan(sendResponse) {
+    try {
+        const captchas = detector.scan();
+        detector.notifyIfChanged();
+        const simplifiedCaptchas = captchas.map(c => ({
+            id: c.id, type: c.type, confidence: c.confidence,
+            rect: c.rect, hasInput: !!c.inputElement
+        }));
+        currentCaptcha = detector.getMostLikelyCaptcha();
+        sendResponse({
+            success: true,
+            captchas: simplifiedCaptchas,
+            bestCaptcha: currentCaptcha ? {
+                id: currentCaptcha.id, type: currentCaptcha.type, confidence: currentCaptcha.confidence
+            } : null
+        });
+    } catch (error) {
+        sendResponse({ success: false, error: error.message });
+    }
+}
 
-                inputElement.focus();
-                inputElement.value = '';
-                this.dispatchEvent(inputElement, 'input');
+/**
+ * 识别验证码
+ * @param {string|null} captchaId - 验证码ID，为空时使用最可能的验证码
+ * @param {Function} sendResponse - 响应函数
+ * @param {string} source - 请求来源
+ * @param {object} options - 选项 { refresh }，refresh 表示不使用缓存的结果
+ */
+async function handleRecognize(captchaId, sendResponse, source = 'content', options = {}) {
+    if (isProcessing) {
+        sendResponse({ success: false, error: '正在处理中' });
+        return;
+    }
 
-                if (simulate) {
-                    await this.simulateTyping(inputElement, text);
-                } else {
-                    inputElement.value = text;
-                    this.dispatchEvent(inputElement, 'input');
-                    this.dispatchEvent(inputElement, 'change');
-                }
+    isProcessing = true;
 
-                this.lastFilledInput = inputElement;
-                this.highlightInput(inputElement);
+    try {
+        const captchas = detector.getDetectedCaptchas();
+        const captcha = captchaId
+            ? captchas.find(c => c.id === captchaId)
+            : detector.getMostLikelyCaptcha();
 
-                // 自动提交表单
-                if (autoSubmit) {
-                    logger.info('自动提交表单...');
-                    await this.submitForm(inputElement);
-                }
+        if (!captcha) throw new Error('未找到验证码');
 
-                return true;
-            } catch (error) {
-                logger.error('填充失败', error);
-                return false;
-            }
+        // 检查元素是否仍然存在于DOM中
+        if (!document.body.contains(captcha.element)) {
+            throw new Error('验证码元素已不存在，请重新扫描');
         }
 
-        /**
-         * 提交表单
-         */
-        async submitForm(input) {
-            // 查找表单
-            const form = input.closest('form');
-
-            if (form) {
-                logger.info('找到表单，提交中...');
-                // 触发submit事件
-                const submitEvent = new Event('submit', {
-                    bubbles: true,
-                    cancelable: true
-                });
+        currentCaptcha = captcha;
+        detector.highlight(captcha);
+        solveWidget.setProcessing(captcha.id);
 
-                const prevented = !form.dispatchEvent(submitEvent);
+        // 等待一小段时间确保DOM完全渲染
+        await new Promise(resolve => setTimeout(resolve, 100));
 
-                if (!prevented) {
-                    form.submit();
-                }
-            } else {
-                // 尝试查找提交按钮
-                logger.info('未找到表单，尝试查找提交按钮...');
-                const parent = input.parentElement?.parentElement?.parentElement || document;
-                const submitBtn = parent.querySelector(
-                    'button[type="submit"], input[type="submit"], button:not([type])'
-                );
-
-                if (submitBtn) {
-                    logger.info('点击提交按钮');
-                    submitBtn.click();
-                } else {
-                    // 模拟按回车键
-                    logger.info('模拟回车键提交');
-                    this.dispatchKeyEvent(input, 'keydown', 'Enter');
-                    this.dispatchKeyEvent(input, 'keypress', 'Enter');
-                    this.dispatchKeyEvent(input, 'keyup', 'Enter');
-                }
-            }
-        }
+        logger.info('开始捕获验证码图像...', { type: captcha.type, id: captcha.id });
 
-        async simulateTyping(input, text) {
-            for (const char of text) {
-                this.dispatchKeyEvent(input, 'keydown', char);
-                input.value += char;
-                this.dispatchEvent(input, 'input');
-                this.dispatchKeyEvent(input, 'keyup', char);
-                await this.delay(50 + Math.random() * 100);
-            }
-            this.dispatchEvent(input, 'change');
-            this.dispatchEvent(input, 'blur');
+        // 确保元素可见
+        const rect = captcha.element.getBoundingClientRect();
+        if (rect.width === 0 || rect.height === 0) {
+            throw new Error('验证码元素不可见');
         }
 
-        dispatchEvent(element, eventType) {
-            element.dispatchEvent(new Event(eventType, { bubbles: true, cancelable: true }));
-        }
+        const imageData = await detector.captureImage(captcha);
 
-        dispatchKeyEvent(element, eventType, key) {
-            element.dispatchEvent(new KeyboardEvent(eventType, {
-                key, code: `Key${key.toUpperCase()}`,
-                charCode: key.charCodeAt(0), keyCode: key.charCodeAt(0),
-                bubbles: true, cancelable: true
-            }));
+        // 验证图像数据有效性
+        if (!imageData || imageData.length < 100) {
+            throw new Error('图像数据无效，请重试');
         }
 
-        delay(ms) {
-            return new Promise(resolve => setTimeout(resolve, ms));
-        }
+        // 调试输出：显示图像数据信息
+        logger.info('图像捕获完成', {
+            dataLength: imageData.length,
+            prefix: imageData.substring(0, 50) + '...',
+            isBase64: imageData.startsWith('data:image')
+        });
 
-        highlightInput(input) {
-            const originalBorder = input.style.border;
-            const originalBoxShadow = input.style.boxShadow;
-            input.style.border = '2px solid #4CAF50';
-            input.style.boxShadow = '0 0 8px rgba(76, 175, 80, 0.5)';
-            setTimeout(() => {
-                input.style.border = originalBorder;
-                input.style.boxShadow = originalBoxShadow;
-            }, 2000);
+        // 在控制台输出图像预览（可以在浏览器控制台查看）
+        if (debugMode) {
+            console.log('%c[AI Captcha] 捕获的验证码图像预览：', 'color: #4CAF50; font-weight: bold');
+            console.log('%c ', `
+                background: url(${imageData}) no-repeat;
+                background-size: contain;
+                padding: 50px 100px;
+                border: 2px solid #4CAF50;
+            `);
         }
-    }
-
-    // ==================== 主入口 ====================
-    const detector = new CaptchaDetector();
-    const autoFill = new AutoFill();
-    let currentCaptcha = null;
-    let isProcessing = false;
 
-    async function init() {
-        // 初始化调试模式设置
-        await initDebugMode();
-        logger.info('内容脚本已加载');
-        chrome.runtime.onMessage.addListener(handleMessage);
-        
-        // 延迟扫描和应用规则
-        setTimeout(async () => {
-            scanPage();
-            await checkAndApplySiteRule();
-        }, 1000);
-    }
+        lastCapture = { captchaId: captcha.id, imageData };
 
-    /**
-     * 检查并应用网站规则
-     */
-    async function checkAndApplySiteRule() {
-        try {
-            // 获取设置
-            const settingsResponse = await chrome.runtime.sendMessage({ action: 'getSettings' });
-            const settings = settingsResponse.success ? settingsResponse.settings : {};
+        const processedData = await applyPreprocess(imageData);
 
-            // 获取网站规则
-            const ruleResponse = await chrome.runtime.sendMessage({
-                action: 'getSiteRule',
-                hostname: location.hostname
-            });
+        currentRequestId = `${Date.now()}-${Math.random().toString(36).slice(2)}`;
 
-            if (ruleResponse.success && ruleResponse.rule) {
-                logger.info('发现网站规则', ruleResponse.rule);
-                
-                // 应用规则
-                await handleApplySiteRule(ruleResponse.rule.selector, async (result) => {
-                    if (result.success && settings.autoSolveOnRule) {
-                        logger.info('自动识别已启用，开始识别...');
-                        
-                        // 稍微延迟以确保高亮效果可见
-                        setTimeout(() => {
-                            handleRecognize(result.captcha.id, (response) => {
-                                if (response && response.success && response.text) {
-                                    logger.info('自动识别成功:', response.text);
-                                    
-                                    // 自动填充
-                                    handleFill(response.text, { autoSubmit: settings.autoSubmit }, (fillResult) => {
-                                        if (fillResult && fillResult.success) {
-                                            logger.info('自动填充完成');
-                                        } else {
-                                            logger.error('自动填充失败:', fillResult ? fillResult.error : '未知错误');
-                                        }
-                                    });
-                                } else {
-                                    logger.error('自动识别失败:', response ? response.error : '未知错误');
-                                }
-                            });
-                        }, 500);
-                    }
-                });
-            }
-        } catch (error) {
-            logger.error('检查网站规则失败', error);
-        }
-    }
+        const response = await chrome.runtime.sendMessage({
+            action: 'recognizeCaptcha',
+            imageData: processedData,
+            hostname: location.hostname,
+            requestId: currentRequestId,
+            source,
+            refresh: !!options.refresh
+        });
 
-    function handleMessage(message, sender, sendResponse) {
-        logger.debug('收到消息:', message.action);
-
-        switch (message.action) {
-            case 'scan':
-                handleScan(sendResponse);
-                return true;
-            case 'recognize':
-                handleRecognize(message.captchaId, sendResponse);
-                return true;
-            case 'fill':
-                handleFill(message.text, message.options, sendResponse);
-                return true;
-            case 'getStatus':
-                handleGetStatus(sendResponse);
-                return true;
-            case 'highlight':
-                handleHighlight(message.captchaId, sendResponse);
-                return true;
-            case 'previewCaptcha':
-                handlePreviewCaptcha(message.captchaId, sendResponse);
-                return true;
-            case 'startPicker':
-                handleStartPicker(sendResponse);
-                return true;
-            case 'applySiteRule':
-                handleApplySiteRule(message.selector, sendResponse);
-                return true;
-            default:
-                sendResponse({ success: false, error: '未知操作' });
-        }
-        return false;
-    }
+        detector.unhighlight(captcha);
 
-    function handleScan(sendResponse) {
-        try {
-            const captchas = detector.scan();
-            const simplifiedCaptchas = captchas.map(c => ({
-                id: c.id, type: c.type, confidence: c.confidence,
-                rect: c.rect, hasInput: !!c.inputElement
-            }));
-            currentCaptcha = detector.getMostLikelyCaptcha();
+        if (response.success) {
+            lastRecognition = { historyId: response.historyId, captchaId: captcha.id };
+            solveWidget.setResult(captcha.id, { text: response.text });
             sendResponse({
-                success: true,
-                captchas: simplifiedCaptchas,
-                bestCaptcha: currentCaptcha ? {
-                    id: currentCaptcha.id, type: currentCaptcha.type, confidence: currentCaptcha.confidence
-                } : null
+                success: true, text: response.text,
+                elapsed: response.elapsed, captchaId: captcha.id,
+                configName: response.configName, fallback: response.fallback,
+                votes: response.votes, historyId: response.historyId,
+                cached: !!response.cached
+            });
+        } else {
+            if (!response.cancelled) solveWidget.setResult(captcha.id, { error: response.error });
+            sendResponse({
+                success: false, error: response.error,
+                errorType: response.errorType, cancelled: response.cancelled
             });
-        } catch (error) {
-            sendResponse({ success: false, error: error.message });
         }
-    }
-
-    async function handleRecognize(captchaId, sendResponse) {
-        if (isProcessing) {
-            sendResponse({ success: false, error: '正在处理中' });
-            return;
+    } catch (error) {
+        logger.error('识别失败', error);
+        if (currentCaptcha) {
+            detector.unhighlight(currentCaptcha);
+            solveWidget.setResult(currentCaptcha.id, { error: error.message });
         }
+        sendResponse({ success: false, error: error.message });
+    } finally {
+        isProcessing = false;
+        currentRequestId = null;
+        solveWidget.setProcessing(null);
+    }
+}
 
-        isProcessing = true;
+async function handleCancel(sendResponse) {
+    if (!currentRequestId) {
+        sendResponse({ success: false, error: '没有进行中的识别' });
+        return;
+    }
 
-        try {
-            const captchas = detector.getDetectedCaptchas();
-            const captcha = captchaId
-                ? captchas.find(c => c.id === captchaId)
-                : detector.getMostLikelyCaptcha();
+    try {
+        const response = await chrome.runtime.sendMessage({
+            action: 'cancel',
+            requestId: currentRequestId
+        });
+        sendResponse(response);
+    } catch (error) {
+        sendResponse({ success: false, error: error.message });
+    }
+}
+
+async function handleFill(text, options = {}, sendResponse) {
+    try {
+        if (!currentCaptcha) throw new Error('未检测到验证码');
+        if (!currentCaptcha.inputElement) throw new Error('未找到验证码输入框');
+        // 提交结果检测会消耗 lastRecognition，确认对话框也需要它
+        const recognition = lastRecognition;
+        const fillOptions = await prepareConfirmation(await prepareSubmitVerification(options), recognition);
+        const success = await autoFill.fill(currentCaptcha.inputElement, text, fillOptions);
+        sendResponse({ success });
+    } catch (error) {
+        sendResponse({ success: false, error: error.message });
+    }
+}
+
+function handleGetStatus(sendResponse) {
+    const captchas = detector.getDetectedCaptchas();
+    sendResponse({
+        success: true, isProcessing,
+        captchaCount: captchas.length, hasCaptcha: captchas.length > 0,
+        currentCaptcha: currentCaptcha ? {
+            id: currentCaptcha.id, type: currentCaptcha.type, confidence: currentCaptcha.confidence
+        } : null
+    });
+}
+
+function handleHighlight(captchaId, sendResponse) {
+    const captchas = detector.getDetectedCaptchas();
+    const captcha = captchas.find(c => c.id === captchaId);
+    if (captcha) {
+        detector.highlight(captcha);
+        setTimeout(() => detector.unhighlight(captcha), 2000);
+        sendResponse({ success: true });
+    } else {
+        sendResponse({ success: false, error: '未找到验证码' });
+    }
+}
 
-            if (!captcha) throw new Error('未找到验证码');
+function scanPage() {
+    const captchas = detector.scan();
+    if (captchas.length > 0) {
+        notifyCaptchaDetected(captchas);
+    }
+}
 
-            // 检查元素是否仍然存在于DOM中
-            if (!document.body.contains(captcha.element)) {
-                throw new Error('验证码元素已不存在，请重新扫描');
-            }
+/**
+ * 通知后台更新图标徽章（数量为0时清除）
+ */
+function notifyCaptchaDetected(captchas) {
+    // 扩展被重新加载后旧的内容脚本无法再通信，停止监听
+    if (!chrome.runtime?.id) {
+        detector.stopWatching();
+        solveWidget.destroy();
+        return;
+    }
 
-            currentCaptcha = captcha;
-            detector.highlight(captcha);
+    if (widgetEnabled) solveWidget.update(captchas);
 
-            // 等待一小段时间确保DOM完全渲染
-            await new Promise(resolve => setTimeout(resolve, 100));
+    chrome.runtime.sendMessage({
+        action: 'captchaDetected',
+        count: captchas.length,
+        bestConfidence: detector.getMostLikelyCaptcha()?.confidence || 0
+    }).catch(() => { });
+}
 
-            logger.info('开始捕获验证码图像...', { type: captcha.type, id: captcha.id });
+// ==================== 提交结果回报与重试 ====================
 
-            // 确保元素可见
-            const rect = captcha.element.getBoundingClientRect();
-            if (rect.width === 0 || rect.height === 0) {
-                throw new Error('验证码元素不可见');
-            }
+async function fetchSettings() {
+    const response = await chrome.runtime.sendMessage({ action: 'getSettings' });
+    return response.success ? response.settings : {};
+}
 
-            const imageData = await detector.captureImage(captcha);
+/**
+ * 自动提交最近识别的验证码时，附加提交结果检测
+ * @param {object} options - 填充选项，retriesLeft 为内部重试时的剩余次数
+ * @returns {Promise<object>} - 传给 AutoFill.fill 的选项
+ */
+async function prepareSubmitVerification(options) {
+    const recognition = lastRecognition;
 
-            // 验证图像数据有效性
-            if (!imageData || imageData.length < 100) {
-                throw new Error('图像数据无效，请重试');
-            }
+    if (!options.autoSubmit || !recognition?.historyId || recognition.captchaId !== currentCaptcha.id) {
+        return options;
+    }
 
-            // 调试输出：显示图像数据信息
-            logger.info('图像捕获完成', {
-                dataLength: imageData.length,
-                prefix: imageData.substring(0, 50) + '...',
-                isBase64: imageData.startsWith('data:image')
-            });
+    const settings = await fetchSettings();
+    if (!settings.verifySubmit) return options;
 
-            // 在控制台输出图像预览（可以在浏览器控制台查看）
-            if (debugMode) {
-                console.log('%c[AI Captcha] 捕获的验证码图像预览：', 'color: #4CAF50; font-weight: bold');
-                console.log('%c ', `
-                    background: url(${imageData}) no-repeat;
-                    background-size: contain;
-                    padding: 50px 100px;
-                    border: 2px solid #4CAF50;
-                `);
-            }
+    const retriesLeft = options.retriesLeft ?? carriedRetriesLeft ?? settings.retryOnReject;
+    carriedRetriesLeft = null;
 
-            const response = await chrome.runtime.sendMessage({
-                action: 'recognizeCaptcha',
-                imageData: imageData
-            });
+    // 页面重新加载前已用完重试次数，只填充不提交，避免反复提交错误答案
+    if (retriesLeft < 0) {
+        logger.warn('验证码多次被网站拒绝，本次只填充不提交');
+        return { ...options, autoSubmit: false };
+    }
 
-            detector.unhighlight(captcha);
+    lastRecognition = null;
+    const captcha = currentCaptcha;
 
-            if (response.success) {
-                sendResponse({
-                    success: true, text: response.text,
-                    elapsed: response.elapsed, captchaId: captcha.id
-                });
-            } else {
-                sendResponse({ success: false, error: response.error });
-            }
-        } catch (error) {
-            logger.error('识别失败', error);
-            if (currentCaptcha) {
-                detector.unhighlight(currentCaptcha);
-            }
-            sendResponse({ success: false, error: error.message });
-        } finally {
-            isProcessing = false;
+    return {
+        ...options,
+        // 确认对话框中重新识别后 historyId 为新的记录；用户手动修改的答案不属于任何识别记录，不检测
+        onBeforeSubmit: ({ edited = false, historyId = null } = {}) => {
+            if (!edited) startSubmitVerification(captcha, historyId || recognition.historyId, settings, retriesLeft);
         }
-    }
+    };
+}
+
+/**
+ * 开启了提交前确认时，为自动提交附加确认对话框
+ * 用户修改答案后作为更正反馈给识别记录
+ * @param {object} options - 填充选项
+ * @param {object|null} recognition - 最近一次识别 { historyId, captchaId }
+ * @returns {Promise<object>} - 传给 AutoFill.fill 的选项
+ */
+async function prepareConfirmation(options, recognition) {
+    if (!options.autoSubmit) return options;
+
+    const settings = await fetchSettings();
+    if (!settings.confirmBeforeSubmit) return options;
 
-    async function handleFill(text, options, sendResponse) {
-        try {
-            if (!currentCaptcha) throw new Error('未检测到验证码');
-            if (!currentCaptcha.inputElement) throw new Error('未找到验证码输入框');
-            const success = await autoFill.fill(currentCaptcha.inputElement, text, options);
-            sendResponse({ success });
-        } catch (error) {
-            sendResponse({ success: false, error: error.message });
+    const captcha = currentCaptcha;
+    const { onBeforeSubmit } = options;
+    let historyId = recognition?.captchaId === captcha.id ? recognition.historyId : null;
+
+    const reRecognize = async () => {
+        const response = await new Promise(resolve => handleRecognize(captcha.id, resolve, 'content', { refresh: true }));
+        if (!response?.success) {
+            throw new Error(response?.error || '未知错误');
         }
-    }
 
-    function handleGetStatus(sendResponse) {
-        const captchas = detector.getDetectedCaptchas();
-        sendResponse({
-            success: true, isProcessing,
-            captchaCount: captchas.length, hasCaptcha: captchas.length > 0,
-            currentCaptcha: currentCaptcha ? {
-                id: currentCaptcha.id, type: currentCaptcha.type, confidence: currentCaptcha.confidence
-            } : null
-        });
-    }
+        // 新的识别记录由此对话框回报，不再留给之后的填充
+        historyId = response.historyId;
+        lastRecognition = null;
+        return response.text;
+    };
 
-    function handleHighlight(captchaId, sendResponse) {
-        const captchas = detector.getDetectedCaptchas();
-        const captcha = captchas.find(c => c.id === captchaId);
-        if (captcha) {
-            detector.highlight(captcha);
-            setTimeout(() => detector.unhighlight(captcha), 2000);
-            sendResponse({ success: true });
-        } else {
-            sendResponse({ success: false, error: '未找到验证码' });
+    return {
+        ...options,
+        confirmBeforeSubmit: true,
+        confirmation: {
+            imageData: lastCapture?.captchaId === captcha.id ? lastCapture.imageData : null,
+            countdown: settings.confirmCountdown,
+            onReRecognize: reRecognize
+        },
+        onBeforeSubmit: (submitted) => {
+            if (submitted.edited && historyId) {
+                chrome.runtime.sendMessage({
+                    action: 'submitFeedback',
+                    historyId,
+                    correct: false,
+                    value: submitted.text
+                }).catch(() => { });
+            }
+
+            if (onBeforeSubmit) onBeforeSubmit({ ...submitted, historyId });
         }
-    }
+    };
+}
 
-    function scanPage() {
-        const captchas = detector.scan();
-        if (captchas.length > 0) {
-            chrome.runtime.sendMessage({
-                action: 'captchaDetected',
-                count: captchas.length,
-                bestConfidence: detector.getMostLikelyCaptcha()?.confidence || 0
-            }).catch(() => { });
+/**
+ * 提交前开始观察页面，得出判定后回报并按需重试
+ */
+function startSubmitVerification(captcha, historyId, settings, retriesLeft) {
+    activeVerifications++;
+    savePendingSubmit({ historyId, url: location.href, time: Date.now(), retriesLeft });
+
+    submitVerifier.observe(captcha, settings.failureKeywords || []).then(async ({ verdict, reason, refreshed }) => {
+        clearPendingSubmit();
+        logger.info('提交结果', { verdict, reason });
+        reportSubmitResult(historyId, verdict, reason);
+
+        if (verdict === 'rejected' && retriesLeft > 0) {
+            await retryRejectedCaptcha(captcha, refreshed, retriesLeft - 1);
         }
+    }).catch((error) => {
+        logger.error('提交结果判定或重试失败', error);
+    }).finally(() => {
+        activeVerifications--;
+    });
+}
+
+/**
+ * 被网站拒绝后刷新验证码，重新识别、填充并提交
+ * @param {object} captcha - 被拒绝的验证码
+ * @param {boolean} refreshed - 网站是否已自动更换验证码
+ * @param {number} retriesLeft - 此次重试之后剩余的次数
+ */
+async function retryRejectedCaptcha(captcha, refreshed, retriesLeft) {
+    logger.info(`验证码被网站拒绝，刷新后重试（之后还可重试 ${retriesLeft} 次）`);
+
+    const next = await refreshCaptcha(captcha, refreshed);
+    if (!next) {
+        logger.error('无法刷新验证码，停止重试');
+        return;
     }
 
-    // ==================== 调试功能 ====================
+    const response = await new Promise(resolve => handleRecognize(next.id, resolve));
+    if (!response?.success) {
+        logger.error('重试识别失败:', response ? response.error : '未知错误');
+        return;
+    }
 
-    /**
-     * 处理验证码预览请求（调试用）
-     */
-    async function handlePreviewCaptcha(captchaId, sendResponse) {
-        try {
-            const captchas = detector.getDetectedCaptchas();
-            const captcha = captchaId
-                ? captchas.find(c => c.id === captchaId)
-                : detector.getMostLikelyCaptcha();
+    if (ruleWatch) ruleWatch.lastSrc = next.element.src || null;
+    showResultToast(response.text, response.historyId);
 
-            if (!captcha) throw new Error('未找到验证码');
+    await new Promise(resolve => handleFill(response.text, { autoSubmit: true, retriesLeft }, resolve));
+}
 
-            const imageData = await detector.captureImage(captcha);
+/**
+ * 获取刷新后的验证码，网站未自动更换时点击图片刷新（多数网站支持点击换图）
+ * @returns {Promise<object|null>}
+ */
+async function refreshCaptcha(captcha, refreshed) {
+    const { element } = captcha;
 
-            // 在页面上显示预览弹窗
-            showCaptchaPreview(imageData, captcha);
+    if (!refreshed && element.isConnected) {
+        const oldSrc = element.src;
+        element.click();
 
-            sendResponse({
-                success: true,
-                imageData: imageData,
-                captchaInfo: {
-                    id: captcha.id,
-                    type: captcha.type,
-                    confidence: captcha.confidence
-                }
-            });
-        } catch (error) {
-            sendResponse({ success: false, error: error.message });
+        if (element.tagName === 'IMG') {
+            if (!await waitForImageChange(element, oldSrc)) return null;
+        } else {
+            await new Promise(resolve => setTimeout(resolve, 1000));
         }
     }
 
-    /**
-     * 在页面上显示验证码预览弹窗
-     */
-    function showCaptchaPreview(imageData, captchaInfo) {
-        // 移除已有的预览
-        const existing = document.getElementById('captcha-debug-preview');
-        if (existing) existing.remove();
-
-        const overlay = document.createElement('div');
-        overlay.id = 'captcha-debug-preview';
-        overlay.style.cssText = `
-            position: fixed;
-            top: 0;
-            left: 0;
-            right: 0;
-            bottom: 0;
-            background: rgba(0, 0, 0, 0.8);
-            display: flex;
-            align-items: center;
-            justify-content: center;
-            z-index: 999999;
-            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
-        `;
-
-        const dialog = document.createElement('div');
-        dialog.style.cssText = `
-            background: #1a1a2e;
-            padding: 24px;
-            border-radius: 16px;
-            max-width: 500px;
-            color: white;
-            box-shadow: 0 20px 60px rgba(0,0,0,0.5);
-        `;
-
-        dialog.innerHTML = `
-            <h3 style="margin: 0 0 16px 0; color: #6366f1;">🔍 验证码捕获调试</h3>
-            <div style="margin-bottom: 16px;">
-                <p style="margin: 0 0 8px 0; color: #a1a1aa; font-size: 14px;">以下是发送给AI的图像：</p>
-                <div style="background: #252540; padding: 16px; border-radius: 8px; text-align: center;">
-                    <img src="${imageData}" style="max-width: 100%; border: 2px solid #4CAF50; border-radius: 4px;" />
-                </div>
-            </div>
-            <div style="background: #252540; padding: 12px; border-radius: 8px; margin-bottom: 16px; font-size: 13px;">
-                <div style="margin-bottom: 6px;"><strong>类型:</strong> ${captchaInfo.type}</div>
-                <div style="margin-bottom: 6px;"><strong>置信度:</strong> ${captchaInfo.confidence}%</div>
-                <div style="margin-bottom: 6px;"><strong>数据长度:</strong> ${imageData.length} 字符</div>
-                <div><strong>格式:</strong> ${imageData.substring(5, 30)}...</div>
-            </div>
-            <div style="display: flex; gap: 12px;">
-                <button id="debug-copy-base64" style="
-                    flex: 1;
-                    padding: 10px;
-                    background: #6366f1;
-                    color: white;
-                    border: none;
-                    border-radius: 8px;
-                    cursor: pointer;
-                    font-size: 14px;
-                ">复制Base64</button>
-                <button id="debug-download" style="
-                    flex: 1;
-                    padding: 10px;
-                    background: #10b981;
-                    color: white;
-                    border: none;
-                    border-radius: 8px;
-                    cursor: pointer;
-                    font-size: 14px;
-                ">下载图片</button>
-                <button id="debug-close" style="
-                    flex: 1;
-                    padding: 10px;
-                    background: #3f3f46;
-                    color: white;
-                    border: none;
-                    border-radius: 8px;
-                    cursor: pointer;
-                    font-size: 14px;
-                ">关闭</button>
-            </div>
-        `;
+    // 重新定位，页面可能已替换验证码元素
+    if (ruleWatch) {
+        const result = await new Promise(resolve => handleApplySiteRule(ruleWatch.selector, resolve));
+        return result.success ? currentCaptcha : null;
+    }
 
-        overlay.appendChild(dialog);
-        document.body.appendChild(overlay);
+    detector.scan();
+    const captchas = detector.getDetectedCaptchas();
+    return captchas.find(c => c.element === element) || detector.getMostLikelyCaptcha();
+}
 
-        // 绑定事件
-        document.getElementById('debug-copy-base64').onclick = async () => {
-            try {
-                await navigator.clipboard.writeText(imageData);
-                alert('Base64已复制到剪贴板！\n\n您可以将其粘贴到AI对话中测试。');
-            } catch (e) {
-                // 备用方案
-                const textarea = document.createElement('textarea');
-                textarea.value = imageData;
-                document.body.appendChild(textarea);
-                textarea.select();
-                document.execCommand('copy');
-                textarea.remove();
-                alert('Base64已复制！');
-            }
+/**
+ * 等待图片换成新的地址并加载完成
+ * @returns {Promise<boolean>} - 超时未变化时返回false
+ */
+function waitForImageChange(img, oldSrc) {
+    return new Promise((resolve) => {
+        const done = (changed) => {
+            clearTimeout(timer);
+            img.removeEventListener('load', onLoad);
+            resolve(changed);
         };
-
-        document.getElementById('debug-download').onclick = () => {
-            const link = document.createElement('a');
-            link.href = imageData;
-            link.download = `captcha-debug-${Date.now()}.png`;
-            link.click();
+        const onLoad = () => {
+            if (img.src !== oldSrc) done(true);
         };
+        const timer = setTimeout(() => done(img.src !== oldSrc && img.complete), CAPTCHA_REFRESH_TIMEOUT);
+
+        img.addEventListener('load', onLoad);
+    });
+}
+
+function reportSubmitResult(historyId, verdict, reason) {
+    chrome.runtime.sendMessage({
+        action: 'reportSubmitResult',
+        historyId,
+        verdict,
+        reason
+    }).catch(() => { });
+}
+
+function savePendingSubmit(pending) {
+    try {
+        sessionStorage.setItem(PENDING_SUBMIT_KEY, JSON.stringify(pending));
+    } catch (e) {
+        // 沙箱iframe等环境无法使用sessionStorage，忽略
+    }
+}
 
-        document.getElementById('debug-close').onclick = () => overlay.remove();
-        overlay.onclick = (e) => { if (e.target === overlay) overlay.remove(); };
+function clearPendingSubmit() {
+    try {
+        sessionStorage.removeItem(PENDING_SUBMIT_KEY);
+    } catch (e) {
+        // 忽略
+    }
+}
+
+function takePendingSubmit() {
+    try {
+        const pending = JSON.parse(sessionStorage.getItem(PENDING_SUBMIT_KEY));
+        sessionStorage.removeItem(PENDING_SUBMIT_KEY);
+        return pending;
+    } catch (e) {
+        return null;
     }
+}
 
-    // ==================== 手动选择功能 ====================
+/**
+ * 检查上一页自动提交后的结果（整页提交后页面已重新加载）
+ * 回到同一页面且仍需输入验证码视为被拒绝，跳转到其他页面视为接受
+ */
+async function checkPendingSubmit() {
+    const pending = takePendingSubmit();
+    if (!pending || Date.now() - pending.time > PENDING_SUBMIT_MAX_AGE) return;
+
+    try {
+        const settings = await fetchSettings();
+        const samePage = new URL(pending.url).pathname === location.pathname;
+        const keyword = submitVerifier.findNewKeyword(settings.failureKeywords || []);
+        const captcha = detector.getMostLikelyCaptcha();
+
+        if (!samePage || (!keyword && !captcha)) {
+            reportSubmitResult(pending.historyId, 'accepted', '页面已跳转');
+            return;
+        }
 
-    /**
-     * 启动元素选择器
-     */
-    function handleStartPicker(sendResponse) {
-        // 创建选择器
-        initElementPicker(async (result) => {
-            if (result.cancelled) {
-                sendResponse({ success: false, cancelled: true });
-            } else if (result.success) {
-                // 将选择的元素设置为当前验证码
-                const element = result.element;
-                const rect = element.getBoundingClientRect();
+        reportSubmitResult(pending.historyId, 'rejected', keyword ? `页面提示「${keyword}」` : '页面重新加载后仍需输入验证码');
 
-                currentCaptcha = {
-                    type: element.tagName.toLowerCase() === 'img' ? 'image' :
-                        element.tagName.toLowerCase() === 'canvas' ? 'canvas' : 'svg',
-                    element: element,
-                    src: element.src || null,
-                    rect: rect,
-                    confidence: 100,
-                    inputElement: detector.findRelatedInput(element),
-                    id: 'manual-selected',
-                    selector: result.selector
-                };
+        // 由接下来的自动提交继续消耗重试次数（只在短时间内有效，不影响之后的手动操作）
+        carriedRetriesLeft = pending.retriesLeft - 1;
+        setTimeout(() => { carriedRetriesLeft = null; }, PENDING_SUBMIT_MAX_AGE);
 
-                detector.detectedCaptchas = [currentCaptcha];
+        if (pending.retriesLeft <= 0 || !captcha) return;
 
-                // 直接保存网站规则到storage（通过Service Worker）
-                try {
-                    await chrome.runtime.sendMessage({
-                        action: 'saveSiteRule',
-                        hostname: location.hostname,
-                        rule: {
-                            selector: result.selector,
-                            info: result.info
-                        }
-                    });
-                    logger.info('网站规则已保存', { hostname: location.hostname, selector: result.selector });
-
-                    // 显示成功提示
-                    showSaveSuccessToast(result.selector);
-                } catch (error) {
-                    logger.error('保存规则失败', error);
-                }
+        // 匹配网站规则且开启了自动识别时，由规则流程识别和提交
+        const ruleResponse = await chrome.runtime.sendMessage({ action: 'getSiteRule', hostname: location.hostname });
+        if (settings.autoSolveOnRule && ruleResponse.success && ruleResponse.rule?.selector) return;
 
-                sendResponse({
-                    success: true,
-                    selector: result.selector,
-                    info: result.info,
-                    hostname: location.hostname
-                });
+        logger.info(`验证码被网站拒绝，重新识别（之后还可重试 ${carriedRetriesLeft} 次）`);
+
+        handleRecognize(captcha.id, (response) => {
+            if (response?.success) {
+                handleFill(response.text, { autoSubmit: true }, () => { });
+            } else {
+                logger.error('重试识别失败:', response ? response.error : '未知错误');
             }
         });
-
-        return true; // 保持消息通道开放
+    } catch (error) {
+        logger.error('检查提交结果失败', error);
     }
+}
 
-    /**
-     * 显示保存成功的提示
-     */
-    function showSaveSuccessToast(selector) {
-        // 移除已有的提示
-        const existing = document.getElementById('captcha-save-toast');
-        if (existing) existing.remove();
-
-        const toast = document.createElement('div');
-        toast.id = 'captcha-save-toast';
-        toast.style.cssText = `
-            position: fixed;
-            top: 20px;
-            left: 50%;
-            transform: translateX(-50%);
-            background: linear-gradient(135deg, #10b981, #059669);
-            color: white;
-            padding: 14px 24px;
-            border-radius: 12px;
-            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
-            font-size: 14px;
-            z-index: 999999;
-            box-shadow: 0 4px 20px rgba(0, 0, 0, 0.3);
-            display: flex;
-            align-items: center;
-            gap: 10px;
-            animation: slideDown 0.3s ease;
-        `;
+// ==================== 调试功能 ====================
 
-        toast.innerHTML = `
-            <span style="font-size: 18px;">✅</span>
-            <span>验证码规则已保存！下次访问将自动识别</span>
-        `;
+/**
+ * 处理验证码预览请求（调试用）
+ */
+async function handlePreviewCaptcha(captchaId, sendResponse) {
+    try {
+        const captchas = detector.getDetectedCaptchas();
+        const captcha = captchaId
+            ? captchas.find(c => c.id === captchaId)
+            : detector.getMostLikelyCaptcha();
 
-        // 添加动画样式
-        const style = document.createElement('style');
-        style.textContent = `
-            @keyframes slideDown {
-                from { opacity: 0; transform: translateX(-50%) translateY(-20px); }
-                to { opacity: 1; transform: translateX(-50%) translateY(0); }
-            }
-        `;
-        document.head.appendChild(style);
+        if (!captcha) throw new Error('未找到验证码');
 
-        document.body.appendChild(toast);
+        const imageData = await detector.captureImage(captcha);
+        const processedData = await applyPreprocess(imageData);
 
-        // 3秒后自动消失
-        setTimeout(() => {
-            toast.style.transition = 'opacity 0.3s ease';
-            toast.style.opacity = '0';
-            setTimeout(() => toast.remove(), 300);
-        }, 3000);
-    }
+        // 在页面上显示预览弹窗
+        showCaptchaPreview(imageData, captcha, processedData);
 
-    /**
-     * 应用网站规则选择元素
-     */
-    async function handleApplySiteRule(selector, sendResponse) {
-        try {
-            const element = document.querySelector(selector);
+        // 设置中开启预先识别时，结果进入后台缓存，随后点击识别时可立即返回
+        chrome.runtime.sendMessage({
+            action: 'recognizeCaptcha',
+            imageData: processedData,
+            hostname: location.hostname,
+            source: 'preview',
+            prefetch: true
+        }).catch(error => logger.debug('预先识别失败', error.message));
 
-            if (!element) {
-                sendResponse({ success: false, error: '未找到匹配元素' });
-                return;
+        sendResponse({
+            success: true,
+            imageData: processedData,
+            captchaInfo: {
+                id: captcha.id,
+                type: captcha.type,
+                confidence: captcha.confidence
             }
+        });
+    } catch (error) {
+        sendResponse({ success: false, error: error.message });
+    }
+}
 
-            // 如果是图片元素，等待加载完成
-            if (element.tagName === 'IMG') {
-                await waitForElementLoad(element);
-            }
+/**
+ * 在页面上显示验证码预览弹窗
+ * @param {string} originalData - 捕获的原图
+ * @param {object} captchaInfo - 验证码信息
+ * @param {string} processedData - 预处理后的图像（未启用预处理时与原图相同）
+ */
+function showCaptchaPreview(originalData, captchaInfo, processedData = originalData) {
+    // 复制和下载使用实际发送给AI的图像
+    const imageData = processedData;
+    const preprocessed = processedData !== originalData;
+
+    // 移除已有的预览
+    const existing = document.getElementById('captcha-debug-preview');
+    if (existing) existing.remove();
+
+    const overlay = document.createElement('div');
+    overlay.id = 'captcha-debug-preview';
+    overlay.style.cssText = `
+        position: fixed;
+        top: 0;
+        left: 0;
+        right: 0;
+        bottom: 0;
+        background: rgba(0, 0, 0, 0.8);
+        display: flex;
+        align-items: center;
+        justify-content: center;
+        z-index: 999999;
+        font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+    `;
+
+    const dialog = document.createElement('div');
+    dialog.style.cssText = `
+        background: #1a1a2e;
+        padding: 24px;
+        border-radius: 16px;
+        max-width: 500px;
+        color: white;
+        box-shadow: 0 20px 60px rgba(0,0,0,0.5);
+    `;
+
+    dialog.innerHTML = `
+        <h3 style="margin: 0 0 16px 0; color: #6366f1;">🔍 验证码捕获调试</h3>
+        <div style="margin-bottom: 16px;">
+            <p style="margin: 0 0 8px 0; color: #a1a1aa; font-size: 14px;">${preprocessed ? '预处理前后对比（右侧为发送给AI的图像）：' : '以下是发送给AI的图像：'}</p>
+            <div style="background: #252540; padding: 16px; border-radius: 8px; text-align: center; display: flex; gap: 12px; align-items: center; justify-content: center;">
+                ${preprocessed ? `
+                <div style="flex: 1; min-width: 0;">
+                    <img src="${originalData}" style="max-width: 100%; border: 2px solid #3f3f46; border-radius: 4px;" />
+                    <div style="margin-top: 4px; color: #a1a1aa; font-size: 12px;">原图</div>
+                </div>` : ''}
+                <div style="flex: 1; min-width: 0;">
+                    <img src="${imageData}" style="max-width: 100%; border: 2px solid #4CAF50; border-radius: 4px;" />
+                    ${preprocessed ? '<div style="margin-top: 4px; color: #a1a1aa; font-size: 12px;">预处理后</div>' : ''}
+                </div>
+            </div>
+        </div>
+        <div style="background: #252540; padding: 12px; border-radius: 8px; margin-bottom: 16px; font-size: 13px;">
+            <div style="margin-bottom: 6px;"><strong>类型:</strong> ${captchaInfo.type}</div>
+            <div style="margin-bottom: 6px;"><strong>置信度:</strong> ${captchaInfo.confidence}%</div>
+            <div style="margin-bottom: 6px;"><strong>数据长度:</strong> ${imageData.length} 字符</div>
+            <div><strong>格式:</strong> ${imageData.substring(5, 30)}...</div>
+        </div>
+        <div style="display: flex; gap: 12px;">
+            <button id="debug-copy-base64" style="
+                flex: 1;
+                padding: 10px;
+                background: #6366f1;
+                color: white;
+                border: none;
+                border-radius: 8px;
+                cursor: pointer;
+                font-size: 14px;
+            ">复制Base64</button>
+            <button id="debug-download" style="
+                flex: 1;
+                padding: 10px;
+                background: #10b981;
+                color: white;
+                border: none;
+                border-radius: 8px;
+                cursor: pointer;
+                font-size: 14px;
+            ">下载图片</button>
+            <button id="debug-close" style="
+                flex: 1;
+                padding: 10px;
+                background: #3f3f46;
+                color: white;
+                border: none;
+                border-radius: 8px;
+                cursor: pointer;
+                font-size: 14px;
+            ">关闭</button>
+        </div>
+    `;
 
-            const rect = element.getBoundingClientRect();
+    overlay.appendChild(dialog);
+    document.body.appendChild(overlay);
 
-            // 确保元素可见
-            if (rect.width === 0 || rect.height === 0) {
-                sendResponse({ success: false, error: '元素不可见' });
-                return;
-            }
+    // 绑定事件
+    document.getElementById('debug-copy-base64').onclick = async () => {
+        try {
+            await navigator.clipboard.writeText(imageData);
+            alert('Base64已复制到剪贴板！\n\n您可以将其粘贴到AI对话中测试。');
+        } catch (e) {
+            // 备用方案
+            const textarea = document.createElement('textarea');
+            textarea.value = imageData;
+            document.body.appendChild(textarea);
+            textarea.select();
+            document.execCommand('copy');
+            textarea.remove();
+            alert('Base64已复制！');
+        }
+    };
 
-            currentCaptcha = {
-                type: element.tagName.toLowerCase() === 'img' ? 'image' :
-                    element.tagName.toLowerCase() === 'canvas' ? 'canvas' : 'svg',
-                element: element,
-                src: element.src || null,
-                rect: rect,
-                confidence: 100,
-                inputElement: detector.findRelatedInput(element),
-                id: 'rule-selected',
-                selector: selector
-            };
+    document.getElementById('debug-download').onclick = () => {
+        const link = document.createElement('a');
+        link.href = imageData;
+        link.download = `captcha-debug-${Date.now()}.png`;
+        link.click();
+    };
 
-            detector.detectedCaptchas = [currentCaptcha];
-            detector.highlight(currentCaptcha);
+    document.getElementById('debug-close').onclick = () => overlay.remove();
+    overlay.onclick = (e) => { if (e.target === overlay) overlay.remove(); };
+}
 
-            setTimeout(() => detector.unhighlight(currentCaptcha), 2000);
+// ==================== 手动选择功能 ====================
+
+/**
+ * 启动元素选择器
+ */
+function handleStartPicker(sendResponse) {
+    // 创建选择器
+    startPicker(async (result) => {
+        if (result.cancelled) {
+            sendResponse({ success: false, cancelled: true });
+        } else if (result.success) {
+            await applyPickedElement(result);
 
             sendResponse({
                 success: true,
-                captcha: {
-                    id: currentCaptcha.id,
-                    type: currentCaptcha.type,
-                    confidence: 100
-                }
+                selector: result.selector,
+                info: result.info,
+                hostname: location.hostname
             });
-        } catch (error) {
-            logger.error('应用规则失败', error);
-            sendResponse({ success: false, error: error.message });
         }
-    }
+    });
 
-    /**
-     * 等待元素加载完成
-     */
-    async function waitForElementLoad(element) {
-        // 如果是图片元素
-        if (element.tagName === 'IMG') {
-            // 已经加载完成
-            if (element.complete && element.naturalWidth > 0) {
-                return;
-            }
+    return true; // 保持消息通道开放
+}
+
+/**
+ * 将手动选择的元素设为当前验证码
+ * @param {Element} element - 验证码元素
+ * @param {string} selector - 元素的选择器
+ */
+function selectManualCaptcha(element, selector) {
+    const rect = element.getBoundingClientRect();
+
+    currentCaptcha = {
+        type: element.tagName.toLowerCase() === 'img' ? 'image' :
+            element.tagName.toLowerCase() === 'canvas' ? 'canvas' : 'svg',
+        element: element,
+        src: element.src || null,
+        rect: rect,
+        confidence: 100,
+        inputElement: detector.findRelatedInput(element),
+        id: 'manual-selected',
+        selector: selector
+    };
+
+    detector.select(currentCaptcha);
+}
 
-            // data URL 不需要等待
-            if (element.src && element.src.startsWith('data:')) {
-                return;
+/**
+ * 将选择的元素设为当前验证码，并保存为当前网站的规则
+ * @param {object} result - 选择结果 { element, selector, info }
+ * @returns {Promise<boolean>} - 规则是否保存成功
+ */
+async function applyPickedElement(result) {
+    selectManualCaptcha(result.element, result.selector);
+
+    // 直接保存网站规则到storage（通过Service Worker）
+    try {
+        await chrome.runtime.sendMessage({
+            action: 'saveSiteRule',
+            hostname: location.hostname,
+            rule: {
+                selector: result.selector,
+                info: result.info
             }
+        });
+        logger.info('网站规则已保存', { hostname: location.hostname, selector: result.selector });
 
-            logger.info('等待验证码图片加载...');
+        // 显示成功提示
+        showSaveSuccessToast(result.selector);
+        return true;
+    } catch (error) {
+        logger.error('保存规则失败', error);
+        return false;
+    }
+}
 
-            return new Promise((resolve, reject) => {
-                const timeout = setTimeout(() => {
-                    // 超时了但图片可能已经加载，检查一下
-                    if (element.complete && element.naturalWidth > 0) {
-                        resolve();
-                    } else {
-                        reject(new Error('图片加载超时'));
-                    }
-                }, 5000);
+/**
+ * 显示保存成功的提示
+ */
+function showSaveSuccessToast(selector) {
+    // 移除已有的提示
+    const existing = document.getElementById('captcha-save-toast');
+    if (existing) existing.remove();
+
+    const toast = document.createElement('div');
+    toast.id = 'captcha-save-toast';
+    toast.style.cssText = `
+        position: fixed;
+        top: 20px;
+        left: 50%;
+        transform: translateX(-50%);
+        background: linear-gradient(135deg, #10b981, #059669);
+        color: white;
+        padding: 14px 24px;
+        border-radius: 12px;
+        font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+        font-size: 14px;
+        z-index: 999999;
+        box-shadow: 0 4px 20px rgba(0, 0, 0, 0.3);
+        display: flex;
+        align-items: center;
+        gap: 10px;
+        animation: slideDown 0.3s ease;
+    `;
+
+    toast.innerHTML = `
+        <span style="font-size: 18px;">✅</span>
+        <span>验证码规则已保存！下次访问将自动识别</span>
+    `;
+
+    // 添加动画样式
+    const style = document.createElement('style');
+    style.textContent = `
+        @keyframes slideDown {
+            from { opacity: 0; transform: translateX(-50%) translateY(-20px); }
+            to { opacity: 1; transform: translateX(-50%) translateY(0); }
+        }
+    `;
+    document.head.appendChild(style);
 
-                const checkComplete = () => {
-                    if (element.complete && element.naturalWidth > 0) {
-                        clearTimeout(timeout);
-                        logger.info('验证码图片加载完成');
-                        resolve();
-                    }
-                };
+    document.body.appendChild(toast);
 
-                element.addEventListener('load', () => {
-                    clearTimeout(timeout);
-                    logger.info('验证码图片加载完成');
-                    resolve();
-                }, { once: true });
+    // 3秒后自动消失
+    setTimeout(() => {
+        toast.style.transition = 'opacity 0.3s ease';
+        toast.style.opacity = '0';
+        setTimeout(() => toast.remove(), 300);
+    }, 3000);
+}
 
-                element.addEventListener('error', () => {
-                    clearTimeout(timeout);
-                    reject(new Error('图片加载失败'));
-                }, { once: true });
-
-                // 立即检查一次
-                checkComplete();
-
-                // 定期检查（有些情况下load事件可能不触发）
-                const interval = setInterval(() => {
-                    if (element.complete && element.naturalWidth > 0) {
-                        clearInterval(interval);
-                        clearTimeout(timeout);
-                        resolve();
-                    }
-                }, 100);
+/**
+ * 显示识别结果提示，可直接标记结果是否正确（用于自动识别，无需打开弹窗）
+ * @param {string} text - 识别结果
+ * @param {string} historyId - 历史记录ID
+ */
+function showResultToast(text, historyId) {
+    if (!historyId) return;
+
+    const existing = document.getElementById('captcha-result-toast');
+    if (existing) existing.remove();
+
+    const toast = document.createElement('div');
+    toast.id = 'captcha-result-toast';
+    toast.style.cssText = `
+        position: fixed;
+        right: 20px;
+        bottom: 20px;
+        background: #1a1a2e;
+        color: white;
+        padding: 12px 16px;
+        border-radius: 12px;
+        border: 1px solid #6366f1;
+        font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+        font-size: 13px;
+        z-index: 999999;
+        box-shadow: 0 4px 20px rgba(0, 0, 0, 0.3);
+    `;
+
+    const buttonStyle = `
+        padding: 4px 10px;
+        background: #252540;
+        color: white;
+        border: 1px solid #3f3f46;
+        border-radius: 6px;
+        cursor: pointer;
+        font-size: 13px;
+    `;
+
+    toast.innerHTML = `
+        <div style="display: flex; align-items: center; gap: 10px;">
+            <span style="color: #a1a1aa;">AI识别:</span>
+            <strong class="result-value" style="font-family: Monaco, Consolas, monospace; font-size: 16px; color: #818cf8; letter-spacing: 1px;"></strong>
+            <button class="btn-correct" style="${buttonStyle}" title="正确">✓</button>
+            <button class="btn-incorrect" style="${buttonStyle}" title="错误">✗</button>
+        </div>
+        <div class="correction" style="display: none; margin-top: 8px; gap: 6px;">
+            <input type="text" placeholder="正确答案（可选）" autocomplete="off" style="
+                flex: 1;
+                min-width: 0;
+                padding: 4px 8px;
+                background: #252540;
+                color: white;
+                border: 1px solid #3f3f46;
+                border-radius: 6px;
+                font-size: 13px;
+            " />
+            <button class="btn-save" style="${buttonStyle}">保存</button>
+        </div>
+    `;
+    toast.querySelector('.result-value').textContent = text;
+
+    const correction = toast.querySelector('.correction');
+    const input = correction.querySelector('input');
+    let dismissTimer = null;
+
+    const dismiss = (delay) => {
+        clearTimeout(dismissTimer);
+        dismissTimer = setTimeout(() => toast.remove(), delay);
+    };
 
-                // 5秒后停止检查
-                setTimeout(() => clearInterval(interval), 5000);
+    const submit = async (correct, value = '') => {
+        try {
+            const response = await chrome.runtime.sendMessage({
+                action: 'submitFeedback',
+                historyId,
+                correct,
+                value
             });
+            toast.textContent = response.success ? '感谢反馈，已记录' : `反馈失败: ${response.error}`;
+        } catch (error) {
+            toast.textContent = `反馈失败: ${error.message}`;
         }
-    }
+        dismiss(1500);
+    };
 
-    /**
-     * 初始化元素选择器
-     */
-    function initElementPicker(callback) {
-        // 选择器状态
-        let isActive = true;
-        let hoveredElement = null;
-        let overlay = null;
-        let tooltip = null;
-
-        // 创建高亮覆盖层
-        overlay = document.createElement('div');
-        overlay.id = 'captcha-picker-overlay';
-        overlay.style.cssText = `
-            position: fixed;
-            pointer-events: none;
-            border: 3px solid #6366f1;
-            background: rgba(99, 102, 241, 0.15);
-            z-index: 999998;
-            transition: all 0.1s ease;
-            display: none;
-            border-radius: 4px;
-        `;
-        document.body.appendChild(overlay);
-
-        // 创建提示
-        tooltip = document.createElement('div');
-        tooltip.id = 'captcha-picker-tooltip';
-        tooltip.style.cssText = `
-            position: fixed;
-            top: 10px;
-            left: 50%;
-            transform: translateX(-50%);
-            background: linear-gradient(135deg, #1a1a2e, #16213e);
-            color: white;
-            padding: 12px 24px;
-            border-radius: 12px;
-            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
-            font-size: 14px;
-            z-index: 999999;
-            box-shadow: 0 4px 20px rgba(0, 0, 0, 0.5);
-            display: flex;
-            align-items: center;
-            gap: 16px;
-            border: 1px solid #6366f1;
-        `;
+    toast.querySelector('.btn-correct').onclick = () => submit(true);
+    toast.querySelector('.btn-incorrect').onclick = () => {
+        // 输入更正答案时不自动消失
+        clearTimeout(dismissTimer);
+        correction.style.display = 'flex';
+        input.focus();
+    };
+    toast.querySelector('.btn-save').onclick = () => submit(false, input.value);
+    input.onkeydown = (e) => {
+        // 避免页面上的回车提交等快捷键
+        e.stopPropagation();
+        if (e.key === 'Enter') submit(false, input.value);
+    };
 
-        tooltip.innerHTML = `
-            <div style="display: flex; align-items: center; gap: 8px;">
-                <span style="font-size: 20px;">🎯</span>
-                <span>点击选择验证码元素</span>
-            </div>
-            <div id="picker-element-info" style="color: #a1a1aa; font-size: 12px;"></div>
-            <button id="picker-cancel-btn" style="
-                background: #ef4444;
-                color: white;
-                border: none;
-                padding: 6px 12px;
-                border-radius: 6px;
-                cursor: pointer;
-                font-size: 12px;
-            ">取消 (ESC)</button>
-        `;
+    document.body.appendChild(toast);
+    dismiss(8000);
+}
 
-        document.body.appendChild(tooltip);
+/**
+ * 应用网站规则选择元素
+ */
+async function handleApplySiteRule(selector, sendResponse) {
+    try {
+        const element = document.querySelector(selector);
 
-        // 清理函数
-        function cleanup() {
-            isActive = false;
-            document.removeEventListener('mousemove', handleMouseMove, true);
-            document.removeEventListener('click', handleClick, true);
-            document.removeEventListener('keydown', handleKeyDown, true);
-            if (overlay) overlay.remove();
-            if (tooltip) tooltip.remove();
+        if (!element) {
+            sendResponse({ success: false, error: '未找到匹配元素' });
+            return;
         }
 
-        // 鼠标移动
-        function handleMouseMove(e) {
-            if (!isActive) return;
-
-            const element = document.elementFromPoint(e.clientX, e.clientY);
-
-            if (!element || element.id === 'captcha-picker-overlay' ||
-                element.id === 'captcha-picker-tooltip' ||
-                element.closest('#captcha-picker-tooltip')) {
-                return;
-            }
+        // 如果是图片元素，等待加载完成
+        if (element.tagName === 'IMG') {
+            await waitForElementLoad(element);
+        }
 
-            // 查找可选择的元素
-            let target = null;
-            if (['IMG', 'CANVAS', 'SVG'].includes(element.tagName)) {
-                target = element;
-            } else {
-                target = element.querySelector('img, canvas, svg') ||
-                    element.closest('img, canvas, svg');
-            }
+        const rect = element.getBoundingClientRect();
 
-            if (target) {
-                hoveredElement = target;
-                const rect = target.getBoundingClientRect();
-                overlay.style.display = 'block';
-                overlay.style.top = rect.top + 'px';
-                overlay.style.left = rect.left + 'px';
-                overlay.style.width = rect.width + 'px';
-                overlay.style.height = rect.height + 'px';
-
-                // 更新提示
-                const infoEl = document.getElementById('picker-element-info');
-                if (infoEl) {
-                    let info = `${target.tagName.toLowerCase()}`;
-                    if (target.id) info += `#${target.id}`;
-                    else if (target.className) {
-                        const cls = target.className.toString().split(' ').slice(0, 2).join('.');
-                        if (cls) info += `.${cls}`;
-                    }
-                    info += ` (${Math.round(rect.width)}×${Math.round(rect.height)})`;
-                    infoEl.textContent = info;
-                }
-            } else {
-                overlay.style.display = 'none';
-                hoveredElement = null;
-            }
+        // 确保元素可见
+        if (rect.width === 0 || rect.height === 0) {
+            sendResponse({ success: false, error: '元素不可见' });
+            return;
         }
 
-        // 点击选择
-        function handleClick(e) {
-            if (!isActive) return;
+        currentCaptcha = {
+            type: element.tagName.toLowerCase() === 'img' ? 'image' :
+                element.tagName.toLowerCase() === 'canvas' ? 'canvas' : 'svg',
+            element: element,
+            src: element.src || null,
+            rect: rect,
+            confidence: 100,
+            inputElement: detector.findRelatedInput(element),
+            id: 'rule-selected',
+            selector: selector
+        };
+
+        detector.select(currentCaptcha);
+        detector.highlight(currentCaptcha);
 
-            e.preventDefault();
-            e.stopPropagation();
+        setTimeout(() => detector.unhighlight(currentCaptcha), 2000);
 
-            if (hoveredElement) {
-                const selector = generateSelector(hoveredElement);
-                const rect = hoveredElement.getBoundingClientRect();
-
-                cleanup();
-
-                callback({
-                    success: true,
-                    element: hoveredElement,
-                    selector: selector,
-                    info: {
-                        tagName: hoveredElement.tagName.toLowerCase(),
-                        id: hoveredElement.id || null,
-                        className: hoveredElement.className ? hoveredElement.className.toString() : null,
-                        width: Math.round(rect.width),
-                        height: Math.round(rect.height)
-                    }
-                });
+        sendResponse({
+            success: true,
+            captcha: {
+                id: currentCaptcha.id,
+                type: currentCaptcha.type,
+                confidence: 100
             }
-        }
+        });
+    } catch (error) {
+        logger.error('应用规则失败', error);
+        sendResponse({ success: false, error: error.message });
+    }
+}
 
-        // 键盘事件
-        function handleKeyDown(e) {
-            if (!isActive) return;
+/**
+ * 等待元素加载完成
+ */
+async function waitForElementLoad(element) {
+    // 如果是图片元素
+    if (element.tagName === 'IMG') {
+        // 已经加载完成
+        if (element.complete && element.naturalWidth > 0) {
+            return;
+        }
 
-            if (e.key === 'Escape') {
-                e.preventDefault();
-                cleanup();
-                callback({ cancelled: true });
-            }
+        // data URL 不需要等待
+        if (element.src && element.src.startsWith('data:')) {
+            return;
         }
 
-        // 生成选择器
-        function generateSelector(element) {
-            if (element.id) return `#${element.id}`;
-
-            if (element.className) {
-                const classes = element.className.toString().trim().split(/\s+/)
-                    .filter(c => c && !c.includes(':'));
-                if (classes.length > 0) {
-                    const selector = `${element.tagName.toLowerCase()}.${classes.join('.')}`;
-                    if (document.querySelectorAll(selector).length === 1) {
-                        return selector;
-                    }
+        logger.info('等待验证码图片加载...');
+
+        return new Promise((resolve, reject) => {
+            const timeout = setTimeout(() => {
+                // 超时了但图片可能已经加载，检查一下
+                if (element.complete && element.naturalWidth > 0) {
+                    resolve();
+                } else {
+                    reject(new Error('图片加载超时'));
                 }
-            }
+            }, 5000);
+
+            const checkComplete = () => {
+                if (element.complete && element.naturalWidth > 0) {
+                    clearTimeout(timeout);
+                    logger.info('验证码图片加载完成');
+                    resolve();
+                }
+            };
 
-            // 使用路径
-            const path = [];
-            let current = element;
+            element.addEventListener('load', () => {
+                clearTimeout(timeout);
+                logger.info('验证码图片加载完成');
+                resolve();
+            }, { once: true });
 
-            while (current && current !== document.body && path.length < 5) {
-                let sel = current.tagName.toLowerCase();
+            element.addEventListener('error', () => {
+                clearTimeout(timeout);
+                reject(new Error('图片加载失败'));
+            }, { once: true });
 
-                if (current.id) {
-                    path.unshift(`#${current.id}`);
-                    break;
-                }
+            // 立即检查一次
+            checkComplete();
 
-                const parent = current.parentElement;
-                if (parent) {
-                    const siblings = Array.from(parent.children)
-                        .filter(c => c.tagName === current.tagName);
-                    if (siblings.length > 1) {
-                        sel += `:nth-of-type(${siblings.indexOf(current) + 1})`;
-                    }
+            // 定期检查（有些情况下load事件可能不触发）
+            const interval = setInterval(() => {
+                if (element.complete && element.naturalWidth > 0) {
+                    clearInterval(interval);
+                    clearTimeout(timeout);
+                    resolve();
                 }
+            }, 100);
 
-                path.unshift(sel);
-                current = current.parentElement;
-            }
+            // 5秒后停止检查
+            setTimeout(() => clearInterval(interval), 5000);
+        });
+    }
+}
 
-            return path.join(' > ');
-        }
+// ==================== 悬浮识别按钮 ====================
 
-        // 取消按钮
-        document.getElementById('picker-cancel-btn').addEventListener('click', () => {
-            cleanup();
-            callback({ cancelled: true });
-        });
+/**
+ * 识别悬浮按钮所在的验证码，结果由 handleRecognize 显示到按钮面板中
+ * @param {object} captcha - 验证码信息
+ */
+async function widgetRecognize(captcha) {
+    const response = await new Promise(resolve => handleRecognize(captcha.id, resolve, 'widget'));
+    if (!response.success && !response.cancelled) {
+        throw new Error(response.error || '识别失败');
+    }
+}
+
+/**
+ * 将识别结果填入悬浮按钮所在验证码的输入框，是否自动提交遵循设置
+ * @param {object} captcha - 验证码信息
+ * @param {string} text - 识别结果
+ */
+async function widgetFill(captcha, text) {
+    const settings = await fetchSettings();
+    currentCaptcha = captcha;
+
+    const response = await new Promise(resolve => handleFill(text, {
+        simulate: true,
+        autoSubmit: settings.autoSubmit || false
+    }, resolve));
+    if (!response.success) throw new Error(response.error || '填充失败');
+}
+
+/**
+ * 点击验证码换一张
+ * @param {object} captcha - 验证码信息
+ */
+async function widgetRefresh(captcha) {
+    const next = await refreshCaptcha(captcha, false);
+    if (!next) throw new Error('无法刷新验证码');
+    detector.notifyIfChanged();
+}
+
+/**
+ * 将悬浮按钮所在的验证码保存为当前网站的规则
+ * @param {object} captcha - 验证码信息
+ */
+async function widgetSaveRule(captcha) {
+    const { element } = captcha;
+    const saved = await applyPickedElement({
+        element,
+        selector: generateSelector(element),
+        info: getElementInfo(element)
+    });
+    if (!saved) throw new Error('保存规则失败');
+}
+
+// ==================== 右键菜单 ====================
+
+/**
+ * 记录右键点击位置的图片或画布（可能被透明遮罩覆盖，按坐标查找）
+ * @param {MouseEvent} e - contextmenu 事件
+ */
+function recordContextMenuTarget(e) {
+    contextMenuTarget = document.elementsFromPoint(e.clientX, e.clientY)
+        .find(el => el.tagName === 'IMG' || el.tagName === 'CANVAS') || null;
+}
 
-        // 添加事件监听
-        document.addEventListener('mousemove', handleMouseMove, true);
-        document.addEventListener('click', handleClick, true);
-        document.addEventListener('keydown', handleKeyDown, true);
+/**
+ * 识别右键点击的图片或画布并填充到相关输入框
+ * @param {boolean} remember - 是否同时保存为当前网站的规则
+ * @param {Function} sendResponse - 响应函数
+ */
+async function handleSolveContextMenuTarget(remember, sendResponse) {
+    const element = contextMenuTarget;
 
-        logger.info('元素选择器已启动');
+    if (!element?.isConnected) {
+        sendResponse({ success: false, error: '请在验证码图片上点击右键' });
+        return;
     }
 
-    init();
-})();
+    const selector = generateSelector(element);
+    if (remember) {
+        await applyPickedElement({ element, selector, info: getElementInfo(element) });
+    } else {
+        selectManualCaptcha(element, selector);
+    }
 
+    const [settings, response] = await Promise.all([
+        fetchSettings(),
+        new Promise(resolve => handleRecognize(currentCaptcha.id, resolve, 'contextMenu'))
+    ]);
+
+    if (!response.success) {
+        sendResponse(response);
+        return;
+    }
+
+    // 提交前会显示确认对话框，无需再显示结果提示
+    if (!(settings.autoSubmit && settings.confirmBeforeSubmit)) {
+        showResultToast(response.text, response.historyId);
+    }
+
+    handleFill(response.text, { simulate: true, autoSubmit: settings.autoSubmit }, (fillResult) => {
+        sendResponse({ ...fillResult, text: response.text });
+    });
+}
+
+init();
+})();
+})();
@@ -0,0 +1,243 @@
+/**
+ * 图像预处理模块
+ * 识别前对验证码图像做裁剪、灰度、二值化、去除干扰线和放大，提高模型识别率
+ */
+
+import * as logger from '../utils/logger.js';
+
+// 默认预处理选项（均为关闭）
+const PREPROCESS_DEFAULTS = {
+    upscale: false,
+    grayscale: false,
+    binarize: false,
+    threshold: 0, // 0 表示自动（Otsu）
+    removeLines: false,
+    crop: false
+};
+
+// 放大后的目标最小高度
+const UPSCALE_TARGET_HEIGHT = 96;
+const UPSCALE_MAX_FACTOR = 4;
+
+/**
+ * 图像预处理类
+ */
+export class ImagePreprocessor {
+    /**
+     * 是否启用了任意预处理步骤
+     */
+    isEnabled(options) {
+        return !!options && ['upscale', 'grayscale', 'binarize', 'removeLines', 'crop'].some(key => options[key]);
+    }
+
+    /**
+     * 按顺序执行：裁剪边框 → 灰度 → 二值化 → 去除干扰线 → 放大
+     * @param {string} dataUrl - 原始图像
+     * @param {object} options - 预处理选项
+     * @returns {Promise<string>} - 处理后的PNG data URL
+     */
+    async process(dataUrl, options = {}) {
+        const opts = { ...PREPROCESS_DEFAULTS, ...options };
+        const image = await this.loadImage(dataUrl);
+
+        let canvas = document.createElement('canvas');
+        canvas.width = image.naturalWidth;
+        canvas.height = image.naturalHeight;
+        let ctx = canvas.getContext('2d', { willReadFrequently: true });
+        ctx.fillStyle = '#fff';
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+        ctx.drawImage(image, 0, 0);
+
+        if (opts.crop) {
+            canvas = this.cropBorder(canvas);
+            ctx = canvas.getContext('2d', { willReadFrequently: true });
+        }
+
+        const pixels = ctx.getImageData(0, 0, canvas.width, canvas.height);
+
+        if (opts.grayscale || opts.binarize || opts.removeLines) {
+            this.toGrayscale(pixels);
+        }
+
+        // 去除干扰线依赖二值图
+        if (opts.binarize || opts.removeLines) {
+            this.binarize(pixels, opts.threshold);
+        }
+
+        if (opts.removeLines) {
+            this.removeThinLines(pixels);
+        }
+
+        ctx.putImageData(pixels, 0, 0);
+
+        if (opts.upscale) {
+            canvas = this.upscale(canvas);
+        }
+
+        logger.debug('图像预处理完成', { width: canvas.width, height: canvas.height, options: opts });
+
+        return canvas.toDataURL('image/png');
+    }
+
+    loadImage(dataUrl) {
+        return new Promise((resolve, reject) => {
+            const image = new Image();
+            image.onload = () => resolve(image);
+            image.onerror = () => reject(new Error('预处理时加载图像失败'));
+            image.src = dataUrl;
+        });
+    }
+
+    /**
+     * 裁剪与边框颜色相近的空白边缘
+     */
+    cropBorder(canvas) {
+        const { width, height } = canvas;
+        const { data } = canvas.getContext('2d').getImageData(0, 0, width, height);
+
+        // 以四角像素的平均值作为背景色
+        const corners = [0, width - 1, (height - 1) * width, height * width - 1];
+        const background = [0, 1, 2].map(c => corners.reduce((sum, i) => sum + data[i * 4 + c], 0) / corners.length);
+
+        let minX = width, minY = height, maxX = -1, maxY = -1;
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const i = (y * width + x) * 4;
+                const diff = Math.abs(data[i] - background[0])
+                    + Math.abs(data[i + 1] - background[1])
+                    + Math.abs(data[i + 2] - background[2]);
+                if (diff > 60) {
+                    minX = Math.min(minX, x);
+                    maxX = Math.max(maxX, x);
+                    minY = Math.min(minY, y);
+                    maxY = Math.max(maxY, y);
+                }
+            }
+        }
+
+        if (maxX < 0) return canvas;
+
+        // 保留少量边距
+        const padding = 2;
+        minX = Math.max(0, minX - padding);
+        minY = Math.max(0, minY - padding);
+        maxX = Math.min(width - 1, maxX + padding);
+        maxY = Math.min(height - 1, maxY + padding);
+
+        const cropped = document.createElement('canvas');
+        cropped.width = maxX - minX + 1;
+        cropped.height = maxY - minY + 1;
+        cropped.getContext('2d').drawImage(canvas, minX, minY, cropped.width, cropped.height, 0, 0, cropped.width, cropped.height);
+
+        return cropped;
+    }
+
+    toGrayscale(pixels) {
+        const { data } = pixels;
+        for (let i = 0; i < data.length; i += 4) {
+            const gray = Math.round(data[i] * 0.299 + data[i + 1] * 0.587 + data[i + 2] * 0.114);
+            data[i] = data[i + 1] = data[i + 2] = gray;
+        }
+    }
+
+    /**
+     * 二值化（需先灰度化），输出白底黑字
+     * @param {ImageData} pixels - 图像像素
+     * @param {number} threshold - 阈值，0 表示使用Otsu自动计算
+     */
+    binarize(pixels, threshold = 0) {
+        const { data } = pixels;
+        const t = threshold > 0 ? threshold : this.otsuThreshold(data);
+
+        let darkCount = 0;
+        for (let i = 0; i < data.length; i += 4) {
+            if (data[i] <= t) darkCount++;
+        }
+
+        // 深色像素占多数时认为是深底浅字，反转为白底黑字
+        const invert = darkCount > data.length / 8;
+
+        for (let i = 0; i < data.length; i += 4) {
+            const dark = data[i] <= t;
+            const value = dark !== invert ? 0 : 255;
+            data[i] = data[i + 1] = data[i + 2] = value;
+            data[i + 3] = 255;
+        }
+    }
+
+    otsuThreshold(data) {
+        const histogram = new Array(256).fill(0);
+        const total = data.length / 4;
+        for (let i = 0; i < data.length; i += 4) histogram[data[i]]++;
+
+        let sum = 0;
+        for (let i = 0; i < 256; i++) sum += i * histogram[i];
+
+        let sumBackground = 0, weightBackground = 0, bestVariance = -1, threshold = 127;
+        for (let t = 0; t < 256; t++) {
+            weightBackground += histogram[t];
+            if (weightBackground === 0) continue;
+            const weightForeground = total - weightBackground;
+            if (weightForeground === 0) break;
+
+            sumBackground += t * histogram[t];
+            const meanBackground = sumBackground / weightBackground;
+            const meanForeground = (sum - sumBackground) / weightForeground;
+            const variance = weightBackground * weightForeground * (meanBackground - meanForeground) ** 2;
+
+            if (variance > bestVariance) {
+                bestVariance = variance;
+                threshold = t;
+            }
+        }
+
+        return threshold;
+    }
+
+    /**
+     * 去除细干扰线和噪点（3×3中值滤波，作用于二值图）
+     * 宽度为1像素的线条和孤立噪点会被周围的背景像素覆盖
+     */
+    removeThinLines(pixels) {
+        const { data, width, height } = pixels;
+        const source = new Uint8Array(width * height);
+        for (let i = 0; i < source.length; i++) source[i] = data[i * 4] === 0 ? 1 : 0;
+
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                let dark = 0;
+                for (let dy = -1; dy <= 1; dy++) {
+                    for (let dx = -1; dx <= 1; dx++) {
+                        const nx = Math.min(width - 1, Math.max(0, x + dx));
+                        const ny = Math.min(height - 1, Math.max(0, y + dy));
+                        dark += source[ny * width + nx];
+                    }
+                }
+                const value = dark >= 5 ? 0 : 255;
+                const i = (y * width + x) * 4;
+                data[i] = data[i + 1] = data[i + 2] = value;
+            }
+        }
+    }
+
+    /**
+     * 放大过小的图像，便于模型辨认
+     */
+    upscale(canvas) {
+        const factor = Math.min(UPSCALE_MAX_FACTOR, Math.ceil(UPSCALE_TARGET_HEIGHT / canvas.height));
+        if (factor <= 1) return canvas;
+
+        const scaled = document.createElement('canvas');
+        scaled.width = canvas.width * factor;
+        scaled.height = canvas.height * factor;
+
+        const ctx = scaled.getContext('2d');
+        ctx.imageSmoothingEnabled = true;
+        ctx.imageSmoothingQuality = 'high';
+        ctx.drawImage(canvas, 0, 0, scaled.width, scaled.height);
+
+        return scaled;
+    }
+}
+
+export default ImagePreprocessor;
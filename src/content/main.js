@@ -0,0 +1,1440 @@
+/**
+ * 内容脚本入口
+ * 在网页中运行，响应弹窗和后台的消息，负责验证码识别、自动填充、提交结果回报和手动选择
+ * 注意：页面实际加载的是由 scripts/build-content.mjs 打包生成的 content.js，修改后需重新打包
+ */
+
+import * as logger from '../utils/logger.js';
+import { CaptchaDetector } from './captcha-detector.js';
+import { AutoFill } from './auto-fill.js';
+import { SubmitVerifier } from './submit-verifier.js';
+import { ImagePreprocessor } from './image-preprocessor.js';
+import { startPicker, generateSelector, getElementInfo } from './element-picker.js';
+import { SolveWidget } from './solve-widget.js';
+
+// 调试模式关闭时只输出错误日志
+logger.setLevel(logger.LOG_LEVELS.ERROR);
+let debugMode = false;
+
+/**
+ * 从设置中读取调试模式
+ */
+async function initDebugMode() {
+    try {
+        const response = await chrome.runtime.sendMessage({ action: 'getSettings' });
+        if (response.success && response.settings) {
+            debugMode = response.settings.debugMode || false;
+            if (debugMode) logger.enableDebug();
+        }
+    } catch (e) {
+        // 忽略错误，保持默认关闭
+    }
+}
+
+const detector = new CaptchaDetector();
+const autoFill = new AutoFill();
+const preprocessor = new ImagePreprocessor();
+const solveWidget = new SolveWidget({
+    recognize: widgetRecognize,
+    fill: widgetFill,
+    refresh: widgetRefresh,
+    saveRule: widgetSaveRule
+});
+let currentCaptcha = null;
+let isProcessing = false;
+// 进行中识别请求的ID，用于取消
+let currentRequestId = null;
+// 验证码旁的悬浮识别按钮，由设置 showSolveWidget 控制
+let widgetEnabled = false;
+// 最近一次右键点击的图片或画布，供右键菜单识别
+let contextMenuTarget = null;
+// 内容脚本注入所有框架，子框架中只处理右键菜单，检测、悬浮按钮和其余消息只在顶层页面
+const isTopFrame = window === window.top;
+
+// 验证码刷新后自动重新识别：最短间隔和每分钟最多次数（防止网站在填充失败后反复刷新造成死循环）
+const RESOLVE_DEBOUNCE = 300;
+const RESOLVE_MIN_INTERVAL = 2000;
+const RESOLVE_MAX_PER_MINUTE = 6;
+// 当前网站规则的刷新监听状态 { selector, lastSrc, timer, solvedAt[] }
+let ruleWatch = null;
+
+const submitVerifier = new SubmitVerifier();
+// 最近一次识别 { historyId, captchaId }，自动提交后据此回报网站的判定
+let lastRecognition = null;
+// 最近一次捕获的验证码图像 { captchaId, imageData }，显示在提交前的确认对话框中
+let lastCapture = null;
+// 进行中的提交结果检测数（含重试），期间刷新监听不重新识别
+let activeVerifications = 0;
+// 页面重新加载后延续的剩余重试次数，为负数时表示已用完
+let carriedRetriesLeft = null;
+// 整页提交会导致页面重新加载，检测状态暂存在 sessionStorage 中
+const PENDING_SUBMIT_KEY = 'ai-captcha-pending-submit';
+const PENDING_SUBMIT_MAX_AGE = 15000;
+// 点击验证码刷新后等待新图片加载的时长
+const CAPTCHA_REFRESH_TIMEOUT = 3000;
+
+async function init() {
+    // 初始化调试模式设置
+    await initDebugMode();
+    logger.info('内容脚本已加载');
+    chrome.runtime.onMessage.addListener(isTopFrame ? handleMessage : handleFrameMessage);
+    document.addEventListener('contextmenu', recordContextMenuTarget, true);
+    if (!isTopFrame) return;
+    
+    // 延迟扫描和应用规则，之后持续监听页面变化（SPA路由切换、弹出的登录框等）
+    setTimeout(async () => {
+        widgetEnabled = (await fetchSettings()).showSolveWidget !== false;
+        scanPage();
+        detector.startWatching(notifyCaptchaDetected);
+        await checkPendingSubmit();
+        await checkAndApplySiteRule();
+    }, 1000);
+}
+
+/**
+ * 检查并应用网站规则
+ */
+async function checkAndApplySiteRule() {
+    try {
+        // 获取设置
+        const settingsResponse = await chrome.runtime.sendMessage({ action: 'getSettings' });
+        const settings = settingsResponse.success ? settingsResponse.settings : {};
+
+        // 获取网站规则
+        const ruleResponse = await chrome.runtime.sendMessage({
+            action: 'getSiteRule',
+            hostname: location.hostname
+        });
+
+        if (ruleResponse.success && ruleResponse.rule?.selector) {
+            logger.info('发现网站规则', ruleResponse.rule);
+            
+            // 应用规则
+            await handleApplySiteRule(ruleResponse.rule.selector, async (result) => {
+                if (result.success && settings.autoSolveOnRule) {
+                    logger.info('自动识别已启用，开始识别...');
+                    
+                    // 稍微延迟以确保高亮效果可见
+                    setTimeout(() => autoSolveRuleCaptcha(result.captcha.id, settings), 500);
+                }
+            });
+
+            watchRuleCaptcha(ruleResponse.rule.selector);
+        }
+    } catch (error) {
+        logger.error('检查网站规则失败', error);
+    }
+}
+
+/**
+ * 识别规则指定的验证码并自动填充
+ */
+function autoSolveRuleCaptcha(captchaId, settings) {
+    if (ruleWatch) {
+        ruleWatch.lastSrc = currentCaptcha?.element.src || null;
+        ruleWatch.solvedAt.push(Date.now());
+    }
+
+    handleRecognize(captchaId, (response) => {
+        if (response && response.success && response.text) {
+            logger.info('自动识别成功:', response.text);
+
+            // 提交前会显示确认对话框，无需再显示结果提示
+            if (!(settings.autoSubmit && settings.confirmBeforeSubmit)) {
+                showResultToast(response.text, response.historyId);
+            }
+            
+            // 自动填充
+            handleFill(response.text, { autoSubmit: settings.autoSubmit }, (fillResult) => {
+                if (fillResult && fillResult.success) {
+                    logger.info('自动填充完成');
+                } else {
+                    logger.error('自动填充失败:', fillResult ? fillResult.error : '未知错误');
+                }
+            });
+        } else {
+            logger.error('自动识别失败:', response ? response.error : '未知错误');
+        }
+    });
+}
+
+/**
+ * 监听规则指定的验证码图片刷新（点击换图、登录失败后网站自动更换）
+ * 在document上捕获load事件，元素被SPA重新渲染替换后仍然有效
+ * @param {string} selector - 规则中的元素选择器
+ */
+function watchRuleCaptcha(selector) {
+    if (!ruleWatch) {
+        document.addEventListener('load', handleRuleCaptchaLoad, true);
+    }
+
+    clearTimeout(ruleWatch?.timer);
+    ruleWatch = {
+        selector,
+        lastSrc: currentCaptcha?.id === 'rule-selected' ? currentCaptcha.element.src : null,
+        timer: null,
+        solvedAt: []
+    };
+}
+
+function handleRuleCaptchaLoad(event) {
+    const target = event.target;
+
+    // 提交后的检测和重试会自行处理验证码刷新
+    if (activeVerifications > 0) return;
+
+    if (target.tagName !== 'IMG' || !target.matches(ruleWatch.selector)) return;
+    if (target.src === ruleWatch.lastSrc) return;
+
+    logger.debug('规则验证码已刷新', target.src);
+
+    clearTimeout(ruleWatch.timer);
+    ruleWatch.timer = setTimeout(resolveRefreshedCaptcha, RESOLVE_DEBOUNCE);
+}
+
+/**
+ * 验证码刷新后重新识别并填充（受频率限制）
+ */
+async function resolveRefreshedCaptcha() {
+    ruleWatch.timer = null;
+
+    let settings;
+    try {
+        const settingsResponse = await chrome.runtime.sendMessage({ action: 'getSettings' });
+        settings = settingsResponse.success ? settingsResponse.settings : {};
+    } catch (error) {
+        logger.error('获取设置失败', error);
+        return;
+    }
+
+    if (!settings.autoSolveOnRule) return;
+
+    const now = Date.now();
+    ruleWatch.solvedAt = ruleWatch.solvedAt.filter(time => now - time < 60000);
+
+    if (ruleWatch.solvedAt.length >= RESOLVE_MAX_PER_MINUTE) {
+        logger.warn('验证码刷新过于频繁，暂停自动识别');
+        return;
+    }
+
+    const wait = (ruleWatch.solvedAt.at(-1) || 0) + RESOLVE_MIN_INTERVAL - now;
+    if (wait > 0) {
+        ruleWatch.timer = setTimeout(resolveRefreshedCaptcha, wait);
+        return;
+    }
+
+    // 正在识别的是刷新前的旧图，结果已失效，取消后稍后重试
+    if (isProcessing) {
+        if (currentRequestId) {
+            chrome.runtime.sendMessage({ action: 'cancel', requestId: currentRequestId }).catch(() => { });
+        }
+        ruleWatch.timer = setTimeout(resolveRefreshedCaptcha, RESOLVE_DEBOUNCE);
+        return;
+    }
+
+    // 重新定位元素，页面可能已替换为新的img
+    handleApplySiteRule(ruleWatch.selector, (result) => {
+        if (result.success) {
+            logger.info('验证码已刷新，重新识别...');
+            autoSolveRuleCaptcha(result.captcha.id, settings);
+        } else {
+            logger.error('重新定位验证码失败:', result.error);
+        }
+    });
+}
+
+/**
+ * 按当前网站规则对图像做预处理，未启用或处理失败时返回原图
+ * @param {string} imageData - 捕获的图像
+ * @returns {Promise<string>}
+ */
+async function applyPreprocess(imageData) {
+    try {
+        const ruleResponse = await chrome.runtime.sendMessage({
+            action: 'getSiteRule',
+            hostname: location.hostname
+        });
+        const options = ruleResponse.success ? ruleResponse.rule?.preprocess : null;
+
+        if (!preprocessor.isEnabled(options)) return imageData;
+
+        return await preprocessor.process(imageData, options);
+    } catch (error) {
+        logger.warn('图像预处理失败，使用原图', error);
+        return imageData;
+    }
+}
+
+function handleMessage(message, sender, sendResponse) {
+    logger.debug('收到消息:', message.action);
+
+    switch (message.action) {
+        case 'scan':
+            handleScan(sendResponse);
+            return true;
+        case 'recognize':
+            handleRecognize(message.captchaId, sendResponse, message.source, { refresh: message.refresh });
+            return true;
+        case 'cancel':
+            handleCancel(sendResponse);
+            return true;
+        case 'fill':
+            handleFill(message.text, message.options, sendResponse);
+            return true;
+        case 'getStatus':
+            handleGetStatus(sendResponse);
+            return true;
+        case 'highlight':
+            handleHighlight(message.captchaId, sendResponse);
+            return true;
+        case 'previewCaptcha':
+            handlePreviewCaptcha(message.captchaId, sendResponse);
+            return true;
+        case 'startPicker':
+            handleStartPicker(sendResponse);
+            return true;
+        case 'solveContextMenuTarget':
+            handleSolveContextMenuTarget(message.remember, sendResponse);
+            return true;
+        case 'applySiteRule':
+            handleApplySiteRule(message.selector, sendResponse);
+            return true;
+        default:
+            sendResponse({ success: false, error: '未知操作' });
+    }
+    return false;
+}
+
+/**
+ * 子框架的消息处理：只处理发给本框架的右键菜单识别，其余消息不响应，由顶层页面回复
+ */
+function handleFrameMessage(message, sender, sendResponse) {
+    if (message.action !== 'solveContextMenuTarget') return false;
+
+    // 网站规则只在顶层页面应用，子框架中只识别不保存
+    handleSolveContextMenuTarget(false, sendResponse);
+    return true;
+}
+
+function handleScan(sendResponse) {
+    try {
+        const captchas = detector.scan();
+        detector.notifyIfChanged();
+        const simplifiedCaptchas = captchas.map(c => ({
+            id: c.id, type: c.type, confidence: c.confidence,
+            rect: c.rect, hasInput: !!c.inputElement
+        }));
+        currentCaptcha = detector.getMostLikelyCaptcha();
+        sendResponse({
+            success: true,
+            captchas: simplifiedCaptchas,
+            bestCaptcha: currentCaptcha ? {
+                id: currentCaptcha.id, type: currentCaptcha.type, confidence: currentCaptcha.confidence
+            } : null
+        });
+    } catch (error) {
+        sendResponse({ success: false, error: error.message });
+    }
+}
+
+/**
+ * 识别验证码
+ * @param {string|null} captchaId - 验证码ID，为空时使用最可能的验证码
+ * @param {Function} sendResponse - 响应函数
+ * @param {string} source - 请求来源
+ * @param {object} options - 选项 { refresh }，refresh 表示不使用缓存的结果
+ */
+async function handleRecognize(captchaId, sendResponse, source = 'content', options = {}) {
+    if (isProcessing) {
+        sendResponse({ success: false, error: '正在处理中' });
+        return;
+    }
+
+    isProcessing = true;
+
+    try {
+        const captchas = detector.getDetectedCaptchas();
+        const captcha = captchaId
+            ? captchas.find(c => c.id === captchaId)
+            : detector.getMostLikelyCaptcha();
+
+        if (!captcha) throw new Error('未找到验证码');
+
+        // 检查元素是否仍然存在于DOM中
+        if (!document.body.contains(captcha.element)) {
+            throw new Error('验证码元素已不存在，请重新扫描');
+        }
+
+        currentCaptcha = captcha;
+        detector.highlight(captcha);
+        solveWidget.setProcessing(captcha.id);
+
+        // 等待一小段时间确保DOM完全渲染
+        await new Promise(resolve => setTimeout(resolve, 100));
+
+        logger.info('开始捕获验证码图像...', { type: captcha.type, id: captcha.id });
+
+        // 确保元素可见
+        const rect = captcha.element.getBoundingClientRect();
+        if (rect.width === 0 || rect.height === 0) {
+            throw new Error('验证码元素不可见');
+        }
+
+        const imageData = await detector.captureImage(captcha);
+
+        // 验证图像数据有效性
+        if (!imageData || imageData.length < 100) {
+            throw new Error('图像数据无效，请重试');
+        }
+
+        // 调试输出：显示图像数据信息
+        logger.info('图像捕获完成', {
+            dataLength: imageData.length,
+            prefix: imageData.substring(0, 50) + '...',
+            isBase64: imageData.startsWith('data:image')
+        });
+
+        // 在控制台输出图像预览（可以在浏览器控制台查看）
+        if (debugMode) {
+            console.log('%c[AI Captcha] 捕获的验证码图像预览：', 'color: #4CAF50; font-weight: bold');
+            console.log('%c ', `
+                background: url(${imageData}) no-repeat;
+                background-size: contain;
+                padding: 50px 100px;
+                border: 2px solid #4CAF50;
+            `);
+        }
+
+        lastCapture = { captchaId: captcha.id, imageData };
+
+        const processedData = await applyPreprocess(imageData);
+
+        currentRequestId = `${Date.now()}-${Math.random().toString(36).slice(2)}`;
+
+        const response = await chrome.runtime.sendMessage({
+            action: 'recognizeCaptcha',
+            imageData: processedData,
+            hostname: location.hostname,
+            requestId: currentRequestId,
+            source,
+            refresh: !!options.refresh
+        });
+
+        detector.unhighlight(captcha);
+
+        if (response.success) {
+            lastRecognition = { historyId: response.historyId, captchaId: captcha.id };
+            solveWidget.setResult(captcha.id, { text: response.text });
+            sendResponse({
+                success: true, text: response.text,
+                elapsed: response.elapsed, captchaId: captcha.id,
+                configName: response.configName, fallback: response.fallback,
+                votes: response.votes, historyId: response.historyId,
+                cached: !!response.cached
+            });
+        } else {
+            if (!response.cancelled) solveWidget.setResult(captcha.id, { error: response.error });
+            sendResponse({
+                success: false, error: response.error,
+                errorType: response.errorType, cancelled: response.cancelled
+            });
+        }
+    } catch (error) {
+        logger.error('识别失败', error);
+        if (currentCaptcha) {
+            detector.unhighlight(currentCaptcha);
+            solveWidget.setResult(currentCaptcha.id, { error: error.message });
+        }
+        sendResponse({ success: false, error: error.message });
+    } finally {
+        isProcessing = false;
+        currentRequestId = null;
+        solveWidget.setProcessing(null);
+    }
+}
+
+async function handleCancel(sendResponse) {
+    if (!currentRequestId) {
+        sendResponse({ success: false, error: '没有进行中的识别' });
+        return;
+    }
+
+    try {
+        const response = await chrome.runtime.sendMessage({
+            action: 'cancel',
+            requestId: currentRequestId
+        });
+        sendResponse(response);
+    } catch (error) {
+        sendResponse({ success: false, error: error.message });
+    }
+}
+
+async function handleFill(text, options = {}, sendResponse) {
+    try {
+        if (!currentCaptcha) throw new Error('未检测到验证码');
+        if (!currentCaptcha.inputElement) throw new Error('未找到验证码输入框');
+        // 提交结果检测会消耗 lastRecognition，确认对话框也需要它
+        const recognition = lastRecognition;
+        const fillOptions = await prepareConfirmation(await prepareSubmitVerification(options), recognition);
+        const success = await autoFill.fill(currentCaptcha.inputElement, text, fillOptions);
+        sendResponse({ success });
+    } catch (error) {
+        sendResponse({ success: false, error: error.message });
+    }
+}
+
+function handleGetStatus(sendResponse) {
+    const captchas = detector.getDetectedCaptchas();
+    sendResponse({
+        success: true, isProcessing,
+        captchaCount: captchas.length, hasCaptcha: captchas.length > 0,
+        currentCaptcha: currentCaptcha ? {
+            id: currentCaptcha.id, type: currentCaptcha.type, confidence: currentCaptcha.confidence
+        } : null
+    });
+}
+
+function handleHighlight(captchaId, sendResponse) {
+    const captchas = detector.getDetectedCaptchas();
+    const captcha = captchas.find(c => c.id === captchaId);
+    if (captcha) {
+        detector.highlight(captcha);
+        setTimeout(() => detector.unhighlight(captcha), 2000);
+        sendResponse({ success: true });
+    } else {
+        sendResponse({ success: false, error: '未找到验证码' });
+    }
+}
+
+function scanPage() {
+    const captchas = detector.scan();
+    if (captchas.length > 0) {
+        notifyCaptchaDetected(captchas);
+    }
+}
+
+/**
+ * 通知后台更新图标徽章（数量为0时清除）
+ */
+function notifyCaptchaDetected(captchas) {
+    // 扩展被重新加载后旧的内容脚本无法再通信，停止监听
+    if (!chrome.runtime?.id) {
+        detector.stopWatching();
+        solveWidget.destroy();
+        return;
+    }
+
+    if (widgetEnabled) solveWidget.update(captchas);
+
+    chrome.runtime.sendMessage({
+        action: 'captchaDetected',
+        count: captchas.length,
+        bestConfidence: detector.getMostLikelyCaptcha()?.confidence || 0
+    }).catch(() => { });
+}
+
+// ==================== 提交结果回报与重试 ====================
+
+async function fetchSettings() {
+    const response = await chrome.runtime.sendMessage({ action: 'getSettings' });
+    return response.success ? response.settings : {};
+}
+
+/**
+ * 自动提交最近识别的验证码时，附加提交结果检测
+ * @param {object} options - 填充选项，retriesLeft 为内部重试时的剩余次数
+ * @returns {Promise<object>} - 传给 AutoFill.fill 的选项
+ */
+async function prepareSubmitVerification(options) {
+    const recognition = lastRecognition;
+
+    if (!options.autoSubmit || !recognition?.historyId || recognition.captchaId !== currentCaptcha.id) {
+        return options;
+    }
+
+    const settings = await fetchSettings();
+    if (!settings.verifySubmit) return options;
+
+    const retriesLeft = options.retriesLeft ?? carriedRetriesLeft ?? settings.retryOnReject;
+    carriedRetriesLeft = null;
+
+    // 页面重新加载前已用完重试次数，只填充不提交，避免反复提交错误答案
+    if (retriesLeft < 0) {
+        logger.warn('验证码多次被网站拒绝，本次只填充不提交');
+        return { ...options, autoSubmit: false };
+    }
+
+    lastRecognition = null;
+    const captcha = currentCaptcha;
+
+    return {
+        ...options,
+        // 确认对话框中重新识别后 historyId 为新的记录；用户手动修改的答案不属于任何识别记录，不检测
+        onBeforeSubmit: ({ edited = false, historyId = null } = {}) => {
+            if (!edited) startSubmitVerification(captcha, historyId || recognition.historyId, settings, retriesLeft);
+        }
+    };
+}
+
+/**
+ * 开启了提交前确认时，为自动提交附加确认对话框
+ * 用户修改答案后作为更正反馈给识别记录
+ * @param {object} options - 填充选项
+ * @param {object|null} recognition - 最近一次识别 { historyId, captchaId }
+ * @returns {Promise<object>} - 传给 AutoFill.fill 的选项
+ */
+async function prepareConfirmation(options, recognition) {
+    if (!options.autoSubmit) return options;
+
+    const settings = await fetchSettings();
+    if (!settings.confirmBeforeSubmit) return options;
+
+    const captcha = currentCaptcha;
+    const { onBeforeSubmit } = options;
+    let historyId = recognition?.captchaId === captcha.id ? recognition.historyId : null;
+
+    const reRecognize = async () => {
+        const response = await new Promise(resolve => handleRecognize(captcha.id, resolve, 'content', { refresh: true }));
+        if (!response?.success) {
+            throw new Error(response?.error || '未知错误');
+        }
+
+        // 新的识别记录由此对话框回报，不再留给之后的填充
+        historyId = response.historyId;
+        lastRecognition = null;
+        return response.text;
+    };
+
+    return {
+        ...options,
+        confirmBeforeSubmit: true,
+        confirmation: {
+            imageData: lastCapture?.captchaId === captcha.id ? lastCapture.imageData : null,
+            countdown: settings.confirmCountdown,
+            onReRecognize: reRecognize
+        },
+        onBeforeSubmit: (submitted) => {
+            if (submitted.edited && historyId) {
+                chrome.runtime.sendMessage({
+                    action: 'submitFeedback',
+                    historyId,
+                    correct: false,
+                    value: submitted.text
+                }).catch(() => { });
+            }
+
+            if (onBeforeSubmit) onBeforeSubmit({ ...submitted, historyId });
+        }
+    };
+}
+
+/**
+ * 提交前开始观察页面，得出判定后回报并按需重试
+ */
+function startSubmitVerification(captcha, historyId, settings, retriesLeft) {
+    activeVerifications++;
+    savePendingSubmit({ historyId, url: location.href, time: Date.now(), retriesLeft });
+
+    submitVerifier.observe(captcha, settings.failureKeywords || []).then(async ({ verdict, reason, refreshed }) => {
+        clearPendingSubmit();
+        logger.info('提交结果', { verdict, reason });
+        reportSubmitResult(historyId, verdict, reason);
+
+        if (verdict === 'rejected' && retriesLeft > 0) {
+            await retryRejectedCaptcha(captcha, refreshed, retriesLeft - 1);
+        }
+    }).catch((error) => {
+        logger.error('提交结果判定或重试失败', error);
+    }).finally(() => {
+        activeVerifications--;
+    });
+}
+
+/**
+ * 被网站拒绝后刷新验证码，重新识别、填充并提交
+ * @param {object} captcha - 被拒绝的验证码
+ * @param {boolean} refreshed - 网站是否已自动更换验证码
+ * @param {number} retriesLeft - 此次重试之后剩余的次数
+ */
+async function retryRejectedCaptcha(captcha, refreshed, retriesLeft) {
+    logger.info(`验证码被网站拒绝，刷新后重试（之后还可重试 ${retriesLeft} 次）`);
+
+    const next = await refreshCaptcha(captcha, refreshed);
+    if (!next) {
+        logger.error('无法刷新验证码，停止重试');
+        return;
+    }
+
+    const response = await new Promise(resolve => handleRecognize(next.id, resolve));
+    if (!response?.success) {
+        logger.error('重试识别失败:', response ? response.error : '未知错误');
+        return;
+    }
+
+    if (ruleWatch) ruleWatch.lastSrc = next.element.src || null;
+    showResultToast(response.text, response.historyId);
+
+    await new Promise(resolve => handleFill(response.text, { autoSubmit: true, retriesLeft }, resolve));
+}
+
+/**
+ * 获取刷新后的验证码，网站未自动更换时点击图片刷新（多数网站支持点击换图）
+ * @returns {Promise<object|null>}
+ */
+async function refreshCaptcha(captcha, refreshed) {
+    const { element } = captcha;
+
+    if (!refreshed && element.isConnected) {
+        const oldSrc = element.src;
+        element.click();
+
+        if (element.tagName === 'IMG') {
+            if (!await waitForImageChange(element, oldSrc)) return null;
+        } else {
+            await new Promise(resolve => setTimeout(resolve, 1000));
+        }
+    }
+
+    // 重新定位，页面可能已替换验证码元素
+    if (ruleWatch) {
+        const result = await new Promise(resolve => handleApplySiteRule(ruleWatch.selector, resolve));
+        return result.success ? currentCaptcha : null;
+    }
+
+    detector.scan();
+    const captchas = detector.getDetectedCaptchas();
+    return captchas.find(c => c.element === element) || detector.getMostLikelyCaptcha();
+}
+
+/**
+ * 等待图片换成新的地址并加载完成
+ * @returns {Promise<boolean>} - 超时未变化时返回false
+ */
+function waitForImageChange(img, oldSrc) {
+    return new Promise((resolve) => {
+        const done = (changed) => {
+            clearTimeout(timer);
+            img.removeEventListener('load', onLoad);
+            resolve(changed);
+        };
+        const onLoad = () => {
+            if (img.src !== oldSrc) done(true);
+        };
+        const timer = setTimeout(() => done(img.src !== oldSrc && img.complete), CAPTCHA_REFRESH_TIMEOUT);
+
+        img.addEventListener('load', onLoad);
+    });
+}
+
+function reportSubmitResult(historyId, verdict, reason) {
+    chrome.runtime.sendMessage({
+        action: 'reportSubmitResult',
+        historyId,
+        verdict,
+        reason
+    }).catch(() => { });
+}
+
+function savePendingSubmit(pending) {
+    try {
+        sessionStorage.setItem(PENDING_SUBMIT_KEY, JSON.stringify(pending));
+    } catch (e) {
+        // 沙箱iframe等环境无法使用sessionStorage，忽略
+    }
+}
+
+function clearPendingSubmit() {
+    try {
+        sessionStorage.removeItem(PENDING_SUBMIT_KEY);
+    } catch (e) {
+        // 忽略
+    }
+}
+
+function takePendingSubmit() {
+    try {
+        const pending = JSON.parse(sessionStorage.getItem(PENDING_SUBMIT_KEY));
+        sessionStorage.removeItem(PENDING_SUBMIT_KEY);
+        return pending;
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * 检查上一页自动提交后的结果（整页提交后页面已重新加载）
+ * 回到同一页面且仍需输入验证码视为被拒绝，跳转到其他页面视为接受
+ */
+async function checkPendingSubmit() {
+    const pending = takePendingSubmit();
+    if (!pending || Date.now() - pending.time > PENDING_SUBMIT_MAX_AGE) return;
+
+    try {
+        const settings = await fetchSettings();
+        const samePage = new URL(pending.url).pathname === location.pathname;
+        const keyword = submitVerifier.findNewKeyword(settings.failureKeywords || []);
+        const captcha = detector.getMostLikelyCaptcha();
+
+        if (!samePage || (!keyword && !captcha)) {
+            reportSubmitResult(pending.historyId, 'accepted', '页面已跳转');
+            return;
+        }
+
+        reportSubmitResult(pending.historyId, 'rejected', keyword ? `页面提示「${keyword}」` : '页面重新加载后仍需输入验证码');
+
+        // 由接下来的自动提交继续消耗重试次数（只在短时间内有效，不影响之后的手动操作）
+        carriedRetriesLeft = pending.retriesLeft - 1;
+        setTimeout(() => { carriedRetriesLeft = null; }, PENDING_SUBMIT_MAX_AGE);
+
+        if (pending.retriesLeft <= 0 || !captcha) return;
+
+        // 匹配网站规则且开启了自动识别时，由规则流程识别和提交
+        const ruleResponse = await chrome.runtime.sendMessage({ action: 'getSiteRule', hostname: location.hostname });
+        if (settings.autoSolveOnRule && ruleResponse.success && ruleResponse.rule?.selector) return;
+
+        logger.info(`验证码被网站拒绝，重新识别（之后还可重试 ${carriedRetriesLeft} 次）`);
+
+        handleRecognize(captcha.id, (response) => {
+            if (response?.success) {
+                handleFill(response.text, { autoSubmit: true }, () => { });
+            } else {
+                logger.error('重试识别失败:', response ? response.error : '未知错误');
+            }
+        });
+    } catch (error) {
+        logger.error('检查提交结果失败', error);
+    }
+}
+
+// ==================== 调试功能 ====================
+
+/**
+ * 处理验证码预览请求（调试用）
+ */
+async function handlePreviewCaptcha(captchaId, sendResponse) {
+    try {
+        const captchas = detector.getDetectedCaptchas();
+        const captcha = captchaId
+            ? captchas.find(c => c.id === captchaId)
+            : detector.getMostLikelyCaptcha();
+
+        if (!captcha) throw new Error('未找到验证码');
+
+        const imageData = await detector.captureImage(captcha);
+        const processedData = await applyPreprocess(imageData);
+
+        // 在页面上显示预览弹窗
+        showCaptchaPreview(imageData, captcha, processedData);
+
+        // 设置中开启预先识别时，结果进入后台缓存，随后点击识别时可立即返回
+        chrome.runtime.sendMessage({
+            action: 'recognizeCaptcha',
+            imageData: processedData,
+            hostname: location.hostname,
+            source: 'preview',
+            prefetch: true
+        }).catch(error => logger.debug('预先识别失败', error.message));
+
+        sendResponse({
+            success: true,
+            imageData: processedData,
+            captchaInfo: {
+                id: captcha.id,
+                type: captcha.type,
+                confidence: captcha.confidence
+            }
+        });
+    } catch (error) {
+        sendResponse({ success: false, error: error.message });
+    }
+}
+
+/**
+ * 在页面上显示验证码预览弹窗
+ * @param {string} originalData - 捕获的原图
+ * @param {object} captchaInfo - 验证码信息
+ * @param {string} processedData - 预处理后的图像（未启用预处理时与原图相同）
+ */
+function showCaptchaPreview(originalData, captchaInfo, processedData = originalData) {
+    // 复制和下载使用实际发送给AI的图像
+    const imageData = processedData;
+    const preprocessed = processedData !== originalData;
+
+    // 移除已有的预览
+    const existing = document.getElementById('captcha-debug-preview');
+    if (existing) existing.remove();
+
+    const overlay = document.createElement('div');
+    overlay.id = 'captcha-debug-preview';
+    overlay.style.cssText = `
+        position: fixed;
+        top: 0;
+        left: 0;
+        right: 0;
+        bottom: 0;
+        background: rgba(0, 0, 0, 0.8);
+        display: flex;
+        align-items: center;
+        justify-content: center;
+        z-index: 999999;
+        font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+    `;
+
+    const dialog = document.createElement('div');
+    dialog.style.cssText = `
+        background: #1a1a2e;
+        padding: 24px;
+        border-radius: 16px;
+        max-width: 500px;
+        color: white;
+        box-shadow: 0 20px 60px rgba(0,0,0,0.5);
+    `;
+
+    dialog.innerHTML = `
+        <h3 style="margin: 0 0 16px 0; color: #6366f1;">🔍 验证码捕获调试</h3>
+        <div style="margin-bottom: 16px;">
+            <p style="margin: 0 0 8px 0; color: #a1a1aa; font-size: 14px;">${preprocessed ? '预处理前后对比（右侧为发送给AI的图像）：' : '以下是发送给AI的图像：'}</p>
+            <div style="background: #252540; padding: 16px; border-radius: 8px; text-align: center; display: flex; gap: 12px; align-items: center; justify-content: center;">
+                ${preprocessed ? `
+                <div style="flex: 1; min-width: 0;">
+                    <img src="${originalData}" style="max-width: 100%; border: 2px solid #3f3f46; border-radius: 4px;" />
+                    <div style="margin-top: 4px; color: #a1a1aa; font-size: 12px;">原图</div>
+                </div>` : ''}
+                <div style="flex: 1; min-width: 0;">
+                    <img src="${imageData}" style="max-width: 100%; border: 2px solid #4CAF50; border-radius: 4px;" />
+                    ${preprocessed ? '<div style="margin-top: 4px; color: #a1a1aa; font-size: 12px;">预处理后</div>' : ''}
+                </div>
+            </div>
+        </div>
+        <div style="background: #252540; padding: 12px; border-radius: 8px; margin-bottom: 16px; font-size: 13px;">
+            <div style="margin-bottom: 6px;"><strong>类型:</strong> ${captchaInfo.type}</div>
+            <div style="margin-bottom: 6px;"><strong>置信度:</strong> ${captchaInfo.confidence}%</div>
+            <div style="margin-bottom: 6px;"><strong>数据长度:</strong> ${imageData.length} 字符</div>
+            <div><strong>格式:</strong> ${imageData.substring(5, 30)}...</div>
+        </div>
+        <div style="display: flex; gap: 12px;">
+            <button id="debug-copy-base64" style="
+                flex: 1;
+                padding: 10px;
+                background: #6366f1;
+                color: white;
+                border: none;
+                border-radius: 8px;
+                cursor: pointer;
+                font-size: 14px;
+            ">复制Base64</button>
+            <button id="debug-download" style="
+                flex: 1;
+                padding: 10px;
+                background: #10b981;
+                color: white;
+                border: none;
+                border-radius: 8px;
+                cursor: pointer;
+                font-size: 14px;
+            ">下载图片</button>
+            <button id="debug-close" style="
+                flex: 1;
+                padding: 10px;
+                background: #3f3f46;
+                color: white;
+                border: none;
+                border-radius: 8px;
+                cursor: pointer;
+                font-size: 14px;
+            ">关闭</button>
+        </div>
+    `;
+
+    overlay.appendChild(dialog);
+    document.body.appendChild(overlay);
+
+    // 绑定事件
+    document.getElementById('debug-copy-base64').onclick = async () => {
+        try {
+            await navigator.clipboard.writeText(imageData);
+            alert('Base64已复制到剪贴板！\n\n您可以将其粘贴到AI对话中测试。');
+        } catch (e) {
+            // 备用方案
+            const textarea = document.createElement('textarea');
+            textarea.value = imageData;
+            document.body.appendChild(textarea);
+            textarea.select();
+            document.execCommand('copy');
+            textarea.remove();
+            alert('Base64已复制！');
+        }
+    };
+
+    document.getElementById('debug-download').onclick = () => {
+        const link = document.createElement('a');
+        link.href = imageData;
+        link.download = `captcha-debug-${Date.now()}.png`;
+        link.click();
+    };
+
+    document.getElementById('debug-close').onclick = () => overlay.remove();
+    overlay.onclick = (e) => { if (e.target === overlay) overlay.remove(); };
+}
+
+// ==================== 手动选择功能 ====================
+
+/**
+ * 启动元素选择器
+ */
+function handleStartPicker(sendResponse) {
+    // 创建选择器
+    startPicker(async (result) => {
+        if (result.cancelled) {
+            sendResponse({ success: false, cancelled: true });
+        } else if (result.success) {
+            await applyPickedElement(result);
+
+            sendResponse({
+                success: true,
+                selector: result.selector,
+                info: result.info,
+                hostname: location.hostname
+            });
+        }
+    });
+
+    return true; // 保持消息通道开放
+}
+
+/**
+ * 将手动选择的元素设为当前验证码
+ * @param {Element} element - 验证码元素
+ * @param {string} selector - 元素的选择器
+ */
+function selectManualCaptcha(element, selector) {
+    const rect = element.getBoundingClientRect();
+
+    currentCaptcha = {
+        type: element.tagName.toLowerCase() === 'img' ? 'image' :
+            element.tagName.toLowerCase() === 'canvas' ? 'canvas' : 'svg',
+        element: element,
+        src: element.src || null,
+        rect: rect,
+        confidence: 100,
+        inputElement: detector.findRelatedInput(element),
+        id: 'manual-selected',
+        selector: selector
+    };
+
+    detector.select(currentCaptcha);
+}
+
+/**
+ * 将选择的元素设为当前验证码，并保存为当前网站的规则
+ * @param {object} result - 选择结果 { element, selector, info }
+ * @returns {Promise<boolean>} - 规则是否保存成功
+ */
+async function applyPickedElement(result) {
+    selectManualCaptcha(result.element, result.selector);
+
+    // 直接保存网站规则到storage（通过Service Worker）
+    try {
+        await chrome.runtime.sendMessage({
+            action: 'saveSiteRule',
+            hostname: location.hostname,
+            rule: {
+                selector: result.selector,
+                info: result.info
+            }
+        });
+        logger.info('网站规则已保存', { hostname: location.hostname, selector: result.selector });
+
+        // 显示成功提示
+        showSaveSuccessToast(result.selector);
+        return true;
+    } catch (error) {
+        logger.error('保存规则失败', error);
+        return false;
+    }
+}
+
+/**
+ * 显示保存成功的提示
+ */
+function showSaveSuccessToast(selector) {
+    // 移除已有的提示
+    const existing = document.getElementById('captcha-save-toast');
+    if (existing) existing.remove();
+
+    const toast = document.createElement('div');
+    toast.id = 'captcha-save-toast';
+    toast.style.cssText = `
+        position: fixed;
+        top: 20px;
+        left: 50%;
+        transform: translateX(-50%);
+        background: linear-gradient(135deg, #10b981, #059669);
+        color: white;
+        padding: 14px 24px;
+        border-radius: 12px;
+        font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+        font-size: 14px;
+        z-index: 999999;
+        box-shadow: 0 4px 20px rgba(0, 0, 0, 0.3);
+        display: flex;
+        align-items: center;
+        gap: 10px;
+        animation: slideDown 0.3s ease;
+    `;
+
+    toast.innerHTML = `
+        <span style="font-size: 18px;">✅</span>
+        <span>验证码规则已保存！下次访问将自动识别</span>
+    `;
+
+    // 添加动画样式
+    const style = document.createElement('style');
+    style.textContent = `
+        @keyframes slideDown {
+            from { opacity: 0; transform: translateX(-50%) translateY(-20px); }
+            to { opacity: 1; transform: translateX(-50%) translateY(0); }
+        }
+    `;
+    document.head.appendChild(style);
+
+    document.body.appendChild(toast);
+
+    // 3秒后自动消失
+    setTimeout(() => {
+        toast.style.transition = 'opacity 0.3s ease';
+        toast.style.opacity = '0';
+        setTimeout(() => toast.remove(), 300);
+    }, 3000);
+}
+
+/**
+ * 显示识别结果提示，可直接标记结果是否正确（用于自动识别，无需打开弹窗）
+ * @param {string} text - 识别结果
+ * @param {string} historyId - 历史记录ID
+ */
+function showResultToast(text, historyId) {
+    if (!historyId) return;
+
+    const existing = document.getElementById('captcha-result-toast');
+    if (existing) existing.remove();
+
+    const toast = document.createElement('div');
+    toast.id = 'captcha-result-toast';
+    toast.style.cssText = `
+        position: fixed;
+        right: 20px;
+        bottom: 20px;
+        background: #1a1a2e;
+        color: white;
+        padding: 12px 16px;
+        border-radius: 12px;
+        border: 1px solid #6366f1;
+        font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+        font-size: 13px;
+        z-index: 999999;
+        box-shadow: 0 4px 20px rgba(0, 0, 0, 0.3);
+    `;
+
+    const buttonStyle = `
+        padding: 4px 10px;
+        background: #252540;
+        color: white;
+        border: 1px solid #3f3f46;
+        border-radius: 6px;
+        cursor: pointer;
+        font-size: 13px;
+    `;
+
+    toast.innerHTML = `
+        <div style="display: flex; align-items: center; gap: 10px;">
+            <span style="color: #a1a1aa;">AI识别:</span>
+            <strong class="result-value" style="font-family: Monaco, Consolas, monospace; font-size: 16px; color: #818cf8; letter-spacing: 1px;"></strong>
+            <button class="btn-correct" style="${buttonStyle}" title="正确">✓</button>
+            <button class="btn-incorrect" style="${buttonStyle}" title="错误">✗</button>
+        </div>
+        <div class="correction" style="display: none; margin-top: 8px; gap: 6px;">
+            <input type="text" placeholder="正确答案（可选）" autocomplete="off" style="
+                flex: 1;
+                min-width: 0;
+                padding: 4px 8px;
+                background: #252540;
+                color: white;
+                border: 1px solid #3f3f46;
+                border-radius: 6px;
+                font-size: 13px;
+            " />
+            <button class="btn-save" style="${buttonStyle}">保存</button>
+        </div>
+    `;
+    toast.querySelector('.result-value').textContent = text;
+
+    const correction = toast.querySelector('.correction');
+    const input = correction.querySelector('input');
+    let dismissTimer = null;
+
+    const dismiss = (delay) => {
+        clearTimeout(dismissTimer);
+        dismissTimer = setTimeout(() => toast.remove(), delay);
+    };
+
+    const submit = async (correct, value = '') => {
+        try {
+            const response = await chrome.runtime.sendMessage({
+                action: 'submitFeedback',
+                historyId,
+                correct,
+                value
+            });
+            toast.textContent = response.success ? '感谢反馈，已记录' : `反馈失败: ${response.error}`;
+        } catch (error) {
+            toast.textContent = `反馈失败: ${error.message}`;
+        }
+        dismiss(1500);
+    };
+
+    toast.querySelector('.btn-correct').onclick = () => submit(true);
+    toast.querySelector('.btn-incorrect').onclick = () => {
+        // 输入更正答案时不自动消失
+        clearTimeout(dismissTimer);
+        correction.style.display = 'flex';
+        input.focus();
+    };
+    toast.querySelector('.btn-save').onclick = () => submit(false, input.value);
+    input.onkeydown = (e) => {
+        // 避免页面上的回车提交等快捷键
+        e.stopPropagation();
+        if (e.key === 'Enter') submit(false, input.value);
+    };
+
+    document.body.appendChild(toast);
+    dismiss(8000);
+}
+
+/**
+ * 应用网站规则选择元素
+ */
+async function handleApplySiteRule(selector, sendResponse) {
+    try {
+        const element = document.querySelector(selector);
+
+        if (!element) {
+            sendResponse({ success: false, error: '未找到匹配元素' });
+            return;
+        }
+
+        // 如果是图片元素，等待加载完成
+        if (element.tagName === 'IMG') {
+            await waitForElementLoad(element);
+        }
+
+        const rect = element.getBoundingClientRect();
+
+        // 确保元素可见
+        if (rect.width === 0 || rect.height === 0) {
+            sendResponse({ success: false, error: '元素不可见' });
+            return;
+        }
+
+        currentCaptcha = {
+            type: element.tagName.toLowerCase() === 'img' ? 'image' :
+                element.tagName.toLowerCase() === 'canvas' ? 'canvas' : 'svg',
+            element: element,
+            src: element.src || null,
+            rect: rect,
+            confidence: 100,
+            inputElement: detector.findRelatedInput(element),
+            id: 'rule-selected',
+            selector: selector
+        };
+
+        detector.select(currentCaptcha);
+        detector.highlight(currentCaptcha);
+
+        setTimeout(() => detector.unhighlight(currentCaptcha), 2000);
+
+        sendResponse({
+            success: true,
+            captcha: {
+                id: currentCaptcha.id,
+                type: currentCaptcha.type,
+                confidence: 100
+            }
+        });
+    } catch (error) {
+        logger.error('应用规则失败', error);
+        sendResponse({ success: false, error: error.message });
+    }
+}
+
+/**
+ * 等待元素加载完成
+ */
+async function waitForElementLoad(element) {
+    // 如果是图片元素
+    if (element.tagName === 'IMG') {
+        // 已经加载完成
+        if (element.complete && element.naturalWidth > 0) {
+            return;
+        }
+
+        // data URL 不需要等待
+        if (element.src && element.src.startsWith('data:')) {
+            return;
+        }
+
+        logger.info('等待验证码图片加载...');
+
+        return new Promise((resolve, reject) => {
+            const timeout = setTimeout(() => {
+                // 超时了但图片可能已经加载，检查一下
+                if (element.complete && element.naturalWidth > 0) {
+                    resolve();
+                } else {
+                    reject(new Error('图片加载超时'));
+                }
+            }, 5000);
+
+            const checkComplete = () => {
+                if (element.complete && element.naturalWidth > 0) {
+                    clearTimeout(timeout);
+                    logger.info('验证码图片加载完成');
+                    resolve();
+                }
+            };
+
+            element.addEventListener('load', () => {
+                clearTimeout(timeout);
+                logger.info('验证码图片加载完成');
+                resolve();
+            }, { once: true });
+
+            element.addEventListener('error', () => {
+                clearTimeout(timeout);
+                reject(new Error('图片加载失败'));
+            }, { once: true });
+
+            // 立即检查一次
+            checkComplete();
+
+            // 定期检查（有些情况下load事件可能不触发）
+            const interval = setInterval(() => {
+                if (element.complete && element.naturalWidth > 0) {
+                    clearInterval(interval);
+                    clearTimeout(timeout);
+                    resolve();
+                }
+            }, 100);
+
+            // 5秒后停止检查
+            setTimeout(() => clearInterval(interval), 5000);
+        });
+    }
+}
+
+// ==================== 悬浮识别按钮 ====================
+
+/**
+ * 识别悬浮按钮所在的验证码，结果由 handleRecognize 显示到按钮面板中
+ * @param {object} captcha - 验证码信息
+ */
+async function widgetRecognize(captcha) {
+    const response = await new Promise(resolve => handleRecognize(captcha.id, resolve, 'widget'));
+    if (!response.success && !response.cancelled) {
+        throw new Error(response.error || '识别失败');
+    }
+}
+
+/**
+ * 将识别结果填入悬浮按钮所在验证码的输入框，是否自动提交遵循设置
+ * @param {object} captcha - 验证码信息
+ * @param {string} text - 识别结果
+ */
+async function widgetFill(captcha, text) {
+    const settings = await fetchSettings();
+    currentCaptcha = captcha;
+
+    const response = await new Promise(resolve => handleFill(text, {
+        simulate: true,
+        autoSubmit: settings.autoSubmit || false
+    }, resolve));
+    if (!response.success) throw new Error(response.error || '填充失败');
+}
+
+/**
+ * 点击验证码换一张
+ * @param {object} captcha - 验证码信息
+ */
+async function widgetRefresh(captcha) {
+    const next = await refreshCaptcha(captcha, false);
+    if (!next) throw new Error('无法刷新验证码');
+    detector.notifyIfChanged();
+}
+
+/**
+ * 将悬浮按钮所在的验证码保存为当前网站的规则
+ * @param {object} captcha - 验证码信息
+ */
+async function widgetSaveRule(captcha) {
+    const { element } = captcha;
+    const saved = await applyPickedElement({
+        element,
+        selector: generateSelector(element),
+        info: getElementInfo(element)
+    });
+    if (!saved) throw new Error('保存规则失败');
+}
+
+// ==================== 右键菜单 ====================
+
+/**
+ * 记录右键点击位置的图片或画布（可能被透明遮罩覆盖，按坐标查找）
+ * @param {MouseEvent} e - contextmenu 事件
+ */
+function recordContextMenuTarget(e) {
+    contextMenuTarget = document.elementsFromPoint(e.clientX, e.clientY)
+        .find(el => el.tagName === 'IMG' || el.tagName === 'CANVAS') || null;
+}
+
+/**
+ * 识别右键点击的图片或画布并填充到相关输入框
+ * @param {boolean} remember - 是否同时保存为当前网站的规则
+ * @param {Function} sendResponse - 响应函数
+ */
+async function handleSolveContextMenuTarget(remember, sendResponse) {
+    const element = contextMenuTarget;
+
+    if (!element?.isConnected) {
+        sendResponse({ success: false, error: '请在验证码图片上点击右键' });
+        return;
+    }
+
+    const selector = generateSelector(element);
+    if (remember) {
+        await applyPickedElement({ element, selector, info: getElementInfo(element) });
+    } else {
+        selectManualCaptcha(element, selector);
+    }
+
+    const [settings, response] = await Promise.all([
+        fetchSettings(),
+        new Promise(resolve => handleRecognize(currentCaptcha.id, resolve, 'contextMenu'))
+    ]);
+
+    if (!response.success) {
+        sendResponse(response);
+        return;
+    }
+
+    // 提交前会显示确认对话框，无需再显示结果提示
+    if (!(settings.autoSubmit && settings.confirmBeforeSubmit)) {
+        showResultToast(response.text, response.historyId);
+    }
+
+    handleFill(response.text, { simulate: true, autoSubmit: settings.autoSubmit }, (fillResult) => {
+        sendResponse({ ...fillResult, text: response.text });
+    });
+}
+
+init();
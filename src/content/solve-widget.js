@@ -0,0 +1,430 @@
+/**
+ * 页面悬浮识别按钮模块
+ * 在检测到的验证码旁显示按钮，无需打开弹窗即可识别、填充、刷新、复制结果和保存网站规则
+ * 界面放在 Shadow DOM 中，不受页面样式影响，也不影响页面
+ */
+
+import * as logger from '../utils/logger.js';
+
+// 宿主元素ID（检测器据此忽略其引起的DOM变化）
+const WIDGET_HOST_ID = 'captcha-solve-widgets';
+
+// 按钮尺寸及与验证码的间距
+const BUTTON_SIZE = 24;
+const BUTTON_GAP = 6;
+
+const STYLE = `
+    :host {
+        all: initial;
+    }
+    .widget {
+        position: fixed;
+        font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+        font-size: 13px;
+        color: white;
+    }
+    .widget.offscreen {
+        display: none;
+    }
+    .toggle {
+        width: ${BUTTON_SIZE}px;
+        height: ${BUTTON_SIZE}px;
+        padding: 0;
+        border: 1px solid #6366f1;
+        border-radius: 50%;
+        background: #1a1a2e;
+        color: #818cf8;
+        font-size: 10px;
+        font-weight: bold;
+        cursor: pointer;
+        box-shadow: 0 2px 8px rgba(0, 0, 0, 0.3);
+        opacity: 0.85;
+    }
+    .toggle:hover {
+        opacity: 1;
+    }
+    .widget.busy .toggle {
+        border-color: transparent;
+        border-top-color: #818cf8;
+        animation: spin 0.8s linear infinite;
+        color: transparent;
+    }
+    @keyframes spin {
+        to { transform: rotate(360deg); }
+    }
+    .panel {
+        position: absolute;
+        top: ${BUTTON_SIZE + 4}px;
+        left: 0;
+        width: 210px;
+        padding: 10px;
+        background: #1a1a2e;
+        border: 1px solid #6366f1;
+        border-radius: 10px;
+        box-shadow: 0 4px 20px rgba(0, 0, 0, 0.3);
+    }
+    .panel[hidden] {
+        display: none;
+    }
+    .result {
+        min-height: 22px;
+        margin-bottom: 8px;
+        font-family: Monaco, Consolas, monospace;
+        font-size: 16px;
+        letter-spacing: 1px;
+        color: #818cf8;
+        word-break: break-all;
+    }
+    .result.empty,
+    .result.error {
+        font-family: inherit;
+        font-size: 12px;
+        letter-spacing: normal;
+        color: #a1a1aa;
+    }
+    .result.error {
+        color: #f87171;
+    }
+    .actions {
+        display: grid;
+        grid-template-columns: repeat(3, 1fr);
+        gap: 6px;
+    }
+    .actions button {
+        padding: 4px 0;
+        background: #252540;
+        color: white;
+        border: 1px solid #3f3f46;
+        border-radius: 6px;
+        font-size: 12px;
+        cursor: pointer;
+    }
+    .actions button:hover:not(:disabled) {
+        border-color: #6366f1;
+    }
+    .actions button:disabled {
+        opacity: 0.4;
+        cursor: default;
+    }
+    .actions .save {
+        grid-column: span 3;
+    }
+`;
+
+/**
+ * 悬浮识别按钮
+ */
+export class SolveWidget {
+    /**
+     * 构造函数
+     * @param {object} handlers - 操作处理函数 { recognize(captcha), fill(captcha, text), refresh(captcha), saveRule(captcha) }
+     *   均返回Promise，失败时抛出错误，错误信息会显示在面板中
+     */
+    constructor(handlers) {
+        this.handlers = handlers;
+        this.host = null;
+        this.root = null;
+        // 验证码ID -> { captcha, el, text, message, error, open }
+        this.widgets = new Map();
+        this.processingId = null;
+        this.positionFrame = null;
+        this.handleViewportChange = () => this.schedulePosition();
+    }
+
+    /**
+     * 按检测结果更新按钮：新增验证码显示按钮，消失的验证码移除按钮
+     * @param {Array<object>} captchas - 检测到的验证码
+     */
+    update(captchas) {
+        const visible = captchas.filter(c => c.element?.isConnected);
+
+        for (const [id, widget] of this.widgets) {
+            if (!visible.some(c => c.id === id)) {
+                widget.el.remove();
+                this.widgets.delete(id);
+            }
+        }
+
+        if (visible.length === 0) {
+            this.unmount();
+            return;
+        }
+
+        this.mount();
+
+        visible.forEach((captcha) => {
+            const widget = this.widgets.get(captcha.id);
+
+            if (widget) {
+                // 元素可能已被页面替换，使用最新的检测结果
+                widget.captcha = captcha;
+                this.render(widget);
+            } else {
+                this.widgets.set(captcha.id, this.createWidget(captcha));
+            }
+        });
+
+        this.positionAll();
+    }
+
+    /**
+     * 标记正在识别的验证码，显示加载动画
+     * @param {string|null} captchaId - 验证码ID，为空表示没有进行中的识别
+     */
+    setProcessing(captchaId) {
+        this.processingId = captchaId;
+        this.widgets.forEach(widget => this.render(widget));
+    }
+
+    /**
+     * 显示识别结果
+     * @param {string} captchaId - 验证码ID
+     * @param {object} result - { text } 或 { error }
+     */
+    setResult(captchaId, result) {
+        const widget = this.widgets.get(captchaId);
+        if (!widget) return;
+
+        widget.text = result.text || null;
+        widget.error = result.error || null;
+        widget.message = null;
+        this.render(widget);
+    }
+
+    /**
+     * 移除全部按钮并停止跟随页面滚动
+     */
+    destroy() {
+        this.widgets.clear();
+        this.unmount();
+    }
+
+    /**
+     * 创建宿主元素和 Shadow DOM
+     */
+    mount() {
+        if (this.host?.isConnected) return;
+
+        this.host = document.createElement('div');
+        this.host.id = WIDGET_HOST_ID;
+        this.host.style.cssText = 'position: fixed; top: 0; left: 0; width: 0; height: 0; z-index: 999997;';
+
+        this.root = this.host.attachShadow({ mode: 'closed' });
+        const style = document.createElement('style');
+        style.textContent = STYLE;
+        this.root.appendChild(style);
+
+        // 页面重新渲染时宿主可能被移除，重新挂载已有的按钮
+        this.widgets.forEach(widget => this.root.appendChild(widget.el));
+
+        document.documentElement.appendChild(this.host);
+
+        window.addEventListener('scroll', this.handleViewportChange, { capture: true, passive: true });
+        window.addEventListener('resize', this.handleViewportChange, { passive: true });
+    }
+
+    /**
+     * 移除宿主元素并停止监听滚动
+     */
+    unmount() {
+        window.removeEventListener('scroll', this.handleViewportChange, { capture: true });
+        window.removeEventListener('resize', this.handleViewportChange);
+        cancelAnimationFrame(this.positionFrame);
+        this.positionFrame = null;
+
+        if (this.host) {
+            this.host.remove();
+            this.host = null;
+            this.root = null;
+        }
+    }
+
+    /**
+     * 创建单个验证码的按钮和操作面板
+     * @param {object} captcha - 验证码信息
+     * @returns {object}
+     */
+    createWidget(captcha) {
+        const el = document.createElement('div');
+        el.className = 'widget';
+        el.innerHTML = `
+            <button class="toggle" title="AI识别验证码">AI</button>
+            <div class="panel" hidden>
+                <div class="result"></div>
+                <div class="actions">
+                    <button data-action="recognize">识别</button>
+                    <button data-action="fill">填充</button>
+                    <button data-action="refresh">刷新</button>
+                    <button data-action="copy">复制</button>
+                    <button class="save" data-action="saveRule">保存为网站规则</button>
+                </div>
+            </div>
+        `;
+
+        const widget = { captcha, el, text: null, message: null, error: null, open: false };
+
+        el.querySelector('.toggle').onclick = (e) => {
+            e.stopPropagation();
+            widget.open = !widget.open;
+            this.render(widget);
+
+            // 首次打开且没有结果时直接识别
+            if (widget.open && !widget.text && !widget.error && this.processingId === null) {
+                this.runAction(widget, 'recognize');
+            }
+        };
+
+        el.querySelectorAll('[data-action]').forEach((button) => {
+            button.onclick = (e) => {
+                e.stopPropagation();
+                this.runAction(widget, button.dataset.action);
+            };
+        });
+
+        // 避免页面把点击当作点击了页面其他位置
+        el.addEventListener('mousedown', e => e.stopPropagation());
+
+        this.root.appendChild(el);
+        this.render(widget);
+
+        return widget;
+    }
+
+    /**
+     * 执行面板中的操作
+     * @param {object} widget - 按钮状态
+     * @param {string} action - 操作名称
+     */
+    async runAction(widget, action) {
+        const { captcha } = widget;
+
+        widget.error = null;
+        widget.message = null;
+
+        try {
+            switch (action) {
+                case 'recognize':
+                    await this.handlers.recognize(captcha);
+                    break;
+                case 'fill':
+                    await this.handlers.fill(captcha, widget.text);
+                    widget.message = '已填充';
+                    break;
+                case 'refresh':
+                    widget.text = null;
+                    this.render(widget);
+                    await this.handlers.refresh(captcha);
+                    widget.message = '已刷新，点击「识别」重新识别';
+                    break;
+                case 'copy':
+                    await copyText(widget.text);
+                    widget.message = '已复制';
+                    break;
+                case 'saveRule':
+                    await this.handlers.saveRule(captcha);
+                    widget.message = '已保存为网站规则';
+                    break;
+            }
+        } catch (error) {
+            logger.warn('悬浮按钮操作失败', { action, error: error.message });
+            widget.error = error.message;
+        }
+
+        this.render(widget);
+    }
+
+    /**
+     * 按状态更新按钮和面板
+     * @param {object} widget - 按钮状态
+     */
+    render(widget) {
+        const { el, captcha, text, message, error, open } = widget;
+        const busy = this.processingId === captcha.id;
+        const idle = this.processingId === null;
+
+        el.classList.toggle('busy', busy);
+        el.querySelector('.panel').hidden = !open;
+
+        const result = el.querySelector('.result');
+        result.className = 'result';
+
+        if (busy) {
+            result.textContent = '识别中...';
+            result.classList.add('empty');
+        } else if (error) {
+            result.textContent = error;
+            result.classList.add('error');
+        } else if (text) {
+            result.textContent = message ? `${text}  ·  ${message}` : text;
+        } else {
+            result.textContent = message || '尚未识别';
+            result.classList.add('empty');
+        }
+
+        const buttons = Object.fromEntries(
+            Array.from(el.querySelectorAll('[data-action]'), b => [b.dataset.action, b])
+        );
+        buttons.recognize.disabled = !idle;
+        buttons.fill.disabled = !idle || !text || !captcha.inputElement;
+        buttons.fill.title = captcha.inputElement ? '' : '未找到验证码输入框';
+        buttons.refresh.disabled = !idle;
+        buttons.copy.disabled = !text;
+    }
+
+    /**
+     * 在下一帧更新位置（滚动时合并多次更新）
+     */
+    schedulePosition() {
+        if (this.positionFrame) return;
+
+        this.positionFrame = requestAnimationFrame(() => {
+            this.positionFrame = null;
+            this.positionAll();
+        });
+    }
+
+    /**
+     * 将按钮放在验证码右侧，验证码不在可视区域内时隐藏
+     */
+    positionAll() {
+        this.widgets.forEach(({ captcha, el }) => {
+            const rect = captcha.element.getBoundingClientRect();
+            const offscreen = !captcha.element.isConnected || rect.width === 0 ||
+                rect.bottom < 0 || rect.top > window.innerHeight ||
+                rect.right < 0 || rect.left > window.innerWidth;
+
+            el.classList.toggle('offscreen', offscreen);
+            if (offscreen) return;
+
+            // 右侧放不下时放在验证码内部右上角
+            const left = rect.right + BUTTON_GAP + BUTTON_SIZE <= window.innerWidth
+                ? rect.right + BUTTON_GAP
+                : rect.right - BUTTON_SIZE;
+
+            el.style.left = `${Math.round(left)}px`;
+            el.style.top = `${Math.round(rect.top + (rect.height - BUTTON_SIZE) / 2)}px`;
+        });
+    }
+}
+
+/**
+ * 复制文本，剪贴板API不可用时（如HTTP页面）使用 execCommand
+ * @param {string} text - 文本
+ */
+async function copyText(text) {
+    try {
+        await navigator.clipboard.writeText(text);
+    } catch (e) {
+        const textarea = document.createElement('textarea');
+        textarea.value = text;
+        textarea.style.cssText = 'position: fixed; opacity: 0;';
+        document.body.appendChild(textarea);
+        textarea.select();
+        const copied = document.execCommand('copy');
+        textarea.remove();
+
+        if (!copied) throw new Error('复制失败');
+    }
+}
+
+export default SolveWidget;
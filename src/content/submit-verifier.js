@@ -0,0 +1,102 @@
+/**
+ * 提交结果检测模块
+ * 自动提交后观察页面，判断网站是否接受了验证码
+ */
+
+import { WATCHED_ATTRIBUTES } from './captcha-detector.js';
+
+// 提交后观察页面的时长
+const SUBMIT_OBSERVE_TIMEOUT = 5000;
+
+/**
+ * 自动提交后观察页面，判断网站是否接受了验证码
+ * 判定为拒绝的依据：出现新的错误提示关键词、验证码图片被刷新或替换、验证码输入框被清空
+ */
+export class SubmitVerifier {
+    /**
+     * 开始观察，需在提交前调用以记录页面原有的提示文字
+     * @param {object} captchaInfo - 已填充的验证码
+     * @param {Array<string>} keywords - 错误提示关键词
+     * @param {number} timeout - 观察时长（毫秒），期间未发现拒绝迹象即视为接受
+     * @returns {Promise<{verdict: string, reason: string, refreshed: boolean}>} - refreshed 表示网站已更换验证码
+     */
+    observe(captchaInfo, keywords = [], timeout = SUBMIT_OBSERVE_TIMEOUT) {
+        const { element, inputElement } = captchaInfo;
+        const initialSrc = element.src || null;
+        const baseline = this.countKeywords(keywords);
+
+        return new Promise((resolve) => {
+            let checkTimer = null;
+
+            const finish = (verdict, reason, refreshed = false) => {
+                observer.disconnect();
+                clearTimeout(checkTimer);
+                clearTimeout(timeoutTimer);
+                resolve({ verdict, reason, refreshed });
+            };
+
+            const check = () => {
+                checkTimer = null;
+
+                const keyword = this.findNewKeyword(keywords, baseline);
+                if (keyword) {
+                    return finish('rejected', `页面提示「${keyword}」`);
+                }
+
+                // 表单仍在而验证码图片变化，说明网站换了新验证码
+                if (element.isConnected ? element.src && element.src !== initialSrc : inputElement?.isConnected) {
+                    return finish('rejected', '验证码已刷新', true);
+                }
+
+                if (inputElement?.isConnected && inputElement.value === '') {
+                    return finish('rejected', '验证码输入框已清空');
+                }
+
+                return false;
+            };
+
+            const observer = new MutationObserver(() => {
+                if (!checkTimer) checkTimer = setTimeout(check, 200);
+            });
+            observer.observe(document.documentElement, {
+                childList: true,
+                subtree: true,
+                characterData: true,
+                attributes: true,
+                attributeFilter: WATCHED_ATTRIBUTES
+            });
+
+            const timeoutTimer = setTimeout(() => {
+                if (check() === false) finish('accepted', '未发现错误提示');
+            }, timeout);
+        });
+    }
+
+    /**
+     * 统计页面可见文字中各关键词出现的次数
+     */
+    countKeywords(keywords) {
+        const text = (document.body?.innerText || '').toLowerCase();
+        const counts = new Map();
+
+        keywords.forEach((keyword) => {
+            const needle = keyword.toLowerCase();
+            counts.set(keyword, needle ? text.split(needle).length - 1 : 0);
+        });
+
+        return counts;
+    }
+
+    /**
+     * 查找比基准出现次数更多的关键词
+     * @param {Array<string>} keywords - 关键词
+     * @param {Map} baseline - 基准次数，为空时只要出现即返回
+     * @returns {string|null}
+     */
+    findNewKeyword(keywords, baseline = new Map()) {
+        const counts = this.countKeywords(keywords);
+        return keywords.find(k => counts.get(k) > (baseline.get(k) || 0)) || null;
+    }
+}
+
+export default SubmitVerifier;
@@ -0,0 +1,348 @@
+/**
+ * 基准测试模块
+ * 加载带标注的验证码数据集，使用多个配置离线识别并统计准确率、耗时和花费
+ */
+
+import { readZip } from '../utils/zip.js';
+
+// 支持的图片格式
+const IMAGE_TYPES = {
+    png: 'image/png',
+    jpg: 'image/jpeg',
+    jpeg: 'image/jpeg',
+    gif: 'image/gif',
+    bmp: 'image/bmp',
+    webp: 'image/webp'
+};
+
+/**
+ * 获取文件扩展名（小写）
+ * @param {string} name - 文件名
+ * @returns {string}
+ */
+function getExtension(name) {
+    const index = name.lastIndexOf('.');
+    return index > 0 ? name.substring(index + 1).toLowerCase() : '';
+}
+
+/**
+ * 获取路径中的文件名
+ * @param {string} path - 路径
+ * @returns {string}
+ */
+function getBaseName(path) {
+    return path.substring(path.lastIndexOf('/') + 1);
+}
+
+/**
+ * 是否应忽略该文件（macOS 压缩包附带的元数据、隐藏文件）
+ * @param {string} path - 路径
+ * @returns {boolean}
+ */
+function isIgnored(path) {
+    return path.split('/').some(part => part === '__MACOSX' || part.startsWith('.'));
+}
+
+/**
+ * 从文件名获取标注：去掉扩展名，"_" 之后的部分视为序号（允许同一答案有多张图片）
+ * 例如 AB12.png、AB12_2.png 的答案均为 AB12
+ * @param {string} path - 路径
+ * @returns {string}
+ */
+export function labelFromFileName(path) {
+    const name = getBaseName(path);
+    const index = name.lastIndexOf('.');
+    const stem = index > 0 ? name.substring(0, index) : name;
+
+    return stem.split('_')[0].trim();
+}
+
+/**
+ * 解析CSV清单（文件名,答案），首行为表头时自动跳过，支持双引号包裹的字段
+ * @param {string} text - CSV内容
+ * @returns {Map<string, string>} - 文件名 -> 答案
+ */
+export function parseManifest(text) {
+    const labels = new Map();
+
+    text.replace(/^\uFEFF/, '').split(/\r?\n/).forEach((line) => {
+        const fields = [];
+        let field = '';
+        let quoted = false;
+
+        for (let i = 0; i < line.length; i++) {
+            const char = line[i];
+
+            if (quoted) {
+                if (char === '"' && line[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    field += char;
+                }
+            } else if (char === '"') {
+                quoted = true;
+            } else if (char === ',') {
+                fields.push(field);
+                field = '';
+            } else {
+                field += char;
+            }
+        }
+        fields.push(field);
+
+        const [file, answer] = fields.map(f => f.trim());
+
+        // 表头行的第一列不是图片文件名，与空行一起跳过
+        if (file && answer && IMAGE_TYPES[getExtension(file)]) {
+            labels.set(file, answer);
+        }
+    });
+
+    return labels;
+}
+
+/**
+ * 将二进制数据转为 data URL
+ * @param {Blob} blob - 图片数据
+ * @returns {Promise<string>}
+ */
+function toDataUrl(blob) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsDataURL(blob);
+    });
+}
+
+/**
+ * 加载数据集
+ * 支持选择文件夹、多个图片文件或ZIP压缩包；存在CSV清单时以清单为准，否则从文件名获取答案
+ * @param {FileList|Array<File>} fileList - 用户选择的文件
+ * @returns {Promise<{samples: Array<object>, skipped: Array<string>}>}
+ */
+export async function loadDataset(fileList) {
+    const entries = [];
+
+    for (const file of fileList) {
+        const path = file.webkitRelativePath || file.name;
+
+        if (getExtension(path) === 'zip') {
+            const files = await readZip(await file.arrayBuffer());
+            files.forEach(({ name, data }) => entries.push({ path: name, blob: new Blob([data]) }));
+        } else {
+            entries.push({ path, blob: file });
+        }
+    }
+
+    const visible = entries.filter(entry => !isIgnored(entry.path));
+    const manifests = visible.filter(entry => getExtension(entry.path) === 'csv');
+    const labels = new Map();
+
+    for (const manifest of manifests) {
+        parseManifest(await manifest.blob.text()).forEach((answer, file) => labels.set(file, answer));
+    }
+
+    const samples = [];
+    const skipped = [];
+
+    for (const { path, blob } of visible) {
+        const type = IMAGE_TYPES[getExtension(path)];
+        if (!type) continue;
+
+        // 清单中的文件名可以是相对路径，也可以只写文件名
+        const answer = manifests.length > 0
+            ? labels.get(path) ?? labels.get(getBaseName(path))
+            : labelFromFileName(path);
+
+        if (!answer) {
+            skipped.push(path);
+            continue;
+        }
+
+        samples.push({
+            name: path,
+            answer,
+            imageData: await toDataUrl(new Blob([blob], { type }))
+        });
+    }
+
+    samples.sort((a, b) => a.name.localeCompare(b.name));
+
+    return { samples, skipped };
+}
+
+/**
+ * 比较识别结果与答案
+ * @param {string} expected - 答案
+ * @param {string} actual - 识别结果
+ * @param {boolean} caseSensitive - 是否区分大小写
+ * @returns {boolean}
+ */
+export function isCorrect(expected, actual, caseSensitive = false) {
+    return caseSensitive ? expected === actual : expected.toUpperCase() === actual.toUpperCase();
+}
+
+/**
+ * 按位置逐字符对比识别结果与答案
+ * @param {string} expected - 答案
+ * @param {string} actual - 识别结果
+ * @param {boolean} caseSensitive - 是否区分大小写
+ * @returns {Array<{char: string, match: boolean}>} - 识别结果的每个字符（缺少的字符 char 为空）
+ */
+export function diffAnswer(expected, actual, caseSensitive = false) {
+    const length = Math.max(expected.length, actual.length);
+    const diff = [];
+
+    for (let i = 0; i < length; i++) {
+        const char = actual[i] || '';
+        diff.push({
+            char,
+            match: !!char && isCorrect(expected[i] || '', char, caseSensitive)
+        });
+    }
+
+    return diff;
+}
+
+/**
+ * 运行基准测试
+ * 任务按样本轮流分配给各配置，多个配置同时运行时进度保持一致
+ * @param {object} options - { samples, configs, siteRule, caseSensitive, concurrency, isStopped, onResult }
+ * @returns {Promise<Array<object>>} - 所有已完成任务的结果
+ */
+export async function runBenchmark({
+    samples,
+    configs,
+    siteRule = null,
+    caseSensitive = false,
+    concurrency = 2,
+    isStopped = () => false,
+    onResult = () => { }
+}) {
+    const queue = samples.flatMap((sample, index) => configs.map(config => ({ sample, index, config })));
+    const results = [];
+
+    const worker = async () => {
+        while (queue.length > 0 && !isStopped()) {
+            const { sample, index, config } = queue.shift();
+
+            let response;
+            try {
+                response = await chrome.runtime.sendMessage({
+                    action: 'replayRecognize',
+                    config,
+                    imageData: sample.imageData,
+                    siteRule
+                });
+            } catch (error) {
+                response = { success: false, error: error.message };
+            }
+
+            const result = {
+                index,
+                sample: sample.name,
+                answer: sample.answer,
+                configId: config.id,
+                configName: config.name,
+                success: !!response.success,
+                text: response.success ? response.text : '',
+                error: response.success ? '' : response.error,
+                correct: !!response.success && isCorrect(sample.answer, response.text, caseSensitive),
+                elapsed: response.elapsed || 0,
+                cost: response.cost || 0
+            };
+
+            results.push(result);
+            onResult(result);
+        }
+    };
+
+    const workerCount = Math.max(1, Math.min(concurrency, queue.length));
+    await Promise.all(Array.from({ length: workerCount }, worker));
+
+    return results;
+}
+
+/**
+ * 计算百分位数
+ * @param {Array<number>} values - 数值
+ * @param {number} percent - 百分位（0-100）
+ * @returns {number}
+ */
+function percentile(values, percent) {
+    if (values.length === 0) return 0;
+
+    const sorted = [...values].sort((a, b) => a - b);
+    return sorted[Math.min(sorted.length - 1, Math.ceil(sorted.length * percent / 100) - 1)];
+}
+
+/**
+ * 按配置汇总结果
+ * @param {Array<object>} results - 测试结果
+ * @param {Array<object>} configs - 参与测试的配置
+ * @returns {Array<object>}
+ */
+export function summarizeResults(results, configs) {
+    return configs.map((config) => {
+        const items = results.filter(r => r.configId === config.id);
+        const elapsed = items.map(r => r.elapsed);
+        const correct = items.filter(r => r.correct).length;
+        const cost = items.reduce((sum, r) => sum + r.cost, 0);
+
+        return {
+            configId: config.id,
+            configName: config.name,
+            total: items.length,
+            correct,
+            failed: items.filter(r => !r.success).length,
+            accuracy: items.length > 0 ? correct / items.length : 0,
+            avgElapsed: items.length > 0 ? Math.round(elapsed.reduce((a, b) => a + b, 0) / items.length) : 0,
+            p95Elapsed: percentile(elapsed, 95),
+            cost,
+            costPerSample: items.length > 0 ? cost / items.length : 0
+        };
+    });
+}
+
+/**
+ * CSV字段转义
+ * @param {any} value - 字段值
+ * @returns {string}
+ */
+function escapeCsv(value) {
+    const text = String(value ?? '');
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * 导出为CSV（每个任务一行）
+ * @param {Array<object>} results - 测试结果
+ * @returns {string}
+ */
+export function resultsToCsv(results) {
+    const header = ['sample', 'answer', 'config', 'result', 'correct', 'error', 'elapsed_ms', 'cost_usd'];
+    const rows = [...results]
+        .sort((a, b) => a.index - b.index || a.configName.localeCompare(b.configName))
+        .map(r => [r.sample, r.answer, r.configName, r.text, r.correct ? 1 : 0, r.error, r.elapsed, r.cost]);
+
+    // 带BOM，Excel打开时可正确识别中文
+    return '\uFEFF' + [header, ...rows].map(row => row.map(escapeCsv).join(',')).join('\r\n');
+}
+
+/**
+ * 导出为JSON（包含汇总和明细）
+ * @param {Array<object>} results - 测试结果
+ * @param {Array<object>} configs - 参与测试的配置
+ * @returns {string}
+ */
+export function resultsToJson(results, configs) {
+    return JSON.stringify({
+        createdAt: new Date().toISOString(),
+        summary: summarizeResults(results, configs),
+        results: results.map(({ index, ...result }) => result)
+    }, null, 2);
+}
@@ -3,11 +3,74 @@
  */
 
 import * as storage from '../utils/storage.js';
-import { API_TYPES, PRESET_TEMPLATES, DEFAULT_RECOGNITION_PROMPT } from '../api/api-manager.js';
+import * as imageStore from '../utils/image-store.js';
+import * as benchmark from './benchmark.js';
+import { getErrorMessage } from '../api/errors.js';
+import {
+    API_TYPES, PRESET_TEMPLATES, DEFAULT_RECOGNITION_PROMPT, DEFAULT_MAX_CONCURRENCY, CHARSETS, VOTE_MODES, ERROR_TYPES,
+    LOCAL_API_FORMATS
+} from '../api/api-manager.js';
 
 // 当前编辑的配置ID
 let editingConfigId = null;
 
+// 当前编辑的网站规则域名
+let editingRuleHostname = null;
+
+// 回放是否已被用户停止
+let replayStopped = false;
+
+// 基准测试状态
+let benchmarkSamples = [];
+let benchmarkConfigs = [];
+let benchmarkResults = [];
+let benchmarkCaseSensitive = false;
+let benchmarkStopped = false;
+
+// 字符集显示名称
+const CHARSET_LABELS = {
+    [CHARSETS.ANY]: '不限',
+    [CHARSETS.DIGITS]: '纯数字',
+    [CHARSETS.LETTERS]: '纯字母',
+    [CHARSETS.ALPHANUMERIC]: '字母+数字'
+};
+
+// API类型显示名称
+const API_TYPE_LABELS = {
+    [API_TYPES.OPENAI_COMPATIBLE]: 'OpenAI兼容',
+    [API_TYPES.CLAUDE]: 'Claude',
+    [API_TYPES.GEMINI]: 'Gemini',
+    [API_TYPES.OLLAMA]: 'Ollama',
+    [API_TYPES.LOCAL_OCR]: '本地OCR'
+};
+
+// 识别失败时的简短状态（完整提示见悬停说明）
+const ERROR_TYPE_LABELS = {
+    [ERROR_TYPES.AUTH]: '密钥无效',
+    [ERROR_TYPES.QUOTA]: '额度不足',
+    [ERROR_TYPES.RATE_LIMIT]: '被限流',
+    [ERROR_TYPES.TIMEOUT]: '超时',
+    [ERROR_TYPES.NETWORK]: '网络错误',
+    [ERROR_TYPES.SERVER]: '服务异常',
+    [ERROR_TYPES.BAD_REQUEST]: '请求错误',
+    [ERROR_TYPES.CONTENT_FILTER]: '内容被拦截',
+    [ERROR_TYPES.UNRECOGNIZABLE]: '无法识别',
+    [ERROR_TYPES.INVALID_RESPONSE]: '响应异常',
+    [ERROR_TYPES.VALIDATION]: '校验失败'
+};
+
+// 无需API地址的类型
+const NO_URL_API_TYPES = [API_TYPES.LOCAL_OCR];
+
+// 无需API密钥的类型
+const NO_KEY_API_TYPES = [API_TYPES.OLLAMA, API_TYPES.LOCAL_OCR];
+
+// 打开对话框时自动获取模型列表的类型（本地服务，请求开销小）
+const AUTO_LIST_MODEL_TYPES = [API_TYPES.OLLAMA];
+
+// 可选择接口格式的类型
+const API_FORMAT_TYPES = [API_TYPES.OLLAMA];
+
 // DOM元素缓存
 const elements = {};
 
@@ -38,6 +101,8 @@ function cacheElements() {
     elements.configForm = document.getElementById('config-form');
     elements.btnCloseDialog = document.getElementById('btn-close-dialog');
     elements.btnTestConnection = document.getElementById('btn-test-connection');
+    elements.btnProbeVision = document.getElementById('btn-probe-vision');
+    elements.btnFetchModels = document.getElementById('btn-fetch-models');
     elements.btnSaveConfig = document.getElementById('btn-save-config');
     elements.btnToggleKey = document.getElementById('btn-toggle-key');
 
@@ -47,18 +112,40 @@ function cacheElements() {
     elements.configType = document.getElementById('config-type');
     elements.configBaseUrl = document.getElementById('config-base-url');
     elements.configApiKey = document.getElementById('config-api-key');
+    elements.configApiFormat = document.getElementById('config-api-format');
     elements.configModel = document.getElementById('config-model');
+    elements.configModelList = document.getElementById('config-model-list');
     elements.configMaxTokens = document.getElementById('config-max-tokens');
     elements.configTemperature = document.getElementById('config-temperature');
     elements.configCustomPrompt = document.getElementById('config-custom-prompt');
+    elements.configInputPrice = document.getElementById('config-input-price');
+    elements.configOutputPrice = document.getElementById('config-output-price');
+    elements.configMaxConcurrency = document.getElementById('config-max-concurrency');
+    elements.configRpmLimit = document.getElementById('config-rpm-limit');
+    elements.configUseAsFallback = document.getElementById('config-use-as-fallback');
+    elements.configSampleCount = document.getElementById('config-sample-count');
+    elements.configVoteMode = document.getElementById('config-vote-mode');
+    elements.configVoteAcrossChain = document.getElementById('config-vote-across-chain');
 
     // 设置
     elements.timeout = document.getElementById('timeout');
     elements.retryCount = document.getElementById('retry-count');
+    elements.resultCacheTtl = document.getElementById('result-cache-ttl');
+    elements.prefetchOnPreview = document.getElementById('prefetch-on-preview');
     elements.autoFill = document.getElementById('auto-fill');
+    elements.showSolveWidget = document.getElementById('show-solve-widget');
     elements.autoSubmit = document.getElementById('auto-submit');
+    elements.confirmBeforeSubmit = document.getElementById('confirm-before-submit');
+    elements.confirmCountdown = document.getElementById('confirm-countdown');
+    elements.verifySubmit = document.getElementById('verify-submit');
+    elements.retryOnReject = document.getElementById('retry-on-reject');
+    elements.failureKeywords = document.getElementById('failure-keywords');
     elements.autoSolveOnRule = document.getElementById('auto-solve-on-rule');
     elements.historyRetention = document.getElementById('history-retention');
+    elements.keepImages = document.getElementById('keep-images');
+    elements.imageStorageLimit = document.getElementById('image-storage-limit');
+    elements.imageStorageUsage = document.getElementById('image-storage-usage');
+    elements.btnClearImages = document.getElementById('btn-clear-images');
     elements.debugMode = document.getElementById('debug-mode');
     elements.btnSaveSettings = document.getElementById('btn-save-settings');
 
@@ -68,9 +155,38 @@ function cacheElements() {
     elements.importFileInput = document.getElementById('import-file-input');
     elements.importOverwrite = document.getElementById('import-overwrite');
 
+    // 网站规则
+    elements.ruleList = document.getElementById('rule-list');
+    elements.btnAddRule = document.getElementById('btn-add-rule');
+    elements.ruleDialog = document.getElementById('rule-dialog');
+    elements.ruleDialogTitle = document.getElementById('rule-dialog-title');
+    elements.ruleForm = document.getElementById('rule-form');
+    elements.btnCloseRuleDialog = document.getElementById('btn-close-rule-dialog');
+    elements.btnSaveRule = document.getElementById('btn-save-rule');
+    elements.ruleHostname = document.getElementById('rule-hostname');
+    elements.ruleSelector = document.getElementById('rule-selector');
+    elements.ruleConfig = document.getElementById('rule-config');
+    elements.ruleCharset = document.getElementById('rule-charset');
+    elements.ruleLength = document.getElementById('rule-length');
+    elements.ruleCaseSensitive = document.getElementById('rule-case-sensitive');
+    elements.ruleExtractPattern = document.getElementById('rule-extract-pattern');
+    elements.rulePrompt = document.getElementById('rule-prompt');
+    elements.rulePreCrop = document.getElementById('rule-pre-crop');
+    elements.rulePreGrayscale = document.getElementById('rule-pre-grayscale');
+    elements.rulePreBinarize = document.getElementById('rule-pre-binarize');
+    elements.rulePreRemoveLines = document.getElementById('rule-pre-remove-lines');
+    elements.rulePreUpscale = document.getElementById('rule-pre-upscale');
+    elements.rulePreThreshold = document.getElementById('rule-pre-threshold');
+
     // 历史记录
     elements.historyList = document.getElementById('history-list');
     elements.btnClearHistory = document.getElementById('btn-clear-history');
+    elements.replayConfig = document.getElementById('replay-config');
+    elements.btnStartReplay = document.getElementById('btn-start-replay');
+    elements.btnStopReplay = document.getElementById('btn-stop-replay');
+    elements.replaySummary = document.getElementById('replay-summary');
+    elements.replayTable = document.getElementById('replay-table');
+    elements.replayResults = document.getElementById('replay-results');
 
     // 统计
     elements.statTotal = document.getElementById('stat-total');
@@ -80,6 +196,33 @@ function cacheElements() {
     elements.successRateBar = document.getElementById('success-rate-bar');
     elements.successRateText = document.getElementById('success-rate-text');
     elements.btnResetStats = document.getElementById('btn-reset-stats');
+    elements.costSummary = document.getElementById('cost-summary');
+    elements.usageByConfig = document.getElementById('usage-by-config');
+    elements.usageByDay = document.getElementById('usage-by-day');
+    elements.accuracySummary = document.getElementById('accuracy-summary');
+    elements.accuracyByConfig = document.getElementById('accuracy-by-config');
+    elements.accuracyByHostname = document.getElementById('accuracy-by-hostname');
+
+    // 基准测试
+    elements.benchmarkDatasetInfo = document.getElementById('benchmark-dataset-info');
+    elements.btnBenchmarkFolder = document.getElementById('btn-benchmark-folder');
+    elements.btnBenchmarkFiles = document.getElementById('btn-benchmark-files');
+    elements.benchmarkFolderInput = document.getElementById('benchmark-folder-input');
+    elements.benchmarkFilesInput = document.getElementById('benchmark-files-input');
+    elements.benchmarkConfigs = document.getElementById('benchmark-configs');
+    elements.benchmarkConcurrency = document.getElementById('benchmark-concurrency');
+    elements.benchmarkSiteRule = document.getElementById('benchmark-site-rule');
+    elements.benchmarkCaseSensitive = document.getElementById('benchmark-case-sensitive');
+    elements.btnStartBenchmark = document.getElementById('btn-start-benchmark');
+    elements.btnStopBenchmark = document.getElementById('btn-stop-benchmark');
+    elements.benchmarkReport = document.getElementById('benchmark-report');
+    elements.benchmarkProgress = document.getElementById('benchmark-progress');
+    elements.btnExportBenchmarkCsv = document.getElementById('btn-export-benchmark-csv');
+    elements.btnExportBenchmarkJson = document.getElementById('btn-export-benchmark-json');
+    elements.benchmarkSummary = document.getElementById('benchmark-summary');
+    elements.benchmarkErrorsOnly = document.getElementById('benchmark-errors-only');
+    elements.benchmarkSamplesHead = document.getElementById('benchmark-samples-head');
+    elements.benchmarkSamplesBody = document.getElementById('benchmark-samples');
 
     // Toast
     elements.toast = document.getElementById('toast');
@@ -107,7 +250,12 @@ function bindEvents() {
     elements.btnCloseDialog.addEventListener('click', closeDialog);
     // 注意：不再监听点击遮罩层关闭，防止误操作
     elements.btnToggleKey.addEventListener('click', toggleApiKeyVisibility);
+    elements.configType.addEventListener('change', updateTypeFields);
+    elements.configBaseUrl.addEventListener('change', autoLoadModels);
+    elements.configApiFormat.addEventListener('change', autoLoadModels);
     elements.btnTestConnection.addEventListener('click', testConnection);
+    elements.btnProbeVision.addEventListener('click', probeVision);
+    elements.btnFetchModels.addEventListener('click', fetchModels);
     elements.btnSaveConfig.addEventListener('click', saveConfig);
 
     // 设置
@@ -118,11 +266,36 @@ function bindEvents() {
     elements.btnImportConfig.addEventListener('click', () => elements.importFileInput.click());
     elements.importFileInput.addEventListener('change', importConfigs);
 
+    // 网站规则
+    elements.btnAddRule.addEventListener('click', () => openRuleDialog(null));
+    elements.btnCloseRuleDialog.addEventListener('click', closeRuleDialog);
+    elements.btnSaveRule.addEventListener('click', saveRule);
+
     // 历史
     elements.btnClearHistory.addEventListener('click', clearHistory);
+    elements.btnClearImages.addEventListener('click', clearImages);
+    elements.btnStartReplay.addEventListener('click', startReplay);
+    elements.btnStopReplay.addEventListener('click', () => {
+        replayStopped = true;
+    });
 
     // 统计
     elements.btnResetStats.addEventListener('click', resetStats);
+
+    // 基准测试
+    elements.btnBenchmarkFolder.addEventListener('click', () => elements.benchmarkFolderInput.click());
+    elements.btnBenchmarkFiles.addEventListener('click', () => elements.benchmarkFilesInput.click());
+    elements.benchmarkFolderInput.addEventListener('change', loadBenchmarkDataset);
+    elements.benchmarkFilesInput.addEventListener('change', loadBenchmarkDataset);
+    elements.btnStartBenchmark.addEventListener('click', startBenchmark);
+    elements.btnStopBenchmark.addEventListener('click', () => {
+        benchmarkStopped = true;
+    });
+    elements.btnExportBenchmarkCsv.addEventListener('click', () => exportBenchmark('csv'));
+    elements.btnExportBenchmarkJson.addEventListener('click', () => exportBenchmark('json'));
+    elements.benchmarkErrorsOnly.addEventListener('change', () => {
+        elements.benchmarkSamplesBody.classList.toggle('errors-only', elements.benchmarkErrorsOnly.checked);
+    });
 }
 
 /**
@@ -132,6 +305,7 @@ async function loadData() {
     await Promise.all([
         loadConfigs(),
         loadSettings(),
+        loadSiteRules(),
         loadHistory(),
         loadStats()
     ]);
@@ -152,12 +326,18 @@ function switchSection(sectionId) {
 
     // 刷新数据
     switch (sectionId) {
+        case 'site-rules':
+            loadSiteRules();
+            break;
         case 'history':
             loadHistory();
             break;
         case 'stats':
             loadStats();
             break;
+        case 'benchmark':
+            loadBenchmarkOptions();
+            break;
     }
 }
 
@@ -188,9 +368,10 @@ async function loadConfigs() {
       <div class="config-item-header">
         <div class="config-item-info">
           <span class="config-item-name">${escapeHtml(config.name)}</span>
-          <span class="config-item-type">${config.type === 'gemini' ? 'Gemini' : 'OpenAI兼容'}</span>
+          <span class="config-item-type">${API_TYPE_LABELS[config.type] || API_TYPE_LABELS[API_TYPES.OPENAI_COMPATIBLE]}</span>
         </div>
         <div class="config-item-actions">
+          ${config.id !== activeId && config.useAsFallback ? '<span class="fallback-badge">备用</span>' : ''}
           ${config.id === activeId ? '<span class="active-badge">当前使用</span>' : `<button class="btn btn-text btn-activate" data-id="${config.id}">启用</button>`}
           <button class="icon-btn btn-edit" data-id="${config.id}" title="编辑">
             <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
@@ -254,11 +435,21 @@ function openPresetDialog(preset) {
     elements.configType.value = template.type;
     elements.configBaseUrl.value = template.baseUrl;
     elements.configApiKey.value = '';
+    elements.configApiFormat.value = LOCAL_API_FORMATS.OLLAMA_CHAT;
     elements.configModel.value = template.model || '';
     elements.configMaxTokens.value = template.maxTokens || 500;
     elements.configTemperature.value = template.temperature || 1;
     elements.configCustomPrompt.value = '';
-
+    elements.configInputPrice.value = template.inputPrice || 0;
+    elements.configOutputPrice.value = template.outputPrice || 0;
+    elements.configMaxConcurrency.value = DEFAULT_MAX_CONCURRENCY;
+    elements.configRpmLimit.value = 0;
+    elements.configUseAsFallback.checked = false;
+    elements.configSampleCount.value = 1;
+    elements.configVoteMode.value = VOTE_MODES.MAJORITY;
+    elements.configVoteAcrossChain.checked = false;
+
+    updateTypeFields();
     elements.configDialog.classList.remove('hidden');
 }
 
@@ -283,11 +474,21 @@ async function editConfig(configId) {
     elements.configType.value = config.type;
     elements.configBaseUrl.value = config.baseUrl;
     elements.configApiKey.value = config.apiKey;
+    elements.configApiFormat.value = config.apiFormat || LOCAL_API_FORMATS.OLLAMA_CHAT;
     elements.configModel.value = config.model;
     elements.configMaxTokens.value = config.maxTokens || 500;
     elements.configTemperature.value = config.temperature || 1;
     elements.configCustomPrompt.value = config.customPrompt || '';
-
+    elements.configInputPrice.value = config.inputPrice || 0;
+    elements.configOutputPrice.value = config.outputPrice || 0;
+    elements.configMaxConcurrency.value = config.maxConcurrency ?? DEFAULT_MAX_CONCURRENCY;
+    elements.configRpmLimit.value = config.rpmLimit || 0;
+    elements.configUseAsFallback.checked = !!config.useAsFallback;
+    elements.configSampleCount.value = config.sampleCount || 1;
+    elements.configVoteMode.value = config.voteMode || VOTE_MODES.MAJORITY;
+    elements.configVoteAcrossChain.checked = !!config.voteAcrossChain;
+
+    updateTypeFields();
     elements.configDialog.classList.remove('hidden');
 }
 
@@ -300,6 +501,86 @@ function closeDialog() {
     editingConfigId = null;
 }
 
+/**
+ * 根据API类型切换地址、密钥和接口格式字段
+ * 本地OCR无需地址和密钥，Ollama无需密钥，只有Ollama可选择接口格式
+ */
+function updateTypeFields() {
+    const type = elements.configType.value;
+    const noUrl = NO_URL_API_TYPES.includes(type);
+    const noKey = NO_KEY_API_TYPES.includes(type);
+
+    elements.configBaseUrl.required = !noUrl;
+    elements.configBaseUrl.closest('.form-group').classList.toggle('hidden', noUrl);
+
+    // Ollama 经反向代理访问时仍可填写密钥，因此只取消必填
+    elements.configApiKey.required = !noKey;
+    elements.configApiKey.closest('.form-group').classList.toggle('hidden', noUrl);
+
+    elements.configApiFormat.closest('.form-group').classList.toggle('hidden', !API_FORMAT_TYPES.includes(type));
+
+    elements.configModelList.innerHTML = '';
+    autoLoadModels();
+}
+
+/**
+ * 本地服务类型自动获取模型列表
+ */
+function autoLoadModels() {
+    if (AUTO_LIST_MODEL_TYPES.includes(elements.configType.value) && elements.configBaseUrl.value.trim()) {
+        loadModelList();
+    }
+}
+
+/**
+ * 手动获取模型列表
+ */
+async function fetchModels() {
+    const config = getFormConfig();
+
+    if (!config.apiKey && !NO_KEY_API_TYPES.includes(config.type)) {
+        showToast('请输入API密钥', 'error');
+        return;
+    }
+
+    elements.btnFetchModels.disabled = true;
+
+    try {
+        const models = await loadModelList();
+
+        if (models.length > 0) {
+            showToast(`已获取 ${models.length} 个模型，可在模型名称中选择`, 'success');
+        }
+    } finally {
+        elements.btnFetchModels.disabled = false;
+    }
+}
+
+/**
+ * 获取模型列表并填充到模型输入框的下拉建议
+ * @returns {Promise<Array<string>>}
+ */
+async function loadModelList() {
+    try {
+        const response = await chrome.runtime.sendMessage({
+            action: 'listModels',
+            config: getFormConfig()
+        });
+
+        if (!response.success) {
+            throw new Error(getErrorMessage(response.errorType, response.error));
+        }
+
+        elements.configModelList.replaceChildren(...response.models.map(model => new Option(model)));
+
+        return response.models;
+    } catch (error) {
+        elements.configModelList.innerHTML = '';
+        showToast(`获取模型列表失败: ${error.message}`, 'error');
+        return [];
+    }
+}
+
 /**
  * 切换API密钥可见性
  */
@@ -314,7 +595,7 @@ function toggleApiKeyVisibility() {
 async function testConnection() {
     const config = getFormConfig();
 
-    if (!config.apiKey) {
+    if (!config.apiKey && !NO_KEY_API_TYPES.includes(config.type)) {
         showToast('请输入API密钥', 'error');
         return;
     }
@@ -331,7 +612,7 @@ async function testConnection() {
         if (response.success) {
             showToast(`连接成功 (${response.elapsed}ms)`, 'success');
         } else {
-            showToast(`连接失败: ${response.error}`, 'error');
+            showToast(`连接失败: ${getErrorMessage(response.errorType, response.error)}`, 'error');
         }
     } catch (error) {
         showToast(`测试失败: ${error.message}`, 'error');
@@ -341,6 +622,41 @@ async function testConnection() {
     }
 }
 
+/**
+ * 识图能力测试
+ */
+async function probeVision() {
+    const config = getFormConfig();
+
+    if (!config.apiKey && !NO_KEY_API_TYPES.includes(config.type)) {
+        showToast('请输入API密钥', 'error');
+        return;
+    }
+
+    elements.btnProbeVision.disabled = true;
+    elements.btnProbeVision.textContent = '测试中...';
+
+    try {
+        const response = await chrome.runtime.sendMessage({
+            action: 'probeVision',
+            config: config
+        });
+
+        if (!response.success) {
+            showToast(`识图测试失败: ${getErrorMessage(response.errorType, response.error)}`, 'error');
+        } else if (response.passed) {
+            showToast(`识图测试通过 (${response.elapsed}ms)`, 'success');
+        } else {
+            showToast(`识图测试未通过：正确答案 ${response.expected}，模型返回 ${response.actual}。该模型可能不支持图像输入`, 'error');
+        }
+    } catch (error) {
+        showToast(`测试失败: ${error.message}`, 'error');
+    } finally {
+        elements.btnProbeVision.disabled = false;
+        elements.btnProbeVision.textContent = '测试识图';
+    }
+}
+
 /**
  * 保存配置
  */
@@ -386,10 +702,19 @@ function getFormConfig() {
         type: elements.configType.value,
         baseUrl: elements.configBaseUrl.value.trim(),
         apiKey: elements.configApiKey.value.trim(),
+        apiFormat: elements.configApiFormat.value,
         model: elements.configModel.value.trim(),
         maxTokens: parseInt(elements.configMaxTokens.value) || 500,
         temperature: parseFloat(elements.configTemperature.value) || 1,
-        customPrompt: elements.configCustomPrompt.value.trim()
+        customPrompt: elements.configCustomPrompt.value.trim(),
+        inputPrice: Math.max(parseFloat(elements.configInputPrice.value) || 0, 0),
+        outputPrice: Math.max(parseFloat(elements.configOutputPrice.value) || 0, 0),
+        maxConcurrency: Math.min(Math.max(parseInt(elements.configMaxConcurrency.value) || 0, 0), 20),
+        rpmLimit: Math.max(parseInt(elements.configRpmLimit.value) || 0, 0),
+        useAsFallback: elements.configUseAsFallback.checked,
+        sampleCount: Math.min(Math.max(parseInt(elements.configSampleCount.value) || 1, 1), 9),
+        voteMode: elements.configVoteMode.value,
+        voteAcrossChain: elements.configVoteAcrossChain.checked
     };
 }
 
@@ -427,10 +752,21 @@ async function loadSettings() {
 
     elements.timeout.value = settings.timeout / 1000;
     elements.retryCount.value = settings.retryCount;
+    elements.resultCacheTtl.value = settings.resultCacheTtl;
+    elements.prefetchOnPreview.checked = settings.prefetchOnPreview;
     elements.autoFill.checked = settings.autoFill;
+    elements.showSolveWidget.checked = settings.showSolveWidget;
     elements.autoSubmit.checked = settings.autoSubmit;
+    elements.confirmBeforeSubmit.checked = settings.confirmBeforeSubmit;
+    elements.confirmCountdown.value = settings.confirmCountdown;
+    elements.verifySubmit.checked = settings.verifySubmit;
+    elements.retryOnReject.value = settings.retryOnReject;
+    elements.failureKeywords.value = settings.failureKeywords.join('\n');
     elements.autoSolveOnRule.checked = settings.autoSolveOnRule;
     elements.historyRetention.value = settings.historyRetention;
+    elements.keepImages.checked = settings.keepImages;
+    elements.imageStorageLimit.value = settings.imageStorageLimit;
+    await updateImageStorageUsage();
     elements.debugMode.checked = settings.debugMode;
 }
 
@@ -441,17 +777,237 @@ async function saveSettings() {
     const settings = {
         timeout: parseInt(elements.timeout.value) * 1000,
         retryCount: parseInt(elements.retryCount.value),
+        resultCacheTtl: Math.min(3600, Math.max(0, parseInt(elements.resultCacheTtl.value) || 0)),
+        prefetchOnPreview: elements.prefetchOnPreview.checked,
         autoFill: elements.autoFill.checked,
+        showSolveWidget: elements.showSolveWidget.checked,
         autoSubmit: elements.autoSubmit.checked,
+        confirmBeforeSubmit: elements.confirmBeforeSubmit.checked,
+        confirmCountdown: Math.min(60, Math.max(0, parseInt(elements.confirmCountdown.value) || 0)),
+        verifySubmit: elements.verifySubmit.checked,
+        retryOnReject: Math.min(5, Math.max(0, parseInt(elements.retryOnReject.value) || 0)),
+        failureKeywords: elements.failureKeywords.value.split('\n').map(k => k.trim()).filter(Boolean),
         autoSolveOnRule: elements.autoSolveOnRule.checked,
         historyRetention: parseInt(elements.historyRetention.value),
+        keepImages: elements.keepImages.checked,
+        imageStorageLimit: Math.max(1, parseInt(elements.imageStorageLimit.value) || 20),
         debugMode: elements.debugMode.checked
     };
 
     await storage.saveSettings(settings);
+
+    // 上限调小后立即清理
+    await imageStore.pruneImages({ maxBytes: settings.imageStorageLimit * 1024 * 1024 });
+    await updateImageStorageUsage();
+
     showToast('设置已保存', 'success');
 }
 
+/**
+ * 显示图片存储用量
+ */
+async function updateImageStorageUsage() {
+    try {
+        const { count, bytes } = await imageStore.getUsage();
+        elements.imageStorageUsage.textContent =
+            `已保存 ${count} 张，共 ${(bytes / 1024).toFixed(1)} KB；超过上限时自动删除最早的图片`;
+    } catch (error) {
+        elements.imageStorageUsage.textContent = `无法读取图片存储: ${error.message}`;
+    }
+}
+
+/**
+ * 清空已保存的验证码图片
+ */
+async function clearImages() {
+    if (!confirm('确定要清空所有已保存的验证码图片吗？')) {
+        return;
+    }
+
+    await imageStore.clearImages();
+    await updateImageStorageUsage();
+    showToast('图片已清空', 'success');
+}
+
+// ==================== 网站规则 ====================
+
+/**
+ * 加载网站规则列表
+ */
+async function loadSiteRules() {
+    const rules = Object.values(await storage.getSiteRules());
+    const configs = await storage.getApiConfigs();
+
+    if (rules.length === 0) {
+        elements.ruleList.innerHTML = `
+      <div class="empty-state">
+        <p>暂无规则</p>
+        <span>在弹出窗口中使用「选择元素」或点击上方按钮添加</span>
+      </div>
+    `;
+        return;
+    }
+
+    elements.ruleList.innerHTML = rules.map(rule => {
+        const config = configs.find(c => c.id === rule.configId);
+        const details = [
+            rule.selector ? escapeHtml(rule.selector) : '自动检测',
+            config ? escapeHtml(config.name) : '全局配置',
+            CHARSET_LABELS[rule.charset] || CHARSET_LABELS[CHARSETS.ANY],
+            rule.length > 0 ? `${rule.length}位` : '长度不限',
+            rule.caseSensitive ? '区分大小写' : '',
+            rule.preprocess && Object.entries(rule.preprocess).some(([key, value]) => key !== 'threshold' && value) ? '图像预处理' : '',
+            rule.prompt ? '自定义Prompt' : ''
+        ].filter(Boolean);
+
+        return `
+    <div class="config-item" data-hostname="${escapeHtml(rule.hostname)}">
+      <div class="config-item-header">
+        <div class="config-item-info">
+          <span class="config-item-name">${escapeHtml(rule.hostname)}</span>
+        </div>
+        <div class="config-item-actions">
+          <button class="icon-btn btn-edit-rule" data-hostname="${escapeHtml(rule.hostname)}" title="编辑">
+            <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+              <path d="M11 4H4a2 2 0 0 0-2 2v14a2 2 0 0 0 2 2h14a2 2 0 0 0 2-2v-7"/>
+              <path d="M18.5 2.5a2.121 2.121 0 0 1 3 3L12 15l-4 1 1-4 9.5-9.5z"/>
+            </svg>
+          </button>
+          <button class="icon-btn btn-delete-rule" data-hostname="${escapeHtml(rule.hostname)}" title="删除">
+            <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+              <polyline points="3 6 5 6 21 6"/>
+              <path d="M19 6v14a2 2 0 0 1-2 2H7a2 2 0 0 1-2-2V6m3 0V4a2 2 0 0 1 2-2h4a2 2 0 0 1 2 2v2"/>
+            </svg>
+          </button>
+        </div>
+      </div>
+      <div class="config-item-details">
+        ${details.map(d => `<span class="detail-item">${d}</span>`).join('')}
+      </div>
+    </div>
+  `;
+    }).join('');
+
+    elements.ruleList.querySelectorAll('.btn-edit-rule').forEach(btn => {
+        btn.addEventListener('click', () => openRuleDialog(btn.dataset.hostname));
+    });
+
+    elements.ruleList.querySelectorAll('.btn-delete-rule').forEach(btn => {
+        btn.addEventListener('click', () => deleteRule(btn.dataset.hostname));
+    });
+}
+
+/**
+ * 打开网站规则对话框
+ * @param {string|null} hostname - 要编辑的域名，为空时新建
+ */
+async function openRuleDialog(hostname) {
+    const rule = hostname ? await storage.getSiteRule(hostname) : null;
+    const configs = await storage.getApiConfigs();
+
+    editingRuleHostname = hostname;
+    elements.ruleDialogTitle.textContent = hostname ? '编辑规则' : '添加规则';
+
+    elements.ruleConfig.innerHTML = [
+        '<option value="">使用全局配置</option>',
+        ...configs.map(c => `<option value="${c.id}">${escapeHtml(c.name)}</option>`)
+    ].join('');
+
+    elements.ruleHostname.value = hostname || '';
+    elements.ruleHostname.readOnly = !!hostname;
+    elements.ruleSelector.value = rule?.selector || '';
+    elements.ruleConfig.value = configs.some(c => c.id === rule?.configId) ? rule.configId : '';
+    elements.ruleCharset.value = rule?.charset || CHARSETS.ANY;
+    elements.ruleLength.value = rule?.length || 0;
+    elements.ruleCaseSensitive.checked = !!rule?.caseSensitive;
+    elements.ruleExtractPattern.value = rule?.extractPattern || '';
+    elements.rulePrompt.value = rule?.prompt || '';
+
+    const preprocess = rule?.preprocess || {};
+    elements.rulePreCrop.checked = !!preprocess.crop;
+    elements.rulePreGrayscale.checked = !!preprocess.grayscale;
+    elements.rulePreBinarize.checked = !!preprocess.binarize;
+    elements.rulePreRemoveLines.checked = !!preprocess.removeLines;
+    elements.rulePreUpscale.checked = !!preprocess.upscale;
+    elements.rulePreThreshold.value = preprocess.threshold || 0;
+
+    elements.ruleDialog.classList.remove('hidden');
+}
+
+/**
+ * 关闭网站规则对话框
+ */
+function closeRuleDialog() {
+    elements.ruleDialog.classList.add('hidden');
+    elements.ruleForm.reset();
+    editingRuleHostname = null;
+}
+
+/**
+ * 保存网站规则
+ */
+async function saveRule() {
+    const form = elements.ruleForm;
+
+    if (!form.checkValidity()) {
+        form.reportValidity();
+        return;
+    }
+
+    const hostname = editingRuleHostname || elements.ruleHostname.value.trim();
+    const extractPattern = elements.ruleExtractPattern.value.trim();
+
+    // 校验提取正则
+    if (extractPattern) {
+        try {
+            new RegExp(extractPattern);
+        } catch {
+            showToast('提取正则格式不正确', 'error');
+            return;
+        }
+    }
+
+    try {
+        await storage.saveSiteRule(hostname, {
+            selector: elements.ruleSelector.value.trim(),
+            configId: elements.ruleConfig.value || null,
+            charset: elements.ruleCharset.value,
+            length: parseInt(elements.ruleLength.value) || 0,
+            caseSensitive: elements.ruleCaseSensitive.checked,
+            extractPattern,
+            prompt: elements.rulePrompt.value.trim(),
+            preprocess: {
+                crop: elements.rulePreCrop.checked,
+                grayscale: elements.rulePreGrayscale.checked,
+                binarize: elements.rulePreBinarize.checked,
+                removeLines: elements.rulePreRemoveLines.checked,
+                upscale: elements.rulePreUpscale.checked,
+                threshold: Math.min(255, Math.max(0, parseInt(elements.rulePreThreshold.value) || 0))
+            }
+        });
+
+        closeRuleDialog();
+        await loadSiteRules();
+        showToast('规则已保存', 'success');
+    } catch (error) {
+        showToast(`保存失败: ${error.message}`, 'error');
+    }
+}
+
+/**
+ * 删除网站规则
+ * @param {string} hostname - 域名
+ */
+async function deleteRule(hostname) {
+    if (!confirm(`确定要删除 ${hostname} 的规则吗？`)) {
+        return;
+    }
+
+    await storage.deleteSiteRule(hostname);
+    await loadSiteRules();
+    showToast('规则已删除', 'success');
+}
+
 // ==================== 历史记录 ====================
 
 /**
@@ -459,6 +1015,9 @@ async function saveSettings() {
  */
 async function loadHistory() {
     const history = await storage.getHistory(50);
+    const imageIds = new Set(await imageStore.getImageIds().catch(() => []));
+
+    await loadReplayConfigs();
 
     if (history.length === 0) {
         elements.historyList.innerHTML = `
@@ -474,18 +1033,112 @@ async function loadHistory() {
     }
 
     elements.historyList.innerHTML = history.map(record => `
-    <div class="history-item ${record.success ? 'success' : 'error'}">
+    <div class="history-item ${record.success ? 'success' : 'error'}${storage.getJudgement(record) === false ? ' rejected' : ''}">
       <div class="history-item-header">
-        <span class="history-result">${escapeHtml(record.result)}</span>
-        <span class="history-status">${record.success ? '成功' : '失败'}</span>
+        <span class="history-result">${imageIds.has(record.id) ? `<img class="history-thumb" data-image-id="${record.id}" alt="">` : ''}${escapeHtml(record.result)}${record.feedback?.value ? ` <span class="history-corrected" title="用户更正的正确答案">→ ${escapeHtml(record.feedback.value)}</span>` : ''}</span>
+        <div class="history-item-actions">
+          ${record.success ? `
+          <button class="icon-btn small btn-feedback${record.feedback?.correct === true ? ' active-correct' : ''}" data-id="${record.id}" data-correct="true" title="标记为正确">
+            <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+              <polyline points="20 6 9 17 4 12"/>
+            </svg>
+          </button>
+          <button class="icon-btn small btn-feedback${record.feedback?.correct === false ? ' active-incorrect' : ''}" data-id="${record.id}" data-correct="false" title="标记为错误并更正">
+            <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+              <line x1="18" y1="6" x2="6" y2="18"/>
+              <line x1="6" y1="6" x2="18" y2="18"/>
+            </svg>
+          </button>` : ''}
+          <span class="history-status"${getHistoryStatusTitle(record) ? ` title="${escapeHtml(getHistoryStatusTitle(record))}"` : ''}>${getHistoryStatus(record)}</span>
+        </div>
       </div>
       <div class="history-item-meta">
-        <span>${record.configName}</span>
+        <span>${escapeHtml(record.configName)}${record.fallback ? ' (备用)' : ''}</span>
+        ${record.votes ? `<span title="${escapeHtml(formatVoteCandidates(record.votes))}">投票 ${formatVotes(record.votes)}</span>` : ''}
+        ${record.hostname ? `<span>${escapeHtml(record.hostname)}</span>` : ''}
+        ${record.usage?.inputTokens || record.usage?.outputTokens ? `<span title="输入 ${record.usage.inputTokens} / 输出 ${record.usage.outputTokens}">${record.usage.inputTokens + record.usage.outputTokens} Token${record.cost ? ` · ${formatCost(record.cost)}` : ''}</span>` : ''}
         <span>${formatTime(record.timestamp)}</span>
         <span>${record.elapsed}ms</span>
       </div>
     </div>
   `).join('');
+
+    elements.historyList.querySelectorAll('.btn-feedback').forEach(btn => {
+        btn.addEventListener('click', () => markHistory(btn.dataset.id, btn.dataset.correct === 'true'));
+    });
+
+    elements.historyList.querySelectorAll('.history-thumb').forEach(async (img) => {
+        img.src = await imageStore.getImage(img.dataset.imageId) || '';
+    });
+}
+
+/**
+ * 标记历史记录的结果是否正确
+ * @param {string} id - 历史记录ID
+ * @param {boolean} correct - 是否正确
+ */
+async function markHistory(id, correct) {
+    let value = '';
+
+    if (!correct) {
+        value = prompt('请输入正确答案（可留空）', '');
+        if (value === null) {
+            return;
+        }
+    }
+
+    await storage.setFeedback(id, correct, value);
+    await loadHistory();
+    await loadStats();
+    showToast('反馈已记录', 'success');
+}
+
+/**
+ * 格式化投票一致数，如 "3/5"
+ * @param {object} votes - 投票明细
+ * @returns {string}
+ */
+function formatVotes(votes) {
+    return `${Math.round(votes.agreement * votes.answered)}/${votes.requested}`;
+}
+
+/**
+ * 格式化投票候选项，如 "AB12×3, AB1Z×2"
+ * @param {object} votes - 投票明细
+ * @returns {string}
+ */
+function formatVoteCandidates(votes) {
+    return votes.candidates.map(c => `${c.text}×${c.count}`).join(', ');
+}
+
+/**
+ * 获取历史记录状态文本
+ * @param {object} record - 历史记录
+ * @returns {string}
+ */
+function getHistoryStatus(record) {
+    if (record.feedback) {
+        return record.feedback.correct ? '已确认正确' : '已标记错误';
+    }
+    if (record.verdict === 'rejected') {
+        return '被网站拒绝';
+    }
+    if (record.success) {
+        return record.verdict === 'accepted' ? '网站已接受' : '成功';
+    }
+    return ERROR_TYPE_LABELS[record.errorType] || '失败';
+}
+
+/**
+ * 获取历史记录状态的悬停说明：被拒绝的原因，或失败时的处理建议
+ * @param {object} record - 历史记录
+ * @returns {string}
+ */
+function getHistoryStatusTitle(record) {
+    if (record.verdictReason) {
+        return record.verdictReason;
+    }
+    return record.success ? '' : getErrorMessage(record.errorType, record.result);
 }
 
 /**
@@ -497,10 +1150,176 @@ async function clearHistory() {
     }
 
     await storage.clearHistory();
+    await imageStore.clearImages();
     await loadHistory();
     showToast('历史记录已清空', 'success');
 }
 
+// ==================== 回放测试 ====================
+
+/**
+ * 加载回放可选的配置
+ */
+async function loadReplayConfigs() {
+    const configs = await storage.getApiConfigs();
+    const activeId = await storage.getActiveConfigId();
+    const selected = elements.replayConfig.value || activeId;
+
+    elements.replayConfig.innerHTML = configs
+        .map(c => `<option value="${c.id}">${escapeHtml(c.name)}</option>`)
+        .join('');
+
+    if (configs.some(c => c.id === selected)) {
+        elements.replayConfig.value = selected;
+    }
+}
+
+/**
+ * 获取历史记录的参考答案：用户更正的答案，或已确认正确的原结果
+ * @param {object} record - 历史记录
+ * @returns {string|null}
+ */
+function getReferenceAnswer(record) {
+    if (record.feedback?.value) {
+        return record.feedback.value;
+    }
+    return storage.getJudgement(record) === true ? record.result : null;
+}
+
+/**
+ * 比较两个答案
+ * @param {string} a - 答案
+ * @param {string} b - 答案
+ * @param {boolean} caseSensitive - 是否区分大小写
+ * @returns {boolean}
+ */
+function isSameAnswer(a, b, caseSensitive = false) {
+    return caseSensitive ? a === b : a.toUpperCase() === b.toUpperCase();
+}
+
+/**
+ * 使用所选配置回放所有已保存图片的历史记录
+ */
+async function startReplay() {
+    const configs = await storage.getDecryptedApiConfigs();
+    const config = configs.find(c => c.id === elements.replayConfig.value);
+
+    if (!config) {
+        showToast('请先选择配置', 'error');
+        return;
+    }
+
+    const imageIds = new Set(await imageStore.getImageIds());
+    const records = (await storage.getHistory(999)).filter(r => imageIds.has(r.id));
+
+    if (records.length === 0) {
+        showToast('没有保存了图片的历史记录', 'error');
+        return;
+    }
+
+    const siteRules = await storage.getSiteRules();
+    const summary = { total: records.length, done: 0, compared: 0, agreed: 0, judged: 0, correct: 0, cost: 0 };
+
+    replayStopped = false;
+    elements.btnStartReplay.classList.add('hidden');
+    elements.btnStopReplay.classList.remove('hidden');
+    elements.replayConfig.disabled = true;
+    elements.replayTable.classList.remove('hidden');
+
+    elements.replayResults.innerHTML = records.map(record => `
+      <tr data-id="${record.id}">
+        <td><img alt=""></td>
+        <td>${record.success ? escapeHtml(record.result) : '-'}</td>
+        <td>${escapeHtml(getReferenceAnswer(record) || '-')}</td>
+        <td class="replay-result replay-pending">等待中</td>
+        <td class="replay-elapsed">-</td>
+      </tr>
+    `).join('');
+
+    renderReplaySummary(summary);
+
+    for (const record of records) {
+        if (replayStopped) {
+            break;
+        }
+
+        const row = elements.replayResults.querySelector(`tr[data-id="${record.id}"]`);
+        const resultCell = row.querySelector('.replay-result');
+        const imageData = await imageStore.getImage(record.id);
+        const siteRule = siteRules[record.hostname] || null;
+
+        row.querySelector('img').src = imageData;
+        resultCell.textContent = '识别中...';
+
+        let response;
+        try {
+            response = await chrome.runtime.sendMessage({
+                action: 'replayRecognize',
+                config,
+                imageData,
+                siteRule
+            });
+        } catch (error) {
+            response = { success: false, error: error.message };
+        }
+
+        summary.done++;
+        summary.cost += response.cost || 0;
+        row.querySelector('.replay-elapsed').textContent = `${response.elapsed ?? '-'}ms`;
+
+        if (!response.success) {
+            resultCell.className = 'replay-result replay-mismatch';
+            resultCell.textContent = response.error;
+            resultCell.title = getErrorMessage(response.errorType, response.error);
+            renderReplaySummary(summary);
+            continue;
+        }
+
+        const caseSensitive = !!siteRule?.caseSensitive;
+        const reference = getReferenceAnswer(record);
+
+        if (record.success) {
+            summary.compared++;
+            if (isSameAnswer(response.text, record.result, caseSensitive)) summary.agreed++;
+        }
+
+        // 有参考答案时按正确与否着色，否则按是否与原结果一致
+        let matched;
+        if (reference) {
+            summary.judged++;
+            matched = isSameAnswer(response.text, reference, caseSensitive);
+            if (matched) summary.correct++;
+        } else {
+            matched = record.success && isSameAnswer(response.text, record.result, caseSensitive);
+        }
+
+        resultCell.className = `replay-result ${matched ? 'replay-match' : 'replay-mismatch'}`;
+        resultCell.textContent = response.text;
+        renderReplaySummary(summary);
+    }
+
+    elements.btnStartReplay.classList.remove('hidden');
+    elements.btnStopReplay.classList.add('hidden');
+    elements.replayConfig.disabled = false;
+
+    showToast(replayStopped ? '回放已停止' : '回放完成', 'success');
+}
+
+/**
+ * 渲染回放汇总
+ * @param {object} summary - 汇总数据
+ */
+function renderReplaySummary(summary) {
+    const parts = [
+        `${summary.done}/${summary.total}`,
+        summary.compared > 0 ? `与原结果一致 ${summary.agreed}/${summary.compared}` : '',
+        summary.judged > 0 ? `准确率 ${formatAccuracy(summary.correct, summary.judged - summary.correct)}` : '',
+        summary.cost > 0 ? `花费 ${formatCost(summary.cost)}` : ''
+    ].filter(Boolean);
+
+    elements.replaySummary.textContent = parts.join(' · ');
+}
+
 // ==================== 统计数据 ====================
 
 /**
@@ -512,6 +1331,8 @@ async function loadStats() {
     elements.statTotal.textContent = stats.totalRequests;
     elements.statSuccess.textContent = stats.successCount;
     elements.statFail.textContent = stats.failCount;
+    elements.statFail.title = `其中校验失败 ${stats.validationFailCount} 次`;
+    elements.statSuccess.title = `提交后网站接受 ${stats.acceptedCount} 次，被网站拒绝 ${stats.rejectedCount} 次`;
 
     if (stats.totalRequests > 0) {
         const avgTime = (stats.totalTime / stats.totalRequests / 1000).toFixed(2);
@@ -525,6 +1346,128 @@ async function loadStats() {
         elements.successRateBar.style.width = '0%';
         elements.successRateText.textContent = '0%';
     }
+
+    renderUsageStats(stats);
+    renderAccuracyStats(stats);
+}
+
+/**
+ * 渲染准确率统计
+ * @param {object} stats - 统计数据
+ */
+function renderAccuracyStats(stats) {
+    const configItems = Object.values(stats.byConfig);
+    const correct = configItems.reduce((sum, item) => sum + (item.correctCount || 0), 0);
+    const incorrect = configItems.reduce((sum, item) => sum + (item.incorrectCount || 0), 0);
+
+    elements.accuracySummary.textContent = correct + incorrect > 0
+        ? `已判定 ${correct + incorrect} 次 · 准确率 ${formatAccuracy(correct, incorrect)}`
+        : '';
+
+    const renderRows = (entries, colspan) => {
+        const rows = entries
+            .filter(([, item]) => (item.correctCount || 0) + (item.incorrectCount || 0) > 0)
+            .sort(([, a], [, b]) => (b.correctCount + b.incorrectCount) - (a.correctCount + a.incorrectCount))
+            .map(([name, item]) => `
+      <tr>
+        <td>${escapeHtml(name)}</td>
+        <td>${item.correctCount + item.incorrectCount}</td>
+        <td>${item.correctCount}</td>
+        <td>${item.incorrectCount}</td>
+        <td>${formatAccuracy(item.correctCount, item.incorrectCount)}</td>
+      </tr>
+    `);
+
+        return rows.length > 0
+            ? rows.join('')
+            : `<tr class="empty-row"><td colspan="${colspan}">暂无数据</td></tr>`;
+    };
+
+    elements.accuracyByConfig.innerHTML = renderRows(
+        configItems.map(item => [item.name, { correctCount: 0, incorrectCount: 0, ...item }]),
+        5
+    );
+    elements.accuracyByHostname.innerHTML = renderRows(Object.entries(stats.byHostname), 5);
+}
+
+/**
+ * 格式化准确率
+ * @param {number} correct - 正确次数
+ * @param {number} incorrect - 错误次数
+ * @returns {string}
+ */
+function formatAccuracy(correct, incorrect) {
+    const total = correct + incorrect;
+    return total > 0 ? `${((correct / total) * 100).toFixed(1)}%` : '-';
+}
+
+/**
+ * 渲染费用统计
+ * @param {object} stats - 统计数据
+ */
+function renderUsageStats(stats) {
+    const costPerSolve = stats.successCount > 0 ? stats.totalCost / stats.successCount : 0;
+    elements.costSummary.textContent =
+        `总花费 ${formatCost(stats.totalCost)} · 单次成功成本 ${formatCost(costPerSolve)}`;
+
+    const configRows = Object.values(stats.byConfig)
+        .sort((a, b) => b.cost - a.cost)
+        .map(item => `
+      <tr>
+        <td>${escapeHtml(item.name)}</td>
+        <td>${item.calls}</td>
+        <td>${item.successCount}</td>
+        <td>${formatTokens(item.inputTokens)}</td>
+        <td>${formatTokens(item.outputTokens)}</td>
+        <td>${formatCost(item.cost)}</td>
+        <td>${item.successCount > 0 ? formatCost(item.cost / item.successCount) : '-'}</td>
+        <td>${item.rejectedCount || 0}</td>
+      </tr>
+    `);
+
+    elements.usageByConfig.innerHTML = configRows.length > 0
+        ? configRows.join('')
+        : '<tr class="empty-row"><td colspan="8">暂无数据</td></tr>';
+
+    const dayRows = Object.keys(stats.byDay)
+        .sort()
+        .reverse()
+        .slice(0, 7)
+        .map(day => {
+            const item = stats.byDay[day];
+            return `
+      <tr>
+        <td>${day}</td>
+        <td>${item.requests}</td>
+        <td>${item.successCount}</td>
+        <td>${formatTokens(item.inputTokens)}</td>
+        <td>${formatTokens(item.outputTokens)}</td>
+        <td>${formatCost(item.cost)}</td>
+      </tr>
+    `;
+        });
+
+    elements.usageByDay.innerHTML = dayRows.length > 0
+        ? dayRows.join('')
+        : '<tr class="empty-row"><td colspan="6">暂无数据</td></tr>';
+}
+
+/**
+ * 格式化花费
+ * @param {number} cost - 花费（美元）
+ * @returns {string}
+ */
+function formatCost(cost) {
+    return `$${cost < 1 ? cost.toFixed(4) : cost.toFixed(2)}`;
+}
+
+/**
+ * 格式化Token数量
+ * @param {number} tokens - Token数量
+ * @returns {string}
+ */
+function formatTokens(tokens) {
+    return tokens.toLocaleString();
 }
 
 /**
@@ -540,6 +1483,236 @@ async function resetStats() {
     showToast('统计数据已重置', 'success');
 }
 
+// ==================== 基准测试 ====================
+
+/**
+ * 加载基准测试可选的配置和网站规则
+ */
+async function loadBenchmarkOptions() {
+    // 测试进行中不刷新，避免改变已勾选的配置
+    if (!elements.btnStopBenchmark.classList.contains('hidden')) {
+        return;
+    }
+
+    const configs = await storage.getApiConfigs();
+    const activeId = await storage.getActiveConfigId();
+    const checked = new Set(
+        [...elements.benchmarkConfigs.querySelectorAll('input:checked')].map(input => input.value)
+    );
+
+    if (checked.size === 0 && activeId) {
+        checked.add(activeId);
+    }
+
+    elements.benchmarkConfigs.innerHTML = configs.length > 0
+        ? configs.map(c => `
+            <label><input type="checkbox" value="${c.id}" ${checked.has(c.id) ? 'checked' : ''}>${escapeHtml(c.name)}</label>
+        `).join('')
+        : '<span class="hint">暂无配置</span>';
+
+    const siteRules = await storage.getSiteRules();
+    const selectedRule = elements.benchmarkSiteRule.value;
+
+    elements.benchmarkSiteRule.innerHTML = '<option value="">不使用</option>' + Object.keys(siteRules)
+        .map(hostname => `<option value="${escapeHtml(hostname)}">${escapeHtml(hostname)}</option>`)
+        .join('');
+
+    if (siteRules[selectedRule]) {
+        elements.benchmarkSiteRule.value = selectedRule;
+    }
+}
+
+/**
+ * 加载数据集
+ * @param {Event} event - 文件选择事件
+ */
+async function loadBenchmarkDataset(event) {
+    const files = [...event.target.files];
+    if (files.length === 0) return;
+
+    elements.benchmarkDatasetInfo.textContent = '加载中...';
+
+    try {
+        const { samples, skipped } = await benchmark.loadDataset(files);
+        benchmarkSamples = samples;
+
+        elements.benchmarkDatasetInfo.textContent = skipped.length > 0
+            ? `${samples.length} 张图片，${skipped.length} 张缺少答案已跳过`
+            : `${samples.length} 张图片`;
+        elements.benchmarkDatasetInfo.title = skipped.join('\n');
+
+        if (samples.length === 0) {
+            showToast('没有找到带答案的图片', 'error');
+        }
+    } catch (error) {
+        benchmarkSamples = [];
+        elements.benchmarkDatasetInfo.textContent = '未加载';
+        showToast(`加载失败: ${error.message}`, 'error');
+    } finally {
+        event.target.value = '';
+    }
+}
+
+/**
+ * 开始基准测试
+ */
+async function startBenchmark() {
+    if (benchmarkSamples.length === 0) {
+        showToast('请先选择数据集', 'error');
+        return;
+    }
+
+    const selectedIds = [...elements.benchmarkConfigs.querySelectorAll('input:checked')].map(input => input.value);
+    const configs = (await storage.getDecryptedApiConfigs()).filter(c => selectedIds.includes(c.id));
+
+    if (configs.length === 0) {
+        showToast('请至少选择一个配置', 'error');
+        return;
+    }
+
+    const siteRules = await storage.getSiteRules();
+    const siteRule = siteRules[elements.benchmarkSiteRule.value] || null;
+    const concurrency = Math.min(10, Math.max(1, parseInt(elements.benchmarkConcurrency.value, 10) || 1));
+
+    benchmarkConfigs = configs.map(c => ({ id: c.id, name: c.name }));
+    benchmarkResults = [];
+    benchmarkCaseSensitive = elements.benchmarkCaseSensitive.checked;
+    benchmarkStopped = false;
+
+    setBenchmarkRunning(true);
+    renderBenchmarkSamples();
+    renderBenchmarkSummary();
+
+    await benchmark.runBenchmark({
+        samples: benchmarkSamples,
+        configs,
+        siteRule,
+        caseSensitive: benchmarkCaseSensitive,
+        concurrency,
+        isStopped: () => benchmarkStopped,
+        onResult: (result) => {
+            benchmarkResults.push(result);
+            renderBenchmarkResult(result);
+            renderBenchmarkSummary();
+        }
+    });
+
+    setBenchmarkRunning(false);
+    showToast(benchmarkStopped ? '测试已停止' : '测试完成', 'success');
+}
+
+/**
+ * 切换测试运行状态下的控件
+ * @param {boolean} running - 是否正在运行
+ */
+function setBenchmarkRunning(running) {
+    elements.btnStartBenchmark.classList.toggle('hidden', running);
+    elements.btnStopBenchmark.classList.toggle('hidden', !running);
+    elements.btnBenchmarkFolder.disabled = running;
+    elements.btnBenchmarkFiles.disabled = running;
+    elements.btnExportBenchmarkCsv.disabled = running;
+    elements.btnExportBenchmarkJson.disabled = running;
+    elements.benchmarkReport.classList.remove('hidden');
+}
+
+/**
+ * 渲染样本明细表（每个配置一列）
+ */
+function renderBenchmarkSamples() {
+    elements.benchmarkSamplesHead.innerHTML = `
+      <tr>
+        <th>图片</th>
+        <th>文件</th>
+        <th>答案</th>
+        ${benchmarkConfigs.map(c => `<th>${escapeHtml(c.name)}</th>`).join('')}
+      </tr>
+    `;
+
+    elements.benchmarkSamplesBody.innerHTML = benchmarkSamples.map((sample, index) => `
+      <tr data-index="${index}">
+        <td><img src="${sample.imageData}" alt=""></td>
+        <td class="benchmark-file" title="${escapeHtml(sample.name)}">${escapeHtml(sample.name)}</td>
+        <td>${escapeHtml(sample.answer)}</td>
+        ${benchmarkConfigs.map(c => `<td data-config="${c.id}" class="replay-pending">-</td>`).join('')}
+      </tr>
+    `).join('');
+}
+
+/**
+ * 在明细表中显示单个结果，逐字符标出与答案不一致的位置
+ * @param {object} result - 测试结果
+ */
+function renderBenchmarkResult(result) {
+    const row = elements.benchmarkSamplesBody.querySelector(`tr[data-index="${result.index}"]`);
+    const cell = row.querySelector(`td[data-config="${result.configId}"]`);
+
+    cell.title = `${result.elapsed}ms`;
+
+    if (!result.correct) {
+        row.classList.add('has-error');
+    }
+
+    if (!result.success) {
+        cell.className = 'replay-mismatch';
+        cell.textContent = '失败';
+        cell.title = result.error;
+        return;
+    }
+
+    cell.className = result.correct ? 'replay-match' : 'replay-mismatch';
+    cell.innerHTML = result.correct
+        ? escapeHtml(result.text)
+        : benchmark.diffAnswer(result.answer, result.text, benchmarkCaseSensitive)
+            .map(({ char, match }) => {
+                if (!char) return '<span class="benchmark-missing">_</span>';
+                return match ? escapeHtml(char) : `<mark>${escapeHtml(char)}</mark>`;
+            })
+            .join('');
+}
+
+/**
+ * 渲染各配置的汇总
+ */
+function renderBenchmarkSummary() {
+    const total = benchmarkSamples.length * benchmarkConfigs.length;
+    elements.benchmarkProgress.textContent = `${benchmarkResults.length}/${total}`;
+
+    const rows = benchmark.summarizeResults(benchmarkResults, benchmarkConfigs).map(item => `
+      <tr>
+        <td>${escapeHtml(item.configName)}</td>
+        <td>${item.total}</td>
+        <td>${item.correct}</td>
+        <td>${item.total > 0 ? `${(item.accuracy * 100).toFixed(1)}%` : '-'}</td>
+        <td>${item.total > 0 ? `${item.avgElapsed}ms` : '-'}</td>
+        <td>${item.total > 0 ? `${item.p95Elapsed}ms` : '-'}</td>
+        <td>${item.failed}</td>
+        <td>${formatCost(item.cost)}</td>
+        <td>${formatCost(item.costPerSample)}</td>
+      </tr>
+    `);
+
+    elements.benchmarkSummary.innerHTML = rows.join('');
+}
+
+/**
+ * 导出测试结果
+ * @param {string} format - 'csv' | 'json'
+ */
+function exportBenchmark(format) {
+    if (benchmarkResults.length === 0) {
+        showToast('暂无测试结果', 'error');
+        return;
+    }
+
+    const date = new Date().toISOString().slice(0, 10);
+
+    if (format === 'csv') {
+        downloadFile(benchmark.resultsToCsv(benchmarkResults), `captcha_benchmark_${date}.csv`, 'text/csv');
+    } else {
+        downloadFile(benchmark.resultsToJson(benchmarkResults, benchmarkConfigs), `captcha_benchmark_${date}.json`, 'application/json');
+    }
+}
+
 // ==================== 工具函数 ====================
 
 /**
@@ -604,6 +1777,25 @@ function formatTime(timestamp) {
     }
 }
 
+/**
+ * 下载文件
+ * @param {string} content - 文件内容
+ * @param {string} filename - 文件名
+ * @param {string} type - MIME类型
+ */
+function downloadFile(content, filename, type) {
+    const blob = new Blob([content], { type });
+    const url = URL.createObjectURL(blob);
+
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+}
+
 // ==================== 数据导入导出 ====================
 
 /**
@@ -621,16 +1813,11 @@ async function exportConfigs() {
         `;
 
         const data = await storage.exportAllConfigs();
-        const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
-        const url = URL.createObjectURL(blob);
-        
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = `captcha_solver_config_${new Date().toISOString().slice(0, 10)}.json`;
-        document.body.appendChild(a);
-        a.click();
-        document.body.removeChild(a);
-        URL.revokeObjectURL(url);
+        downloadFile(
+            JSON.stringify(data, null, 2),
+            `captcha_solver_config_${new Date().toISOString().slice(0, 10)}.json`,
+            'application/json'
+        );
 
         showToast('配置已导出', 'success');
     } catch (error) {
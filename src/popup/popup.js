@@ -2,6 +2,8 @@
  * Popup 弹出窗口脚本
  */
 
+import { getErrorMessage } from '../api/errors.js';
+
 // 调试模式
 let debugMode = false;
 
@@ -16,6 +18,8 @@ const logger = {
 // 状态
 let currentCaptcha = null;
 let recognizedText = null;
+// 识别结果对应的历史记录ID，用于反馈
+let recognizedHistoryId = null;
 
 // DOM元素
 const elements = {
@@ -28,12 +32,15 @@ const elements = {
     resultSection: null,
     resultText: null,
     resultTime: null,
+    resultProvider: null,
+    resultVotes: null,
     fillSection: null,
     ruleSection: null,
     ruleText: null,
     btnSettings: null,
     btnManual: null,
     btnRecognize: null,
+    btnCancel: null,
     btnFill: null,
     btnCopy: null,
     btnPreview: null,
@@ -70,12 +77,22 @@ async function init() {
     elements.resultSection = document.getElementById('result-section');
     elements.resultText = document.getElementById('result-text');
     elements.resultTime = document.getElementById('result-time');
+    elements.resultProvider = document.getElementById('result-provider');
+    elements.resultVotes = document.getElementById('result-votes');
+    elements.resultFeedback = document.getElementById('result-feedback');
+    elements.feedbackStatus = document.getElementById('feedback-status');
+    elements.btnFeedbackCorrect = document.getElementById('btn-feedback-correct');
+    elements.btnFeedbackIncorrect = document.getElementById('btn-feedback-incorrect');
+    elements.feedbackCorrection = document.getElementById('feedback-correction');
+    elements.feedbackValue = document.getElementById('feedback-value');
+    elements.btnFeedbackSave = document.getElementById('btn-feedback-save');
     elements.fillSection = document.getElementById('fill-section');
     elements.ruleSection = document.getElementById('rule-section');
     elements.ruleText = document.getElementById('rule-text');
     elements.btnSettings = document.getElementById('btn-settings');
     elements.btnManual = document.getElementById('btn-manual');
     elements.btnRecognize = document.getElementById('btn-recognize');
+    elements.btnCancel = document.getElementById('btn-cancel');
     elements.btnFill = document.getElementById('btn-fill');
     elements.btnCopy = document.getElementById('btn-copy');
     elements.btnPreview = document.getElementById('btn-preview');
@@ -89,10 +106,20 @@ async function init() {
     elements.btnSettings.addEventListener('click', openSettings);
     elements.btnManual.addEventListener('click', manualSelect);
     elements.btnRecognize.addEventListener('click', recognizeCaptcha);
+    elements.btnCancel.addEventListener('click', cancelRecognition);
     elements.btnFill.addEventListener('click', fillCaptcha);
     elements.btnCopy.addEventListener('click', copyResult);
     elements.btnPreview.addEventListener('click', previewCaptcha);
     elements.btnDeleteRule.addEventListener('click', deleteSiteRule);
+    elements.btnFeedbackCorrect.addEventListener('click', () => submitFeedback(true));
+    elements.btnFeedbackIncorrect.addEventListener('click', showFeedbackCorrection);
+    elements.btnFeedbackSave.addEventListener('click', () => submitFeedback(false, elements.feedbackValue.value));
+    elements.feedbackValue.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') submitFeedback(false, elements.feedbackValue.value);
+    });
+
+    // 建立与后台的连接，弹窗关闭时后台据此取消由弹窗发起的识别
+    await connectBackground();
 
     // 加载配置
     await loadConfig();
@@ -101,6 +128,22 @@ async function init() {
     await checkSiteRuleAndStatus();
 }
 
+/**
+ * 连接后台服务
+ * 连接名包含标签页ID，弹窗关闭后连接自动断开
+ */
+async function connectBackground() {
+    try {
+        const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+
+        if (tab?.id) {
+            chrome.runtime.connect({ name: `popup:${tab.id}` });
+        }
+    } catch (error) {
+        logger.debug('连接后台失败:', error.message);
+    }
+}
+
 /**
  * 加载配置信息
  */
@@ -166,7 +209,8 @@ async function checkSiteRuleAndStatus() {
             hostname: currentHostname
         });
 
-        if (response.success && response.rule) {
+        // 仅包含识别覆盖项（无选择器）的规则不参与元素定位
+        if (response.success && response.rule?.selector) {
             currentSiteRule = response.rule;
             showRuleSection(response.rule);
 
@@ -392,14 +436,19 @@ async function recognizeCaptcha() {
 
         // 执行识别
         setStatus('recognizing', '识别中...');
+        elements.btnRecognize.classList.add('hidden');
+        elements.btnCancel.classList.remove('hidden');
+
         const response = await chrome.tabs.sendMessage(tab.id, {
             action: 'recognize',
-            captchaId: currentCaptcha?.id
+            captchaId: currentCaptcha?.id,
+            source: 'popup'
         });
 
         if (response.success) {
             recognizedText = response.text;
-            showResult(response.text, response.elapsed);
+            recognizedHistoryId = response.historyId || null;
+            showResult(response.text, response.elapsed, response.configName, response.fallback, response.votes, response.cached);
             showSuccess('识别成功');
 
             // 检查是否启用了自动填充
@@ -412,8 +461,10 @@ async function recognizeCaptcha() {
             } catch (e) {
                 logger.error('获取设置失败:', e);
             }
+        } else if (response.cancelled) {
+            showError('识别已取消');
         } else {
-            throw new Error(response.error || '识别失败');
+            throw new Error(getErrorMessage(response.errorType, response.error) || '识别失败');
         }
     } catch (error) {
         showError(error.message);
@@ -421,6 +472,27 @@ async function recognizeCaptcha() {
         setStatus('idle', '就绪');
         elements.btnRecognize.disabled = false;
         elements.btnManual.disabled = false;
+        elements.btnRecognize.classList.remove('hidden');
+        elements.btnCancel.classList.add('hidden');
+    }
+}
+
+/**
+ * 取消正在进行的识别
+ */
+async function cancelRecognition() {
+    elements.btnCancel.disabled = true;
+
+    try {
+        const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+
+        if (tab?.id) {
+            await chrome.runtime.sendMessage({ action: 'cancel', tabId: tab.id });
+        }
+    } catch (error) {
+        logger.error('取消识别失败:', error);
+    } finally {
+        elements.btnCancel.disabled = false;
     }
 }
 
@@ -562,14 +634,92 @@ function hideCaptchaInfo() {
  * 显示识别结果
  * @param {string} text - 识别结果
  * @param {number} elapsed - 耗时
+ * @param {string} configName - 产生结果的配置名称
+ * @param {boolean} fallback - 是否由备用配置产生
+ * @param {object|null} votes - 投票明细（多次采样时）
+ * @param {boolean} cached - 是否来自缓存
  */
-function showResult(text, elapsed) {
+function showResult(text, elapsed, configName, fallback, votes = null, cached = false) {
     elements.resultSection.classList.remove('hidden');
     elements.resultText.textContent = text;
-    elements.resultTime.textContent = `耗时: ${(elapsed / 1000).toFixed(2)} s`;
+    elements.resultTime.textContent = cached ? '来自缓存' : `耗时: ${(elapsed / 1000).toFixed(2)} s`;
+    elements.resultProvider.textContent = configName
+        ? `${configName}${fallback ? ' (备用)' : ''}`
+        : '';
+
+    // 多次采样投票时显示一致数和候选项
+    if (votes) {
+        const agreeing = Math.round(votes.agreement * votes.answered);
+        elements.resultVotes.textContent = `投票: ${agreeing}/${votes.requested}`;
+        elements.resultVotes.title = votes.candidates.map(c => `${c.text}×${c.count}`).join(', ');
+    } else {
+        elements.resultVotes.textContent = '';
+        elements.resultVotes.title = '';
+    }
+
+    resetFeedback();
+
     elements.fillSection.classList.remove('hidden');
 }
 
+/**
+ * 重置反馈区域
+ */
+function resetFeedback() {
+    elements.resultFeedback.classList.toggle('hidden', !recognizedHistoryId);
+    elements.feedbackStatus.textContent = '结果是否正确？';
+    elements.btnFeedbackCorrect.classList.remove('active');
+    elements.btnFeedbackIncorrect.classList.remove('active');
+    elements.feedbackCorrection.classList.add('hidden');
+    elements.feedbackValue.value = '';
+}
+
+/**
+ * 标记错误时显示更正输入框
+ */
+function showFeedbackCorrection() {
+    elements.feedbackCorrection.classList.remove('hidden');
+    elements.feedbackValue.focus();
+}
+
+/**
+ * 提交对识别结果的反馈
+ * @param {boolean} correct - 是否正确
+ * @param {string} value - 更正的正确答案
+ */
+async function submitFeedback(correct, value = '') {
+    if (!recognizedHistoryId) return;
+
+    try {
+        const response = await chrome.runtime.sendMessage({
+            action: 'submitFeedback',
+            historyId: recognizedHistoryId,
+            correct,
+            value
+        });
+
+        if (!response.success) {
+            throw new Error(response.error || '反馈失败');
+        }
+
+        const correctedValue = response.feedback.value;
+        elements.feedbackStatus.textContent = correct
+            ? '已标记为正确'
+            : `已标记为错误${correctedValue ? `，正确答案: ${correctedValue}` : ''}`;
+        elements.btnFeedbackCorrect.classList.toggle('active', correct);
+        elements.btnFeedbackIncorrect.classList.toggle('active', !correct);
+        elements.feedbackCorrection.classList.add('hidden');
+
+        // 更正后的答案可直接填充
+        if (correctedValue) {
+            recognizedText = correctedValue;
+            elements.resultText.textContent = correctedValue;
+        }
+    } catch (error) {
+        showError(error.message);
+    }
+}
+
 /**
  * 显示错误提示
  * @param {string} message - 错误消息
@@ -0,0 +1,177 @@
+/**
+ * 验证码图片存储模块
+ * 使用IndexedDB保存识别时发送给模型的验证码缩略图，以历史记录ID关联，用于回放测试
+ */
+
+const DB_NAME = 'ai-captcha-images';
+const DB_VERSION = 1;
+const STORE_NAME = 'images';
+
+// 缩略图最大尺寸，超过时等比缩小（验证码通常比这小，会原样保存）
+const THUMBNAIL_MAX_WIDTH = 320;
+const THUMBNAIL_MAX_HEIGHT = 120;
+
+let dbPromise = null;
+
+/**
+ * 打开数据库
+ * @returns {Promise<IDBDatabase>}
+ */
+function openDb() {
+    if (!dbPromise) {
+        dbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+            request.onupgradeneeded = () => {
+                const store = request.result.createObjectStore(STORE_NAME, { keyPath: 'id' });
+                store.createIndex('timestamp', 'timestamp');
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => {
+                dbPromise = null;
+                reject(request.error);
+            };
+        });
+    }
+
+    return dbPromise;
+}
+
+/**
+ * 在事务中执行操作
+ * @param {string} mode - 'readonly' | 'readwrite'
+ * @param {Function} operation - 接收 objectStore，返回 IDBRequest（可选）
+ * @returns {Promise<any>} - 请求结果
+ */
+async function withStore(mode, operation) {
+    const db = await openDb();
+
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(STORE_NAME, mode);
+        const request = operation(transaction.objectStore(STORE_NAME));
+
+        transaction.oncomplete = () => resolve(request?.result);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+}
+
+/**
+ * 生成缩略图
+ * 不支持 OffscreenCanvas 或图片本身足够小时返回原图
+ * @param {string} imageData - data URL
+ * @returns {Promise<string>}
+ */
+export async function createThumbnail(imageData) {
+    if (typeof OffscreenCanvas === 'undefined') {
+        return imageData;
+    }
+
+    const blob = await (await fetch(imageData)).blob();
+    const bitmap = await createImageBitmap(blob);
+    const scale = Math.min(1, THUMBNAIL_MAX_WIDTH / bitmap.width, THUMBNAIL_MAX_HEIGHT / bitmap.height);
+
+    if (scale === 1) {
+        bitmap.close();
+        return imageData;
+    }
+
+    const canvas = new OffscreenCanvas(Math.round(bitmap.width * scale), Math.round(bitmap.height * scale));
+    canvas.getContext('2d').drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+    bitmap.close();
+
+    const thumbnail = await canvas.convertToBlob({ type: 'image/png' });
+    const bytes = new Uint8Array(await thumbnail.arrayBuffer());
+
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+
+    return `data:image/png;base64,${btoa(binary)}`;
+}
+
+/**
+ * 保存图片
+ * @param {string} id - 历史记录ID
+ * @param {string} imageData - data URL
+ * @returns {Promise<void>}
+ */
+export async function saveImage(id, imageData) {
+    await withStore('readwrite', store => store.put({
+        id,
+        imageData,
+        size: imageData.length,
+        timestamp: Date.now()
+    }));
+}
+
+/**
+ * 获取图片
+ * @param {string} id - 历史记录ID
+ * @returns {Promise<string|null>} - data URL
+ */
+export async function getImage(id) {
+    const entry = await withStore('readonly', store => store.get(id));
+    return entry?.imageData || null;
+}
+
+/**
+ * 获取所有已保存图片的ID
+ * @returns {Promise<Array<string>>}
+ */
+export async function getImageIds() {
+    return withStore('readonly', store => store.getAllKeys());
+}
+
+/**
+ * 获取存储用量
+ * @returns {Promise<{count: number, bytes: number}>}
+ */
+export async function getUsage() {
+    const entries = await withStore('readonly', store => store.getAll());
+
+    return {
+        count: entries.length,
+        bytes: entries.reduce((sum, entry) => sum + entry.size, 0)
+    };
+}
+
+/**
+ * 清理图片：删除不在 keepIds 中的图片（对应的历史记录已过期），
+ * 总大小超过上限时从最旧的开始删除
+ * @param {object} options - { maxBytes, keepIds }
+ * @returns {Promise<number>} - 删除的数量
+ */
+export async function pruneImages({ maxBytes = Infinity, keepIds = null } = {}) {
+    const entries = await withStore('readonly', store => store.getAll());
+    const keep = keepIds ? new Set(keepIds) : null;
+    const removeIds = [];
+
+    let total = 0;
+    entries
+        .sort((a, b) => b.timestamp - a.timestamp)
+        .forEach((entry) => {
+            if ((keep && !keep.has(entry.id)) || total + entry.size > maxBytes) {
+                removeIds.push(entry.id);
+            } else {
+                total += entry.size;
+            }
+        });
+
+    if (removeIds.length > 0) {
+        await withStore('readwrite', (store) => {
+            removeIds.forEach(id => store.delete(id));
+        });
+    }
+
+    return removeIds.length;
+}
+
+/**
+ * 清空所有图片
+ * @returns {Promise<void>}
+ */
+export async function clearImages() {
+    await withStore('readwrite', store => store.clear());
+}
@@ -19,10 +19,23 @@ export const DEFAULT_SETTINGS = {
   timeout: 30000,
   retryCount: 3,
   autoFill: true,
+  showSolveWidget: true, // 在检测到的验证码旁显示悬浮识别按钮
   autoSubmit: false,
+  confirmBeforeSubmit: false, // 自动提交前显示确认对话框，可修改或重新识别
+  confirmCountdown: 10, // 确认对话框倒计时（秒），结束时自动提交，0 表示一直等待
   autoSolveOnRule: false,
+  verifySubmit: true, // 自动提交后检测网站是否接受了验证码
+  retryOnReject: 0, // 被网站拒绝后刷新验证码重试的次数
+  failureKeywords: [
+    '验证码错误', '验证码不正确', '验证码有误', '验证码输入错误', '验证码已过期', '验证码已失效',
+    'captcha is incorrect', 'incorrect captcha', 'invalid captcha', 'wrong captcha', 'verification code is incorrect'
+  ],
   debugMode: false,
-  historyRetention: 7 // 天数
+  historyRetention: 7, // 天数
+  keepImages: false, // 保存验证码图片用于回放测试
+  imageStorageLimit: 20, // 图片存储上限（MB）
+  resultCacheTtl: 300, // 相同图片识别结果的缓存时间（秒），0 表示不缓存
+  prefetchOnPreview: false // 调试预览时预先识别（会产生费用）
 };
 
 /**
@@ -240,6 +253,26 @@ export async function getActiveConfig() {
   return configs.find(c => c.id === activeId) || null;
 }
 
+/**
+ * 获取识别备用链（解密后）
+ * 首选配置排在首位，其后按列表顺序排列标记为备用的配置
+ * @param {string|null} primaryId - 首选配置ID，为空或不存在时使用活跃配置
+ * @returns {Promise<Array>}
+ */
+export async function getFallbackChain(primaryId = null) {
+  const configs = await getDecryptedApiConfigs();
+
+  let primary = primaryId ? configs.find(c => c.id === primaryId) : null;
+  if (!primary) {
+    const activeId = await getActiveConfigId();
+    primary = configs.find(c => c.id === activeId);
+  }
+
+  const fallbacks = configs.filter(c => c !== primary && c.useAsFallback);
+
+  return primary ? [primary, ...fallbacks] : fallbacks;
+}
+
 // ==================== 设置管理 ====================
 
 /**
@@ -286,7 +319,7 @@ export async function getHistory(limit = 100) {
 /**
  * 添加历史记录
  * @param {object} record - 历史记录
- * @returns {Promise<void>}
+ * @returns {Promise<object>} - 保存的记录（含ID）
  */
 export async function addHistory(record) {
   const history = await getHistory(999);
@@ -306,6 +339,88 @@ export async function addHistory(record) {
 
   // 最多保留500条
   await set({ [STORAGE_KEYS.HISTORY]: filteredHistory.slice(0, 500) });
+
+  return newRecord;
+}
+
+/**
+ * 记录网站对提交结果的判定，并计入统计
+ * 同一条记录只计入一次
+ * @param {string} historyId - 历史记录ID
+ * @param {string} verdict - 'accepted' 网站接受 | 'rejected' 被网站拒绝
+ * @param {string} reason - 判定依据
+ * @returns {Promise<boolean>} - 是否已记录
+ */
+export async function recordVerdict(historyId, verdict, reason = '') {
+  const result = await get(STORAGE_KEYS.HISTORY);
+  const history = result[STORAGE_KEYS.HISTORY] || [];
+  const record = history.find(r => r.id === historyId);
+
+  if (!record || record.verdict) {
+    return false;
+  }
+
+  const before = getJudgement(record);
+  record.verdict = verdict;
+  record.verdictReason = reason;
+  await set({ [STORAGE_KEYS.HISTORY]: history });
+
+  const stats = await getStats();
+  const key = verdict === 'rejected' ? 'rejectedCount' : 'acceptedCount';
+  stats[key]++;
+  if (stats.byConfig[record.configId]) {
+    stats.byConfig[record.configId][key] = (stats.byConfig[record.configId][key] || 0) + 1;
+  }
+  updateAccuracyStats(stats, record, before, getJudgement(record));
+  await set({ [STORAGE_KEYS.STATS]: stats });
+
+  return true;
+}
+
+/**
+ * 记录用户对识别结果的反馈，可重复修改
+ * @param {string} historyId - 历史记录ID
+ * @param {boolean} correct - 结果是否正确
+ * @param {string} value - 用户更正的正确答案（结果错误时）
+ * @returns {Promise<object|null>} - 更新后的记录，记录不存在时返回null
+ */
+export async function setFeedback(historyId, correct, value = '') {
+  const result = await get(STORAGE_KEYS.HISTORY);
+  const history = result[STORAGE_KEYS.HISTORY] || [];
+  const record = history.find(r => r.id === historyId);
+
+  if (!record) {
+    return null;
+  }
+
+  const before = getJudgement(record);
+  record.feedback = {
+    correct,
+    value: correct ? '' : value.trim(),
+    timestamp: Date.now()
+  };
+  await set({ [STORAGE_KEYS.HISTORY]: history });
+
+  const stats = await getStats();
+  updateAccuracyStats(stats, record, before, getJudgement(record));
+  await set({ [STORAGE_KEYS.STATS]: stats });
+
+  return record;
+}
+
+/**
+ * 判断识别结果是否正确：优先采用用户反馈，其次采用网站的提交判定
+ * @param {object} record - 历史记录
+ * @returns {boolean|null} - 无法判断时返回null
+ */
+export function getJudgement(record) {
+  if (record.feedback) {
+    return record.feedback.correct;
+  }
+  if (record.verdict) {
+    return record.verdict === 'accepted';
+  }
+  return null;
 }
 
 /**
@@ -318,17 +433,40 @@ export async function clearHistory() {
 
 // ==================== 统计管理 ====================
 
+// 按天统计保留的天数
+const STATS_DAYS_LIMIT = 90;
+
+/**
+ * 创建空的统计数据
+ * @returns {object}
+ */
+function createEmptyStats() {
+  return {
+    totalRequests: 0,
+    successCount: 0,
+    failCount: 0,
+    validationFailCount: 0,
+    acceptedCount: 0,
+    rejectedCount: 0,
+    totalTime: 0,
+    inputTokens: 0,
+    outputTokens: 0,
+    totalCost: 0,
+    byConfig: {},
+    byHostname: {},
+    byDay: {}
+  };
+}
+
 /**
  * 获取统计数据
  * @returns {Promise<object>}
  */
 export async function getStats() {
   const result = await get(STORAGE_KEYS.STATS);
-  return result[STORAGE_KEYS.STATS] || {
-    totalRequests: 0,
-    successCount: 0,
-    failCount: 0,
-    totalTime: 0
+  return {
+    ...createEmptyStats(),
+    ...result[STORAGE_KEYS.STATS]
   };
 }
 
@@ -336,39 +474,139 @@ export async function getStats() {
  * 更新统计数据
  * @param {boolean} success - 是否成功
  * @param {number} time - 耗时（毫秒）
+ * @param {object} details - 附加信息 { errorType, usage, solvedBy }
+ *   usage 为各配置的用量 [{ configId, configName, calls, inputTokens, outputTokens, cost }]，
+ *   solvedBy 为给出最终结果的配置ID
  * @returns {Promise<void>}
  */
-export async function updateStats(success, time = 0) {
+export async function updateStats(success, time = 0, details = {}) {
   const stats = await getStats();
+  const usage = details.usage || [];
 
   stats.totalRequests++;
   if (success) {
     stats.successCount++;
   } else {
     stats.failCount++;
+    if (details.errorType === 'validation') {
+      stats.validationFailCount++;
+    }
   }
   stats.totalTime += time;
 
+  // 按配置累计用量和花费
+  for (const entry of usage) {
+    const configStats = stats.byConfig[entry.configId] ||= {
+      name: entry.configName,
+      calls: 0,
+      successCount: 0,
+      acceptedCount: 0,
+      rejectedCount: 0,
+      correctCount: 0,
+      incorrectCount: 0,
+      inputTokens: 0,
+      outputTokens: 0,
+      cost: 0
+    };
+
+    configStats.name = entry.configName;
+    configStats.calls += entry.calls;
+    configStats.inputTokens += entry.inputTokens;
+    configStats.outputTokens += entry.outputTokens;
+    configStats.cost += entry.cost;
+
+    stats.inputTokens += entry.inputTokens;
+    stats.outputTokens += entry.outputTokens;
+    stats.totalCost += entry.cost;
+  }
+
+  if (success && stats.byConfig[details.solvedBy]) {
+    stats.byConfig[details.solvedBy].successCount++;
+  }
+
+  // 按天累计
+  const dayStats = stats.byDay[formatDateKey(new Date())] ||= {
+    requests: 0,
+    successCount: 0,
+    inputTokens: 0,
+    outputTokens: 0,
+    cost: 0
+  };
+
+  dayStats.requests++;
+  if (success) {
+    dayStats.successCount++;
+  }
+  for (const entry of usage) {
+    dayStats.inputTokens += entry.inputTokens;
+    dayStats.outputTokens += entry.outputTokens;
+    dayStats.cost += entry.cost;
+  }
+
+  // 只保留最近的天数
+  const days = Object.keys(stats.byDay).sort();
+  days.slice(0, Math.max(0, days.length - STATS_DAYS_LIMIT)).forEach(day => {
+    delete stats.byDay[day];
+  });
+
   await set({ [STORAGE_KEYS.STATS]: stats });
 }
 
+/**
+ * 按判断结果的变化调整准确率统计（按配置和按网站）
+ * @param {object} stats - 统计数据
+ * @param {object} record - 历史记录
+ * @param {boolean|null} before - 变化前的判断
+ * @param {boolean|null} after - 变化后的判断
+ */
+function updateAccuracyStats(stats, record, before, after) {
+  if (before === after) {
+    return;
+  }
+
+  const targets = [];
+  if (stats.byConfig[record.configId]) {
+    targets.push(stats.byConfig[record.configId]);
+  }
+  if (record.hostname) {
+    targets.push(stats.byHostname[record.hostname] ||= { correctCount: 0, incorrectCount: 0 });
+  }
+
+  for (const target of targets) {
+    if (before !== null) {
+      const key = before ? 'correctCount' : 'incorrectCount';
+      target[key] = Math.max(0, (target[key] || 0) - 1);
+    }
+    if (after !== null) {
+      const key = after ? 'correctCount' : 'incorrectCount';
+      target[key] = (target[key] || 0) + 1;
+    }
+  }
+}
+
 /**
  * 重置统计数据
  * @returns {Promise<void>}
  */
 export async function resetStats() {
   await set({
-    [STORAGE_KEYS.STATS]: {
-      totalRequests: 0,
-      successCount: 0,
-      failCount: 0,
-      totalTime: 0
-    }
+    [STORAGE_KEYS.STATS]: createEmptyStats()
   });
 }
 
 // ==================== 工具函数 ====================
 
+/**
+ * 格式化本地日期为 YYYY-MM-DD
+ * @param {Date} date - 日期
+ * @returns {string}
+ */
+export function formatDateKey(date) {
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
 /**
  * 生成唯一ID
  * @returns {string}
@@ -401,7 +639,7 @@ export async function getSiteRule(hostname) {
 }
 
 /**
- * 保存网站规则
+ * 保存网站规则（与已有规则合并，保留识别覆盖项）
  * @param {string} hostname - 域名
  * @param {object} rule - 规则对象
  * @returns {Promise<void>}
@@ -409,6 +647,7 @@ export async function getSiteRule(hostname) {
 export async function saveSiteRule(hostname, rule) {
   const rules = await getSiteRules();
   rules[hostname] = {
+    ...rules[hostname],
     ...rule,
     hostname,
     updatedAt: Date.now()
@@ -0,0 +1,136 @@
+/**
+ * ZIP 读取模块
+ * 只读的最小实现，支持存储（不压缩）和 Deflate 两种方式，解压使用浏览器内置的 DecompressionStream
+ * 不支持 ZIP64 和加密条目
+ */
+
+const EOCD_SIGNATURE = 0x06054b50;
+const CENTRAL_SIGNATURE = 0x02014b50;
+const LOCAL_SIGNATURE = 0x04034b50;
+
+const METHOD_STORED = 0;
+const METHOD_DEFLATE = 8;
+
+// 文件名使用UTF-8编码的标志位
+const FLAG_UTF8 = 0x0800;
+const FLAG_ENCRYPTED = 0x0001;
+
+/**
+ * 查找中央目录结束记录
+ * @param {DataView} view - ZIP数据
+ * @returns {number} - 偏移量
+ */
+function findEndOfCentralDirectory(view) {
+    // 结束记录22字节，后面最多跟65535字节的注释
+    const minOffset = Math.max(0, view.byteLength - 22 - 0xffff);
+
+    for (let offset = view.byteLength - 22; offset >= minOffset; offset--) {
+        if (view.getUint32(offset, true) === EOCD_SIGNATURE) {
+            return offset;
+        }
+    }
+
+    throw new Error('不是有效的ZIP文件');
+}
+
+/**
+ * 解码文件名
+ * 未标记UTF-8时先按UTF-8尝试，失败再按GBK（Windows中文系统创建的压缩包）
+ * @param {Uint8Array} bytes - 文件名字节
+ * @param {number} flags - 通用标志位
+ * @returns {string}
+ */
+function decodeName(bytes, flags) {
+    if (flags & FLAG_UTF8) {
+        return new TextDecoder('utf-8').decode(bytes);
+    }
+
+    try {
+        return new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+    } catch {
+        return new TextDecoder('gbk').decode(bytes);
+    }
+}
+
+/**
+ * 解压单个条目
+ * @param {Uint8Array} data - 压缩数据
+ * @param {number} method - 压缩方式
+ * @returns {Promise<Uint8Array>}
+ */
+async function inflate(data, method) {
+    if (method === METHOD_STORED) {
+        return data;
+    }
+
+    if (method !== METHOD_DEFLATE) {
+        throw new Error(`不支持的压缩方式: ${method}`);
+    }
+
+    const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * 读取ZIP文件中的所有文件（跳过目录）
+ * @param {ArrayBuffer} buffer - ZIP文件内容
+ * @returns {Promise<Array<{name: string, data: Uint8Array}>>}
+ */
+export async function readZip(buffer) {
+    const view = new DataView(buffer);
+    const bytes = new Uint8Array(buffer);
+
+    const eocd = findEndOfCentralDirectory(view);
+    const entryCount = view.getUint16(eocd + 10, true);
+    const centralOffset = view.getUint32(eocd + 16, true);
+
+    if (entryCount === 0xffff || centralOffset === 0xffffffff) {
+        throw new Error('不支持ZIP64格式的压缩包');
+    }
+
+    const files = [];
+    let offset = centralOffset;
+
+    for (let i = 0; i < entryCount; i++) {
+        if (view.getUint32(offset, true) !== CENTRAL_SIGNATURE) {
+            throw new Error('ZIP中央目录已损坏');
+        }
+
+        const flags = view.getUint16(offset + 8, true);
+        const method = view.getUint16(offset + 10, true);
+        const compressedSize = view.getUint32(offset + 20, true);
+        const nameLength = view.getUint16(offset + 28, true);
+        const extraLength = view.getUint16(offset + 30, true);
+        const commentLength = view.getUint16(offset + 32, true);
+        const localOffset = view.getUint32(offset + 42, true);
+        const name = decodeName(bytes.subarray(offset + 46, offset + 46 + nameLength), flags);
+
+        offset += 46 + nameLength + extraLength + commentLength;
+
+        if (name.endsWith('/')) {
+            continue;
+        }
+
+        if (flags & FLAG_ENCRYPTED) {
+            throw new Error(`不支持加密的压缩包: ${name}`);
+        }
+
+        // 本地文件头的扩展字段长度可能与中央目录不同，需重新读取
+        if (view.getUint32(localOffset, true) !== LOCAL_SIGNATURE) {
+            throw new Error(`ZIP文件头已损坏: ${name}`);
+        }
+
+        const dataStart = localOffset + 30
+            + view.getUint16(localOffset + 26, true)
+            + view.getUint16(localOffset + 28, true);
+
+        files.push({
+            name,
+            data: await inflate(bytes.subarray(dataStart, dataStart + compressedSize), method)
+        });
+    }
+
+    return files;
+}
+
+export default readZip;
@@ -0,0 +1,327 @@
+/**
+ * 适配器测试：OpenAI兼容、Claude、Gemini 和本地服务（Ollama、llama.cpp）对模拟服务商各种响应的解析和错误归类
+ */
+
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { installChrome } from './helpers/chrome.js';
+import { startMockProvider, DEFAULT_TEXT } from './helpers/mock-provider.js';
+import * as logger from '../src/utils/logger.js';
+import { OpenAICompatibleAdapter } from '../src/api/openai-compatible.js';
+import { ClaudeAdapter } from '../src/api/claude-adapter.js';
+import { GeminiAdapter } from '../src/api/gemini-adapter.js';
+import { OllamaAdapter, LOCAL_API_FORMATS } from '../src/api/ollama-adapter.js';
+import { ApiError, ERROR_TYPES, getErrorType, getErrorMessage, isRetryable } from '../src/api/errors.js';
+
+const IMAGE = 'data:image/png;base64,iVBORw0KGgo=';
+
+installChrome();
+logger.setLevel(logger.LOG_LEVELS.NONE);
+
+const ADAPTERS = {
+    openai: baseUrl => new OpenAICompatibleAdapter({ baseUrl, apiKey: 'sk-test', model: 'gpt-test' }),
+    claude: baseUrl => new ClaudeAdapter({ baseUrl, apiKey: 'sk-ant-test', model: 'claude-test' }),
+    gemini: baseUrl => new GeminiAdapter({ baseUrl, apiKey: 'gm-test', model: 'gemini-test' }),
+    ollama: baseUrl => new OllamaAdapter({ baseUrl, model: 'llava' }),
+    ollama_generate: baseUrl => new OllamaAdapter({
+        baseUrl, model: 'llava', apiFormat: LOCAL_API_FORMATS.OLLAMA_GENERATE
+    }),
+    llama_cpp: baseUrl => new OllamaAdapter({ baseUrl, model: 'qwen2.5-vl', apiFormat: LOCAL_API_FORMATS.LLAMA_CPP })
+};
+
+/**
+ * 识别并返回抛出的错误
+ * @param {object} adapter - 适配器
+ * @returns {Promise<Error>}
+ */
+async function recognizeError(adapter) {
+    try {
+        await adapter.recognize(IMAGE, 'prompt');
+    } catch (error) {
+        return error;
+    }
+    assert.fail('识别应当失败');
+}
+
+let provider;
+
+before(async () => {
+    provider = await startMockProvider();
+});
+
+after(async () => {
+    await provider.close();
+});
+
+beforeEach(() => {
+    provider.reset();
+});
+
+for (const [name, createAdapter] of Object.entries(ADAPTERS)) {
+    describe(`${name} 适配器`, () => {
+        let adapter;
+
+        beforeEach(() => {
+            adapter = createAdapter(provider.baseUrls[name]);
+        });
+
+        it('解析识别结果和Token用量', async () => {
+            provider.reply({ text: '  x7Kp \n' });
+
+            const result = await adapter.recognize(IMAGE, 'prompt');
+
+            assert.equal(result.text, 'x7Kp');
+            assert.deepEqual(result.usage, { inputTokens: 120, outputTokens: 4 });
+            assert.equal(provider.requests.length, 1);
+            assert.equal(provider.requests[0].method, 'POST');
+        });
+
+        it('429 归类为限流并读取 Retry-After', async () => {
+            provider.reply({ status: 429, message: 'Rate limit reached for requests', retryAfter: 7 });
+
+            const error = await recognizeError(adapter);
+
+            assert.ok(error instanceof ApiError);
+            assert.equal(error.type, ERROR_TYPES.RATE_LIMIT);
+            assert.equal(error.status, 429);
+            assert.equal(error.retryAfter, 7000);
+            assert.equal(error.message, 'Rate limit reached for requests');
+            assert.ok(isRetryable(error));
+        });
+
+        it('500 归类为服务端错误，可重试', async () => {
+            provider.reply({ status: 500, message: 'Internal server error' });
+
+            const error = await recognizeError(adapter);
+
+            assert.equal(error.type, ERROR_TYPES.SERVER);
+            assert.equal(error.retryAfter, null);
+            assert.ok(isRetryable(error));
+        });
+
+        it('密钥无效归类为认证失败，不再重试', async () => {
+            provider.reply({ status: 401, message: 'Incorrect API key provided' });
+
+            const error = await recognizeError(adapter);
+
+            assert.equal(error.type, ERROR_TYPES.AUTH);
+            assert.equal(isRetryable(error), false);
+        });
+
+        it('权限不足的 403 归类为认证失败，而不是额度不足', async () => {
+            provider.reply({
+                status: 403,
+                message: 'You have insufficient permissions for this operation. Missing scopes: model.request.'
+            });
+
+            const error = await recognizeError(adapter);
+
+            assert.equal(error.type, ERROR_TYPES.AUTH);
+        });
+
+        it('响应体不是合法JSON时归类为响应异常', async () => {
+            provider.reply({ malformed: true });
+
+            const error = await recognizeError(adapter);
+
+            assert.equal(getErrorType(error), ERROR_TYPES.INVALID_RESPONSE);
+        });
+
+        it('没有候选结果时归类为响应异常', async () => {
+            provider.reply({ empty: true });
+
+            const error = await recognizeError(adapter);
+
+            assert.equal(getErrorType(error), ERROR_TYPES.INVALID_RESPONSE);
+        });
+
+        it('服务不可达时归类为网络错误', async () => {
+            const unreachable = createAdapter('http://127.0.0.1:1');
+
+            const error = await recognizeError(unreachable);
+
+            assert.equal(getErrorType(error), ERROR_TYPES.NETWORK);
+        });
+
+        it('取消时中止请求', async () => {
+            provider.reply({ text: DEFAULT_TEXT, delay: 1000 });
+            const controller = new AbortController();
+            setTimeout(() => controller.abort(new Error('识别已取消')), 50);
+
+            await assert.rejects(
+                adapter.recognize(IMAGE, 'prompt', { signal: controller.signal }),
+                /识别已取消/
+            );
+        });
+    });
+}
+
+describe('请求格式', () => {
+    it('OpenAI兼容：Bearer 密钥和 image_url', async () => {
+        await ADAPTERS.openai(provider.baseUrls.openai).recognize(IMAGE, 'prompt');
+
+        const { url, headers, body } = provider.requests[0];
+        assert.equal(url, '/openai/v1/chat/completions');
+        assert.equal(headers.authorization, 'Bearer sk-test');
+        assert.equal(body.messages[0].content[1].image_url.url, IMAGE);
+    });
+
+    it('Claude：x-api-key 和 base64 图片', async () => {
+        await ADAPTERS.claude(provider.baseUrls.claude).recognize(IMAGE, 'prompt');
+
+        const { url, headers, body } = provider.requests[0];
+        assert.equal(url, '/claude/v1/messages');
+        assert.equal(headers['x-api-key'], 'sk-ant-test');
+        assert.equal(headers['anthropic-version'], '2023-06-01');
+        assert.deepEqual(body.messages[0].content[0].source, {
+            type: 'base64', media_type: 'image/png', data: 'iVBORw0KGgo='
+        });
+    });
+
+    it('Gemini：密钥在查询参数中，图片为 inline_data', async () => {
+        await ADAPTERS.gemini(provider.baseUrls.gemini).recognize(IMAGE, 'prompt');
+
+        const { url, body } = provider.requests[0];
+        assert.equal(url, '/gemini/v1beta/models/gemini-test:generateContent?key=gm-test');
+        assert.deepEqual(body.contents[0].parts[1].inline_data, { mime_type: 'image/png', data: 'iVBORw0KGgo=' });
+    });
+
+    it('Ollama /api/chat：图片在消息的 images 中，没有密钥时不带 Authorization', async () => {
+        await ADAPTERS.ollama(provider.baseUrls.ollama).recognize(IMAGE, 'prompt');
+
+        const { url, headers, body } = provider.requests[0];
+        assert.equal(url, '/ollama/api/chat');
+        assert.equal(headers.authorization, undefined);
+        assert.deepEqual(body.messages[0].images, ['iVBORw0KGgo=']);
+        assert.equal(body.stream, false);
+    });
+
+    it('Ollama /api/generate：提示词和图片在顶层', async () => {
+        await ADAPTERS.ollama_generate(provider.baseUrls.ollama_generate).recognize(IMAGE, 'prompt');
+
+        const { url, body } = provider.requests[0];
+        assert.equal(url, '/ollama/api/generate');
+        assert.equal(body.prompt, 'prompt');
+        assert.deepEqual(body.images, ['iVBORw0KGgo=']);
+    });
+
+    it('llama.cpp server：图片在 multimodal_data 中，提示词标记图片位置', async () => {
+        await ADAPTERS.llama_cpp(provider.baseUrls.llama_cpp).recognize(IMAGE, 'prompt');
+
+        const { url, body } = provider.requests[0];
+        assert.equal(url, '/llama_cpp/completion');
+        assert.equal(body.prompt.prompt_string, '<__media__>\nprompt');
+        assert.deepEqual(body.prompt.multimodal_data, ['iVBORw0KGgo=']);
+        assert.equal(body.n_predict, 500);
+    });
+});
+
+describe('本地服务的模型列表', () => {
+    it('Ollama 读取已安装的模型，未指定标签的模型视为 latest', async () => {
+        const adapter = ADAPTERS.ollama(provider.baseUrls.ollama);
+
+        assert.deepEqual(await adapter.listModels(), ['llava:latest', 'qwen2.5vl:7b']);
+        assert.equal((await adapter.testConnection()).success, true);
+        assert.equal(provider.requests[0].url, '/ollama/api/tags');
+    });
+
+    it('Ollama 模型未安装时测试连接失败', async () => {
+        const adapter = new OllamaAdapter({ baseUrl: provider.baseUrls.ollama, model: 'minicpm-v' });
+
+        await assert.rejects(adapter.testConnection(), /ollama pull minicpm-v/);
+    });
+
+    it('llama.cpp server 读取已加载的模型', async () => {
+        const adapter = ADAPTERS.llama_cpp(provider.baseUrls.llama_cpp);
+
+        assert.deepEqual(await adapter.listModels(), ['qwen2.5-vl-7b.gguf']);
+        assert.equal((await adapter.testConnection()).model, 'qwen2.5-vl-7b.gguf');
+        assert.equal(provider.requests[0].url, '/llama_cpp/v1/models');
+    });
+});
+
+describe('服务商特有的错误', () => {
+    it('Gemini 429 的等待时间取自 RetryInfo', async () => {
+        const adapter = ADAPTERS.gemini(provider.baseUrls.gemini);
+        provider.reply({ status: 429, message: 'Resource has been exhausted', retryDelay: '37s' });
+
+        const error = await recognizeError(adapter);
+
+        assert.equal(error.type, ERROR_TYPES.RATE_LIMIT);
+        assert.equal(error.retryAfter, 37000);
+    });
+
+    it('Claude 拒绝处理时归类为内容拦截', async () => {
+        const adapter = ADAPTERS.claude(provider.baseUrls.claude);
+        provider.reply({ status: 400, message: 'Output blocked by content filtering policy' });
+
+        const error = await recognizeError(adapter);
+
+        assert.equal(error.type, ERROR_TYPES.CONTENT_FILTER);
+        assert.equal(isRetryable(error), false);
+    });
+
+    it('OpenAI 额度用完的 429 归类为额度不足', async () => {
+        const adapter = ADAPTERS.openai(provider.baseUrls.openai);
+        provider.reply({
+            status: 429,
+            message: 'You exceeded your current quota, please check your plan and billing details.'
+        });
+
+        const error = await recognizeError(adapter);
+
+        assert.equal(error.type, ERROR_TYPES.QUOTA);
+        assert.equal(isRetryable(error), false);
+    });
+
+    it('OpenAI兼容服务余额不足的 403 归类为额度不足', async () => {
+        const adapter = ADAPTERS.openai(provider.baseUrls.openai);
+        provider.reply({ status: 403, message: 'Insufficient balance, please top up your account.' });
+
+        const error = await recognizeError(adapter);
+
+        assert.equal(error.type, ERROR_TYPES.QUOTA);
+    });
+
+    it('Gemini 带 retryDelay 的 429 即使提到 quota 也归类为限流', async () => {
+        const adapter = ADAPTERS.gemini(provider.baseUrls.gemini);
+        provider.reply({
+            status: 429,
+            message: 'You exceeded your current quota, please check your plan and billing details.',
+            retryDelay: '37s'
+        });
+
+        const error = await recognizeError(adapter);
+
+        assert.equal(error.type, ERROR_TYPES.RATE_LIMIT);
+        assert.equal(error.retryAfter, 37000);
+        assert.equal(isRetryable(error), true);
+    });
+
+    it('Gemini 没有 retryDelay 的额度 429 归类为额度不足', async () => {
+        const adapter = ADAPTERS.gemini(provider.baseUrls.gemini);
+        provider.reply({
+            status: 429,
+            message: 'You exceeded your current quota, please check your plan and billing details.'
+        });
+
+        const error = await recognizeError(adapter);
+
+        assert.equal(error.type, ERROR_TYPES.QUOTA);
+        assert.equal(error.retryAfter, null);
+    });
+});
+
+describe('getErrorMessage', () => {
+    it('按错误类型给出本地化提示，附带原始错误信息', () => {
+        const message = getErrorMessage(ERROR_TYPES.AUTH, 'Incorrect API key provided');
+
+        assert.match(message, /^Invalid API key/);
+        assert.match(message, /\(Incorrect API key provided\)$/);
+    });
+
+    it('没有错误类型时返回原始错误信息', () => {
+        assert.equal(getErrorMessage(undefined, 'Something went wrong'), 'Something went wrong');
+    });
+});
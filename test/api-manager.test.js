@@ -0,0 +1,235 @@
+/**
+ * ApiManager 测试：重试、备用链、投票、取消，以及历史和统计记录
+ */
+
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { installChrome } from './helpers/chrome.js';
+import { startMockProvider } from './helpers/mock-provider.js';
+import { useConfigs } from './helpers/configs.js';
+import * as logger from '../src/utils/logger.js';
+import * as storage from '../src/utils/storage.js';
+import { ApiManager, ERROR_TYPES } from '../src/api/api-manager.js';
+
+const IMAGE = 'data:image/png;base64,iVBORw0KGgo=';
+
+installChrome();
+logger.setLevel(logger.LOG_LEVELS.NONE);
+
+let provider;
+let manager;
+
+before(async () => {
+    provider = await startMockProvider();
+});
+
+after(async () => {
+    await provider.close();
+});
+
+beforeEach(() => {
+    provider.reset();
+    manager = new ApiManager();
+});
+
+describe('ApiManager.recognize', () => {
+    it('识别成功时记录历史和统计', async () => {
+        await useConfigs(provider, [{ provider: 'openai', inputPrice: 1, outputPrice: 2 }]);
+        provider.reply({ text: '"x7Kp"' });
+
+        const result = await manager.recognize(IMAGE, { hostname: 'example.com' });
+
+        assert.equal(result.success, true);
+        assert.equal(result.text, 'x7Kp');
+        assert.equal(result.fallback, false);
+        assert.deepEqual(result.usage, { inputTokens: 120, outputTokens: 4 });
+
+        const [record] = await storage.getHistory();
+        assert.equal(record.id, result.historyId);
+        assert.equal(record.hostname, 'example.com');
+        assert.equal(record.result, 'x7Kp');
+
+        const stats = await storage.getStats();
+        assert.equal(stats.totalRequests, 1);
+        assert.equal(stats.successCount, 1);
+    });
+
+    it('没有配置时返回错误', async () => {
+        await useConfigs(provider, []);
+
+        const result = await manager.recognize(IMAGE);
+
+        assert.equal(result.success, false);
+        assert.equal(result.error, '请先配置API');
+        assert.equal(provider.requests.length, 0);
+    });
+
+    it('500 后按 Retry-After 重试', async () => {
+        await useConfigs(provider, [{ provider: 'claude' }]);
+        provider.reply({ status: 500, message: 'Internal server error', retryAfter: 0 });
+
+        const result = await manager.recognize(IMAGE);
+
+        assert.equal(result.success, true);
+        assert.equal(result.attempt, 2);
+        assert.equal(provider.requests.length, 2);
+    });
+
+    it('429 限流后重试', async () => {
+        await useConfigs(provider, [{ provider: 'gemini' }]);
+        provider.reply({ status: 429, message: 'Resource has been exhausted', retryAfter: 0 });
+
+        const result = await manager.recognize(IMAGE);
+
+        assert.equal(result.success, true);
+        assert.equal(result.attempt, 2);
+    });
+
+    it('要求等待的时间过长时不再重试，交给备用配置', async () => {
+        await useConfigs(provider, [{ provider: 'openai' }, { provider: 'claude' }]);
+        provider.reply({ status: 429, message: 'Rate limit reached for requests', retryAfter: 3600 });
+
+        const result = await manager.recognize(IMAGE);
+
+        assert.equal(result.success, true);
+        assert.equal(result.configName, 'claude-2');
+        assert.deepEqual(provider.requests.map(r => r.provider), ['openai', 'claude']);
+    });
+
+    it('空结果和非法JSON重试后仍失败时记录为响应异常', async () => {
+        await useConfigs(provider, [{ provider: 'openai' }]);
+        provider.reply({ empty: true }, { malformed: true });
+
+        const result = await manager.recognize(IMAGE);
+
+        assert.equal(result.success, false);
+        assert.equal(result.errorType, ERROR_TYPES.INVALID_RESPONSE);
+        assert.equal(provider.requests.length, 2);
+
+        const [record] = await storage.getHistory();
+        assert.equal(record.success, false);
+        assert.equal(record.errorType, ERROR_TYPES.INVALID_RESPONSE);
+
+        const stats = await storage.getStats();
+        assert.equal(stats.failCount, 1);
+    });
+
+    it('认证失败不重试，直接切换到备用配置', async () => {
+        await useConfigs(provider, [{ provider: 'openai' }, { provider: 'claude' }]);
+        provider.reply({ status: 401, message: 'Incorrect API key provided' });
+
+        const result = await manager.recognize(IMAGE);
+
+        assert.equal(result.success, true);
+        assert.equal(result.fallback, true);
+        assert.equal(result.configName, 'claude-2');
+        assert.deepEqual(provider.requests.map(r => r.provider), ['openai', 'claude']);
+    });
+
+    it('所有配置都失败时返回最后的错误', async () => {
+        await useConfigs(provider, [{ provider: 'openai' }, { provider: 'gemini' }], { retryCount: 1 });
+        provider.reply(
+            { status: 401, message: 'Incorrect API key provided' },
+            { status: 400, message: 'User location is not supported for the API use.' }
+        );
+
+        const result = await manager.recognize(IMAGE);
+
+        assert.equal(result.success, false);
+        assert.equal(result.errorType, ERROR_TYPES.BAD_REQUEST);
+        assert.equal(result.error, 'User location is not supported for the API use.');
+    });
+
+    it('模型回答无法识别时交给备用配置', async () => {
+        await useConfigs(provider, [{ provider: 'openai' }, { provider: 'claude' }], { retryCount: 1 });
+        provider.reply({ text: '无法识别' }, { text: 'Q9z3' });
+
+        const result = await manager.recognize(IMAGE);
+
+        assert.equal(result.text, 'Q9z3');
+        assert.equal(result.fallback, true);
+    });
+
+    it('取消时返回 cancelled，不记录历史', async () => {
+        await useConfigs(provider, [{ provider: 'openai' }]);
+        provider.reply({ text: 'AB12', delay: 1000 });
+
+        const controller = new AbortController();
+        setTimeout(() => controller.abort(new Error('识别已取消')), 50);
+
+        const result = await manager.recognize(IMAGE, { signal: controller.signal });
+
+        assert.equal(result.success, false);
+        assert.equal(result.cancelled, true);
+        assert.deepEqual(await storage.getHistory(), []);
+    });
+});
+
+describe('请求队列', () => {
+    it('按配置限制同时进行的请求数', async () => {
+        await useConfigs(provider, [{ provider: 'openai', maxConcurrency: 1 }]);
+        provider.reply({ text: 'AB12', delay: 200 }, { text: 'CD34', delay: 200 });
+
+        const first = manager.recognize(IMAGE);
+        const second = manager.recognize(IMAGE);
+
+        await new Promise(resolve => setTimeout(resolve, 100));
+        assert.equal(provider.requests.length, 1);
+
+        const results = await Promise.all([first, second]);
+        assert.deepEqual(results.map(r => r.text), ['AB12', 'CD34']);
+        assert.equal(provider.requests.length, 2);
+    });
+});
+
+describe('投票', () => {
+    it('多数投票得出结果', async () => {
+        await useConfigs(provider, [{ provider: 'openai', sampleCount: 3, voteMode: 'majority' }]);
+        provider.reply({ text: 'AB12' }, { text: 'AB12' }, { text: 'A812' });
+
+        const result = await manager.recognize(IMAGE);
+
+        assert.equal(result.text, 'AB12');
+        assert.equal(result.votes.requested, 3);
+        assert.equal(result.votes.answered, 3);
+    });
+
+    it('跨配置投票失败后不再请求已参与采样的备用配置', async () => {
+        await useConfigs(provider, [
+            { provider: 'openai', sampleCount: 2, voteAcrossChain: true },
+            { provider: 'claude' },
+            { provider: 'gemini' }
+        ], { retryCount: 1 });
+        provider.reply(
+            { status: 400, message: 'Invalid image' },
+            { status: 400, message: 'Invalid image' }
+        );
+
+        const result = await manager.recognize(IMAGE);
+
+        assert.equal(result.success, true);
+        assert.equal(result.configName, 'gemini-3');
+        assert.deepEqual(provider.requests.map(r => r.provider).sort(), ['claude', 'gemini', 'openai']);
+    });
+});
+
+describe('ApiManager.delay', () => {
+    it('已取消时立即结束等待', async () => {
+        const controller = new AbortController();
+        controller.abort(new Error('识别已取消'));
+
+        const start = Date.now();
+        await assert.rejects(manager.delay(5000, controller.signal), /识别已取消/);
+        assert.ok(Date.now() - start < 100);
+    });
+
+    it('等待期间取消时提前结束', async () => {
+        const controller = new AbortController();
+        setTimeout(() => controller.abort(new Error('识别已取消')), 20);
+
+        const start = Date.now();
+        await assert.rejects(manager.delay(5000, controller.signal), /识别已取消/);
+        assert.ok(Date.now() - start < 1000);
+    });
+});
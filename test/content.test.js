@@ -0,0 +1,278 @@
+/**
+ * 内容脚本测试：在 jsdom 中加载测试页面并运行内容脚本，通过消息检查验证码检测、页面变化监听、悬浮识别按钮、自动填充、提交前确认和子框架中的行为
+ */
+
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { loadFixture, loadContentScript } from './helpers/dom.js';
+
+// 内容脚本加载1秒后开始监听页面变化，重新扫描的防抖时间为500ms，高亮2秒后取消
+const WATCH_DELAY = 1100;
+const RESCAN_WAIT = 700;
+const HIGHLIGHT_DURATION = 2000;
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+let dom;
+
+afterEach(() => {
+    dom?.window.close();
+    dom = null;
+});
+
+describe('检测验证码', () => {
+    it('检测登录表单中的验证码图片及其输入框', async () => {
+        dom = loadFixture('login-form.html');
+        const { send } = await loadContentScript(dom);
+
+        const response = await send({ action: 'scan' });
+
+        assert.equal(response.success, true);
+        assert.equal(response.captchas.length, 1);
+        const [captcha] = response.captchas;
+        assert.equal(captcha.type, 'image');
+        assert.equal(captcha.hasInput, true);
+        assert.ok(captcha.confidence > 0);
+        assert.equal(response.bestCaptcha.id, captcha.id);
+        assert.equal(captcha.rect.left, 310);
+    });
+
+    it('重新扫描后验证码ID不变', async () => {
+        dom = loadFixture('login-form.html');
+        const { send } = await loadContentScript(dom);
+
+        const first = await send({ action: 'scan' });
+        const second = await send({ action: 'scan' });
+
+        assert.equal(second.captchas[0].id, first.captchas[0].id);
+    });
+
+    it('检测画布验证码，按位置查找旁边的输入框', async () => {
+        dom = loadFixture('canvas-captcha.html');
+        const { send } = await loadContentScript(dom);
+
+        const response = await send({ action: 'scan' });
+
+        assert.equal(response.captchas.length, 1);
+        assert.equal(response.captchas[0].type, 'canvas');
+        assert.equal(response.captchas[0].hasInput, true);
+    });
+
+    it('忽略普通页面中的图片', async () => {
+        dom = loadFixture('no-captcha.html');
+        const { send } = await loadContentScript(dom);
+
+        const response = await send({ action: 'scan' });
+
+        assert.deepEqual(response.captchas, []);
+        assert.equal(response.bestCaptcha, null);
+    });
+});
+
+describe('监听页面变化', () => {
+    it('弹出的验证码被检测到，隐藏后被移除', async () => {
+        dom = loadFixture('no-captcha.html');
+        const { document } = dom.window;
+        const { messages } = await loadContentScript(dom);
+        const detected = () => messages.filter(m => m.action === 'captchaDetected').map(m => m.count);
+
+        await wait(WATCH_DELAY);
+        assert.deepEqual(detected(), []);
+
+        const row = document.createElement('div');
+        row.className = 'captcha-box';
+        row.innerHTML = '<img id="vcode" src="/vcode.png" data-rect="10 10 100 36"><input name="vcode" data-rect="120 10 80 30">';
+        document.body.appendChild(row);
+
+        await wait(RESCAN_WAIT);
+        assert.equal(detected().length, 1);
+        const [count] = detected();
+        assert.ok(count > 0);
+
+        row.style.display = 'none';
+
+        await wait(RESCAN_WAIT);
+        assert.equal(detected().length, 2);
+        assert.ok(detected()[1] < count);
+    });
+
+    it('高亮和取消高亮验证码不触发重新扫描', async () => {
+        dom = loadFixture('login-form.html');
+        const { document } = dom.window;
+        const { send } = await loadContentScript(dom);
+        const { bestCaptcha } = await send({ action: 'scan' });
+        await wait(WATCH_DELAY);
+
+        // 每次扫描都会查找页面中的图片
+        let scans = 0;
+        const querySelectorAll = document.querySelectorAll.bind(document);
+        document.querySelectorAll = (selector) => {
+            if (selector === 'img') scans++;
+            return querySelectorAll(selector);
+        };
+
+        const response = await send({ action: 'highlight', captchaId: bestCaptcha.id });
+        assert.equal(response.success, true);
+        assert.match(document.getElementById('captchaImg').style.outline, /solid/);
+
+        await wait(HIGHLIGHT_DURATION + RESCAN_WAIT);
+        assert.equal(document.getElementById('captchaImg').style.outline, '');
+        assert.equal(scans, 0);
+    });
+});
+
+describe('悬浮识别按钮', () => {
+    it('检测到验证码后显示', async () => {
+        dom = loadFixture('login-form.html');
+        await loadContentScript(dom);
+
+        await wait(WATCH_DELAY);
+        assert.ok(dom.window.document.getElementById('captcha-solve-widgets'));
+    });
+
+    it('关闭设置后不显示', async () => {
+        dom = loadFixture('login-form.html');
+        await loadContentScript(dom, { showSolveWidget: false });
+
+        await wait(WATCH_DELAY);
+        assert.equal(dom.window.document.getElementById('captcha-solve-widgets'), null);
+    });
+});
+
+describe('自动填充', () => {
+    let send;
+    let input;
+    let events;
+
+    beforeEach(async () => {
+        dom = loadFixture('login-form.html');
+        ({ send } = await loadContentScript(dom));
+        await send({ action: 'scan' });
+
+        input = dom.window.document.querySelector('input[name="captcha"]');
+        events = [];
+        ['keydown', 'input', 'change'].forEach((type) => {
+            input.addEventListener(type, () => events.push(type));
+        });
+    });
+
+    it('直接填入文本并触发 input 和 change 事件', async () => {
+        const response = await send({ action: 'fill', text: 'x7Kp', options: { simulate: false } });
+
+        assert.equal(response.success, true);
+        assert.equal(input.value, 'x7Kp');
+        assert.deepEqual(events, ['input', 'input', 'change']);
+    });
+
+    it('模拟逐字输入', async () => {
+        await send({ action: 'fill', text: 'AB1', options: { simulate: true } });
+
+        assert.equal(input.value, 'AB1');
+        assert.equal(events.filter(e => e === 'keydown').length, 3);
+        assert.equal(events.at(-1), 'change');
+    });
+
+    it('自动提交所在的表单', async () => {
+        const form = dom.window.document.getElementById('login-form');
+        const submitted = [];
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            submitted.push(form.elements.captcha.value);
+        });
+
+        await send({ action: 'fill', text: 'x7Kp', options: { simulate: false, autoSubmit: true } });
+
+        assert.deepEqual(submitted, ['x7Kp']);
+    });
+
+    it('没有表单时点击提交按钮', async () => {
+        dom = loadFixture('canvas-captcha.html');
+        ({ send } = await loadContentScript(dom));
+        await send({ action: 'scan' });
+
+        const { document } = dom.window;
+        let clicked = 0;
+        document.querySelector('.actions button').addEventListener('click', () => clicked++);
+
+        await send({ action: 'fill', text: 'Q9z3', options: { simulate: false, autoSubmit: true } });
+
+        assert.equal(document.getElementById('answer').value, 'Q9z3');
+        assert.equal(clicked, 1);
+    });
+
+    it('没有检测到验证码时返回错误', async () => {
+        dom = loadFixture('no-captcha.html');
+        ({ send } = await loadContentScript(dom));
+
+        const response = await send({ action: 'fill', text: 'x7Kp' });
+
+        assert.deepEqual(response, { success: false, error: '未检测到验证码' });
+    });
+});
+
+describe('提交前确认', () => {
+    let send;
+    let submitted;
+
+    beforeEach(async () => {
+        dom = loadFixture('login-form.html');
+        ({ send } = await loadContentScript(dom, { confirmBeforeSubmit: true, confirmCountdown: 0 }));
+        await send({ action: 'scan' });
+
+        const form = dom.window.document.getElementById('login-form');
+        submitted = [];
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            submitted.push(form.elements.captcha.value);
+        });
+    });
+
+    it('以对话框中修改后的内容填充并提交', async () => {
+        const fill = send({ action: 'fill', text: 'x7Kp', options: { simulate: false, autoSubmit: true } });
+        await wait(50);
+
+        const { document } = dom.window;
+        const input = document.querySelector('#captcha-confirm-overlay .captcha-confirm-input');
+        assert.equal(input.value, 'x7Kp');
+        input.value = 'x7KQ';
+        document.querySelector('#captcha-confirm-overlay .captcha-confirm-submit').click();
+
+        assert.deepEqual(await fill, { success: true });
+        assert.deepEqual(submitted, ['x7KQ']);
+        assert.equal(document.querySelector('input[name="captcha"]').value, 'x7KQ');
+        assert.equal(document.getElementById('captcha-confirm-overlay'), null);
+    });
+
+    it('取消确认时只填充不提交', async () => {
+        const fill = send({ action: 'fill', text: 'x7Kp', options: { simulate: false, autoSubmit: true } });
+        await wait(50);
+
+        dom.window.document.querySelector('#captcha-confirm-overlay .captcha-confirm-cancel').click();
+
+        assert.deepEqual(await fill, { success: true });
+        assert.deepEqual(submitted, []);
+        assert.equal(dom.window.document.querySelector('input[name="captcha"]').value, 'x7Kp');
+    });
+});
+
+describe('子框架', () => {
+    it('不检测验证码，也不响应发给整个标签页的消息', async () => {
+        dom = loadFixture('login-form.html');
+        const { document } = dom.window;
+        const iframe = document.createElement('iframe');
+        document.body.appendChild(iframe);
+        iframe.contentDocument.body.innerHTML = document.body.innerHTML;
+        iframe.contentWindow.Element.prototype.getBoundingClientRect = dom.window.Element.prototype.getBoundingClientRect;
+
+        const { messages, send } = await loadContentScript({ window: iframe.contentWindow });
+
+        // 顶层页面负责回复，子框架不应抢先响应
+        const response = await Promise.race([send({ action: 'scan' }), wait(100).then(() => 'no response')]);
+        assert.equal(response, 'no response');
+
+        await wait(WATCH_DELAY);
+        assert.equal(messages.filter(m => m.action === 'captchaDetected').length, 0);
+        assert.equal(iframe.contentDocument.getElementById('captcha-solve-widgets'), null);
+    });
+});
@@ -0,0 +1,123 @@
+/**
+ * 测试用的 chrome 扩展API
+ * 只实现扩展用到的部分：storage.local 保存在内存中，事件只记录监听函数，i18n 读取英文提示文案
+ */
+
+import { readFileSync } from 'node:fs';
+
+const MESSAGES = JSON.parse(readFileSync(new URL('../../_locales/en/messages.json', import.meta.url), 'utf8'));
+
+/**
+ * 创建只记录监听函数的事件对象
+ * @returns {object} - { addListener, removeListener, listeners }
+ */
+function createEvent() {
+    const listeners = [];
+
+    return {
+        listeners,
+        addListener: fn => listeners.push(fn),
+        removeListener: (fn) => {
+            const index = listeners.indexOf(fn);
+            if (index !== -1) listeners.splice(index, 1);
+        }
+    };
+}
+
+/**
+ * 按 chrome.i18n.getMessage 的规则替换占位符
+ * @param {string} name - 文案名称
+ * @param {Array<string>|string} substitutions - 替换内容
+ * @returns {string}
+ */
+function getMessage(name, substitutions = []) {
+    const entry = MESSAGES[name];
+    if (!entry) return '';
+
+    const values = [].concat(substitutions);
+
+    return entry.message.replace(/\$(\w+)\$/g, (match, placeholder) => {
+        const content = entry.placeholders?.[placeholder.toLowerCase()]?.content || '';
+        return content.replace(/\$(\d)/g, (m, index) => values[index - 1] ?? '');
+    });
+}
+
+/**
+ * 安装全局 chrome 对象
+ * @param {object} options - { tabs } 可替换 chrome.tabs 中的方法
+ * @returns {object} - { chrome, data } data 为 storage.local 的内容
+ */
+export function installChrome({ tabs = {} } = {}) {
+    const data = {};
+
+    const pick = (keys) => {
+        if (keys === null || keys === undefined) return structuredClone(data);
+
+        const defaults = typeof keys === 'object' && !Array.isArray(keys) ? keys : {};
+        const names = typeof keys === 'string' ? [keys] : Array.isArray(keys) ? keys : Object.keys(keys);
+        const result = {};
+
+        names.forEach((name) => {
+            if (name in data) result[name] = structuredClone(data[name]);
+            else if (name in defaults) result[name] = defaults[name];
+        });
+
+        return result;
+    };
+
+    const chrome = {
+        runtime: {
+            id: 'test-extension',
+            lastError: undefined,
+            onMessage: createEvent(),
+            onInstalled: createEvent(),
+            onConnect: createEvent(),
+            sendMessage: async () => ({ success: true }),
+            openOptionsPage: () => { }
+        },
+        storage: {
+            local: {
+                get: (keys, callback) => queueMicrotask(() => callback(pick(keys))),
+                set: (items, callback) => {
+                    Object.assign(data, structuredClone(items));
+                    queueMicrotask(() => callback?.());
+                },
+                remove: (keys, callback) => {
+                    [].concat(keys).forEach(key => delete data[key]);
+                    queueMicrotask(() => callback?.());
+                },
+                clear: (callback) => {
+                    Object.keys(data).forEach(key => delete data[key]);
+                    queueMicrotask(() => callback?.());
+                }
+            }
+        },
+        tabs: {
+            onUpdated: createEvent(),
+            query: async () => [],
+            sendMessage: async () => undefined,
+            ...tabs
+        },
+        action: {
+            setBadgeText: () => { },
+            setBadgeBackgroundColor: () => { }
+        },
+        commands: {
+            onCommand: createEvent()
+        },
+        contextMenus: {
+            onClicked: createEvent(),
+            create: () => { },
+            removeAll: callback => callback?.()
+        },
+        i18n: {
+            getMessage
+        }
+    };
+
+    globalThis.chrome = chrome;
+
+    return { chrome, data };
+}
+
+export default installChrome;
@@ -0,0 +1,46 @@
+/**
+ * 测试用的API配置和设置
+ */
+
+import * as storage from '../../src/utils/storage.js';
+
+// 模拟服务的路径前缀 -> API类型
+const API_TYPES = {
+    openai: 'openai_compatible',
+    claude: 'claude',
+    gemini: 'gemini'
+};
+
+/**
+ * 保存指向模拟服务的配置，第一个为活跃配置，其余为备用配置，并清空历史和统计
+ * @param {object} provider - startMockProvider 的返回值
+ * @param {Array<object>} configs - 配置，provider 为 openai | claude | gemini，其余字段覆盖默认值
+ * @param {object} settings - 覆盖的设置
+ * @returns {Promise<Array<object>>} - 保存的配置（未加密）
+ */
+export async function useConfigs(provider, configs, settings = {}) {
+    const saved = configs.map(({ provider: name = 'openai', ...config }, index) => ({
+        id: `config-${index + 1}`,
+        name: `${name}-${index + 1}`,
+        type: API_TYPES[name],
+        baseUrl: provider.baseUrls[name],
+        apiKey: 'test-key',
+        model: 'test-model',
+        useAsFallback: index > 0,
+        ...config
+    }));
+
+    await storage.saveApiConfigs(saved);
+    if (saved.length > 0) {
+        await storage.setActiveConfigId(saved[0].id);
+    } else {
+        await storage.remove(storage.STORAGE_KEYS.ACTIVE_CONFIG_ID);
+    }
+
+    await storage.saveSettings({ ...storage.DEFAULT_SETTINGS, timeout: 5000, retryCount: 2, ...settings });
+    await storage.remove([storage.STORAGE_KEYS.HISTORY, storage.STORAGE_KEYS.STATS]);
+
+    return saved;
+}
+
+export default useConfigs;
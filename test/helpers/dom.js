@@ -0,0 +1,103 @@
+/**
+ * 在 jsdom 中加载测试页面和内容脚本
+ * jsdom 不计算布局，元素的位置和尺寸取自 data-rect 属性（"left top width height"），未设置时为0；
+ * 与浏览器一样，元素或其祖先 display: none 时尺寸为0
+ */
+
+import { readFileSync } from 'node:fs';
+import { JSDOM, VirtualConsole } from 'jsdom';
+
+import * as storage from '../../src/utils/storage.js';
+
+const CONTENT_SCRIPT = new URL('../../src/content/content.js', import.meta.url);
+
+/**
+ * 按 data-rect 属性返回元素的位置和尺寸
+ * @returns {object}
+ */
+function getBoundingClientRect() {
+    const [left = 0, top = 0, width = 0, height = 0] = (this.getAttribute('data-rect') || '')
+        .split(/\s+/)
+        .filter(Boolean)
+        .map(Number);
+
+    const window = this.ownerDocument.defaultView;
+    for (let el = this; el; el = el.parentElement) {
+        if (window.getComputedStyle(el).display === 'none') {
+            return { left: 0, top: 0, width: 0, height: 0, x: 0, y: 0, right: 0, bottom: 0 };
+        }
+    }
+
+    return { left, top, width, height, x: left, y: top, right: left + width, bottom: top + height };
+}
+
+/**
+ * 加载 test/fixtures 下的页面
+ * @param {string} name - 文件名
+ * @returns {JSDOM}
+ */
+export function loadFixture(name) {
+    const html = readFileSync(new URL(`../fixtures/${name}`, import.meta.url), 'utf8');
+
+    // jsdom 未实现的功能（如 form.submit）会报错，内容脚本自己的日志仍然输出
+    const virtualConsole = new VirtualConsole();
+    virtualConsole.sendTo(console, { omitJSDOMErrors: true });
+
+    const dom = new JSDOM(html, {
+        url: 'https://example.com/login',
+        pretendToBeVisual: true,
+        runScripts: 'outside-only',
+        virtualConsole
+    });
+
+    dom.window.Element.prototype.getBoundingClientRect = getBoundingClientRect;
+
+    return dom;
+}
+
+/**
+ * 在页面中运行内容脚本
+ * 内容脚本发往后台的消息记录在 messages 中，getSettings 返回默认设置，其余消息返回 { success: true }
+ * @param {JSDOM} dom - loadFixture 的返回值
+ * @param {object} settings - 覆盖的设置
+ * @returns {Promise<object>} - { send, messages } send 向内容脚本发送消息并返回响应
+ */
+export async function loadContentScript(dom, settings = {}) {
+    const listeners = [];
+    const messages = [];
+
+    dom.window.chrome = {
+        runtime: {
+            id: 'test-extension',
+            onMessage: {
+                addListener: fn => listeners.push(fn),
+                removeListener: () => { }
+            },
+            sendMessage: async (message) => {
+                messages.push(message);
+                if (message.action === 'getSettings') {
+                    return { success: true, settings: { ...storage.DEFAULT_SETTINGS, ...settings } };
+                }
+                return { success: true };
+            }
+        }
+    };
+
+    dom.window.eval(readFileSync(CONTENT_SCRIPT, 'utf8'));
+
+    // 内容脚本读取设置后才开始监听消息
+    for (let i = 0; listeners.length === 0 && i < 100; i++) {
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+    if (listeners.length === 0) throw new Error('内容脚本没有监听消息');
+
+    return {
+        messages,
+        // 与扩展消息一样，响应按JSON序列化后返回
+        send: message => new Promise((resolve) => {
+            listeners[0](message, {}, response => resolve(JSON.parse(JSON.stringify(response))));
+        })
+    };
+}
+
+export default loadFixture;
@@ -0,0 +1,243 @@
+/**
+ * 模拟服务商接口的本地HTTP服务
+ * 按路径前缀区分接口格式：/openai（OpenAI兼容）、/claude（Claude Messages）、/gemini（Gemini generateContent）、
+ * /ollama（Ollama /api/chat 和 /api/generate）、/llama_cpp（llama.cpp server /completion），
+ * 按顺序返回预先排好的响应，队列为空时返回识别成功的默认响应（模型列表接口返回固定的模型）
+ *
+ * 响应描述：
+ *   { text }                                       识别成功，返回该文本
+ *   { status, message, retryAfter, retryDelay }    错误响应（retryAfter 为 Retry-After 头，retryDelay 为 Gemini 的 RetryInfo）
+ *   { malformed: true }                            状态200但响应体不是合法JSON
+ *   { empty: true }                                状态200但没有候选结果（choices / content / candidates 为空，本地服务的回答为空字符串）
+ *   任一描述都可以带 delay（毫秒），延迟后再响应
+ */
+
+import { createServer } from 'node:http';
+
+// 识别成功时的默认文本
+export const DEFAULT_TEXT = 'AB12';
+
+// 各服务商错误响应中的错误类型名称
+const CLAUDE_ERROR_TYPES = {
+    400: 'invalid_request_error',
+    401: 'authentication_error',
+    403: 'permission_error',
+    429: 'rate_limit_error',
+    500: 'api_error',
+    529: 'overloaded_error'
+};
+const GEMINI_STATUSES = {
+    400: 'INVALID_ARGUMENT',
+    403: 'PERMISSION_DENIED',
+    429: 'RESOURCE_EXHAUSTED',
+    500: 'INTERNAL',
+    503: 'UNAVAILABLE'
+};
+
+/**
+ * 按服务商格式生成成功的响应体
+ * @param {string} provider - openai | claude | gemini | ollama | llama_cpp
+ * @param {string} text - 识别结果
+ * @param {string} url - 请求路径，区分同一服务商的不同接口
+ * @returns {object}
+ */
+function successBody(provider, text, url) {
+    switch (provider) {
+        case 'ollama':
+            if (url.endsWith('/api/tags')) {
+                return { models: [{ name: 'llava:latest' }, { name: 'qwen2.5vl:7b' }] };
+            }
+            if (url.endsWith('/api/generate')) {
+                return { model: 'llava', response: text, done: true, prompt_eval_count: 120, eval_count: 4 };
+            }
+            return {
+                model: 'llava',
+                message: { role: 'assistant', content: text },
+                done: true,
+                prompt_eval_count: 120,
+                eval_count: 4
+            };
+        case 'llama_cpp':
+            if (url.endsWith('/v1/models')) {
+                return { object: 'list', data: [{ id: 'qwen2.5-vl-7b.gguf', object: 'model' }] };
+            }
+            return { content: text, stop: true, tokens_evaluated: 120, tokens_predicted: 4 };
+        case 'claude':
+            return {
+                id: 'msg_test',
+                type: 'message',
+                role: 'assistant',
+                content: [{ type: 'text', text }],
+                stop_reason: 'end_turn',
+                usage: { input_tokens: 120, output_tokens: 4 }
+            };
+        case 'gemini':
+            return {
+                candidates: [{ content: { role: 'model', parts: [{ text }] }, finishReason: 'STOP' }],
+                usageMetadata: { promptTokenCount: 120, candidatesTokenCount: 4 }
+            };
+        default:
+            return {
+                id: 'chatcmpl-test',
+                model: 'gpt-test',
+                choices: [{ index: 0, message: { role: 'assistant', content: text }, finish_reason: 'stop' }],
+                usage: { prompt_tokens: 120, completion_tokens: 4 }
+            };
+    }
+}
+
+/**
+ * 按服务商格式生成没有结果的响应体
+ * @param {string} provider - openai | claude | gemini | ollama | llama_cpp
+ * @param {string} url - 请求路径
+ * @returns {object}
+ */
+function emptyBody(provider, url) {
+    switch (provider) {
+        case 'ollama':
+        case 'llama_cpp':
+            return successBody(provider, '', url);
+        case 'claude':
+            return { id: 'msg_test', type: 'message', content: [], stop_reason: 'end_turn' };
+        case 'gemini':
+            return { candidates: [] };
+        default:
+            return { id: 'chatcmpl-test', choices: [] };
+    }
+}
+
+/**
+ * 按服务商格式生成错误响应体
+ * @param {string} provider - openai | claude | gemini | ollama | llama_cpp
+ * @param {object} reply - 响应描述
+ * @returns {object}
+ */
+function errorBody(provider, { status, message, retryDelay }) {
+    switch (provider) {
+        case 'ollama':
+            return { error: message };
+        case 'llama_cpp':
+            return { error: { code: status, message, type: status === 401 ? 'authentication_error' : 'server_error' } };
+        case 'claude':
+            return {
+                type: 'error',
+                error: { type: CLAUDE_ERROR_TYPES[status] || 'api_error', message }
+            };
+        case 'gemini':
+            return {
+                error: {
+                    code: status,
+                    message,
+                    status: GEMINI_STATUSES[status] || 'UNKNOWN',
+                    details: retryDelay ? [{
+                        '@type': 'type.googleapis.com/google.rpc.RetryInfo',
+                        retryDelay
+                    }] : []
+                }
+            };
+        default:
+            return {
+                error: { message, type: status === 429 ? 'rate_limit_exceeded' : 'api_error', code: null }
+            };
+    }
+}
+
+/**
+ * 读取请求体
+ * @param {IncomingMessage} req - 请求
+ * @returns {Promise<object|null>}
+ */
+async function readBody(req) {
+    let raw = '';
+    for await (const chunk of req) raw += chunk;
+
+    try {
+        return raw ? JSON.parse(raw) : null;
+    } catch {
+        return raw;
+    }
+}
+
+/**
+ * 启动模拟服务
+ * @returns {Promise<object>} - { url, baseUrls, requests, reply, reset, close }
+ */
+export async function startMockProvider() {
+    const queue = [];
+    const requests = [];
+
+    const server = createServer(async (req, res) => {
+        const provider = req.url.split('/')[1];
+        const body = await readBody(req);
+        requests.push({ provider, method: req.method, url: req.url, headers: req.headers, body });
+
+        const reply = queue.shift() || { text: DEFAULT_TEXT };
+
+        if (reply.delay) {
+            await new Promise(resolve => setTimeout(resolve, reply.delay));
+        }
+
+        // 客户端已中止请求
+        if (res.destroyed) return;
+
+        const headers = { 'Content-Type': 'application/json' };
+
+        if (reply.malformed) {
+            res.writeHead(200, headers);
+            res.end('{"choices": [{"message": ');
+            return;
+        }
+
+        if (reply.status) {
+            if (reply.retryAfter !== undefined) headers['Retry-After'] = String(reply.retryAfter);
+            res.writeHead(reply.status, headers);
+            res.end(JSON.stringify(errorBody(provider, reply)));
+            return;
+        }
+
+        res.writeHead(200, headers);
+        res.end(JSON.stringify(reply.empty
+            ? emptyBody(provider, req.url)
+            : successBody(provider, reply.text ?? DEFAULT_TEXT, req.url)));
+    });
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const url = `http://127.0.0.1:${server.address().port}`;
+
+    return {
+        url,
+        // 各适配器配置使用的 baseUrl
+        baseUrls: {
+            openai: `${url}/openai/v1`,
+            claude: `${url}/claude`,
+            gemini: `${url}/gemini/v1beta`,
+            ollama: `${url}/ollama`,
+            ollama_generate: `${url}/ollama`,
+            llama_cpp: `${url}/llama_cpp`
+        },
+        requests,
+
+        /**
+         * 排入接下来的响应
+         * @param {...object} replies - 响应描述
+         */
+        reply(...replies) {
+            queue.push(...replies);
+        },
+
+        /**
+         * 清空未使用的响应和请求记录
+         */
+        reset() {
+            queue.length = 0;
+            requests.length = 0;
+        },
+
+        close() {
+            server.closeAllConnections();
+            return new Promise(resolve => server.close(resolve));
+        }
+    };
+}
+
+export default startMockProvider;
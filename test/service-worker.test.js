@@ -0,0 +1,277 @@
+/**
+ * Service Worker 消息处理测试：识别请求、结果缓存、取消、设置、网站规则、快捷键和右键菜单
+ */
+
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { installChrome } from './helpers/chrome.js';
+import { startMockProvider } from './helpers/mock-provider.js';
+import { useConfigs } from './helpers/configs.js';
+import * as logger from '../src/utils/logger.js';
+import * as storage from '../src/utils/storage.js';
+
+// 内容脚本收到的消息，快捷键和右键菜单测试中检查
+const tabMessages = [];
+
+const { chrome } = installChrome({
+    tabs: {
+        query: async () => [{ id: 7, url: 'https://example.com/login' }],
+        sendMessage: async (tabId, message, options) => {
+            tabMessages.push({ tabId, frameId: options?.frameId, ...message });
+            switch (message.action) {
+                case 'recognize':
+                    return { success: true, text: 'AB12', captchaId: message.captchaId || 'captcha-0' };
+                case 'getStatus':
+                    return { success: true, currentCaptcha: { id: 'captcha-3' } };
+                default:
+                    return { success: true };
+            }
+        }
+    }
+});
+
+await import('../src/background/service-worker.js');
+logger.setLevel(logger.LOG_LEVELS.NONE);
+
+const [handleMessage] = chrome.runtime.onMessage.listeners;
+const [handleCommand] = chrome.commands.onCommand.listeners;
+const [handleContextMenu] = chrome.contextMenus.onClicked.listeners;
+
+const SENDER = { tab: { id: 1, url: 'https://example.com/login' } };
+
+let imageCount = 0;
+
+/**
+ * 生成不同的图像数据，避免命中其他测试缓存的结果
+ * @returns {string}
+ */
+function nextImage() {
+    return `data:image/png;base64,iVBORw0KGgo${++imageCount}`;
+}
+
+/**
+ * 向 Service Worker 发送消息
+ * @param {object} message - 消息
+ * @param {object} sender - 发送者
+ * @returns {Promise<object>} - 响应
+ */
+function send(message, sender = SENDER) {
+    return new Promise((resolve) => {
+        assert.equal(handleMessage(message, sender, resolve), true);
+    });
+}
+
+let provider;
+
+before(async () => {
+    provider = await startMockProvider();
+});
+
+after(async () => {
+    await provider.close();
+});
+
+beforeEach(async () => {
+    provider.reset();
+    tabMessages.length = 0;
+    await useConfigs(provider, [{ provider: 'openai' }]);
+});
+
+describe('recognizeCaptcha', () => {
+    it('识别并返回结果', async () => {
+        provider.reply({ text: 'x7Kp' });
+
+        const response = await send({ action: 'recognizeCaptcha', imageData: nextImage(), requestId: 'r1' });
+
+        assert.equal(response.success, true);
+        assert.equal(response.text, 'x7Kp');
+        assert.equal(response.requestId, 'r1');
+
+        const [record] = await storage.getHistory();
+        assert.equal(record.hostname, 'example.com');
+    });
+
+    it('缺少图像数据时返回错误', async () => {
+        const response = await send({ action: 'recognizeCaptcha' });
+
+        assert.deepEqual(response, { success: false, error: '缺少图像数据' });
+    });
+
+    it('失败时返回错误类型', async () => {
+        provider.reply({ status: 401, message: 'Incorrect API key provided' });
+
+        const response = await send({ action: 'recognizeCaptcha', imageData: nextImage() });
+
+        assert.equal(response.success, false);
+        assert.equal(response.error, 'Incorrect API key provided');
+        assert.equal(response.errorType, 'auth');
+    });
+
+    it('应用网站规则的附加要求', async () => {
+        await send({
+            action: 'saveSiteRule',
+            hostname: 'example.com',
+            rule: { selector: '#captcha', charset: 'digits', length: 4 }
+        });
+        provider.reply({ text: '验证码是 4821' });
+
+        const response = await send({ action: 'recognizeCaptcha', imageData: nextImage() });
+
+        assert.equal(response.text, '4821');
+        assert.match(provider.requests[0].body.messages[0].content[0].text, /验证码长度为 4 位/);
+
+        await send({ action: 'deleteSiteRule', hostname: 'example.com' });
+    });
+
+    it('取消标签页中进行中的识别', async () => {
+        provider.reply({ text: 'AB12', delay: 500 });
+
+        const pending = send({ action: 'recognizeCaptcha', imageData: nextImage() });
+
+        await new Promise(resolve => setTimeout(resolve, 50));
+        const cancel = await send({ action: 'cancel', tabId: 1 });
+        assert.equal(cancel.cancelled, 1);
+
+        const response = await pending;
+        assert.equal(response.cancelled, true);
+    });
+});
+
+describe('结果缓存', () => {
+    it('相同图片再次识别时返回缓存的结果', async () => {
+        const imageData = nextImage();
+
+        const first = await send({ action: 'recognizeCaptcha', imageData });
+        const second = await send({ action: 'recognizeCaptcha', imageData });
+
+        assert.equal(second.cached, true);
+        assert.equal(second.text, first.text);
+        assert.equal(provider.requests.length, 1);
+    });
+
+    it('refresh 时忽略缓存', async () => {
+        const imageData = nextImage();
+
+        await send({ action: 'recognizeCaptcha', imageData });
+        const refreshed = await send({ action: 'recognizeCaptcha', imageData, refresh: true });
+
+        assert.ok(!refreshed.cached);
+        assert.equal(provider.requests.length, 2);
+    });
+
+    it('标记错误后缓存失效', async () => {
+        const imageData = nextImage();
+
+        const first = await send({ action: 'recognizeCaptcha', imageData });
+        await send({ action: 'submitFeedback', historyId: first.historyId, correct: false, value: 'AB13' });
+        const second = await send({ action: 'recognizeCaptcha', imageData });
+
+        assert.ok(!second.cached);
+        assert.equal(provider.requests.length, 2);
+    });
+
+    it('同时识别相同图片时共用一次请求', async () => {
+        const imageData = nextImage();
+        provider.reply({ text: 'AB12', delay: 100 });
+
+        const [first, second] = await Promise.all([
+            send({ action: 'recognizeCaptcha', imageData }),
+            send({ action: 'recognizeCaptcha', imageData }, { tab: { id: 2, url: 'https://example.com/' } })
+        ]);
+
+        assert.equal(first.text, 'AB12');
+        assert.equal(second.cached, true);
+        assert.equal(provider.requests.length, 1);
+    });
+
+    it('共用的请求被发起方取消时，其他调用方重新识别', async () => {
+        const imageData = nextImage();
+        provider.reply({ text: 'AB12', delay: 500 });
+
+        const owner = send({ action: 'recognizeCaptcha', imageData });
+        const waiter = send({ action: 'recognizeCaptcha', imageData }, { tab: { id: 2, url: 'https://example.com/' } });
+
+        await new Promise(resolve => setTimeout(resolve, 50));
+        const cancel = await send({ action: 'cancel', tabId: 1 });
+        assert.equal(cancel.cancelled, 1);
+
+        const [ownerResponse, waiterResponse] = await Promise.all([owner, waiter]);
+
+        assert.equal(ownerResponse.cancelled, true);
+        assert.equal(waiterResponse.success, true);
+        assert.equal(waiterResponse.text, 'AB12');
+        assert.equal(provider.requests.length, 2);
+    });
+
+    it('未开启时拒绝预先识别', async () => {
+        const response = await send({ action: 'recognizeCaptcha', imageData: nextImage(), prefetch: true });
+
+        assert.equal(response.success, false);
+        assert.equal(provider.requests.length, 0);
+    });
+
+    it('开启后预先识别的结果供随后的识别使用', async () => {
+        await storage.updateSettings({ prefetchOnPreview: true });
+        const imageData = nextImage();
+
+        await send({ action: 'recognizeCaptcha', imageData, prefetch: true });
+        const response = await send({ action: 'recognizeCaptcha', imageData });
+
+        assert.equal(response.cached, true);
+        assert.equal(provider.requests.length, 1);
+    });
+});
+
+describe('其他消息', () => {
+    it('getSettings 返回合并默认值的设置', async () => {
+        const response = await send({ action: 'getSettings' });
+
+        assert.equal(response.success, true);
+        assert.equal(response.settings.retryCount, 2);
+        assert.equal(response.settings.showSolveWidget, true);
+    });
+
+    it('getActiveConfig 隐藏API密钥', async () => {
+        const response = await send({ action: 'getActiveConfig' });
+
+        assert.equal(response.config.apiKey, '******');
+    });
+
+    it('未知操作返回错误', async () => {
+        const response = await send({ action: 'noSuchAction' });
+
+        assert.deepEqual(response, { success: false, error: '未知操作' });
+    });
+});
+
+describe('快捷键', () => {
+    it('识别并填充当前标签页的验证码', async () => {
+        await handleCommand('recognize-and-fill', { id: 7 });
+        await new Promise(resolve => setTimeout(resolve, 50));
+
+        assert.deepEqual(tabMessages.map(m => m.action), ['recognize', 'fill']);
+        assert.equal(tabMessages[1].text, 'AB12');
+        assert.equal(tabMessages[1].options.autoSubmit, false);
+    });
+
+    it('忽略缓存重新识别上一个验证码', async () => {
+        await handleCommand('resolve-last', { id: 7 });
+        await new Promise(resolve => setTimeout(resolve, 50));
+
+        const recognize = tabMessages.find(m => m.action === 'recognize');
+        assert.equal(recognize.captchaId, 'captcha-3');
+        assert.equal(recognize.refresh, true);
+    });
+});
+
+describe('右键菜单', () => {
+    it('交给右键点击所在的框架识别', async () => {
+        handleContextMenu({ menuItemId: 'solve-captcha-remember', frameId: 3 }, { id: 7 });
+        await new Promise(resolve => setTimeout(resolve, 10));
+
+        assert.deepEqual(tabMessages, [
+            { tabId: 7, frameId: 3, action: 'solveContextMenuTarget', remember: true }
+        ]);
+    });
+});